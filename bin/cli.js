@@ -156,11 +156,34 @@ program
 program
   .command('dashboard')
   .description('Launch real-time agent activity dashboard (v5.0.0)')
+  .argument('[action]', 'Action: start, token, revoke', 'start')
+  .argument('[username]', 'Team member (token, revoke)')
   .option('-p, --port <port>', 'Dashboard port (default: 3456)')
+  .option('--origin <origins>', 'Comma-separated browser origins allowed to call the API (default: the server URL)')
+  .option('--label <label>', 'Note stored with a new token (token)')
   .option('--no-open', 'Don\'t open browser automatically')
-  .action((options) => {
+  .action((action, username, options) => {
     const DashboardCommands = require('../lib/commands/dashboard');
-    DashboardCommands.start(options);
+    if (action === 'token') {
+      DashboardCommands.token(username, options);
+    } else if (action === 'revoke') {
+      DashboardCommands.revoke(username, options);
+    } else {
+      DashboardCommands.start(options);
+    }
+  });
+
+// Storage command - Where hunts, pack config, analytics and usage are stored
+program
+  .command('storage')
+  .description('Show or migrate the storage backend (file, sqlite)')
+  .argument('[action]', 'Action: status, migrate')
+  .option('--to <backend>', 'Backend to migrate to (file, sqlite)')
+  .option('--from <backend>', 'Backend to migrate from (default: current)')
+  .option('--overwrite', 'Replace keys that already exist in the target')
+  .action((action, options) => {
+    const storageCommand = require('../lib/commands/storage');
+    storageCommand(action, options);
   });
 
 // Plugin command - Manage plugins
@@ -241,15 +264,202 @@ program
     sparkCommand(options);
   });
 
+// Constitution command - Manage and check constitutional principles (bin/leo-constitution.js)
+program
+  .command('constitution', 'Manage constitutional principles (init, show, add, remove, update, check, hook)', {
+    executableFile: 'leo-constitution.js'
+  });
+
 // Spec command - Manage specifications
 program
   .command('spec')
   .description('Manage project specifications')
-  .argument('[action]', 'Action: new, list, view, edit')
-  .argument('[...args]', 'Additional arguments')
-  .action((action, args) => {
-    const specCommand = require('../lib/commands/spec');
-    specCommand(action, args);
+  .argument('[action]', 'Action: new, list, show, templates, import, trace, export, tests, coverage, analyze, extend, diff, rollback, init, specify, plan, tasks, implement, status')
+  .argument('[args...]', 'Additional arguments')
+  .option('-i, --interactive', 'Use interactive mode for section editing')
+  .option('-p, --priority <level>', 'Priority: high, medium, low', 'medium')
+  .option('-t, --type <type>', 'Type: feature, bug, refactor, docs', 'feature')
+  .option('--template <name>', 'Spec template: feature, ui, api, migration, component or one from .leo/templates/spec', 'feature')
+  .option('--no-auto-populate', 'Disable auto-population of sections')
+  .option('--ai', 'Write spec sections with an LLM (falls back to auto-population offline)')
+  .option('--force', 'Create the spec even if it violates constitutional principles')
+  .option('--dry-run', 'With import, preview the specs without creating issues; with tests, print the skeletons')
+  .option('-f, --format <format>', 'Format - trace: table, markdown, csv, json; export: html, pdf, confluence, docx; import: markdown, jira, github')
+  .option('-o, --output <file>', 'Write the trace report, export or test skeletons to a file')
+  .option('--runner <runner>', 'With tests, test runner: jest, playwright (default: detected from package.json)')
+  .option('--results <file>', 'With coverage, read this `jest --json` output instead of running Jest')
+  .option('--no-post', 'With coverage, don\'t post the coverage comment')
+  .option('--from <version>', 'Diff from this spec version (e.g. v1)')
+  .option('--to <version>', 'Diff to, or roll back to, this spec version (e.g. v3)')
+  .option('--timeline', 'Show the spec version timeline instead of a diff')
+  .option('--summary', 'Show spec change statistics instead of a diff')
+  .option('--section <name>', 'Diff one section only (e.g. requirements)')
+  .option('--replan', 'After extend, re-plan the plan sections the change made stale')
+  .option('--create-issues', 'After extend, create child issues for the new requirements')
+  .option('--model <model>', 'With implement, code generation model: sonnet-3-5, opus-4, opus-4-5, haiku-3')
+  .option('--staged', 'With implement, review the staged change set without generating a new one')
+  .option('--accept <files>', 'With implement, write these staged files (comma-separated, or "all")')
+  .option('--reject <files>', 'With implement, discard these staged files (comma-separated, or "all")')
+  .action(async (action, args, options) => {
+    const SpecCommands = require('../lib/commands/spec');
+    await SpecCommands.run(action, args, options);
+  });
+
+// Clarify command - Generate clarifying questions for spec and fold the answers back in
+program
+  .command('clarify <issue-number>')
+  .description('Analyze spec and generate clarifying questions')
+  .option('--no-post', 'Don\'t post comment to GitHub (just show questions)')
+  .option('--no-label', 'Don\'t add needs-clarification label')
+  .option('-c, --categories <list>', 'Focus on specific categories (comma-separated)')
+  .option('--status', 'Show clarification status only (no questions)')
+  .option('-r, --resolve', 'Apply answers from issue comments (Q1: ...) to the spec')
+  .option('-i, --interactive', 'With --resolve, prompt for unanswered questions')
+  .action(async (issueNumber, options) => {
+    const ClarificationManager = require('../lib/clarify');
+    const manager = new ClarificationManager();
+
+    try {
+      if (options.status) {
+        // Show status only
+        await manager.showStatus(issueNumber);
+      } else if (options.resolve) {
+        // Fold answers back into the spec
+        await manager.resolve(issueNumber, {
+          interactive: options.interactive,
+          autoUpdate: options.post !== false
+        });
+      } else {
+        // Generate clarifying questions
+        const categories = options.categories ? options.categories.split(',').map(c => c.trim().toUpperCase()) : null;
+
+        const result = await manager.clarify(issueNumber, {
+          autoPost: options.post !== false,
+          addLabel: options.label !== false,
+          categories
+        });
+
+        if (!options.post) {
+          console.log(chalk.cyan('\n📝 Generated Questions:\n'));
+          console.log(result.comment);
+          console.log(chalk.gray('\nTo post these questions, run without --no-post flag'));
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error:`, error.message));
+      if (process.env.DEBUG) console.error(error);
+      process.exit(1);
+    }
+  });
+
+// Plan command - Generate implementation plan for spec
+program
+  .command('plan <issue-number>')
+  .description('Generate detailed implementation plan for spec')
+  .option('--no-post', 'Don\'t post plan to GitHub (just show it)')
+  .option('--no-labels', 'Don\'t update labels')
+  .option('-f, --focus <areas>', 'Focus on specific areas, comma-separated: architecture, tech, data, api, components, phases, testing, deployment')
+  .option('--force', 'Plan even if the spec scores below the quality threshold, has open 🔴 clarification questions or the plan violates constitutional principles')
+  .action(async (issueNumber, options) => {
+    const PlanManager = require('../lib/plan');
+    const manager = new PlanManager();
+
+    try {
+      const result = await manager.plan(issueNumber, {
+        autoPost: options.post !== false,
+        updateLabels: options.labels !== false,
+        focus: options.focus,
+        force: options.force
+      });
+
+      if (!options.post) {
+        console.log(chalk.cyan('\n📐 Generated Plan:\n'));
+        console.log(result.comment);
+        console.log(chalk.gray('\nTo post this plan, run without --no-post flag'));
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error:`, error.message));
+      if (process.env.DEBUG) console.error(error);
+      process.exit(1);
+    }
+  });
+
+// Tasks command - Generate task checklists and dependency graphs from plans
+program
+  .command('tasks <action> [issue-number]')
+  .description('Manage implementation task checklists (create, status, graph, sync)')
+  .option('--no-post', 'Don\'t post tasks to GitHub (just show them)')
+  .option('--no-label', 'Don\'t add has-tasks label')
+  .option('--no-tdd', 'Disable TDD mode (tests before implementation)')
+  .option('--create-issues', 'Create child GitHub issues for each task (for full project board tracking)')
+  .option('--force', 'Post tasks even if they violate constitutional principles')
+  .option('-f, --format <format>', 'Graph format: mermaid, dot', 'mermaid')
+  .option('-o, --output <file>', 'Write the graph to a file (e.g. diagrams/tasks-42.mmd)')
+  .option('--dry-run', 'Show what sync would change without changing it')
+  .action(async (action, issueNumber, options) => {
+    const TaskManager = require('../lib/tasks');
+    const manager = new TaskManager();
+
+    try {
+      if (['create', 'status', 'graph', 'sync'].includes(action) && !issueNumber) {
+        console.log(chalk.red('\n❌ Please provide an issue number'));
+        console.log(chalk.gray('\nUsage: ') + chalk.cyan(`leo tasks ${action} <issue-number>`));
+        return;
+      }
+
+      if (action === 'create') {
+        const result = await manager.create(issueNumber, {
+          autoPost: options.post !== false,
+          addLabel: options.label !== false,
+          tddMode: options.tdd !== false,
+          createIssues: options.createIssues === true,
+          force: options.force
+        });
+
+        if (!options.post) {
+          console.log(chalk.cyan('\n📋 Generated Tasks:\n'));
+          console.log(result.comment);
+          console.log(chalk.gray('\nTo post these tasks, run without --no-post flag'));
+        }
+
+        if (options.createIssues && result.childIssues && result.childIssues.length > 0) {
+          console.log(chalk.cyan(`\n✨ Created ${result.childIssues.length} child issues for GitHub Project tracking`));
+        }
+
+      } else if (action === 'status') {
+        await manager.status(issueNumber);
+
+      } else if (action === 'graph') {
+        await manager.graph(issueNumber, { format: options.format, output: options.output });
+
+      } else if (action === 'sync') {
+        await manager.sync(issueNumber, { dryRun: options.dryRun === true });
+
+      } else {
+        console.log(chalk.red(`\n❌ Unknown action: ${action}`));
+        console.log(chalk.gray('\nAvailable actions:'));
+        console.log(chalk.gray('  create <issue>  - Generate task checklist from plan'));
+        console.log(chalk.gray('  status <issue>  - Show progress (verified acceptance criteria, or checklist boxes)'));
+        console.log(chalk.gray('  graph <issue>   - Show the task dependency graph and critical path'));
+        console.log(chalk.gray('  sync <issue>    - Sync checklist boxes with child issues (both ways)\n'));
+        console.log(chalk.gray('\nExamples:'));
+        console.log(chalk.cyan('  leo tasks create 42                    # Simple checklist in comment'));
+        console.log(chalk.cyan('  leo tasks create 42 --create-issues    # Create child issues for each task'));
+        console.log(chalk.cyan('  leo tasks status 42'));
+        console.log(chalk.cyan('  leo tasks graph 42 -o diagrams/tasks-42.mmd'));
+        console.log(chalk.cyan('  leo tasks sync 42 --dry-run\n'));
+        console.log(chalk.gray('\nOptions:'));
+        console.log(chalk.gray('  --create-issues    Create child GitHub issues (full project board tracking)'));
+        console.log(chalk.gray('  --no-post          Preview without posting'));
+        console.log(chalk.gray('  --no-tdd           Disable TDD mode'));
+        console.log(chalk.gray('  --format dot       Graph as Graphviz DOT instead of Mermaid'));
+        console.log(chalk.gray('  --dry-run          Preview sync changes\n'));
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error:`, error.message));
+      if (process.env.DEBUG) console.error(error);
+      process.exit(1);
+    }
   });
 
 // Screenshot to JSON command - Convert Skapa screenshots to JSON (v6.3.0+)
@@ -285,11 +495,50 @@ program
 program
   .command('team')
   .description('Manage team workflows and collaboration')
-  .argument('[action]', 'Action: init, status, assign')
-  .argument('[...args]', 'Additional arguments')
-  .action((action, args) => {
-    const teamCommand = require('../lib/commands/team');
-    teamCommand(action, args);
+  .argument('[action]', 'Action: init, add, list, roles', 'list')
+  .action((action) => {
+    const { TeamCommands } = require('../lib/commands/team');
+    const actions = {
+      init: () => TeamCommands.init(),
+      add: () => TeamCommands.add(),
+      list: () => TeamCommands.list(),
+      roles: () => TeamCommands.roles()
+    };
+
+    if (!actions[action]) {
+      console.log(chalk.yellow(`Unknown action. Available: ${Object.keys(actions).join(', ')}`));
+      return;
+    }
+    actions[action]().catch(() => process.exit(1));
+  });
+
+// Hunt command - Hunt cycles through the pack's roles
+program
+  .command('hunt')
+  .description('Start and track hunts through the pack workflow')
+  .argument('[action]', 'Action: start, status, list, next, move, complete, block, unblock, history, analytics', 'status')
+  .argument('[id]', 'Hunt ID (status, next, move, complete, block, unblock, history)')
+  .argument('[details...]', 'Phase to move to (move) or why the hunt is blocked (block)')
+  .action((action, id, details) => {
+    const { HuntCommands } = require('../lib/commands/hunt');
+    const actions = {
+      start: () => HuntCommands.start(),
+      status: () => HuntCommands.status(id),
+      list: () => HuntCommands.list(),
+      next: () => HuntCommands.nextPhase(id),
+      move: () => HuntCommands.move(id, details[0]),
+      complete: () => HuntCommands.complete(id),
+      block: () => HuntCommands.block(id, details.join(' ') || undefined),
+      unblock: () => HuntCommands.unblock(id),
+      history: () => HuntCommands.history(id),
+      analytics: () => HuntCommands.analytics()
+    };
+
+    if (!actions[action]) {
+      console.log(chalk.yellow(`Unknown action. Available: ${Object.keys(actions).join(', ')}`));
+      return;
+    }
+    actions[action]().catch(() => process.exit(1));
   });
 
 // PDF to JSON command - Convert design specs (v6.2.0+)
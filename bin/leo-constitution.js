@@ -8,6 +8,8 @@
  *   ux-ingka constitution add        - Add a new principle
  *   ux-ingka constitution remove     - Remove a principle
  *   ux-ingka constitution update     - Update a principle
+ *   ux-ingka constitution check      - Check the branch diff against the principles
+ *   ux-ingka constitution hook       - Install/uninstall the pre-push check hook
  */
 
 const { Command } = require('commander');
@@ -180,6 +182,81 @@ program
     }
   });
 
+// ux-ingka constitution check
+program
+  .command('check')
+  .description('Check the changes on this branch against constitutional principles')
+  .option('-b, --base <ref>', 'Branch the changes will merge into', 'main')
+  .option('--staged', 'Only check staged changes')
+  .option('--strict', 'Treat warnings as violations')
+  .option('-j, --json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      const manager = new ConstitutionManager();
+
+      if ((await manager.getPrinciples()).length === 0) {
+        console.log(chalk.yellow('\n⚠️  No constitutional principles found'));
+        console.log(chalk.gray('   Initialize with: ') + chalk.cyan('ux-ingka constitution init\n'));
+        return;
+      }
+
+      const result = await manager.check({
+        base: options.base,
+        staged: options.staged,
+        strict: options.strict
+      });
+
+      if (options.json) {
+        const { diff, ...report } = result;
+        console.log(JSON.stringify({ ...report, base: diff.base, files: diff.files.map(f => f.path) }, null, 2));
+      } else {
+        console.log(chalk.cyan.bold('\n📜 Constitution Check\n'));
+        console.log(chalk.gray(`Base: ${result.diff.base}`));
+        console.log(chalk.gray(`Changed files: ${result.diff.files.length}`));
+        console.log(chalk.gray(`Dependencies added: ${result.diff.dependencies.added.join(', ') || 'none'}\n`));
+        manager.printReport(result);
+      }
+
+      if (!result.valid) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ Error checking constitution:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// ux-ingka constitution hook
+program
+  .command('hook <action>')
+  .description('Manage the pre-push constitution check (install, uninstall, status)')
+  .option('-b, --base <ref>', 'Branch to check against', 'main')
+  .action(async (action, options) => {
+    const { installConstitutionHook, uninstallConstitutionHook, isConstitutionHookInstalled } = require('../lib/utils/git-hooks');
+
+    if (action === 'install') {
+      console.log(chalk.cyan('\n🪝 Installing constitution hook...\n'));
+      const result = await installConstitutionHook({ base: options.base });
+      if (!result.installed) {
+        process.exit(1);
+      }
+    } else if (action === 'uninstall') {
+      console.log(chalk.cyan('\n🪝 Uninstalling constitution hook...\n'));
+      await uninstallConstitutionHook();
+    } else if (action === 'status') {
+      if (await isConstitutionHookInstalled()) {
+        console.log(chalk.green('\n  ✓ Pre-push hook: Installed'));
+        console.log(chalk.gray('    Checks constitutional principles before push\n'));
+      } else {
+        console.log(chalk.yellow('\n  ✗ Pre-push hook: Not installed'));
+        console.log(chalk.gray('    Run: ux-ingka constitution hook install\n'));
+      }
+    } else {
+      console.log(chalk.red('\n❌ Unknown action. Use: install, uninstall, or status\n'));
+      process.exit(1);
+    }
+  });
+
 program.parse(process.argv);
 
 // Show help if no command provided
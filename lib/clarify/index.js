@@ -10,13 +10,17 @@
  * - Identify ambiguities and missing details
  * - Generate clarifying questions
  * - Post questions as GitHub issue comments
- * - Label management (add needs-clarification)
+ * - Fold answers from later comments back into the spec (resolve)
+ * - Label management (add/clear needs-clarification)
  *
  * @module lib/clarify
  */
 
-const { execSync } = require('child_process');
 const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { createTracker } = require('../tracker');
+const { SpecDocument, SpecSection } = require('../spec/document');
+const { saveVersion, loadIdRegister } = require('../spec/versions');
 
 /**
  * Question categories for structured clarification
@@ -34,12 +38,36 @@ const QUESTION_CATEGORIES = {
   TESTING: 'Testing Strategy'
 };
 
+/**
+ * Hidden comment markers: question metadata on the questions comment, and
+ * the answered question IDs on each resolution comment
+ */
+const QUESTIONS_MARKER = 'leo-clarify-questions';
+const RESOLVED_MARKER = 'leo-clarify-resolved';
+
+/**
+ * Section that answers to spec-wide ('General') questions are added to
+ */
+const GENERAL_SECTION = 'Requirements';
+
+/**
+ * Answer line in a reply: `Q3: answer`, `A3: answer`, `**Q3:** answer`
+ */
+const ANSWER_REGEX = /^\s*(?:[-*]\s+)?(?:\*\*)?[QA](\d+)\s*(?:\*\*)?\s*[:.)]\s*(?:\*\*)?\s*(.*)$/i;
+
 /**
  * ClarificationManager - Main class for spec clarification
  */
 class ClarificationManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {string} options.projectRoot - Project root for spec versions in .leo/specs (default: the local tracker root or cwd)
+   */
+  constructor(options = {}) {
     this.categories = QUESTION_CATEGORIES;
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
   }
 
   /**
@@ -97,13 +125,278 @@ class ClarificationManager {
   }
 
   /**
-   * Load spec issue from GitHub
+   * Fold answers to the latest clarification questions back into the spec
+   *
+   * Answers are read from comments posted after the questions comment
+   * (`Q3: answer`, one question per line; later answers win), from
+   * `options.answers`, or prompted for in interactive mode. Each answer is
+   * added to the question's section and the spec body is rewritten. Once
+   * every blocking (high priority) question is answered, the
+   * needs-clarification label is removed.
+   *
+   * @param {number|string} issueNumber - GitHub issue number
+   * @param {Object} options - Resolution options
+   * @param {boolean} options.interactive - Prompt for unanswered questions
+   * @param {Object} options.answers - Extra answers keyed by question ID ({ Q1: '...' })
+   * @param {boolean} options.autoUpdate - Update the issue (false = preview only)
+   * @returns {Promise<Object>} Result ({ issueNumber, applied, pending, resolved, updatedBody })
+   */
+  async resolve(issueNumber, options = {}) {
+    const {
+      interactive = false,
+      answers: extraAnswers = {},
+      autoUpdate = true
+    } = options;
+
+    console.log(chalk.blue(`🔍 Collecting answers for spec issue #${issueNumber}...`));
+
+    // Step 1: Load spec issue and the latest round of questions
+    const spec = await this._loadSpecIssue(issueNumber);
+    const comments = await this.tracker.listComments(issueNumber);
+    const { questions, replies, answeredIds } = this._findQuestions(comments);
+
+    if (questions.length === 0) {
+      throw new Error(`No clarification questions found on issue #${issueNumber} - run leo clarify ${issueNumber} first`);
+    }
+
+    // Step 2: Collect new answers (replies, then explicit answers, then prompts)
+    const answers = this._parseAnswers(replies);
+    Object.entries(extraAnswers).forEach(([id, answer]) => {
+      if (String(answer).trim()) {
+        answers[id.toUpperCase()] = String(answer).trim();
+      }
+    });
+
+    const known = new Set(questions.map(q => q.id));
+    Object.keys(answers).forEach(id => {
+      if (!known.has(id) || answeredIds.includes(id)) {
+        delete answers[id];
+      }
+    });
+
+    if (interactive) {
+      Object.assign(answers, await this._promptAnswers(
+        questions.filter(q => !answeredIds.includes(q.id) && !answers[q.id])
+      ));
+    }
+
+    // Step 3: Apply answers to their sections
+    const document = SpecDocument.parse(spec.body)
+      .reserveIds(await loadIdRegister(this.projectRoot, issueNumber));
+    const applied = questions
+      .filter(q => answers[q.id])
+      .map(q => ({ ...q, section: this._applyAnswer(document, q, answers[q.id]), answer: answers[q.id] }));
+
+    const resolvedIds = [...answeredIds, ...applied.map(q => q.id)];
+    const pending = questions.filter(q => !resolvedIds.includes(q.id));
+    const resolved = !pending.some(q => q.priority === 'high');
+    const updatedBody = document.assignIds().toMarkdown();
+
+    if (applied.length === 0) {
+      console.log(chalk.yellow(`⚠️  No new answers found (${pending.length} question(s) still open)`));
+    } else if (autoUpdate) {
+      // Step 4: Rewrite spec body and record what was applied
+      await this._updateIssueBody(issueNumber, updatedBody);
+      await this._postComment(issueNumber, this._formatResolutionComment(applied, pending));
+      console.log(chalk.green(`✅ Applied ${applied.length} answer(s) to spec #${issueNumber}`));
+      await this._saveVersion(issueNumber, {
+        title: spec.title,
+        body: updatedBody,
+        reason: `clarify: answered ${applied.map(q => q.id).join(', ')}`,
+        previous: spec
+      });
+    } else {
+      console.log(chalk.yellow('\n📄 Preview (run without --no-post to update the spec):\n'));
+      console.log(updatedBody);
+    }
+
+    // Step 5: Clear the label once nothing blocks planning
+    if (resolved && autoUpdate) {
+      await this._removeLabel(issueNumber, 'needs-clarification');
+    } else if (!resolved) {
+      const blocking = pending.filter(q => q.priority === 'high').map(q => q.id);
+      console.log(chalk.yellow(`⚠️  Blocking questions still open: ${blocking.join(', ')}`));
+    }
+
+    return {
+      issueNumber,
+      applied,
+      pending,
+      resolved,
+      updatedBody
+    };
+  }
+
+  /**
+   * Latest round of questions with their answers (for exports and reports)
+   *
+   * Answers come from `Q1: ...` replies, or from the resolution comment for
+   * answers given with --interactive.
+   *
+   * @param {Object[]} comments - Spec issue comments
+   * @returns {Object[]} Questions ({ id, category, priority, section, question, answer, resolved })
+   */
+  getAnswers(comments) {
+    const { questions, replies, answeredIds } = this._findQuestions(comments);
+    const answers = this._parseAnswers(replies);
+
+    comments
+      .filter(comment => String(comment.body || '').includes(`<!-- ${RESOLVED_MARKER} `))
+      .forEach(comment => {
+        comment.body.split('\n').forEach(line => {
+          const match = line.match(/^- \*\*(Q\d+)\*\* → [^:]+: (.*)$/);
+          if (match && !answers[match[1]]) answers[match[1]] = match[2].trim();
+        });
+      });
+
+    return questions.map(q => ({
+      ...q,
+      answer: answers[q.id] || null,
+      resolved: answeredIds.includes(q.id)
+    }));
+  }
+
+  /**
+   * Find the latest questions comment, the replies after it and the
+   * question IDs already resolved by earlier runs
+   * @private
+   */
+  _findQuestions(comments) {
+    const markerRegex = new RegExp(`<!-- ${QUESTIONS_MARKER} (\\[[\\s\\S]*?\\]) -->`);
+    const resolvedRegex = new RegExp(`<!-- ${RESOLVED_MARKER} (\\[[\\s\\S]*?\\]) -->`);
+
+    let start = -1;
+    let questions = [];
+    comments.forEach((comment, index) => {
+      const match = String(comment.body || '').match(markerRegex);
+      if (match) {
+        start = index;
+        questions = JSON.parse(match[1]);
+      }
+    });
+
+    const replies = [];
+    const answeredIds = [];
+    comments.slice(start + 1).forEach(comment => {
+      const resolvedMatch = String(comment.body || '').match(resolvedRegex);
+      if (resolvedMatch) {
+        answeredIds.push(...JSON.parse(resolvedMatch[1]));
+      } else {
+        replies.push(comment);
+      }
+    });
+
+    return { questions, replies, answeredIds };
+  }
+
+  /**
+   * Parse `Q<n>: answer` lines from replies
+   *
+   * Lines after an answer line (up to the next one) continue that answer.
+   * @private
+   */
+  _parseAnswers(replies) {
+    const answers = {};
+
+    replies.forEach(reply => {
+      let current = null;
+
+      String(reply.body || '').split('\n').forEach(line => {
+        const match = line.match(ANSWER_REGEX);
+        if (match) {
+          current = `Q${parseInt(match[1], 10)}`;
+          answers[current] = match[2].trim();
+        } else if (current && line.trim()) {
+          answers[current] = `${answers[current]}\n${line.trim()}`.trim();
+        } else if (current && answers[current]) {
+          current = null;
+        }
+      });
+    });
+
+    return answers;
+  }
+
+  /**
+   * Ask for answers to open questions (empty input skips a question)
+   * @private
+   */
+  async _promptAnswers(questions) {
+    const answers = {};
+
+    for (const q of questions) {
+      const priorityIcon = q.priority === 'high' ? '🔴' : '🟡';
+      const { answer } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'answer',
+          message: `${priorityIcon} ${q.id} (${q.section}): ${q.question}`
+        }
+      ]);
+
+      if (answer.trim()) {
+        answers[q.id] = answer.trim();
+      }
+    }
+
+    return answers;
+  }
+
+  /**
+   * Add an answer to the question's section
+   *
+   * List sections get one unchecked item per answer line (with the next
+   * free ID); text sections get the answer appended as a paragraph.
+   * @private
+   * @returns {string} Title of the section the answer went to
+   */
+  _applyAnswer(document, question, answer) {
+    const sectionName = question.section === 'General' ? GENERAL_SECTION : question.section;
+    const section = document.ensureSection(sectionName);
+
+    if (section.type === 'list') {
+      const checked = section.key === 'userStories' ? null : false;
+      answer.split('\n')
+        .map(line => line.replace(/^\s*[-*]\s+(\[[ xX]\]\s+)?/, '').trim())
+        .filter(Boolean)
+        .forEach(line => section.addItem(line, { checked }));
+    } else {
+      section.setContent([section.content, answer].filter(Boolean).join('\n\n'));
+    }
+
+    return section.title;
+  }
+
+  /**
+   * Format the comment recording which answers were applied
+   * @private
+   */
+  _formatResolutionComment(applied, pending) {
+    let comment = '## ✅ Clarifications Applied\n\n';
+
+    applied.forEach(q => {
+      comment += `- **${q.id}** → ${q.section}: ${q.answer.split('\n')[0]}\n`;
+    });
+
+    comment += '\n';
+    if (pending.length > 0) {
+      comment += `**Still open:** ${pending.map(q => q.id).join(', ')}\n\n`;
+    } else {
+      comment += '**All questions answered.**\n\n';
+    }
+
+    comment += '_Generated by `leo clarify --resolve`_\n';
+    comment += `\n<!-- ${RESOLVED_MARKER} ${JSON.stringify(applied.map(q => q.id))} -->\n`;
+
+    return comment;
+  }
+
+  /**
+   * Load spec issue from the tracker
    */
   async _loadSpecIssue(issueNumber) {
     try {
-      const command = `gh issue view ${issueNumber} --json number,title,body,labels`;
-      const output = execSync(command, { encoding: 'utf-8', cwd: process.cwd() });
-      const issue = JSON.parse(output);
+      const issue = await this.tracker.getIssue(issueNumber);
 
       // Verify it's a spec issue
       const hasSpecLabel = issue.labels.some(l => l.name === 'spec');
@@ -122,37 +415,12 @@ class ClarificationManager {
   /**
    * Parse spec sections from issue body
    *
-   * Extracts sections like:
-   * ## Context
-   * content...
-   * ## Requirements
-   * content...
+   * Returns section Markdown keyed by canonical title, e.g.
+   * { 'Context': '...', 'Requirements': '- [ ] ...' }
+   * (see lib/spec/document)
    */
   _parseSpecSections(body) {
-    const sections = {};
-    const sectionRegex = /^## (.+?)$/gm;
-
-    let match;
-    let lastIndex = 0;
-    let lastSection = null;
-
-    while ((match = sectionRegex.exec(body)) !== null) {
-      if (lastSection) {
-        // Extract content from last section
-        const content = body.substring(lastIndex, match.index).trim();
-        sections[lastSection] = content;
-      }
-      lastSection = match[1];
-      lastIndex = match.index + match[0].length;
-    }
-
-    // Get last section content
-    if (lastSection) {
-      const content = body.substring(lastIndex).trim();
-      sections[lastSection] = content;
-    }
-
-    return sections;
+    return SpecDocument.parse(body).toSectionMap();
   }
 
   /**
@@ -254,7 +522,8 @@ class ClarificationManager {
     // Analyze User Stories
     if (sections['User Stories']) {
       const stories = sections['User Stories'];
-      const storyCount = (stories.match(/- As a/gi) || []).length;
+      const storyCount = new SpecSection('User Stories', stories).items
+        .filter(item => /^as an? /i.test(item.text)).length;
 
       analysis.completeness['User Stories'] = storyCount;
 
@@ -413,6 +682,11 @@ class ClarificationManager {
       return priorityOrder[a.priority] - priorityOrder[b.priority];
     });
 
+    // Stable IDs so answers in later comments can refer to them
+    questions.forEach((q, index) => {
+      q.id = `Q${index + 1}`;
+    });
+
     return questions;
   }
 
@@ -498,9 +772,9 @@ class ClarificationManager {
       const categoryName = this.categories[category] || category;
       comment += `### ${categoryName}\n\n`;
 
-      qs.forEach((q, index) => {
+      qs.forEach(q => {
         const priorityIcon = q.priority === 'high' ? '🔴' : q.priority === 'medium' ? '🟡' : '🟢';
-        comment += `${priorityIcon} **Q${index + 1}:** ${q.question}\n`;
+        comment += `${priorityIcon} **${q.id}:** ${q.question}\n`;
         if (q.context) {
           comment += `   *${q.context}*\n`;
         }
@@ -510,33 +784,24 @@ class ClarificationManager {
 
     comment += '---\n\n';
     comment += '**Next Steps:**\n';
-    comment += '1. Answer the questions above (reply to this comment or edit the spec)\n';
-    comment += '2. Once clarified, run `leo plan ' + analysis.issueNumber + '` to generate implementation plan\n\n';
+    comment += '1. Answer the questions in a reply, one per line: `Q1: <answer>` (🔴 questions block planning)\n';
+    comment += '2. Run `leo clarify ' + analysis.issueNumber + ' --resolve` to fold the answers into the spec\n';
+    comment += '3. Once clarified, run `leo plan ' + analysis.issueNumber + '` to generate implementation plan\n\n';
     comment += '_Generated by `leo clarify`_\n';
 
+    // Question metadata for `leo clarify --resolve`
+    const metadata = questions.map(({ id, category, priority, section, question }) => ({ id, category, priority, section, question }));
+    comment += `\n<!-- ${QUESTIONS_MARKER} ${JSON.stringify(metadata)} -->\n`;
+
     return comment;
   }
 
   /**
-   * Post comment to GitHub issue
+   * Post comment to issue
    */
   async _postComment(issueNumber, comment) {
     try {
-      // Write comment to temp file
-      const fs = require('fs').promises;
-      const path = require('path');
-      const commentFile = path.join('/tmp', `leo-clarify-${Date.now()}.md`);
-      await fs.writeFile(commentFile, comment, 'utf-8');
-
-      // Post comment
-      execSync(`gh issue comment ${issueNumber} --body-file "${commentFile}"`, {
-        encoding: 'utf-8',
-        cwd: process.cwd()
-      });
-
-      // Clean up
-      await fs.unlink(commentFile);
-
+      await this.tracker.addComment(issueNumber, comment);
     } catch (error) {
       console.error(chalk.red(`\n❌ Failed to post comment: ${error.message}`));
       throw error;
@@ -548,34 +813,46 @@ class ClarificationManager {
    */
   async _addLabel(issueNumber, label) {
     try {
-      // Check if label exists
-      try {
-        execSync(`gh label list --json name | grep '"name":"${label}"'`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-      } catch (error) {
-        // Create label
-        const color = 'D93F0B'; // Red-orange
-        execSync(`gh label create "${label}" --description "Spec requires clarification" --color "${color}"`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-        console.log(chalk.gray(`   Created label: ${label}`));
-      }
+      await this.tracker.addLabels(issueNumber, [label]);
+      console.log(chalk.green(`✅ Added label: ${label}`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not add label: ${error.message}`));
+    }
+  }
 
-      // Add label to issue
-      execSync(`gh issue edit ${issueNumber} --add-label "${label}"`, {
-        encoding: 'utf-8',
-        cwd: process.cwd()
-      });
+  /**
+   * Remove label from issue
+   */
+  async _removeLabel(issueNumber, label) {
+    try {
+      await this.tracker.removeLabels(issueNumber, [label]);
+      console.log(chalk.green(`✅ Removed label: ${label}`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not remove label: ${error.message}`));
+    }
+  }
 
-      console.log(chalk.green(`✅ Added label: ${label}`));
+  /**
+   * Update issue body in the tracker
+   */
+  async _updateIssueBody(issueNumber, newBody) {
+    try {
+      await this.tracker.updateIssue(issueNumber, { body: newBody });
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to update issue:'), error.message);
+      throw error;
+    }
+  }
 
+  /**
+   * Store a snapshot of the spec in .leo/specs/<issue> (see lib/spec/versions)
+   */
+  async _saveVersion(issueNumber, snapshot) {
+    try {
+      const { version } = await saveVersion(this.projectRoot, issueNumber, { author: await this.tracker.getAuthor(), ...snapshot });
+      console.log(chalk.gray(`   Saved spec version v${version}`));
     } catch (error) {
-      console.log(chalk.yellow(`⚠️  Could not add label: ${error.message}`));
+      console.log(chalk.yellow(`⚠️  Could not save spec version: ${error.message}`));
     }
   }
 
@@ -9,6 +9,8 @@ const fs = require('fs');
 const APIServer = require('../team/api-server');
 const { HuntCycleTracker } = require('../team/tracker');
 const { ConfigurationManager } = require('../team/config-manager');
+const { TeamPack } = require('../team/pack');
+const { DashboardAuth } = require('../team/auth');
 
 /**
  * Dashboard Commands Handler
@@ -22,6 +24,9 @@ class DashboardCommands {
     const port = options.port || process.env.INGVAR_API_PORT || 3000;
     const host = options.host || process.env.INGVAR_API_HOST || 'localhost';
     const projectPath = options.projectPath || '.';
+    const origins = options.origin
+      ? options.origin.split(',').map(origin => origin.trim()).filter(Boolean)
+      : (process.env.INGVAR_API_ORIGINS ? process.env.INGVAR_API_ORIGINS.split(',') : undefined);
 
     console.log(chalk.cyan.bold('\n🚀 INGVAR Dashboard API Server\n'));
 
@@ -39,7 +44,7 @@ class DashboardCommands {
 
       // Load hunt tracker
       console.log(chalk.gray('Loading hunt data...'));
-      const tracker = await HuntCycleTracker.load(projectPath);
+      const tracker = await HuntCycleTracker.load(config.packName, projectPath);
 
       // Create API server with config and tracker
       const server = new APIServer({
@@ -47,7 +52,8 @@ class DashboardCommands {
         host,
         config,
         tracker,
-        projectPath
+        projectPath,
+        origins
       });
 
       // Setup event listeners for server lifecycle
@@ -56,7 +62,13 @@ class DashboardCommands {
         console.log(chalk.cyan('📊 API Information:'));
         console.log(chalk.gray(`   URL: http://${host}:${port}`));
         console.log(chalk.gray(`   WebSocket: ws://${host}:${port}`));
-        console.log(chalk.gray(`   Docs: http://${host}:${port}/api/docs\n`));
+        console.log(chalk.gray(`   Docs: http://${host}:${port}/api/docs`));
+        console.log(chalk.gray(`   Allowed origins: ${server.origins.join(', ')}\n`));
+
+        console.log(chalk.cyan('🔐 Authentication:'));
+        console.log(chalk.gray('   Every /api route except /api/status needs a member token'));
+        console.log(chalk.gray('   Issue one with: leo dashboard token <username>'));
+        console.log(chalk.gray('   Send it as "Authorization: Bearer <token>" or log in via POST /api/auth/login\n'));
 
         console.log(chalk.cyan('📚 Available Endpoints:'));
         console.log(chalk.gray('   Team:'));
@@ -66,6 +78,8 @@ class DashboardCommands {
         console.log(chalk.gray(`     GET  http://${host}:${port}/api/hunts`));
         console.log(chalk.gray(`     GET  http://${host}:${port}/api/hunts/:id`));
         console.log(chalk.gray(`     POST http://${host}:${port}/api/hunts`));
+        console.log(chalk.gray(`     POST http://${host}:${port}/api/hunts/:id/block`));
+        console.log(chalk.gray(`     POST http://${host}:${port}/api/hunts/:id/unblock`));
         console.log(chalk.gray('   Analytics:'));
         console.log(chalk.gray(`     GET  http://${host}:${port}/api/analytics`));
         console.log(chalk.gray(`     GET  http://${host}:${port}/api/analytics/hunts`));
@@ -75,7 +89,9 @@ class DashboardCommands {
         console.log(chalk.gray('   hunt:created - New hunt created'));
         console.log(chalk.gray('   hunt:updated - Hunt updated'));
         console.log(chalk.gray('   hunt:phase-changed - Hunt phase transitioned'));
-        console.log(chalk.gray('   hunt:completed - Hunt completed\n'));
+        console.log(chalk.gray('   hunt:completed - Hunt completed'));
+        console.log(chalk.gray('   hunt:blocked / hunt:unblocked - Hunt blocked or unblocked'));
+        console.log(chalk.gray('   hunt:sla-warning - A phase overran its role\'s SLA\n'));
 
         console.log(chalk.yellow('Press Ctrl+C to stop the server\n'));
       });
@@ -102,6 +118,18 @@ class DashboardCommands {
         console.log(chalk.green.bold(`✅ Hunt completed: ${hunt.id} - ${hunt.name}`));
       });
 
+      server.on('hunt:blocked', (hunt) => {
+        console.log(chalk.red(`⛔ Hunt blocked: ${hunt.id}${hunt.reason ? ` - ${hunt.reason}` : ''} (@${hunt.blockedBy})`));
+      });
+
+      server.on('hunt:unblocked', (hunt) => {
+        console.log(chalk.green(`🔓 Hunt unblocked: ${hunt.id} after ${hunt.blockedDuration} min (@${hunt.unblockedBy})`));
+      });
+
+      server.on('hunt:sla-warning', (warning) => {
+        console.log(chalk.yellow(`⚠️  SLA overrun: ${warning.huntId} in ${warning.phase} - ${warning.activeMinutes}/${warning.thresholdMinutes} min`));
+      });
+
       // Handle graceful shutdown
       const handleShutdown = async (signal) => {
         console.log(chalk.yellow(`\n\n📵 ${signal} received, shutting down gracefully...\n`));
@@ -135,6 +163,71 @@ class DashboardCommands {
     }
   }
 
+  /**
+   * Issue a personal API token for a team member
+   * Usage: leo dashboard token <username>
+   */
+  static async token(username, options = {}) {
+    const projectPath = options.projectPath || '.';
+
+    if (!username) {
+      console.error(chalk.red('\n❌ Username required: leo dashboard token <username>\n'));
+      return;
+    }
+
+    try {
+      const auth = await DashboardCommands._loadAuth(projectPath);
+      const issued = await auth.issueToken(username, { label: options.label });
+      const member = auth.resolveMember(username);
+
+      console.log(chalk.green(`\n✅ Dashboard token issued for ${username} (${member.role}${member.lead ? ', lead' : ''})\n`));
+      console.log(`   ${chalk.bold(issued.token)}\n`);
+      console.log(chalk.yellow('⚠️  This token is shown only once - store it somewhere safe.'));
+      console.log(chalk.gray(`   Revoke it with: leo dashboard revoke ${username}\n`));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+    }
+  }
+
+  /**
+   * Revoke all dashboard tokens of a team member
+   * Usage: leo dashboard revoke <username>
+   */
+  static async revoke(username, options = {}) {
+    const projectPath = options.projectPath || '.';
+
+    if (!username) {
+      console.error(chalk.red('\n❌ Username required: leo dashboard revoke <username>\n'));
+      return;
+    }
+
+    try {
+      const auth = new DashboardAuth({ projectPath });
+      const revoked = await auth.revokeTokens(username);
+
+      if (revoked === 0) {
+        console.log(chalk.yellow(`\n⚠️  ${username} has no dashboard tokens\n`));
+      } else {
+        console.log(chalk.green(`\n✅ Revoked ${revoked} dashboard token(s) for ${username}\n`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+    }
+  }
+
+  /**
+   * DashboardAuth bound to the project's team
+   * @private
+   */
+  static async _loadAuth(projectPath) {
+    const config = await new ConfigurationManager(projectPath).load();
+    if (!config) {
+      throw new Error('No INGVAR configuration found. Run "ux-ingka init" first.');
+    }
+
+    return new DashboardAuth({ projectPath, team: new TeamPack(config) });
+  }
+
   /**
    * Stop the dashboard API server
    * Usage: leo dashboard stop
@@ -243,6 +336,37 @@ class DashboardCommands {
 http://localhost:3000/api
 \`\`\`
 
+## Authentication
+
+Every \`/api\` route except \`/api/status\` and \`/api/auth/login\` requires a team
+member's credentials. Issue a personal token with \`leo dashboard token <username>\`, then
+either send it on every request:
+
+\`\`\`
+Authorization: Bearer leo_...
+\`\`\`
+
+or exchange it for an HttpOnly session cookie (8 hours):
+
+\`\`\`
+POST /api/auth/login   { "token": "leo_..." }
+POST /api/auth/logout
+GET  /api/auth/me      -> { "username", "role", "lead" }
+\`\`\`
+
+Roles come from the pack members in \`.leo.json\`. Mark a member \`"lead": true\` to let
+them change any hunt. \`PUT /api/hunts/:id\`, \`phase-next\`, \`complete\`, \`block\` and \`unblock\` are only
+allowed for a lead or the member owning the hunt's current role (403 otherwise). A change
+to a hunt someone else changed since the server loaded it is refused with 409; the server
+reloads the hunt, so retrying applies the change to the current state.
+
+WebSocket clients pass the same credentials: \`io(url, { auth: { token } })\` or the
+session cookie. They are checked during the handshake: a rejected client gets a
+\`connect_error\` whose \`data.status\` is 401 and is never connected.
+
+Only the origins given with \`--origin\` (default: the server's own URL) may call the API
+from a browser.
+
 ## REST Endpoints
 
 ### Team Endpoints
@@ -338,10 +462,13 @@ Create new hunt
   "name": "string",
   "description": "string",
   "owner": "string",
-  "priority": "Low|Medium|High|Critical"
+  "priority": "Low|Medium|High|Critical",
+  "huntType": "string|undefined"
 }
 \`\`\`
 
+\`huntType\` picks a sequence from the pack's \`roleWorkflow\` (400 if unknown).
+
 **Response:** Created hunt object
 
 #### PUT /api/hunts/:id
@@ -359,7 +486,15 @@ Update hunt
 **Response:** Updated hunt object
 
 #### POST /api/hunts/:id/phase-next
-Advance hunt to next phase
+Advance hunt to next phase, or move it to \`phase\` when the pack's role workflow
+allows it (an optional phase, past skippable phases, or back for rework). 400 if not.
+
+**Request Body:**
+\`\`\`json
+{
+  "phase": "string|undefined"
+}
+\`\`\`
 
 **Response:** Updated hunt object with new phase
 
@@ -368,6 +503,24 @@ Mark hunt as completed
 
 **Response:** Completed hunt object
 
+#### POST /api/hunts/:id/block
+Block hunt. A blocked hunt cannot advance or complete (409) until it is unblocked,
+and its blocked time does not count towards phase durations or SLAs.
+
+**Request Body:**
+\`\`\`json
+{
+  "reason": "string|undefined"
+}
+\`\`\`
+
+**Response:** \`{ "id", "status": "blocked", "reason", "blockedBy", "blockedAt" }\`
+
+#### POST /api/hunts/:id/unblock
+Unblock hunt
+
+**Response:** \`{ "id", "status": "active", "unblockedBy", "blockedDuration", "unblockedAt" }\`
+
 ### Analytics Endpoints
 
 #### GET /api/analytics
@@ -484,6 +637,52 @@ Broadcast when hunt phase changes
 }
 \`\`\`
 
+#### hunt:blocked
+Broadcast when a hunt is blocked
+
+**Data:**
+\`\`\`json
+{
+  "id": "string",
+  "title": "string",
+  "reason": "string|null",
+  "blockedBy": "string",
+  "blockedAt": "2025-10-24T00:00:00Z"
+}
+\`\`\`
+
+#### hunt:unblocked
+Broadcast when a hunt is unblocked
+
+**Data:**
+\`\`\`json
+{
+  "id": "string",
+  "title": "string",
+  "unblockedBy": "string",
+  "blockedDuration": 45,
+  "unblockedAt": "2025-10-24T00:00:00Z"
+}
+\`\`\`
+
+#### hunt:sla-warning
+Broadcast once per phase when its active time (blocked time excluded) passes the
+SLA of its role - the upper bound of the role's \`estimatedDuration\`
+
+**Data:**
+\`\`\`json
+{
+  "huntId": "string",
+  "featureName": "string",
+  "phase": "requirements",
+  "assignee": "string",
+  "activeMinutes": 300,
+  "thresholdMinutes": 240,
+  "overrunMinutes": 60,
+  "timestamp": "2025-10-24T00:00:00Z"
+}
+\`\`\`
+
 #### hunt:completed
 Broadcast when hunt is completed
 
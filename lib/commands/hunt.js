@@ -8,6 +8,7 @@ const chalk = require('chalk');
 const { HuntCycleTracker } = require('../team/tracker');
 const { ConfigurationManager } = require('../team/config-manager');
 const { AnalyticsEngine } = require('../team/analytics');
+const { HuntEventLog, describeEvent } = require('../team/hunt-events');
 const GitHubAuth = require('../team/github-auth');
 const GitHubAPI = require('../team/github-api');
 
@@ -30,6 +31,9 @@ class HuntCommands {
         return;
       }
 
+      const tracker = await HuntCycleTracker.load('.');
+      const huntTypes = tracker.workflow.getHuntTypes();
+
       // Get hunt details
       const answers = await inquirer.prompt([
         {
@@ -44,6 +48,17 @@ class HuntCommands {
           message: 'Feature description:',
           default: 'Add new feature'
         },
+        {
+          type: 'list',
+          name: 'huntType',
+          message: 'Hunt type:',
+          choices: huntTypes.map(type => ({
+            name: `${type} (${tracker.workflow.getSequence(type).join(' → ')})`,
+            value: type
+          })),
+          default: tracker.workflow.defaultHuntType,
+          when: () => huntTypes.length > 1
+        },
         {
           type: 'confirm',
           name: 'createIssues',
@@ -53,13 +68,14 @@ class HuntCommands {
       ]);
 
       // Start hunt
-      const tracker = await HuntCycleTracker.load('.');
-      const hunt = await tracker.startHunt(answers.featureName, answers.description);
+      const hunt = await tracker.startHunt(answers.featureName, answers.description, null, {
+        huntType: answers.huntType
+      });
 
       await tracker.save('.');
 
       console.log(chalk.green.bold('\n✅ Hunt started successfully!\n'));
-      this._displayHuntStatus(hunt, config);
+      this._displayHuntStatus(hunt, config, tracker.workflow);
 
       // Create GitHub issue if enabled
       if (answers.createIssues && config.github?.enabled) {
@@ -130,7 +146,9 @@ class HuntCommands {
           );
           console.log(chalk.dim(`   Status: ${hunt.status}`));
           console.log(chalk.dim(`   Current phase: ${hunt.currentPhase}`));
-          console.log(chalk.dim(`   Duration: ${hunt.getTotalDuration()} minutes\n`));
+          console.log(chalk.dim(`   Duration: ${hunt.getTotalDuration()} minutes`));
+          this._displaySlaWarning(hunt, tracker.workflow);
+          console.log();
         });
       } else {
         // Show specific hunt
@@ -141,7 +159,7 @@ class HuntCommands {
           return;
         }
 
-        this._displayHuntStatus(hunt, config);
+        this._displayHuntStatus(hunt, config, tracker.workflow);
       }
     } catch (error) {
       console.error(chalk.red.bold('❌ Error getting hunt status:'), error.message);
@@ -194,6 +212,28 @@ class HuntCommands {
    * Transition hunt to next phase
    */
   static async nextPhase(huntId, options = {}) {
+    return this._transition(huntId, null, options);
+  }
+
+  /**
+   * Move hunt to a specific phase
+   * Any phase the pack's role workflow allows from the current one: an
+   * optional phase, a phase past skippable ones, or an earlier phase for rework.
+   */
+  static async move(huntId, phase, options = {}) {
+    if (!phase) {
+      console.error(chalk.red('❌ Phase required: ux-ingka hunt move <id> <phase>'));
+      return;
+    }
+
+    return this._transition(huntId, phase, options);
+  }
+
+  /**
+   * Transition hunt along the role workflow (next phase when phase is null)
+   * @private
+   */
+  static async _transition(huntId, phase, options = {}) {
     try {
       const manager = new ConfigurationManager('.');
       const config = await manager.load();
@@ -211,22 +251,22 @@ class HuntCommands {
         return;
       }
 
-      // Get current and next phase
-      const currentIndex = config.workflow.sequence.indexOf(hunt.currentPhase);
-      if (currentIndex === -1 || currentIndex === config.workflow.sequence.length - 1) {
+      // Get next phase from the pack's role workflow
+      const { workflow } = tracker;
+      const nextPhaseId = phase || workflow.getNextRole(hunt.currentPhase, hunt.huntType || undefined);
+      if (!nextPhaseId) {
         console.error(chalk.red('❌ Hunt cannot transition further'));
         return;
       }
 
-      const nextPhaseId = config.workflow.sequence[currentIndex + 1];
-      const nextMember = config.workflow.memberMapping[nextPhaseId];
+      const member = (config.members || []).find(m => m.role === nextPhaseId);
+      const nextMember = member ? member.username : null;
 
       // Store previous phase for notification
       const previousPhase = hunt.currentPhase;
 
       // Transition hunt
-      tracker.transitionHunt(huntId, nextPhaseId, nextMember);
-      await tracker.save('.');
+      const transition = await tracker.transitionHunt(huntId, nextPhaseId, nextMember);
 
       // Sync to GitHub if enabled
       if (hunt.githubIssue && config.github?.enabled) {
@@ -238,9 +278,15 @@ class HuntCommands {
 
       console.log(chalk.green.bold('\n✅ Hunt transitioned!\n'));
       console.log(chalk.dim(`   Moving to: ${nextPhaseId}`));
-      console.log(chalk.dim(`   Assigned to: @${nextMember}\n`));
+      if (transition.kind === 'back') {
+        console.log(chalk.yellow(`   ↩️  Sent back from ${previousPhase} for rework`));
+      }
+      if (transition.skipped.length > 0) {
+        console.log(chalk.dim(`   Skipped: ${transition.skipped.join(', ')}`));
+      }
+      console.log(chalk.dim(`   Assigned to: ${nextMember ? `@${nextMember}` : 'unassigned'}\n`));
 
-      this._displayHuntStatus(hunt, config);
+      this._displayHuntStatus(hunt, config, workflow);
     } catch (error) {
       console.error(chalk.red.bold('❌ Error transitioning hunt:'), error.message);
       throw error;
@@ -262,14 +308,14 @@ class HuntCommands {
         return;
       }
 
+      // Complete first: a blocked hunt is refused and its issue must stay open
+      await tracker.completeHunt(huntId);
+
       // Close GitHub issue if enabled
       if (hunt.githubIssue && config.github?.enabled) {
         await this._closeGitHubIssue(config, hunt);
       }
 
-      tracker.completeHunt(huntId);
-      await tracker.save('.');
-
       // Send Slack notification if enabled
       await this._notifySlackHuntCompleted(config, hunt);
 
@@ -282,12 +328,68 @@ class HuntCommands {
     }
   }
 
+  /**
+   * Block hunt
+   */
+  static async block(huntId, reason, options = {}) {
+    try {
+      const tracker = await HuntCycleTracker.load('.');
+      const hunt = tracker.getHunt(huntId);
+
+      if (!hunt) {
+        console.error(chalk.red(`❌ Hunt not found: ${huntId}`));
+        return;
+      }
+
+      await tracker.blockHunt(huntId, reason);
+
+      console.log(chalk.yellow.bold('\n⛔ Hunt blocked\n'));
+      console.log(chalk.dim(`   ${hunt.featureName} (${hunt.id})`));
+      if (reason) {
+        console.log(chalk.dim(`   Reason: ${reason}`));
+      }
+      console.log(chalk.dim('   Blocked time is not counted towards the phase or its SLA'));
+      console.log(chalk.dim(`   Unblock with: ux-ingka hunt unblock ${hunt.id}\n`));
+    } catch (error) {
+      console.error(chalk.red.bold('❌ Error blocking hunt:'), error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Unblock hunt
+   */
+  static async unblock(huntId, options = {}) {
+    try {
+      const tracker = await HuntCycleTracker.load('.');
+      const hunt = tracker.getHunt(huntId);
+
+      if (!hunt) {
+        console.error(chalk.red(`❌ Hunt not found: ${huntId}`));
+        return;
+      }
+
+      await tracker.unblockHunt(huntId);
+
+      console.log(chalk.green.bold('\n🔓 Hunt unblocked\n'));
+      console.log(chalk.dim(`   ${hunt.featureName} (${hunt.id})`));
+      console.log(chalk.dim(`   Blocked for ${hunt.getBlockedDuration()} minutes in total\n`));
+    } catch (error) {
+      console.error(chalk.red.bold('❌ Error unblocking hunt:'), error.message);
+      throw error;
+    }
+  }
+
   /**
    * Show hunt analytics
    */
   static async analytics(options = {}) {
     try {
-      const engine = await AnalyticsEngine.load('UX Ingka Kit', '.');
+      // Rebuilt from the hunt event log; stored metrics only for projects without one
+      let engine = await AnalyticsEngine.fromEventLog('UX Ingka Kit', '.');
+      if (engine.metrics.length === 0) {
+        engine = await AnalyticsEngine.load('UX Ingka Kit', '.');
+      }
 
       if (!engine || engine.metrics.length === 0) {
         console.log(chalk.yellow('ℹ️  No hunt metrics available yet\n'));
@@ -305,12 +407,50 @@ class HuntCommands {
     }
   }
 
+  /**
+   * Show a hunt's audit trail from the event log
+   */
+  static async history(huntId, options = {}) {
+    if (!huntId) {
+      console.error(chalk.red('❌ Hunt ID required: ux-ingka hunt history <id>'));
+      return;
+    }
+
+    try {
+      const events = await new HuntEventLog({ projectPath: '.' }).read(huntId);
+
+      if (events.length === 0) {
+        console.log(chalk.yellow(`ℹ️  No history recorded for hunt: ${huntId}\n`));
+        return;
+      }
+
+      const created = events.find(event => event.type === 'created');
+      const title = created ? `${created.featureName} (${huntId})` : huntId;
+
+      console.log(chalk.cyan.bold(`\n📜 Hunt History: ${title}\n`));
+      events.forEach(event => {
+        const at = new Date(event.at).toLocaleString();
+        console.log(`   ${chalk.dim(at)}  ${chalk.bold(`@${event.actor}`)}  ${describeEvent(event)}`);
+      });
+
+      if (!created) {
+        console.log(chalk.dim('\n   Started before the event log existed - earlier changes are not recorded'));
+      }
+      console.log();
+    } catch (error) {
+      console.error(chalk.red.bold('❌ Error getting hunt history:'), error.message);
+      throw error;
+    }
+  }
+
   /**
    * Display hunt status
    */
-  static _displayHuntStatus(hunt, config) {
-    const currentPhaseIndex = config.workflow.sequence.indexOf(hunt.currentPhase);
-    const phasePercentage = Math.round(((currentPhaseIndex + 1) / config.workflow.sequence.length) * 100);
+  static _displayHuntStatus(hunt, config, workflow) {
+    const steps = workflow.getSteps(hunt.huntType || undefined);
+    const sequence = steps.map(step => step.role);
+    const currentPhaseIndex = sequence.indexOf(hunt.currentPhase);
+    const phasePercentage = Math.round(((currentPhaseIndex + 1) / sequence.length) * 100);
 
     console.log(chalk.cyan.bold('═══════════════════════════════════════════════'));
     console.log(chalk.cyan.bold(`  🦁 ${hunt.featureName}`));
@@ -319,9 +459,17 @@ class HuntCommands {
     console.log(chalk.bold('Hunt Details:\n'));
     console.log(chalk.dim(`   ID: ${hunt.id}`));
     console.log(chalk.dim(`   Status: ${hunt.status}`));
+    if (hunt.huntType) {
+      console.log(chalk.dim(`   Type: ${hunt.huntType}`));
+    }
     console.log(chalk.dim(`   Current Phase: ${hunt.currentPhase}`));
-    console.log(chalk.dim(`   Progress: ${phasePercentage}% (${currentPhaseIndex + 1}/${config.workflow.sequence.length})`));
-    console.log(chalk.dim(`   Duration: ${hunt.getTotalDuration()} minutes`));
+    console.log(chalk.dim(`   Progress: ${phasePercentage}% (${currentPhaseIndex + 1}/${sequence.length})`));
+    console.log(chalk.dim(`   Duration: ${hunt.getTotalDuration()} minutes (${hunt.getActiveDuration()} active, ${hunt.getBlockedDuration()} blocked)`));
+
+    if (hunt.status === 'blocked') {
+      console.log(chalk.red(`   ⛔ Blocked${hunt.blockedReason ? `: ${hunt.blockedReason}` : ''}`));
+    }
+    this._displaySlaWarning(hunt, workflow);
 
     // Display GitHub issue if available
     if (hunt.githubIssue) {
@@ -332,23 +480,36 @@ class HuntCommands {
 
     // Phase timeline
     console.log(chalk.bold('Phase Timeline:\n'));
-    config.workflow.sequence.forEach((phaseId, index) => {
-      const isComplete = index < currentPhaseIndex;
-      const isCurrent = index === currentPhaseIndex;
-      const column = config.workflow.columns.find(c => c.id === phaseId);
-
-      if (isComplete) {
-        console.log(chalk.green(`   ✓ ${column.name}`));
-      } else if (isCurrent) {
-        console.log(chalk.yellow(`   ▶ ${column.name}`));
+    const visited = new Set(hunt.phaseHistory.map(p => p.phase));
+    steps.forEach((step, index) => {
+      const role = workflow.getRole(step.role);
+      const name = `${role.emoji} ${role.name}${step.optional ? ' (optional)' : ''}`;
+
+      if (index === currentPhaseIndex) {
+        console.log(chalk.yellow(`   ▶ ${name}`));
+      } else if (index < currentPhaseIndex && visited.has(step.role)) {
+        console.log(chalk.green(`   ✓ ${name}`));
+      } else if (index < currentPhaseIndex) {
+        console.log(chalk.dim(`   – ${name} (skipped)`));
       } else {
-        console.log(chalk.dim(`   ○ ${column.name}`));
+        console.log(chalk.dim(`   ○ ${name}`));
       }
     });
 
     console.log(chalk.cyan.bold('\n═══════════════════════════════════════════════\n'));
   }
 
+  /**
+   * Warn when the hunt's current phase has overrun its role's SLA
+   * @private
+   */
+  static _displaySlaWarning(hunt, workflow) {
+    const sla = hunt.getSlaStatus(new Date(), workflow);
+    if (sla && sla.overrun) {
+      console.log(chalk.yellow(`   ⚠️  ${sla.phase} has overrun its SLA: ${sla.activeMinutes}/${sla.thresholdMinutes} minutes active (+${sla.overrunMinutes})`));
+    }
+  }
+
   /**
    * Create GitHub issue from hunt
    * @private
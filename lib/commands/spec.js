@@ -2,6 +2,21 @@
  * Ingvar Spec Commands
  * Specification-Driven Development commands for UX Ingka Kit
  *
+ * Issue-based specs (see lib/spec, lib/spec-trace):
+ * - ux-ingka spec new <description>    Create a spec issue (--ai to write it with an LLM, --template api)
+ * - ux-ingka spec list [status]        List spec issues
+ * - ux-ingka spec templates            List spec templates
+ * - ux-ingka spec show <issue>         Show a spec issue
+ * - ux-ingka spec import <file>        Create specs from Markdown, Jira CSV or GitHub issue JSON (--dry-run)
+ * - ux-ingka spec trace <issue>        Requirement traceability matrix
+ * - ux-ingka spec export <issue>       Export spec, plan, tasks and Q&A (--format html|pdf|confluence|docx)
+ * - ux-ingka spec tests <issue>        Jest or Playwright skeletons from acceptance criteria (--runner, --dry-run)
+ * - ux-ingka spec coverage <issue>     Run Jest and post which acceptance criteria pass, fail or have no test
+ * - ux-ingka spec analyze <issue>      Spec quality score per section
+ * - ux-ingka spec extend <issue> <text> Add requirements and report the impact on the plan
+ * - ux-ingka spec diff <issue>         Compare spec versions by requirement ID
+ * - ux-ingka spec rollback <issue>     Restore an earlier spec version (--to v2)
+ *
  * Commands:
  * - ux-ingka spec init <name>          Create new spec
  * - ux-ingka spec constitution         Define project principles
@@ -9,19 +24,370 @@
  * - ux-ingka spec plan                 Create implementation plan
  * - ux-ingka spec tasks                Generate task list
  * - ux-ingka spec analyze              Check consistency
- * - leo spec implement               Generate code with AI
+ * - leo spec implement               Generate code with AI into a staged change set, review per file (--staged, --accept, --reject)
  * - leo spec status                  Show spec progress
  */
 
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs').promises;
-const { SpecificationManager, AICodeGenerator } = require('../spec/manager');
+const inquirer = require('inquirer');
+const { SpecificationManager } = require('../spec/manager');
+const { normalizeFilePath } = require('../spec/changeset');
 
 /**
  * Spec Commands Handler
  */
 class SpecCommands {
+  /**
+   * Dispatch a `spec <action>` invocation
+   * Usage: ux-ingka spec <action> [args...]
+   */
+  static async run(action, args = [], options = {}) {
+    switch (action) {
+      case 'new':
+      case 'create':
+        return this.create(args.join(' '), options);
+      case 'list':
+        return this.list(args[0], args[1]);
+      case 'show':
+        return this.show(args[0]);
+      case 'templates':
+        return this.templates();
+      case 'import':
+        return this.import(args[0], options);
+      case 'trace':
+        return this.trace(args[0], options);
+      case 'export':
+        return this.export(args[0], options);
+      case 'tests':
+        return this.tests(args[0], options);
+      case 'coverage':
+        return this.coverage(args[0], options);
+      case 'analyze':
+        return this.analyze(args[0], options);
+      case 'extend':
+        return this.extend(args[0], args.slice(1).join(' '), options);
+      case 'diff':
+        return this.diff(args[0], options);
+      case 'rollback':
+        return this.rollback(args[0], options);
+      case 'init':
+        return this.init(args[0], options);
+      case 'constitution':
+      case 'specify':
+      case 'plan':
+      case 'tasks':
+      case 'implement':
+      case 'status':
+        return this[action](options);
+      default:
+        this._showHelp(action);
+    }
+  }
+
+  /**
+   * Create a spec issue
+   * Usage: ux-ingka spec new "Add user authentication"
+   */
+  static async create(description, options = {}) {
+    if (!description) {
+      console.log(chalk.red('\n❌ Please provide a description'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec new <description>'));
+      console.log(chalk.gray('\nExample: ') + chalk.cyan('ux-ingka spec new "Add OAuth2 authentication with Google and GitHub"'));
+      return;
+    }
+
+    try {
+      const SpecManager = require('../spec');
+      const manager = new SpecManager();
+
+      return await manager.create(description, {
+        interactive: options.interactive,
+        priority: options.priority,
+        type: options.type,
+        template: options.template,
+        autoPopulate: options.autoPopulate !== false,
+        ai: options.ai,
+        force: options.force
+      });
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * List spec templates
+   * Usage: ux-ingka spec templates
+   */
+  static async templates() {
+    try {
+      const SpecManager = require('../spec');
+      const manager = new SpecManager();
+
+      return await manager.templates();
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * List spec issues
+   * Usage: ux-ingka spec list [open|closed|all] [limit]
+   */
+  static async list(status = 'all', limit = 30) {
+    try {
+      const SpecManager = require('../spec');
+      const manager = new SpecManager();
+
+      return await manager.list({ status, limit: parseInt(limit, 10) || 30 });
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Show a spec issue
+   * Usage: ux-ingka spec show 42
+   */
+  static async show(issueNumber) {
+    if (!issueNumber) {
+      console.log(chalk.red('\n❌ Please provide an issue number'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec show <issue-number>'));
+      return;
+    }
+
+    try {
+      const SpecManager = require('../spec');
+      const manager = new SpecManager();
+
+      return await manager.show(issueNumber);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Create spec issues from a Markdown doc, Jira CSV export or GitHub issue export
+   * Usage: ux-ingka spec import backlog.csv [--dry-run] [--format markdown|jira|github]
+   */
+  static async import(file, options = {}) {
+    if (!file) {
+      console.log(chalk.red('\n❌ Please provide a file to import'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec import <file> [--dry-run] [--format markdown|jira|github] [--template <name>]'));
+      return;
+    }
+
+    try {
+      const SpecImportManager = require('../spec-import');
+      const manager = new SpecImportManager();
+
+      return await manager.import(file, {
+        format: options.format,
+        dryRun: options.dryRun === true,
+        template: options.template,
+        priority: options.priority,
+        type: options.type,
+        force: options.force
+      });
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Print requirement traceability matrix
+   * Usage: ux-ingka spec trace 42 [--format markdown|csv|json] [--output trace.md]
+   */
+  static async trace(issueNumber, options = {}) {
+    if (!issueNumber) {
+      console.log(chalk.red('\n❌ Please provide an issue number'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec trace <issue-number> [--format table|markdown|csv|json] [--output <file>]'));
+      return;
+    }
+
+    try {
+      const SpecTraceManager = require('../spec-trace');
+      const manager = new SpecTraceManager();
+
+      return await manager.trace(issueNumber, {
+        format: options.format,
+        output: options.output
+      });
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Export a spec with its plan, tasks and clarifications as one document
+   * Usage: ux-ingka spec export 42 [--format html|pdf|confluence|docx] [--output spec.pdf]
+   */
+  static async export(issueNumber, options = {}) {
+    if (!issueNumber) {
+      console.log(chalk.red('\n❌ Please provide an issue number'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec export <issue-number> [--format html|pdf|confluence|docx] [--output <file>]'));
+      return;
+    }
+
+    try {
+      const SpecExportManager = require('../spec-export');
+      const manager = new SpecExportManager();
+
+      return await manager.export(issueNumber, {
+        format: options.format,
+        output: options.output
+      });
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Generate test skeletons from a spec's acceptance criteria
+   * Usage: ux-ingka spec tests 42 [--runner jest|playwright] [--output <file>] [--dry-run]
+   */
+  static async tests(issueNumber, options = {}) {
+    if (!issueNumber) {
+      console.log(chalk.red('\n❌ Please provide an issue number'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec tests <issue-number> [--runner jest|playwright] [--output <file>] [--dry-run]'));
+      return;
+    }
+
+    try {
+      const SpecTestsManager = require('../spec-tests');
+      const manager = new SpecTestsManager();
+
+      return await manager.generate(issueNumber, {
+        runner: options.runner,
+        output: options.output,
+        dryRun: options.dryRun === true
+      });
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Report which acceptance criteria are verified by passing tests
+   * Usage: ux-ingka spec coverage 42 [--results jest-results.json] [--no-post]
+   *
+   * Exits non-zero when Jest cannot run, a test file fails to run or a
+   * criterion's tests fail, so CI can gate on it.
+   */
+  static async coverage(issueNumber, options = {}) {
+    if (!issueNumber) {
+      console.log(chalk.red('\n❌ Please provide an issue number'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec coverage <issue-number> [--results <jest-json-file>] [--no-post]'));
+      return;
+    }
+
+    try {
+      const SpecCoverageManager = require('../spec-coverage');
+      const manager = new SpecCoverageManager();
+
+      const coverage = await manager.coverage(issueNumber, {
+        results: options.results,
+        post: options.post !== false
+      });
+      if (coverage.summary.failing > 0 || coverage.errors.length > 0) {
+        process.exitCode = 1;
+      }
+      return coverage;
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Extend a spec issue with new requirements and report the impact on its plan
+   * Usage: ux-ingka spec extend 42 "Add PDF export" [--replan] [--create-issues]
+   */
+  static async extend(issueNumber, description, options = {}) {
+    if (!issueNumber || !description) {
+      console.log(chalk.red('\n❌ Please provide an issue number and a description'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec extend <issue-number> <description> [--replan] [--create-issues]'));
+      return;
+    }
+
+    try {
+      const SpecExtendManager = require('../spec-extend');
+      const manager = new SpecExtendManager();
+
+      const result = await manager.extend(issueNumber, description, {
+        createIssues: options.createIssues === true,
+        replan: options.replan,
+        interactive: options.interactive
+      });
+      if (!result.success) {
+        process.exitCode = 1;
+      }
+      return result;
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Compare spec versions (snapshots in .leo/specs/<issue>, see lib/spec/versions)
+   * Usage: ux-ingka spec diff 42 [--from v1] [--to v3] [--timeline|--summary]
+   */
+  static async diff(issueNumber, options = {}) {
+    if (!issueNumber) {
+      console.log(chalk.red('\n❌ Please provide an issue number'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec diff <issue-number> [--from v1] [--to v3] [--timeline] [--summary]'));
+      return;
+    }
+
+    try {
+      const SpecDiffManager = require('../spec-diff');
+      const manager = new SpecDiffManager();
+
+      return await manager.diff(issueNumber, {
+        from: options.from,
+        to: options.to,
+        timeline: options.timeline === true,
+        summary: options.summary === true,
+        section: options.section
+      });
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Restore an earlier spec version to the issue
+   * Usage: ux-ingka spec rollback 42 --to v2
+   */
+  static async rollback(issueNumber, options = {}) {
+    if (!issueNumber || !options.to) {
+      console.log(chalk.red('\n❌ Please provide an issue number and a version'));
+      console.log(chalk.gray('\nUsage: ') + chalk.cyan('ux-ingka spec rollback <issue-number> --to <version>'));
+      return;
+    }
+
+    try {
+      const SpecDiffManager = require('../spec-diff');
+      const manager = new SpecDiffManager();
+
+      return await manager.rollback(issueNumber, { to: options.to });
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
+    }
+  }
+
   /**
    * Initialize spec project
    * Usage: leo spec init my-feature
@@ -43,6 +409,7 @@ class SpecCommands {
       return result;
     } catch (error) {
       console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
     }
   }
 
@@ -101,6 +468,7 @@ class SpecCommands {
       }
     } catch (error) {
       console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
     }
   }
 
@@ -164,6 +532,7 @@ So that I can understand my impact
       }
     } catch (error) {
       console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
     }
   }
 
@@ -268,6 +637,7 @@ Stats {
       }
     } catch (error) {
       console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
     }
   }
 
@@ -294,14 +664,31 @@ Stats {
       }
     } catch (error) {
       console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
     }
   }
 
   /**
    * Analyze specification
-   * Usage: leo spec analyze
+   * Usage: leo spec analyze [issue-number]
+   *
+   * With an issue number, prints the spec issue's quality report
+   * (see lib/spec/quality); without one, checks the spec files.
    */
-  static async analyze(options = {}) {
+  static async analyze(issueNumber, options = {}) {
+    if (issueNumber) {
+      try {
+        const SpecManager = require('../spec');
+        const manager = new SpecManager();
+
+        return await manager.analyze(issueNumber);
+      } catch (error) {
+        console.error(chalk.red(`\n❌ ${error.message}\n`));
+        process.exitCode = 1;
+        return;
+      }
+    }
+
     try {
       console.log(chalk.cyan.bold('\n🔍 Analyzing Specification\n'));
 
@@ -328,12 +715,13 @@ Stats {
       }
     } catch (error) {
       console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
     }
   }
 
   /**
-   * Generate code from spec (AI)
-   * Usage: leo spec implement --ai claude
+   * Generate code from spec (AI) into a staged change set, then review it
+   * Usage: leo spec implement [--model opus-4] [--staged] [--accept <files>] [--reject <files>]
    */
   static async implement(options = {}) {
     try {
@@ -343,43 +731,30 @@ Stats {
       const featureName = await this._getFeatureName();
 
       if (featureName) {
-        manager.featureDir = path.join(manager.specDir, featureName);
-        const spec = await manager.loadSpec(featureName);
+        if (!options.staged) {
+          manager.featureDir = path.join(manager.specDir, featureName);
+          const spec = await manager.loadSpec(featureName);
 
-        if (!spec.loaded) {
-          console.error(chalk.red('Specification not found'));
-          return;
-        }
+          // Check if spec is ready
+          const analysis = await manager.analyze(spec);
+          if (!analysis.valid) {
+            console.log(chalk.yellow('⚠️  Warning: Specification has issues:\n'));
+            analysis.issues.forEach(issue => console.log(`  ${issue}`));
+            console.log();
+            console.log(chalk.yellow('Proceeding anyway (may result in incomplete code)\n'));
+          }
 
-        // Check if spec is ready
-        const analysis = await manager.analyze(spec);
-        if (!analysis.valid) {
-          console.log(chalk.yellow('⚠️  Warning: Specification has issues:\n'));
-          analysis.issues.forEach(issue => console.log(`  ${issue}`));
-          console.log();
-          console.log(chalk.yellow('Proceeding anyway (may result in incomplete code)\n'));
+          const manifest = await manager.implement(featureName, { model: options.model });
+          if (manifest.unchanged.length > 0) {
+            console.log(chalk.gray(`Unchanged (not staged): ${manifest.unchanged.join(', ')}`));
+          }
         }
 
-        // Generate code
-        const aiProvider = options.ai || 'claude';
-        const generator = new AICodeGenerator(aiProvider);
-
-        console.log(chalk.gray(`Using ${aiProvider} for code generation...`));
-        console.log(chalk.gray('(Ready for Claude/Copilot API integration)\n'));
-
-        const generatedCode = await generator.generateFromSpec(spec);
-
-        // Save generated code
-        await this._saveGeneratedCode(featureName, generatedCode);
-
-        console.log(chalk.green('\n✅ Code generation complete!\n'));
-        console.log(chalk.cyan('Next steps:'));
-        console.log(`  1. Review generated code: .leo/generated/${featureName}/`);
-        console.log(`  2. Run tests: npm test`);
-        console.log(`  3. Deploy: leo spec deploy\n`);
+        await this._reviewChanges(manager, featureName, options);
       }
     } catch (error) {
       console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
     }
   }
 
@@ -409,25 +784,117 @@ Stats {
       }
     } catch (error) {
       console.error(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = 1;
     }
   }
 
   /**
-   * Private: Save generated code
+   * Private: Show the staged diffs and record accept/reject decisions
+   * Decisions come from --accept/--reject, or a prompt per file in a terminal.
    */
-  static async _saveGeneratedCode(featureName, code) {
-    try {
-      const outputDir = path.join(process.cwd(), `.leo/generated/${featureName}`);
-      await fs.mkdir(outputDir, { recursive: true });
+  static async _reviewChanges(manager, featureName, options = {}) {
+    const review = await manager.reviewChanges(featureName);
+    if (!review) {
+      console.log(chalk.yellow(`No staged changes for ${featureName}. Run: leo spec implement\n`));
+      return;
+    }
 
-      for (const [filename, content] of Object.entries(code)) {
-        const filepath = path.join(outputDir, filename);
-        await fs.mkdir(path.dirname(filepath), { recursive: true });
-        await fs.writeFile(filepath, content);
+    const { manifest, diffs } = review;
+    const pending = manifest.files.filter(file => file.decision === 'pending');
+
+    console.log(chalk.cyan.bold(`\n📦 Staged change set: ${featureName}`) + chalk.gray(` (${manifest.model || 'unknown model'}, ${manifest.createdAt})`));
+    if (manifest.summary) {
+      console.log(chalk.gray(manifest.summary));
+    }
+    manifest.files.forEach(file => {
+      const status = file.status === 'added' ? chalk.green('added   ') : chalk.yellow('modified');
+      console.log(`  ${status} ${file.path}${file.decision !== 'pending' ? chalk.gray(` (${file.decision})`) : ''}`);
+    });
+
+    if (pending.length === 0) {
+      console.log(chalk.green('\n✅ Every staged file has been reviewed\n'));
+      return;
+    }
+
+    let decisions = this._parseDecisions(pending, options);
+    if (!decisions && process.stdin.isTTY) {
+      decisions = {};
+      for (const file of pending) {
+        this._printDiff(file, diffs[file.path]);
+        const { decision } = await inquirer.prompt([{
+          type: 'list',
+          name: 'decision',
+          message: `${file.path}:`,
+          choices: [
+            { name: 'Accept - write it to the project', value: 'accepted' },
+            { name: 'Reject - discard it', value: 'rejected' },
+            { name: 'Decide later', value: 'pending' }
+          ]
+        }]);
+        decisions[file.path] = decision;
       }
-    } catch (error) {
-      throw new Error(`Failed to save generated code: ${error.message}`);
+    } else if (!decisions) {
+      pending.forEach(file => this._printDiff(file, diffs[file.path]));
+      console.log(chalk.cyan('\nNothing written yet. Review the diffs above, then:'));
+      console.log('  leo spec implement --staged --accept all');
+      console.log('  leo spec implement --staged --accept src/index.js --reject README.md\n');
+      return;
     }
+
+    const result = await manager.applyChanges(featureName, decisions);
+
+    result.applied.forEach(file => console.log(chalk.green(`✅ Wrote ${file}`)));
+    result.rejected.forEach(file => console.log(chalk.gray(`🗑️  Rejected ${file}`)));
+    result.conflicts.forEach(file => {
+      console.log(chalk.yellow(`⚠️  ${file} changed since it was staged - not written. Re-run leo spec implement to regenerate it.`));
+    });
+
+    const remaining = result.manifest.files.filter(file => file.decision === 'pending').length;
+    if (remaining > 0) {
+      console.log(chalk.gray(`\n${remaining} file(s) still pending. Run: leo spec implement --staged\n`));
+    } else {
+      console.log(chalk.green('\n✅ Review complete\n'));
+    }
+  }
+
+  /**
+   * Private: Decisions from --accept/--reject (comma-separated paths or "all")
+   */
+  static _parseDecisions(pending, options = {}) {
+    if (!options.accept && !options.reject) {
+      return null;
+    }
+
+    const decisions = {};
+    const select = (list, decision) => {
+      const paths = String(list).split(',').map(item => item.trim()).filter(Boolean);
+      const files = paths.includes('all') ? pending.map(file => file.path) : paths.map(normalizeFilePath);
+      files.forEach(file => { decisions[file] = decision; });
+    };
+
+    if (options.accept) select(options.accept, 'accepted');
+    if (options.reject) select(options.reject, 'rejected');
+    return decisions;
+  }
+
+  /**
+   * Private: Print a staged file's diff with colors
+   */
+  static _printDiff(file, diff) {
+    console.log(`\n${chalk.bold(file.path)}${file.summary ? chalk.gray(` - ${file.summary}`) : ''}`);
+    diff.split('\n').forEach(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        console.log(chalk.gray(line));
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line));
+      } else if (line.startsWith('+')) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith('-')) {
+        console.log(chalk.red(line));
+      } else {
+        console.log(line);
+      }
+    });
   }
 
   /**
@@ -435,8 +902,10 @@ Stats {
    */
   static async _getFeatureName() {
     // Try to read from .leo/spec directory
-    const specDir = path.join(process.cwd(), '.leo/spec');
+    const manager = new SpecificationManager();
+    const { specDir } = manager;
     try {
+      await manager.migrateLegacySpecDir();
       const features = await fs.readdir(specDir);
       const dirs = features.filter(f => !f.startsWith('.'));
 
@@ -453,6 +922,45 @@ Stats {
     }
   }
 
+  /**
+   * Private: Show available actions
+   */
+  static _showHelp(action) {
+    if (action) {
+      console.log(chalk.red(`\n❌ Unknown action: ${action}`));
+    }
+    console.log(chalk.gray('\nSpec issues:'));
+    console.log(chalk.gray('  new <description>     - Create a new spec issue'));
+    console.log(chalk.gray('  list [status] [limit] - List spec issues (default: all, 30)'));
+    console.log(chalk.gray('  show <issue-number>   - Show spec issue details'));
+    console.log(chalk.gray('  templates             - List spec templates (use with new --template <name>)'));
+    console.log(chalk.gray('  import <file>         - Create specs from Markdown, Jira CSV or GitHub issue JSON'));
+    console.log(chalk.gray('  trace <issue-number>  - Requirement traceability matrix'));
+    console.log(chalk.gray('  export <issue-number> - Export spec, plan, tasks and Q&A as html, pdf, confluence or docx'));
+    console.log(chalk.gray('  tests <issue-number>  - Jest or Playwright test skeletons from acceptance criteria'));
+    console.log(chalk.gray('  coverage <issue-number> - Acceptance criteria verified by passing Jest tests'));
+    console.log(chalk.gray('  analyze <issue-number> - Spec quality score per section'));
+    console.log(chalk.gray('  extend <issue-number> <description> - Add requirements, report plan impact'));
+    console.log(chalk.gray('  diff <issue-number>   - Compare spec versions by requirement ID'));
+    console.log(chalk.gray('  rollback <issue-number> --to <version> - Restore an earlier spec version'));
+    console.log(chalk.gray('\nSpec files (.leo/spec):'));
+    console.log(chalk.gray('  init <name>, constitution, specify, plan, tasks, analyze, implement, status'));
+    console.log(chalk.gray('\nExamples:'));
+    console.log(chalk.cyan('  ux-ingka spec new "Add user authentication"'));
+    console.log(chalk.cyan('  ux-ingka spec new "Add user authentication" --ai'));
+    console.log(chalk.cyan('  ux-ingka spec new "Add orders endpoint" --template api'));
+    console.log(chalk.cyan('  ux-ingka spec import jira-export.csv --dry-run'));
+    console.log(chalk.cyan('  ux-ingka spec trace 42 --format markdown --output trace.md'));
+    console.log(chalk.cyan('  ux-ingka spec export 42 --format pdf'));
+    console.log(chalk.cyan('  ux-ingka spec tests 42 --runner playwright'));
+    console.log(chalk.cyan('  ux-ingka spec coverage 42'));
+    console.log(chalk.cyan('  ux-ingka spec analyze 42'));
+    console.log(chalk.cyan('  ux-ingka spec extend 42 "Add PDF export" --replan'));
+    console.log(chalk.cyan('  ux-ingka spec diff 42 --from v1 --to v3'));
+    console.log(chalk.cyan('  ux-ingka spec rollback 42 --to v2'));
+    console.log(chalk.cyan('  ux-ingka spec implement --staged --accept all\n'));
+  }
+
   /**
    * Private: Progress bar
    */
@@ -0,0 +1,103 @@
+/**
+ * Storage Command - Inspect and migrate where team state is stored
+ *
+ * Subcommands:
+ * - status: Show the active backend and the keys it holds
+ * - migrate --to <backend>: Copy everything to another backend and switch to it
+ */
+
+const chalk = require('chalk');
+const configManager = require('../utils/config-manager');
+const { createStorage, migrateStorage, BACKENDS } = require('../storage');
+
+async function storageCommand(subcommand, options = {}) {
+  switch (subcommand) {
+    case 'status':
+      return showStatus();
+
+    case 'migrate':
+      return migrate(options);
+
+    default:
+      showHelp();
+  }
+}
+
+/**
+ * Show the active backend and its keys
+ */
+async function showStatus() {
+  try {
+    const storage = createStorage();
+    const keys = await storage.list();
+
+    console.log(chalk.cyan.bold('\n🗄️  Storage\n'));
+    console.log(`   Backend: ${chalk.bold(storage.backend)}`);
+    if (process.env.UX_INGKA_STORAGE) {
+      console.log(chalk.gray('   (set by UX_INGKA_STORAGE)'));
+    }
+
+    if (keys.length === 0) {
+      console.log(chalk.gray('\n   Nothing stored yet\n'));
+      return;
+    }
+
+    console.log('');
+    keys.forEach(key => {
+      console.log(`   ${chalk.green('•')} ${key} ${chalk.gray(storage.location(key))}`);
+    });
+    console.log('');
+  } catch (error) {
+    console.error(chalk.red(`\n❌ ${error.message}\n`));
+  }
+}
+
+/**
+ * Copy all keys to another backend and make it the configured one
+ */
+async function migrate(options) {
+  const to = options.to;
+  if (!to || !BACKENDS[to]) {
+    console.error(chalk.red(`\n❌ Target backend required: --to <${Object.keys(BACKENDS).join('|')}>\n`));
+    return;
+  }
+
+  try {
+    const source = createStorage({ backend: options.from });
+    if (source.backend === to) {
+      console.log(chalk.yellow(`\n⚠️  Already using the ${to} backend\n`));
+      return;
+    }
+
+    const target = createStorage({ backend: to });
+    console.log(chalk.cyan(`\n🗄️  Migrating storage: ${source.backend} → ${to}...\n`));
+
+    const { copied, skipped } = await migrateStorage(source, target, { overwrite: options.overwrite });
+    copied.forEach(key => console.log(chalk.green(`   ✓ ${key}`)));
+    skipped.forEach(key => console.log(chalk.yellow(`   ⚠️  ${key} already exists in ${to} - kept (use --overwrite to replace)`)));
+
+    configManager.set('storage', { ...(configManager.get('storage') || {}), backend: to });
+
+    console.log(chalk.green(`\n✅ Copied ${copied.length} key(s); storage.backend is now "${to}" in .ux-ingkarc.json`));
+    console.log(chalk.gray(`   The ${source.backend} data was left in place - switch back with: ux-ingka storage migrate --to ${source.backend}\n`));
+    if (process.env.UX_INGKA_STORAGE && process.env.UX_INGKA_STORAGE !== to) {
+      console.log(chalk.yellow(`⚠️  UX_INGKA_STORAGE=${process.env.UX_INGKA_STORAGE} still overrides the config\n`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`\n❌ ${error.message}\n`));
+  }
+}
+
+/**
+ * Show help
+ */
+function showHelp() {
+  console.log(chalk.cyan.bold('\n🗄️  Storage Commands\n'));
+  console.log('   ux-ingka storage status                 Show the backend and what it stores');
+  console.log('   ux-ingka storage migrate --to sqlite    Copy hunts, pack, analytics, usage and tokens to SQLite');
+  console.log('   ux-ingka storage migrate --to file      Copy them back to JSON files under .leo/');
+  console.log(chalk.gray('\n   Options: --from <backend> (default: current), --overwrite (replace keys already in the target)'));
+  console.log(chalk.gray('   SQLite needs: npm install better-sqlite3\n'));
+}
+
+module.exports = storageCommand;
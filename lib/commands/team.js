@@ -149,9 +149,10 @@ class TeamCommands {
         return;
       }
 
-      const availableRoles = RoleManager.getSequence().filter(
-        roleId => !manager.getMemberByRole(roleId)
-      );
+      const workflow = manager.getRoleWorkflow();
+      const availableRoles = workflow.getAllRoles()
+        .map(role => role.id)
+        .filter(roleId => !manager.getMemberByRole(roleId));
 
       if (availableRoles.length === 0) {
         console.error(chalk.red('❌ All roles are already assigned'));
@@ -170,7 +171,7 @@ class TeamCommands {
           name: 'role',
           message: 'New member role:',
           choices: availableRoles.map(roleId => {
-            const role = RoleManager.getRole(roleId);
+            const role = workflow.getRole(roleId);
             return {
               name: `${role.emoji} ${role.name}`,
               value: roleId
@@ -209,6 +210,55 @@ class TeamCommands {
     }
   }
 
+  /**
+   * Show the pack's roles, hunt sequences and rework transitions
+   * Custom roles and sequences come from roleWorkflow in .leo.json.
+   */
+  static async roles() {
+    try {
+      const manager = new ConfigurationManager('.');
+      const config = await manager.load();
+      const workflow = manager.getRoleWorkflow();
+
+      console.log(chalk.cyan.bold('\n🎭 Pack Roles\n'));
+      workflow.getAllRoles().forEach(role => {
+        const member = (config?.members || []).find(m => m.role === role.id);
+        const assignee = member ? `@${member.username}` : chalk.yellow('unassigned');
+        console.log(`   ${role.emoji} ${chalk.bold(role.name)} (${role.id})${role.custom ? chalk.magenta(' custom') : ''} → ${assignee}`);
+        if (role.estimatedDuration) {
+          console.log(chalk.dim(`      SLA: ${role.estimatedDuration}`));
+        }
+      });
+
+      console.log(chalk.bold('\n📋 Hunt Sequences:\n'));
+      workflow.getHuntTypes().forEach(type => {
+        const steps = workflow.getSteps(type).map(step => {
+          if (step.optional) return `${step.role} (optional)`;
+          if (step.skippable) return `${step.role} (skippable)`;
+          return step.role;
+        });
+        const isDefault = type === workflow.defaultHuntType ? chalk.dim(' [default]') : '';
+        console.log(`   ${chalk.bold(type)}${isDefault}: ${steps.join(' → ')}`);
+      });
+
+      const backward = Object.entries(workflow.backwardTransitions);
+      if (backward.length > 0) {
+        console.log(chalk.bold('\n↩️  Rework Transitions:\n'));
+        backward.forEach(([from, targets]) => {
+          console.log(chalk.dim(`   ${from} → ${targets.join(', ')}`));
+        });
+      }
+
+      if (!config || !config.roleWorkflow) {
+        console.log(chalk.dim('\n   Built-in roles. Add "roleWorkflow" to .leo.json for custom roles and sequences.'));
+      }
+      console.log();
+    } catch (error) {
+      console.error(chalk.red.bold('❌ Error showing roles:'), error.message);
+      throw error;
+    }
+  }
+
   /**
    * Setup GitHub project board
    */
@@ -447,9 +497,12 @@ class TeamCommands {
 
     // Team composition
     console.log(chalk.bold('👥 Team Members:\n'));
+    const workflow = manager.getRoleWorkflow();
     members.forEach(member => {
-      const role = RoleManager.getRole(member.role);
-      console.log(chalk.dim(`   ${role.emoji} @${member.username} - ${role.name}`));
+      const role = workflow.getRole(member.role);
+      console.log(chalk.dim(role
+        ? `   ${role.emoji} @${member.username} - ${role.name}`
+        : `   ❓ @${member.username} - ${member.role}`));
     });
 
     // Workflow
@@ -0,0 +1,159 @@
+/**
+ * Git Diff Collection
+ *
+ * Turns the changes on a branch into the `diff` work that the constitutional
+ * rules check (see lib/constitution/rules):
+ *
+ *   { base, files: [{ path, status, added }], dependencies: { added } }
+ *
+ * By default the working tree (including untracked files) is compared with
+ * the merge base of `base` and HEAD, which is what a pull request would
+ * contain. With `staged` only the index is compared with HEAD.
+ *
+ * @module lib/constitution/diff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const STATUS_MAP = {
+  A: 'added',
+  C: 'added',
+  M: 'modified',
+  R: 'modified',
+  T: 'modified',
+  D: 'deleted'
+};
+
+/**
+ * Run a git command in the project
+ */
+function git(args, projectRoot) {
+  return execSync(`git -c core.quotepath=off ${args}`, {
+    cwd: projectRoot,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    maxBuffer: 50 * 1024 * 1024
+  });
+}
+
+/**
+ * Resolve the commit to compare against
+ */
+function resolveBase(base, projectRoot) {
+  try {
+    return git(`merge-base ${base} HEAD`, projectRoot).trim();
+  } catch (error) {
+    try {
+      return git(`rev-parse --verify ${base}`, projectRoot).trim();
+    } catch (verifyError) {
+      throw new Error(`Unknown base ref: ${base}`);
+    }
+  }
+}
+
+/**
+ * Parse `git diff --name-status` output
+ */
+function parseNameStatus(output) {
+  return output.split('\n').filter(Boolean).map(line => {
+    const [code, ...paths] = line.split('\t');
+    return {
+      path: paths[paths.length - 1],
+      status: STATUS_MAP[code[0]] || 'modified',
+      added: []
+    };
+  });
+}
+
+/**
+ * Collect added lines per file from `git diff -U0` output
+ */
+function parseAddedLines(output) {
+  const added = {};
+  let current = null;
+
+  output.split('\n').forEach(line => {
+    if (line.startsWith('+++ ')) {
+      current = line === '+++ /dev/null' ? null : line.slice(6);
+      if (current) added[current] = added[current] || [];
+    } else if (current && line.startsWith('+')) {
+      added[current].push(line.slice(1));
+    }
+  });
+
+  return added;
+}
+
+/**
+ * Read package.json dependencies at a ref ('' for the index, null for the working tree)
+ */
+function readDependencies(ref, projectRoot) {
+  try {
+    const content = ref === null
+      ? fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8')
+      : git(`show ${ref}:package.json`, projectRoot);
+    return JSON.parse(content).dependencies || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Collect the changes to check
+ *
+ * @param {Object} options - Collection options
+ * @param {string} options.base - Branch or ref the changes will merge into (default: main)
+ * @param {boolean} options.staged - Only check staged changes (for pre-commit hooks)
+ * @param {string} options.projectRoot - Repository root (default: cwd)
+ * @returns {Object} Diff ({ base, files, dependencies })
+ */
+function collectDiff(options = {}) {
+  const { base = 'main', staged = false, projectRoot = process.cwd() } = options;
+
+  let ref;
+  let files;
+  let diffArgs;
+
+  if (staged) {
+    ref = 'HEAD';
+    diffArgs = '--cached';
+    files = parseNameStatus(git(`diff ${diffArgs} --name-status`, projectRoot));
+  } else {
+    ref = resolveBase(base, projectRoot);
+    diffArgs = ref;
+    files = parseNameStatus(git(`diff ${diffArgs} --name-status`, projectRoot));
+
+    // Untracked files are part of the working diff too
+    git('ls-files --others --exclude-standard', projectRoot)
+      .split('\n')
+      .filter(Boolean)
+      .forEach(filePath => {
+        const content = fs.readFileSync(path.join(projectRoot, filePath), 'utf8');
+        files.push({ path: filePath, status: 'added', added: content.split('\n') });
+      });
+  }
+
+  const addedLines = parseAddedLines(git(`diff ${diffArgs} -U0 --no-color`, projectRoot));
+  files.forEach(file => {
+    if (addedLines[file.path]) file.added = addedLines[file.path];
+  });
+
+  const before = readDependencies(ref, projectRoot);
+  const after = readDependencies(staged ? '' : null, projectRoot);
+
+  return {
+    base: staged ? 'HEAD' : base,
+    files,
+    dependencies: {
+      added: Object.keys(after).filter(name => !(name in before))
+    }
+  };
+}
+
+module.exports = {
+  collectDiff,
+  parseNameStatus,
+  parseAddedLines
+};
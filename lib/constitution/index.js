@@ -4,13 +4,18 @@
  *
  * Inspired by Spec Kit's constitutional governance
  * Adapted for LEO's GitHub-centric workflow
+ *
+ * Principles are enforced by the checks in lib/constitution/rules when
+ * specs, plans and task lists are created (and on git diffs).
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
-const configManager = require('../utils/config-manager');
+const { SpecDocument } = require('../spec/document');
+const { getChecks, SEVERITIES, TARGETS } = require('./rules');
+const { collectDiff } = require('./diff');
 
 /**
  * Default constitutional principles
@@ -198,6 +203,19 @@ class ConstitutionManager {
         }
       ]);
 
+      const { addCheck } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'addCheck',
+          message: 'Add an automated check for this principle?',
+          default: false
+        }
+      ]);
+
+      if (addCheck) {
+        principle.checks = [await this.promptCheck()];
+      }
+
       principles.push(principle);
 
       const { continue: continueAdding } = await inquirer.prompt([
@@ -215,6 +233,74 @@ class ConstitutionManager {
     return principles;
   }
 
+  /**
+   * Prompt for a pattern check (see lib/constitution/rules)
+   *
+   * @returns {Promise<Object>} Check definition
+   */
+  async promptCheck() {
+    const check = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'target',
+        message: 'What should be checked?',
+        choices: TARGETS
+      },
+      {
+        type: 'input',
+        name: 'section',
+        message: 'Section to check (leave empty for the whole document):',
+        when: answers => answers.target === 'spec' || answers.target === 'plan'
+      },
+      {
+        type: 'input',
+        name: 'files',
+        message: 'Files to check (regex, leave empty for all changed files):',
+        when: answers => answers.target === 'diff'
+      },
+      {
+        type: 'list',
+        name: 'kind',
+        message: 'The pattern must be:',
+        choices: [
+          { name: 'Present', value: 'requires' },
+          { name: 'Absent', value: 'forbids' }
+        ]
+      },
+      {
+        type: 'input',
+        name: 'pattern',
+        message: 'Pattern (regex):',
+        validate: input => {
+          try {
+            new RegExp(input);
+            return input.trim().length > 0 || 'Pattern is required';
+          } catch (error) {
+            return `Invalid regex: ${error.message}`;
+          }
+        }
+      },
+      {
+        type: 'list',
+        name: 'severity',
+        message: 'Severity:',
+        choices: SEVERITIES,
+        default: 'warning'
+      },
+      {
+        type: 'input',
+        name: 'message',
+        message: 'Message shown when the check fails:'
+      }
+    ]);
+
+    const { kind, pattern, ...definition } = check;
+    definition[kind] = pattern;
+
+    // Drop empty answers so the config stays readable
+    return Object.fromEntries(Object.entries(definition).filter(([, value]) => value));
+  }
+
   /**
    * Save constitution to .ux-ingkarc.json configuration
    *
@@ -339,7 +425,7 @@ All work in this project should align with these principles. When in doubt:
    */
   async load() {
     try {
-      const config = await configManager.getConfig();
+      const config = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
       return config.constitution || null;
     } catch (error) {
       return null;
@@ -349,31 +435,186 @@ All work in this project should align with these principles. When in doubt:
   /**
    * Validate work against constitutional principles
    *
-   * @param {Object} work - Work to validate (issue, PR, spec)
+   * Runs every check declared by the enabled principles for the work type
+   * (see lib/constitution/rules). Failed `error` checks are violations and
+   * make the work invalid; failed `warning` checks are reported only.
+   *
+   * @param {Object} work - Work to validate
+   * @param {string} work.type - Work type: spec, plan, tasks, diff
+   * @param {*} work.content - Spec body, SpecDocument or { sections }; plan body or { sections };
+   *   task phases, task texts or checklist; diff ({ files, dependencies })
    * @param {Object} options - Validation options
-   * @returns {Promise<Object>} Validation result
+   * @param {boolean} options.strict - Treat warnings as violations
+   * @returns {Promise<Object>} Validation result ({ valid, message, violations, warnings, checked })
    */
   async validate(work, options = {}) {
-    const constitution = await this.load();
+    const { strict = false } = options;
 
-    if (!constitution) {
+    if (!TARGETS.includes(work.type)) {
+      throw new Error(`Unknown work type: ${work.type} (available: ${TARGETS.join(', ')})`);
+    }
+
+    const principles = (await this.getPrinciples()).filter(p => p.enabled !== false);
+
+    if (principles.length === 0) {
       return {
         valid: true,
         message: 'No constitutional principles configured',
-        violations: []
+        violations: [],
+        warnings: [],
+        checked: 0
       };
     }
 
-    // Validation logic will be implemented based on work type
-    // For now, return structure for future implementation
+    const subject = this._normalizeWork(work);
+    const violations = [];
+    const warnings = [];
+    let checked = 0;
+
+    for (const principle of principles) {
+      const checks = getChecks(principle).filter(check => check.target === work.type);
+
+      for (const check of checks) {
+        checked++;
+        check.run(subject, principle).forEach(message => {
+          const finding = {
+            principle: principle.name,
+            check: check.id,
+            severity: check.severity,
+            message
+          };
+
+          if (check.severity === 'error' || strict) {
+            violations.push(finding);
+          } else {
+            warnings.push(finding);
+          }
+        });
+      }
+    }
+
+    const valid = violations.length === 0;
+
     return {
-      valid: true,
-      message: 'Constitutional validation passed',
-      violations: [],
-      warnings: []
+      valid,
+      message: valid
+        ? `Constitutional validation passed (${checked} checks, ${warnings.length} warnings)`
+        : `${violations.length} constitutional violation(s) found`,
+      violations,
+      warnings,
+      checked
     };
   }
 
+  /**
+   * Validate work, print the result and block on violations
+   *
+   * @param {Object} work - Work to validate (see validate)
+   * @param {Object} options - Enforcement options
+   * @param {string} options.label - What is being validated, for messages (e.g. "Plan")
+   * @param {boolean} options.force - Report violations without blocking
+   * @param {boolean} options.strict - Treat warnings as violations
+   * @returns {Promise<Object>} Validation result
+   * @throws {Error} If there are violations and force is not set
+   */
+  async enforce(work, options = {}) {
+    const { label = work.type, force = false, strict = false } = options;
+    const result = await this.validate(work, { strict });
+
+    if (result.checked === 0) {
+      console.log(chalk.yellow(`⚠️  ${result.message} (skipping validation)`));
+      return result;
+    }
+
+    console.log(chalk.cyan(`🔍 Validating ${label.toLowerCase()} against constitutional principles...`));
+    this.printReport(result);
+
+    if (!result.valid) {
+      if (force) {
+        console.log(chalk.yellow(`⚠️  Continuing despite violations (--force)\n`));
+      } else {
+        throw new Error(`${label} violates constitutional principles (fix the violations or use --force)`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check the changes on a branch against the constitution (PR gate)
+   *
+   * @param {Object} options - Check options
+   * @param {string} options.base - Branch the changes will merge into (default: main)
+   * @param {boolean} options.staged - Only check staged changes
+   * @param {boolean} options.strict - Treat warnings as violations
+   * @returns {Promise<Object>} Validation result with the checked diff
+   */
+  async check(options = {}) {
+    const { base = 'main', staged = false, strict = false } = options;
+
+    const diff = collectDiff({ base, staged, projectRoot: this.projectRoot });
+    const result = await this.validate({ type: 'diff', content: diff }, { strict });
+
+    return { ...result, diff };
+  }
+
+  /**
+   * Print violations and warnings
+   *
+   * @param {Object} result - Validation result
+   */
+  printReport(result) {
+    result.violations.forEach(v => {
+      console.log(chalk.red(`   ❌ [${v.principle}] ${v.message}`));
+    });
+
+    result.warnings.forEach(w => {
+      console.log(chalk.yellow(`   ⚠️  [${w.principle}] ${w.message}`));
+    });
+
+    if (result.valid) {
+      console.log(chalk.green(`✅ ${result.message}\n`));
+    } else {
+      console.log(chalk.red(`\n❌ ${result.message}\n`));
+    }
+  }
+
+  /**
+   * Convert work content into what the rule checks expect
+   */
+  _normalizeWork(work) {
+    const { type, content } = work;
+
+    switch (type) {
+      case 'spec':
+        if (content instanceof SpecDocument) return content;
+        if (typeof content === 'string') return SpecDocument.parse(content);
+        return SpecDocument.fromSections(content.sections || {});
+
+      case 'plan':
+        return {
+          sections: typeof content === 'string'
+            ? SpecDocument.parse(content).toSectionMap()
+            : content.sections || {}
+        };
+
+      case 'tasks':
+        if (typeof content === 'string') {
+          return content.split('\n')
+            .map(line => line.match(/^\s*-\s+\[[ xX]\]\s+(.+)$/))
+            .filter(Boolean)
+            .map(match => match[1]);
+        }
+        return content.flatMap(item => (typeof item === 'string' ? [item] : item.tasks || []));
+
+      case 'diff':
+        return {
+          files: (content.files || []).map(file => ({ status: 'modified', added: [], ...file })),
+          dependencies: { added: [], ...content.dependencies }
+        };
+    }
+  }
+
   /**
    * Get all constitutional principles
    *
@@ -0,0 +1,384 @@
+/**
+ * Constitutional Rules
+ *
+ * Checks that back each constitutional principle. A check looks at one kind
+ * of work and returns the problems it found (an empty list means it passed):
+ *
+ * - spec:  SpecDocument (lib/spec/document)
+ * - plan:  { sections: { [title]: markdown } } in plan order
+ * - tasks: string[] of task texts
+ * - diff:  { files: [{ path, status, added: string[] }], dependencies: { added: string[] } }
+ *
+ * Built-in principles are matched by name. Any principle (including custom
+ * ones from `addCustomPrinciples`) can also declare pattern checks in
+ * `.ux-ingkarc.json`:
+ *
+ *   { "target": "spec", "section": "Requirements", "requires": "security|auth",
+ *     "severity": "warning", "message": "Requirements should cover security" }
+ *
+ * @module lib/constitution/rules
+ */
+
+const path = require('path');
+
+const SEVERITIES = ['error', 'warning'];
+const TARGETS = ['spec', 'plan', 'tasks', 'diff'];
+
+const SOURCE_FILE_REGEX = /\.(c|m)?[jt]sx?$/;
+const TEST_FILE_REGEX = /(\.|_)(test|spec)\.(c|m)?[jt]sx?$|(^|\/)(__tests__|tests?)\//;
+const ROUTE_FILE_REGEX = /(^|\/)(routes?|controllers?|api)\//;
+const CONTRACT_FILE_REGEX = /openapi|swagger|\.graphql$|(^|\/)(schemas?|contracts?)\//i;
+
+/**
+ * Check whether a diff file is (non-test) source code
+ */
+function isSourceFile(filePath) {
+  return SOURCE_FILE_REGEX.test(filePath) && !TEST_FILE_REGEX.test(filePath);
+}
+
+/**
+ * Base name of a source or test file (`lib/auth.js`, `auth.test.js` → `auth`)
+ */
+function moduleName(filePath) {
+  return path.basename(filePath).replace(/(\.|_)(test|spec)(?=\.)/, '').replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Names exported by a block of JavaScript lines
+ */
+function exportedNames(lines) {
+  const names = new Set();
+
+  lines.forEach(line => {
+    const esExport = line.match(/^\s*export\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var)\s+(\w+)/);
+    const cjsProperty = line.match(/^\s*(?:module\.)?exports\.(\w+)\s*=/);
+    const cjsObject = line.match(/^\s*module\.exports\s*=\s*\{([^}]*)\}/);
+    const cjsSingle = line.match(/^\s*module\.exports\s*=\s*(\w+)\s*;?\s*$/);
+
+    if (esExport) names.add(esExport[1]);
+    if (cjsProperty) names.add(cjsProperty[1]);
+    if (cjsSingle) names.add(cjsSingle[1]);
+    if (cjsObject) {
+      cjsObject[1].split(',')
+        .map(part => part.split(':')[0].trim())
+        .filter(Boolean)
+        .forEach(name => names.add(name));
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Exported declarations in added lines that have no JSDoc block above them
+ *
+ * Covers declarations (`function foo`, `class Foo`, `const foo`) that are
+ * exported, and exports defined in place (`module.exports.foo = function …`,
+ * `exports.foo = …`). Re-exporting a declared name (`exports.foo = foo`) is
+ * checked at the declaration instead.
+ */
+function undocumentedExports(lines) {
+  const names = exportedNames(lines);
+  const undocumented = [];
+
+  lines.forEach((line, index) => {
+    const declaration = line.match(/^\s*(?:export\s+(?:default\s+)?)?(?:async\s+)?(?:function\*?|class|const|let|var)\s+(\w+)/);
+    const assignment = line.match(/^\s*(?:module\.)?exports\.(\w+)\s*=\s*(.*)$/);
+    const definedInPlace = assignment && !/^\w+\s*;?\s*$/.test(assignment[2]);
+
+    let name = null;
+    if (declaration && names.has(declaration[1])) name = declaration[1];
+    else if (definedInPlace) name = assignment[1];
+    if (!name) return;
+
+    const previous = lines.slice(0, index).reverse().find(l => l.trim() !== '');
+    if (!previous || !previous.trim().endsWith('*/')) {
+      undocumented.push(name);
+    }
+  });
+
+  return undocumented;
+}
+
+/**
+ * Read a numeric limit from the principle (`max`, `params.max`, or the rule text)
+ */
+function principleLimit(principle, fallback) {
+  if (principle.params && Number.isInteger(principle.params.max)) return principle.params.max;
+  if (Number.isInteger(principle.max)) return principle.max;
+
+  const match = String(principle.rule || '').match(/\b(\d+)\b/);
+  return match ? parseInt(match[1], 10) : fallback;
+}
+
+/**
+ * Read an optional numeric parameter from the principle
+ */
+function principleParam(principle, name, fallback) {
+  const value = principle.params && principle.params[name];
+  return Number.isInteger(value) ? value : fallback;
+}
+
+/**
+ * Built-in principles and their checks
+ */
+const BUILTIN_RULES = [
+  {
+    id: 'test-first',
+    match: /test/i,
+    checks: [
+      {
+        id: 'test-requirement',
+        target: 'spec',
+        severity: 'warning',
+        run: spec => /\btest(s|ing|ed)?\b/i.test(spec.getText('requirements'))
+          ? []
+          : ['Requirements do not mention tests']
+      },
+      {
+        id: 'testing-strategy',
+        target: 'plan',
+        severity: 'warning',
+        run: plan => plan.sections['Testing Strategy']
+          ? []
+          : ['Plan has no Testing Strategy section']
+      },
+      {
+        id: 'test-tasks',
+        target: 'tasks',
+        severity: 'warning',
+        run: tasks => tasks.some(task => /\btests?\b/i.test(task))
+          ? []
+          : ['Task list has no test tasks']
+      },
+      {
+        id: 'tests-for-new-source',
+        target: 'diff',
+        severity: 'error',
+        run: diff => {
+          const tested = new Set(diff.files
+            .filter(file => file.status !== 'deleted' && TEST_FILE_REGEX.test(file.path))
+            .map(file => moduleName(file.path)));
+
+          return diff.files
+            .filter(file => file.status === 'added' && isSourceFile(file.path))
+            .filter(file => !tested.has(moduleName(file.path)))
+            .map(file => `New source file ${file.path} has no test`);
+        }
+      }
+    ]
+  },
+  {
+    id: 'api-first',
+    match: /\bapi\b/i,
+    checks: [
+      {
+        id: 'api-approach',
+        target: 'spec',
+        severity: 'warning',
+        run: spec => {
+          const mentionsApi = /\b(api|endpoints?|rest|graphql)\b/i.test(spec.getText('requirements'));
+          return mentionsApi && !spec.getText('technicalApproach')
+            ? ['Spec describes an API but has no Technical Approach section']
+            : [];
+        }
+      },
+      {
+        id: 'api-contracts-first',
+        target: 'plan',
+        severity: 'warning',
+        run: plan => {
+          const titles = Object.keys(plan.sections);
+          const contracts = titles.indexOf('API Contracts');
+          const phases = titles.indexOf('Implementation Phases');
+
+          if (contracts === -1) return ['Plan has no API Contracts section'];
+          if (phases !== -1 && phases < contracts) return ['API Contracts come after Implementation Phases'];
+          return [];
+        }
+      },
+      {
+        id: 'contract-for-routes',
+        target: 'diff',
+        severity: 'warning',
+        run: diff => {
+          const routes = diff.files.filter(file => file.status === 'added' && isSourceFile(file.path) && ROUTE_FILE_REGEX.test(file.path));
+          const hasContract = diff.files.some(file => CONTRACT_FILE_REGEX.test(file.path));
+
+          return routes.length > 0 && !hasContract
+            ? routes.map(file => `New API file ${file.path} has no contract (OpenAPI, schema) in this change`)
+            : [];
+        }
+      }
+    ]
+  },
+  {
+    id: 'single-responsibility',
+    match: /single responsibility/i,
+    checks: [
+      {
+        id: 'focused-spec',
+        target: 'spec',
+        severity: 'warning',
+        run: (spec, principle) => {
+          const max = principleParam(principle, 'maxRequirements', 8);
+          const count = spec.getItems('requirements').length;
+          return count > max ? [`Spec has ${count} requirements (max ${max}) - consider splitting it`] : [];
+        }
+      },
+      {
+        id: 'focused-files',
+        target: 'diff',
+        severity: 'warning',
+        run: (diff, principle) => {
+          const max = principleParam(principle, 'maxFileLines', 400);
+          return diff.files
+            .filter(file => file.status === 'added' && isSourceFile(file.path) && file.added.length > max)
+            .map(file => `New file ${file.path} has ${file.added.length} lines (max ${max})`);
+        }
+      }
+    ]
+  },
+  {
+    id: 'dependency-limits',
+    match: /dependenc/i,
+    checks: [
+      {
+        id: 'external-dependencies',
+        target: 'spec',
+        severity: 'warning',
+        run: (spec, principle) => {
+          const max = principleLimit(principle, 3);
+          const count = spec.getText('dependencies').split('\n').filter(line => /external/i.test(line)).length;
+          return count > max ? [`Spec lists ${count} external dependencies (max ${max})`] : [];
+        }
+      },
+      {
+        id: 'dependency-threshold',
+        target: 'diff',
+        severity: 'error',
+        run: (diff, principle) => {
+          const max = principleLimit(principle, 3);
+          const added = diff.dependencies.added;
+          return added.length > max
+            ? [`${added.length} dependencies added (max ${max}): ${added.join(', ')}`]
+            : [];
+        }
+      }
+    ]
+  },
+  {
+    id: 'documentation',
+    match: /documentation|\bdocs?\b/i,
+    checks: [
+      {
+        id: 'docs-requirement',
+        target: 'spec',
+        severity: 'warning',
+        run: spec => /\bdoc(s|umentation|umented)?\b/i.test(spec.getText('requirements'))
+          ? []
+          : ['Requirements do not mention documentation']
+      },
+      {
+        id: 'docs-tasks',
+        target: 'tasks',
+        severity: 'warning',
+        run: tasks => tasks.some(task => /\bdoc(s|umentation)?\b/i.test(task))
+          ? []
+          : ['Task list has no documentation task']
+      },
+      {
+        id: 'jsdoc-on-exports',
+        target: 'diff',
+        severity: 'error',
+        run: diff => diff.files
+          .filter(file => file.status !== 'deleted' && isSourceFile(file.path))
+          .flatMap(file => undocumentedExports(file.added).map(name => `${file.path}: export ${name} has no JSDoc comment`))
+      }
+    ]
+  }
+];
+
+/**
+ * Build a pattern check declared in config
+ *
+ * @param {Object} definition - { target, section, files, requires, forbids, severity, message, id }
+ * @param {number} index - Position in the principle's check list
+ * @returns {Object} Check
+ */
+function createPatternCheck(definition, index) {
+  const requires = definition.requires ? new RegExp(definition.requires, 'i') : null;
+  const forbids = definition.forbids ? new RegExp(definition.forbids, 'i') : null;
+  const files = definition.files ? new RegExp(definition.files) : null;
+  const label = definition.message || (requires ? `Must match /${definition.requires}/` : `Must not match /${definition.forbids}/`);
+
+  const textFor = (target, subject) => {
+    if (target === 'spec') return definition.section ? subject.getText(definition.section) : subject.toMarkdown();
+    if (target === 'plan') return definition.section ? (subject.sections[definition.section] || '') : Object.values(subject.sections).join('\n');
+    return subject.join('\n');
+  };
+
+  return {
+    id: definition.id || `custom-${index + 1}`,
+    target: definition.target,
+    severity: definition.severity || 'warning',
+    run: subject => {
+      if (definition.target === 'diff') {
+        const matched = subject.files.filter(file => file.status !== 'deleted' && (!files || files.test(file.path)));
+        const problems = [];
+
+        if (requires && matched.length > 0 && !matched.some(file => file.added.some(line => requires.test(line)))) {
+          problems.push(label);
+        }
+        if (forbids) {
+          matched
+            .filter(file => file.added.some(line => forbids.test(line)))
+            .forEach(file => problems.push(`${label} (${file.path})`));
+        }
+        return problems;
+      }
+
+      const text = textFor(definition.target, subject);
+      if (requires && !requires.test(text)) return [label];
+      if (forbids && forbids.test(text)) return [label];
+      return [];
+    }
+  };
+}
+
+/**
+ * Resolve the checks a principle declares
+ *
+ * Built-in checks come from the matching built-in rule (by `principle.id`
+ * or name); `principle.checks` adds pattern checks. `principle.severity`
+ * overrides the severity of every check.
+ *
+ * @param {Object} principle - Principle from the constitution
+ * @returns {Object[]} Checks ({ id, target, severity, run })
+ */
+function getChecks(principle) {
+  const builtin = BUILTIN_RULES.find(rule =>
+    principle.id ? rule.id === principle.id : rule.match.test(principle.name || '')
+  );
+
+  const checks = [
+    ...(builtin ? builtin.checks : []),
+    ...(principle.checks || []).map(createPatternCheck)
+  ];
+
+  if (SEVERITIES.includes(principle.severity)) {
+    return checks.map(check => ({ ...check, severity: principle.severity }));
+  }
+
+  return checks;
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  SEVERITIES,
+  TARGETS,
+  getChecks,
+  createPatternCheck,
+  isSourceFile,
+  undocumentedExports
+};
@@ -3,8 +3,10 @@
  * Tracks AI model usage and enforces budget limits
  */
 
-const fs = require('fs-extra');
 const path = require('path');
+const { createStorage, FileStorage } = require('../storage');
+
+const USAGE_KEY = 'model-usage';
 
 class CostTracker {
   constructor(config = {}) {
@@ -18,7 +20,10 @@ class CostTracker {
       this.budgets = config.budgets || this.getDefaultBudgets();
     }
 
-    this.usageFile = config.usageFile || path.join(process.cwd(), '.leo', 'model-usage.json');
+    // An explicit usageFile keeps working as a file; otherwise use the project's storage
+    this.storage = config.storage || (config.usageFile
+      ? new FileStorage({ projectRoot: path.dirname(config.usageFile), files: { [USAGE_KEY]: config.usageFile } })
+      : createStorage());
     this.usage = this.initializeUsage(); // Initialize with empty, will be loaded async
   }  /**
    * Get default budget configuration
@@ -33,14 +38,13 @@ class CostTracker {
   }
 
   /**
-   * Load usage data from file
+   * Load usage data from storage
    * @returns {Promise<Object>} Usage data
    */
   async loadUsage() {
     try {
-      const exists = await fs.pathExists(this.usageFile);
-      if (exists) {
-        const data = await fs.readJson(this.usageFile);
+      const data = await this.storage.read(USAGE_KEY);
+      if (data) {
 
         // Update current usage from loaded data - preserve the structure
         this.usage = {
@@ -81,9 +85,9 @@ class CostTracker {
 
         return this.usage;
       } else {
-        // File doesn't exist, create it
+        // Nothing stored yet, create it (keeping usage another process stored in the meantime)
         this.usage = this.initializeUsage();
-        await this.saveUsage();
+        await this.saveUsage(() => {});
         return this.usage;
       }
     } catch (error) {
@@ -149,19 +153,28 @@ class CostTracker {
   }
 
   /**
-   * Save usage data to file
+   * Save usage data to storage
+   * @param {Function} change - Applies this process's change to a usage object. It is
+   *   re-applied to the stored usage under the storage lock, so usage recorded by other
+   *   processes is kept. Without it the stored usage is replaced (e.g. by reset()).
    */
-  async saveUsage() {
+  async saveUsage(change = null) {
+    const currentMonth = new Date().toISOString().slice(0, 7);
+
     try {
-      // Ensure month and budgets are in the saved data
-      const dataToSave = {
-        ...this.usage,
-        month: this.usage.month || new Date().toISOString().slice(0, 7),
-        budgets: this.budgets
-      };
+      this.usage = await this.storage.update(USAGE_KEY, stored => {
+        let data = this.usage;
+        if (change && stored) {
+          data = { ...this.initializeUsage(), ...JSON.parse(JSON.stringify(stored)) };
+          if (data.month && data.month !== currentMonth) {
+            data = this.resetMonthlyUsage(data);
+          }
+          change(data);
+        }
 
-      await fs.ensureDir(path.dirname(this.usageFile));
-      await fs.writeJson(this.usageFile, dataToSave, { spaces: 2 });
+        // Ensure month and budgets are in the saved data
+        return { ...data, month: data.month || currentMonth, budgets: this.budgets };
+      });
     } catch (error) {
       console.error('Failed to save usage data:', error.message);
     }
@@ -228,23 +241,46 @@ class CostTracker {
     }
     cost = cost || 0;
 
-    const now = new Date();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      agent,
+      model,
+      task: task.type || 'unknown',
+      complexity: task.complexity || 'moderate',
+      cost,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0
+    };
+
+    this._applyUsage(this.usage, entry);
+    await this.saveUsage(data => this._applyUsage(data, entry));
+  }
+
+  /**
+   * Add one usage entry to a usage object (in place)
+   * @private
+   * @param {Object} data - Usage data
+   * @param {Object} entry - History entry (timestamp, agent, model, task, complexity, cost, tokens)
+   */
+  _applyUsage(data, entry) {
+    const { agent, model, cost } = entry;
+    const now = new Date(entry.timestamp);
     const today = now.toISOString().split('T')[0];
 
     // Check if we need daily reset
-    const lastDailyReset = new Date(this.usage.lastDailyReset);
+    const lastDailyReset = new Date(data.lastDailyReset);
     if (now.getDate() !== lastDailyReset.getDate()) {
-      this.usage.dailyCost = 0;
-      this.usage.lastDailyReset = now.toISOString();
+      data.dailyCost = 0;
+      data.lastDailyReset = now.toISOString();
     }
 
     // Initialize dailyUsage structure if needed
-    if (!this.usage.dailyUsage) {
-      this.usage.dailyUsage = {};
+    if (!data.dailyUsage) {
+      data.dailyUsage = {};
     }
 
-    if (!this.usage.dailyUsage[today]) {
-      this.usage.dailyUsage[today] = {
+    if (!data.dailyUsage[today]) {
+      data.dailyUsage[today] = {
         cost: 0,
         requests: 0,
         byAgent: {},
@@ -253,8 +289,8 @@ class CostTracker {
     }
 
     // Initialize monthlyUsage structure if needed
-    if (!this.usage.monthlyUsage) {
-      this.usage.monthlyUsage = {
+    if (!data.monthlyUsage) {
+      data.monthlyUsage = {
         cost: 0,
         requests: 0,
         byAgent: {},
@@ -263,25 +299,25 @@ class CostTracker {
     }
 
     // Update totals
-    this.usage.totalCost += cost;
-    this.usage.dailyCost += cost;
-    this.usage.monthlyCost += cost;
+    data.totalCost += cost;
+    data.dailyCost += cost;
+    data.monthlyCost += cost;
 
     // Update dailyUsage structure
-    this.usage.dailyUsage[today].cost += cost;
-    this.usage.dailyUsage[today].requests++;
-    this.usage.dailyUsage[today].byAgent[agent] = (this.usage.dailyUsage[today].byAgent[agent] || 0) + cost;
-    this.usage.dailyUsage[today].byModel[model] = (this.usage.dailyUsage[today].byModel[model] || 0) + cost;
+    data.dailyUsage[today].cost += cost;
+    data.dailyUsage[today].requests++;
+    data.dailyUsage[today].byAgent[agent] = (data.dailyUsage[today].byAgent[agent] || 0) + cost;
+    data.dailyUsage[today].byModel[model] = (data.dailyUsage[today].byModel[model] || 0) + cost;
 
     // Update monthlyUsage structure
-    this.usage.monthlyUsage.cost += cost;
-    this.usage.monthlyUsage.requests++;
-    this.usage.monthlyUsage.byAgent[agent] = (this.usage.monthlyUsage.byAgent[agent] || 0) + cost;
-    this.usage.monthlyUsage.byModel[model] = (this.usage.monthlyUsage.byModel[model] || 0) + cost;
+    data.monthlyUsage.cost += cost;
+    data.monthlyUsage.requests++;
+    data.monthlyUsage.byAgent[agent] = (data.monthlyUsage.byAgent[agent] || 0) + cost;
+    data.monthlyUsage.byModel[model] = (data.monthlyUsage.byModel[model] || 0) + cost;
 
     // Update agent stats
-    if (!this.usage.agents[agent]) {
-      this.usage.agents[agent] = {
+    if (!data.agents[agent]) {
+      data.agents[agent] = {
         totalCost: 0,
         monthlyCost: 0,
         requestCount: 0,
@@ -289,14 +325,14 @@ class CostTracker {
       };
     }
 
-    this.usage.agents[agent].totalCost += cost;
-    this.usage.agents[agent].monthlyCost += cost;
-    this.usage.agents[agent].requestCount++;
-    this.usage.agents[agent].lastUsed = now.toISOString();
+    data.agents[agent].totalCost += cost;
+    data.agents[agent].monthlyCost += cost;
+    data.agents[agent].requestCount++;
+    data.agents[agent].lastUsed = now.toISOString();
 
     // Update model stats
-    if (!this.usage.models[model]) {
-      this.usage.models[model] = {
+    if (!data.models[model]) {
+      data.models[model] = {
         totalCost: 0,
         requestCount: 0,
         totalInputTokens: 0,
@@ -304,29 +340,18 @@ class CostTracker {
       };
     }
 
-    this.usage.models[model].totalCost += cost;
-    this.usage.models[model].requestCount++;
-    this.usage.models[model].totalInputTokens += usage.inputTokens || 0;
-    this.usage.models[model].totalOutputTokens += usage.outputTokens || 0;
+    data.models[model].totalCost += cost;
+    data.models[model].requestCount++;
+    data.models[model].totalInputTokens += entry.inputTokens;
+    data.models[model].totalOutputTokens += entry.outputTokens;
 
     // Add to history
-    this.usage.history.push({
-      timestamp: now.toISOString(),
-      agent,
-      model,
-      task: task.type || 'unknown',
-      complexity: task.complexity || 'moderate',
-      cost,
-      inputTokens: usage.inputTokens || 0,
-      outputTokens: usage.outputTokens || 0
-    });
+    data.history.push({ ...entry });
 
     // Keep only last 100 history entries
-    if (this.usage.history.length > 100) {
-      this.usage.history = this.usage.history.slice(-100);
+    if (data.history.length > 100) {
+      data.history = data.history.slice(-100);
     }
-
-    await this.saveUsage();
   }
 
   /**
@@ -342,6 +367,7 @@ class CostTracker {
       'gpt-4-turbo': { input: 10.00, output: 30.00 },
       'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
       'claude-3-opus': { input: 15.00, output: 75.00 },
+      'claude-3.5-sonnet': { input: 3.00, output: 15.00 },
       'claude-3-sonnet': { input: 3.00, output: 15.00 },
       'claude-3-haiku': { input: 0.25, output: 1.25 }
     };
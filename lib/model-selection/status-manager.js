@@ -5,7 +5,7 @@
 
 const EventEmitter = require('events');
 const path = require('path');
-const fs = require('fs-extra');
+const { writeJsonAtomic } = require('../storage/file-storage');
 
 class ModelSelectorStatusManager extends EventEmitter {
   constructor(config = {}) {
@@ -153,6 +153,8 @@ class ModelSelectorStatusManager extends EventEmitter {
 
   /**
    * Write status to file for external processes to read
+   * Always a plain file (the VS Code extension watches it), written atomically
+   * so watchers never read half of it.
    * @param {Object} status - Status object
    */
   async writeStatusFile(status) {
@@ -163,7 +165,7 @@ class ModelSelectorStatusManager extends EventEmitter {
         timestamp: new Date().toISOString()
       };
 
-      await fs.writeJSON(this.statusFile, statusData, { spaces: 2 });
+      await writeJsonAtomic(this.statusFile, statusData);
     } catch (error) {
       console.error('Failed to write status file:', error.message);
     }
@@ -0,0 +1,165 @@
+/**
+ * Plan Artifact
+ *
+ * Machine-readable form of an implementation plan, written by `leo plan` to
+ * `.leo/specs/<issue>/plan.json` and embedded in the plan comment as a hidden
+ * `<!-- leo-plan {...} -->` block, so `leo tasks` (and other tools) read the
+ * plan without scraping its markdown.
+ *
+ * Shape (schemaVersion 1):
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     revision: 2,                     // bumped each time the spec is re-planned
+ *     issueNumber: 42,
+ *     title: 'Add login',
+ *     generatedAt: '2026-01-01T00:00:00.000Z',
+ *     focus: null,
+ *     sections: ['Architecture Overview', ...],
+ *     phases: [{ number, name, duration, tasks: [{ id, text, requirements: ['REQ-1'], points, dependsOn: ['T1'] }] }],
+ *     dataEntities: [{ name, existing, file, fields: [{ name, type }] }],
+ *     apiContracts: [{ method, path, description, existing, file }],
+ *     testingStrategy: { levels: [{ name, share }], minimumCoverage, scenarios: [] }
+ *   }
+ *
+ * A plan made with `--focus` only regenerates some areas; the phases,
+ * entities, contracts and testing strategy it skipped are carried over from
+ * the previous revision.
+ *
+ * @module lib/plan/artifact
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const PLAN_SCHEMA_VERSION = 1;
+const PLAN_MARKER = 'leo-plan';
+const PLAN_FILE = 'plan.json';
+
+/**
+ * Plan section generated for each `--focus` area
+ */
+const PLAN_FOCUS_AREAS = {
+  architecture: 'Architecture Overview',
+  tech: 'Tech Stack',
+  data: 'Data Model',
+  api: 'API Contracts',
+  components: 'Component Breakdown',
+  phases: 'Implementation Phases',
+  testing: 'Testing Strategy',
+  deployment: 'Deployment Plan'
+};
+
+/**
+ * Path of the plan artifact for a spec issue
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @returns {string} Absolute path to plan.json
+ */
+function getPlanPath(projectRoot, issueNumber) {
+  return path.join(projectRoot, '.leo', 'specs', String(issueNumber), PLAN_FILE);
+}
+
+/**
+ * Build the artifact for a generated plan
+ *
+ * @param {Object} plan - Plan from PlanManager._generatePlan
+ * @param {Object} options - Artifact options
+ * @param {number} options.revision - Revision number (default: 1)
+ * @param {string} options.focus - Focus area(s) the plan was limited to (e.g. "api,phases")
+ * @param {Object} options.previous - Previous revision, for the areas a focused plan skipped
+ * @returns {Object} Plan artifact
+ */
+function buildPlanArtifact(plan, options = {}) {
+  const previous = options.focus && options.previous ? options.previous : {};
+
+  return {
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    revision: options.revision || 1,
+    issueNumber: plan.issueNumber,
+    title: plan.title,
+    generatedAt: new Date().toISOString(),
+    focus: options.focus || null,
+    sections: [...new Set([...(previous.sections || []), ...Object.keys(plan.sections)])],
+    phases: plan.phases || previous.phases || [],
+    dataEntities: plan.dataEntities || previous.dataEntities || [],
+    apiContracts: plan.apiContracts || previous.apiContracts || [],
+    testingStrategy: plan.testingStrategy || previous.testingStrategy || null
+  };
+}
+
+/**
+ * Append the artifact to a plan comment as a hidden block
+ *
+ * @param {string} comment - Plan comment markdown
+ * @param {Object} artifact - Plan artifact
+ * @returns {string} Comment with the hidden block
+ */
+function embedPlanArtifact(comment, artifact) {
+  // Escape "-->" so task text cannot close the HTML comment early
+  const json = JSON.stringify(artifact).replace(/-->/g, '--\\u003e');
+  return `${comment}\n<!-- ${PLAN_MARKER} ${json} -->\n`;
+}
+
+/**
+ * Read the artifact embedded in a comment
+ *
+ * @param {string} body - Comment body
+ * @returns {Object|null} Plan artifact, or null if the comment has none
+ */
+function extractPlanArtifact(body) {
+  const match = String(body || '').match(new RegExp(`<!-- ${PLAN_MARKER} (\\{[\\s\\S]*?\\}) -->`));
+  if (!match) return null;
+
+  try {
+    const artifact = JSON.parse(match[1]);
+    return artifact.schemaVersion <= PLAN_SCHEMA_VERSION ? artifact : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the artifact stored for a spec issue
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @returns {Promise<Object|null>} Plan artifact, or null if none is stored
+ */
+async function loadPlanArtifact(projectRoot, issueNumber) {
+  const planPath = getPlanPath(projectRoot, issueNumber);
+  if (!await fs.pathExists(planPath)) return null;
+
+  try {
+    const artifact = await fs.readJson(planPath);
+    return artifact.schemaVersion <= PLAN_SCHEMA_VERSION ? artifact : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store the artifact for a spec issue
+ *
+ * @param {string} projectRoot - Project root
+ * @param {Object} artifact - Plan artifact
+ * @returns {Promise<string>} Path written
+ */
+async function savePlanArtifact(projectRoot, artifact) {
+  const planPath = getPlanPath(projectRoot, artifact.issueNumber);
+  await fs.outputJson(planPath, artifact, { spaces: 2 });
+  return planPath;
+}
+
+module.exports = {
+  PLAN_SCHEMA_VERSION,
+  PLAN_MARKER,
+  PLAN_FOCUS_AREAS,
+  getPlanPath,
+  buildPlanArtifact,
+  embedPlanArtifact,
+  extractPlanArtifact,
+  loadPlanArtifact,
+  savePlanArtifact
+};
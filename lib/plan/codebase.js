@@ -0,0 +1,238 @@
+/**
+ * Codebase Scan
+ *
+ * Grounds implementation plans in the repository they run in: the project
+ * type from `detectProjectType()` plus the routes, data models and React
+ * components that already exist, so a plan can say "extend existing
+ * `User`" instead of proposing a greenfield stack.
+ *
+ * Detection is regex-based and covers the common layouts:
+ * - routes:     Express/Koa/Fastify `router.get('/path')`, NestJS `@Get()` in
+ *               `@Controller()`, Next.js `pages/api/**` and `app/**\/route.*`
+ * - models:     Prisma `model X {}`, Mongoose `model('X')`, Sequelize
+ *               `define('X')` / `extends Model`, TypeORM `@Entity() class X`
+ * - components: capitalized exports of .jsx/.tsx files (or .js/.ts files importing React)
+ *
+ * @module lib/plan/codebase
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { detectProjectType } = require('../utils/project-detector');
+
+const IGNORED_DIRS = ['node_modules', '.git', '.leo', 'coverage', 'dist', 'build', '.next', 'out', 'vendor'];
+const SOURCE_FILE_REGEX = /\.(c|m)?[jt]sx?$/;
+const TEST_FILE_REGEX = /(\.|_)(test|spec|stories)\.(c|m)?[jt]sx?$|(^|\/)(__tests__|__mocks__|tests?)\//;
+const MAX_FILES = 2000;
+const MAX_FILE_SIZE = 256 * 1024;
+
+const ROUTE_CALL_REGEX = /\b(?:app|router|route|routes|server|api|fastify)\.(get|post|put|patch|delete)\(\s*['"`]([^'"`]+)['"`]/gi;
+const NEST_CONTROLLER_REGEX = /@Controller\(\s*(?:['"`]([^'"`]*)['"`])?\s*\)/;
+const NEST_ROUTE_REGEX = /@(Get|Post|Put|Patch|Delete)\(\s*(?:['"`]([^'"`]*)['"`])?\s*\)/g;
+const NEXT_ROUTE_HANDLER_REGEX = /export\s+(?:async\s+)?(?:function|const)\s+(GET|POST|PUT|PATCH|DELETE)\b/g;
+
+const MODEL_REGEXES = [
+  /\bmodel\(\s*['"`]([A-Z]\w*)['"`]/g, // Mongoose
+  /\.define\(\s*['"`]([A-Za-z]\w*)['"`]/g, // Sequelize
+  /class\s+([A-Z]\w*)\s+extends\s+Model\b/g, // Sequelize, Objection
+  /@Entity\([^)]*\)\s*(?:export\s+)?class\s+([A-Z]\w*)/g // TypeORM
+];
+const PRISMA_MODEL_REGEX = /^\s*model\s+([A-Z]\w*)\s*\{/gm;
+
+const COMPONENT_EXPORT_REGEXES = [
+  /export\s+default\s+(?:async\s+)?function\s+([A-Z]\w*)/g,
+  /export\s+(?:async\s+)?function\s+([A-Z]\w*)/g,
+  /export\s+const\s+([A-Z]\w*)\s*[:=]/g,
+  /export\s+default\s+([A-Z]\w*)\s*;?\s*$/gm
+];
+
+/**
+ * List source files under the project root (bounded by MAX_FILES)
+ */
+async function listSourceFiles(projectRoot) {
+  const files = [];
+  const queue = [''];
+
+  while (queue.length > 0 && files.length < MAX_FILES) {
+    const dir = queue.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(projectRoot, dir), { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.includes(entry.name) && !entry.name.startsWith('.')) {
+          queue.push(relativePath);
+        }
+      } else if (entry.isFile() && (SOURCE_FILE_REGEX.test(entry.name) || entry.name === 'schema.prisma')) {
+        files.push(relativePath);
+        if (files.length >= MAX_FILES) break;
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Join route path segments (`/users` + `:id` → `/users/:id`)
+ */
+function joinRoute(...parts) {
+  const joined = parts.filter(Boolean).join('/').replace(/\/+/g, '/').replace(/\/$/, '');
+  return joined.startsWith('/') ? joined : `/${joined}`;
+}
+
+/**
+ * Route path for a Next.js API file (`pages/api/users/[id].ts` → `/api/users/:id`)
+ */
+function nextRoutePath(file) {
+  const route = file
+    .replace(/^(src\/)?(pages|app)\//, '')
+    .replace(/(^|\/)(index|route)\.(c|m)?[jt]sx?$/, '')
+    .replace(/\.(c|m)?[jt]sx?$/, '')
+    .replace(/\([^/]+\)\/?/g, '') // route groups
+    .replace(/\[\.\.\.(\w+)\]/g, '*')
+    .replace(/\[(\w+)\]/g, ':$1');
+  return joinRoute(route);
+}
+
+/**
+ * Find routes declared in a file
+ */
+function findRoutes(file, content) {
+  const routes = [];
+  const add = (method, routePath) => routes.push({ method: method.toUpperCase(), path: routePath, file });
+
+  for (const match of content.matchAll(ROUTE_CALL_REGEX)) {
+    if (match[2].startsWith('/')) add(match[1], match[2]);
+  }
+
+  const controller = content.match(NEST_CONTROLLER_REGEX);
+  if (controller) {
+    for (const match of content.matchAll(NEST_ROUTE_REGEX)) {
+      add(match[1], joinRoute(controller[1], match[2]));
+    }
+  }
+
+  if (/^(src\/)?pages\/api\//.test(file)) {
+    add('ANY', nextRoutePath(file));
+  } else if (/^(src\/)?app\/(.+\/)?route\.(c|m)?[jt]s$/.test(file)) {
+    const methods = [...content.matchAll(NEXT_ROUTE_HANDLER_REGEX)].map(match => match[1]);
+    (methods.length > 0 ? methods : ['ANY']).forEach(method => add(method, nextRoutePath(file)));
+  }
+
+  return routes;
+}
+
+/**
+ * Find data models declared in a file
+ */
+function findModels(file, content) {
+  const regexes = file.endsWith('.prisma') ? [PRISMA_MODEL_REGEX] : MODEL_REGEXES;
+  const names = new Set();
+
+  regexes.forEach(regex => {
+    for (const match of content.matchAll(regex)) {
+      names.add(match[1]);
+    }
+  });
+
+  return [...names].map(name => ({ name: name.charAt(0).toUpperCase() + name.slice(1), file }));
+}
+
+/**
+ * Find React components exported by a file
+ */
+function findComponents(file, content) {
+  const isJsx = /\.[jt]sx$/.test(file);
+  const importsReact = /from\s+['"]react['"]|require\(\s*['"]react['"]\s*\)/.test(content);
+  if (!isJsx && !importsReact) return [];
+  if (!isJsx && !/<[A-Za-z]/.test(content)) return [];
+
+  const names = new Set();
+  COMPONENT_EXPORT_REGEXES.forEach(regex => {
+    for (const match of content.matchAll(regex)) {
+      names.add(match[1]);
+    }
+  });
+
+  return [...names].map(name => ({ name, file }));
+}
+
+/**
+ * Scan a project for its stack, routes, models and components
+ *
+ * @param {string} projectRoot - Project root (default: cwd)
+ * @returns {Promise<Object>} Codebase ({ project, routes, models, components, fileCount })
+ */
+async function scanCodebase(projectRoot = process.cwd()) {
+  const project = await detectProjectType(projectRoot);
+  const files = await listSourceFiles(projectRoot);
+  const codebase = { project, routes: [], models: [], components: [], fileCount: files.length };
+
+  for (const file of files.filter(f => !TEST_FILE_REGEX.test(f))) {
+    const fullPath = path.join(projectRoot, file);
+    const stats = await fs.stat(fullPath);
+    if (stats.size > MAX_FILE_SIZE) continue;
+
+    const content = await fs.readFile(fullPath, 'utf8');
+    codebase.routes.push(...findRoutes(file, content));
+    codebase.models.push(...findModels(file, content));
+    codebase.components.push(...findComponents(file, content));
+  }
+
+  return codebase;
+}
+
+/**
+ * Check whether a scan found anything to build on
+ *
+ * @param {Object} codebase - Result of scanCodebase
+ * @returns {boolean} True if a framework or any routes, models or components were found
+ */
+function hasExistingCode(codebase) {
+  return Boolean(codebase && (
+    codebase.project.framework ||
+    codebase.routes.length > 0 ||
+    codebase.models.length > 0 ||
+    codebase.components.length > 0
+  ));
+}
+
+/**
+ * Lowercase words of a name or path, singular (`UserProfiles` → user, profile)
+ */
+function nameWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !['api', 'index', 'route', 'routes', 'page', 'component', 'model'].includes(word))
+    .map(word => word.replace(/(ies)$/, 'y').replace(/(?<!s)s$/, ''));
+}
+
+/**
+ * Pick the entries whose name or path words appear in a text
+ *
+ * @param {Object[]} entries - Routes ({ path }), models or components ({ name })
+ * @param {string} text - Requirements and context
+ * @returns {Object[]} Matching entries
+ */
+function findRelated(entries, text) {
+  const words = new Set(nameWords(text));
+  return entries.filter(entry => nameWords(entry.name || entry.path).some(word => words.has(word)));
+}
+
+module.exports = {
+  scanCodebase,
+  hasExistingCode,
+  findRelated,
+  findRoutes,
+  findModels,
+  findComponents
+};
@@ -8,18 +8,25 @@
  * Key Features:
  * - Parse spec requirements
  * - Generate architecture plan (components, data model, APIs)
+ * - Ground the plan in the existing codebase (stack, routes, models, components)
  * - Suggest tech stack based on requirements
  * - Create implementation breakdown (tasks)
  * - Post plan as GitHub issue comment
- * - Label management (add 'planned', remove 'needs-planning')
+ * - Write a machine-readable plan.json artifact (see lib/plan/artifact)
+ * - Label management (add 'planned', remove 'needs-planning' and 'plan-stale')
  *
  * @module lib/plan
  */
 
-const { execSync } = require('child_process');
 const chalk = require('chalk');
-const fs = require('fs').promises;
-const path = require('path');
+const { createTracker } = require('../tracker');
+const ClarificationManager = require('../clarify');
+const { ConstitutionManager } = require('../constitution');
+const { SpecDocument, SpecSection } = require('../spec/document');
+const { tagWithRequirements } = require('../spec/trace');
+const { scoreSpec, DEFAULT_QUALITY_THRESHOLD } = require('../spec/quality');
+const { scanCodebase, hasExistingCode, findRelated } = require('./codebase');
+const { PLAN_FOCUS_AREAS, buildPlanArtifact, embedPlanArtifact, loadPlanArtifact, savePlanArtifact } = require('./artifact');
 
 /**
  * Plan template structure
@@ -37,12 +44,51 @@ const PLAN_TEMPLATE = {
   ]
 };
 
+/**
+ * Requirements covered by the standard supporting tasks
+ * (error handling, unit tests, documentation) rather than a task of their own
+ */
+const SUPPORTING_REQUIREMENTS = {
+  errorHandling: /error|validation/i,
+  tests: /\btests?\b/i,
+  docs: /\bdoc(s|umentation)?\b/i
+};
+
+/**
+ * Share of the test suite per level of the test pyramid
+ */
+const TEST_PYRAMID = [
+  { name: 'unit', share: 70 },
+  { name: 'integration', share: 20 },
+  { name: 'e2e', share: 10 }
+];
+
+const MINIMUM_COVERAGE = 80;
+
+/**
+ * Existing routes/models/components listed per plan section
+ */
+const MAX_RELATED = 5;
+
 /**
  * PlanManager - Main class for implementation planning
  */
 class PlanManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {ConstitutionManager} options.constitution - Constitutional principles (see lib/constitution)
+   * @param {number} options.qualityThreshold - Minimum spec quality score (default: `spec.qualityThreshold` in .ux-ingkarc.json, or 50)
+   * @param {string} options.projectRoot - Repository the plan is for (default: the local tracker root or cwd, see lib/plan/codebase)
+   */
+  constructor(options = {}) {
     this.template = PLAN_TEMPLATE;
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+    this.constitution = options.constitution || new ConstitutionManager(options.projectRoot);
+    this.qualityThreshold = Number.isFinite(options.qualityThreshold)
+      ? options.qualityThreshold
+      : this._getConfiguredThreshold();
   }
 
   /**
@@ -50,43 +96,62 @@ class PlanManager {
    *
    * @param {number|string} issueNumber - GitHub issue number
    * @param {Object} options - Planning options
-   * @param {boolean} options.autoPost - Automatically post plan as comment
+   * @param {boolean} options.autoPost - Automatically post plan as comment and write .leo/specs/<issue>/plan.json
    * @param {boolean} options.updateLabels - Update labels (add 'planned', remove 'needs-planning')
-   * @param {string} options.focus - Focus area (architecture, api, data, testing)
+   * @param {string} options.focus - Focus area(s), comma-separated (architecture, tech, data, api, components, phases, testing, deployment)
+   * @param {boolean} options.force - Plan even if the spec scores below the quality threshold, has open 🔴 clarification questions or the plan violates constitutional principles
    * @returns {Promise<Object>} Planning results
    */
   async plan(issueNumber, options = {}) {
     const {
       autoPost = true,
       updateLabels = true,
-      focus = null
+      focus = null,
+      force = false
     } = options;
 
     console.log(chalk.blue(`📐 Generating implementation plan for issue #${issueNumber}...`));
 
+    const unknown = this._focusAreas(focus).filter(area => !PLAN_FOCUS_AREAS[area]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown focus area "${unknown[0]}" - use ${Object.keys(PLAN_FOCUS_AREAS).join(', ')}`);
+    }
+
     // Step 1: Load spec issue
     const spec = await this._loadSpecIssue(issueNumber);
 
     // Step 2: Parse spec sections
     const sections = this._parseSpecSections(spec.body);
 
-    // Step 3: Check if clarification is needed
+    // Step 3: Refuse to plan a spec below the quality threshold
+    const quality = this._checkQuality(issueNumber, spec, { force });
+
+    // Refuse to plan while 🔴 clarification questions are open
+    await this._checkBlockingQuestions(issueNumber, spec, { force });
+
+    // Check if clarification is needed
     const clarificationNeeded = await this._checkClarificationStatus(spec, sections);
     if (clarificationNeeded) {
       console.log(chalk.yellow('\n⚠️  Spec has gaps/ambiguities - consider running leo clarify first'));
       console.log(chalk.gray('   Proceeding with planning anyway...\n'));
     }
 
-    // Step 4: Generate implementation plan
-    const plan = this._generatePlan(sections, spec, focus);
+    // Step 4: Generate implementation plan from the spec and the existing codebase
+    const codebase = await this._scanCodebase();
+    const plan = this._generatePlan(sections, spec, focus, codebase);
+    const validation = await this.constitution.enforce({ type: 'plan', content: plan }, { label: 'Plan', force });
 
-    // Step 5: Format plan as comment
-    const comment = this._formatPlanComment(plan, spec);
+    // Step 5: Format plan as comment, with the plan.json artifact embedded
+    const previous = await loadPlanArtifact(this.projectRoot, issueNumber);
+    const artifact = buildPlanArtifact(plan, { focus, previous, revision: previous ? previous.revision + 1 : 1 });
+    const comment = embedPlanArtifact(this._formatPlanComment(plan, spec), artifact);
 
-    // Step 6: Post to GitHub (if autoPost)
+    // Step 6: Post to GitHub and store the artifact (if autoPost)
+    let artifactPath = null;
     if (autoPost) {
       await this._postComment(issueNumber, comment);
       console.log(chalk.green(`✅ Posted implementation plan to issue #${issueNumber}`));
+      artifactPath = await this._saveArtifact(artifact);
     }
 
     // Step 7: Update labels (if updateLabels)
@@ -97,18 +162,135 @@ class PlanManager {
     return {
       issueNumber,
       plan,
-      comment
+      comment,
+      validation,
+      quality,
+      codebase,
+      artifact,
+      artifactPath
     };
   }
 
   /**
-   * Load spec issue from GitHub
+   * Generate a plan for a spec without loading, posting or labelling anything
+   * (spec-extend compares drafts of the old and new spec to find stale sections)
+   *
+   * @param {Object} spec - Spec issue ({ number, title, body })
+   * @param {Object} options - Draft options
+   * @param {string} options.focus - Focus area(s), comma-separated
+   * @param {Object} options.codebase - Codebase scan (see lib/plan/codebase)
+   * @returns {Object} Plan ({ title, issueNumber, sections, phases, ... })
+   */
+  draft(spec, options = {}) {
+    return this._generatePlan(this._parseSpecSections(spec.body), spec, options.focus || null, options.codebase || null);
+  }
+
+  /**
+   * Split a --focus value into areas ("api, phases" → ['api', 'phases'])
+   */
+  _focusAreas(focus) {
+    return focus ? String(focus).split(',').map(area => area.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Write the plan artifact to .leo/specs/<issue>/plan.json
+   */
+  async _saveArtifact(artifact) {
+    try {
+      const artifactPath = await savePlanArtifact(this.projectRoot, artifact);
+      console.log(chalk.green(`✅ Saved plan revision ${artifact.revision} to ${artifactPath}`));
+      return artifactPath;
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Failed to save plan artifact: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Scan the repository the plan is for (see lib/plan/codebase)
+   */
+  async _scanCodebase() {
+    try {
+      const codebase = await scanCodebase(this.projectRoot);
+      if (hasExistingCode(codebase)) {
+        console.log(chalk.gray(`   Found ${codebase.routes.length} routes, ${codebase.models.length} models, ${codebase.components.length} components`));
+      }
+      return codebase;
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not scan codebase: ${error.message} - planning from the spec only`));
+      return null;
+    }
+  }
+
+  /**
+   * Read the quality threshold from .ux-ingkarc.json (`spec.qualityThreshold`)
+   */
+  _getConfiguredThreshold() {
+    try {
+      const configManager = require('../utils/config-manager');
+      const specConfig = configManager.get('spec') || {};
+      return Number.isFinite(specConfig.qualityThreshold) ? specConfig.qualityThreshold : DEFAULT_QUALITY_THRESHOLD;
+    } catch (error) {
+      return DEFAULT_QUALITY_THRESHOLD;
+    }
+  }
+
+  /**
+   * Score the spec and throw if it is below the quality threshold (see lib/spec/quality)
+   */
+  _checkQuality(issueNumber, spec, options = {}) {
+    const quality = scoreSpec(spec.body);
+
+    if (quality.score >= this.qualityThreshold) {
+      return quality;
+    }
+
+    const message = `Spec quality score ${quality.score}/100 is below the planning threshold (${this.qualityThreshold})`;
+    if (options.force) {
+      console.log(chalk.yellow(`⚠️  ${message} - planning anyway (--force)`));
+      return quality;
+    }
+
+    console.log(chalk.red(`\n❌ ${message}`));
+    quality.sections
+      .filter(section => section.score < 100)
+      .forEach(section => console.log(chalk.gray(`   ${section.title}: ${section.score}/100 (${section.findings.length} finding(s))`)));
+
+    throw new Error(`${message} - run leo spec analyze ${issueNumber} for details, or use --force`);
+  }
+
+  /**
+   * Throw if the spec has open 🔴 questions from `leo clarify` (or carries the
+   * needs-clarification label without any questions to answer), unless forced
+   */
+  async _checkBlockingQuestions(issueNumber, spec, options = {}) {
+    const questions = new ClarificationManager({ tracker: this.tracker })
+      .getAnswers(await this.tracker.listComments(issueNumber));
+    const blocking = questions.filter(q => q.priority === 'high' && !q.resolved).map(q => q.id);
+    const labelled = (spec.labels || []).some(l => l.name === 'needs-clarification');
+
+    if (blocking.length === 0 && !(labelled && questions.length === 0)) {
+      return;
+    }
+
+    const [message, hint] = blocking.length > 0
+      ? [`Spec #${issueNumber} has open blocking questions: ${blocking.join(', ')}`, `answer them and run leo clarify ${issueNumber} --resolve`]
+      : [`Spec #${issueNumber} is labelled needs-clarification`, `run leo clarify ${issueNumber}`];
+    if (options.force) {
+      console.log(chalk.yellow(`⚠️  ${message} - planning anyway (--force)`));
+      return;
+    }
+
+    console.log(chalk.red(`\n❌ ${message}`));
+    throw new Error(`${message} - ${hint}, or use --force`);
+  }
+
+  /**
+   * Load spec issue from the tracker
    */
   async _loadSpecIssue(issueNumber) {
     try {
-      const command = `gh issue view ${issueNumber} --json number,title,body,labels`;
-      const output = execSync(command, { encoding: 'utf-8', cwd: process.cwd() });
-      const issue = JSON.parse(output);
+      const issue = await this.tracker.getIssue(issueNumber);
 
       // Verify it's a spec issue
       const hasSpecLabel = issue.labels.some(l => l.name === 'spec');
@@ -125,31 +307,10 @@ class PlanManager {
   }
 
   /**
-   * Parse spec sections from issue body
+   * Parse spec sections from issue body (keyed by canonical title, see lib/spec/document)
    */
   _parseSpecSections(body) {
-    const sections = {};
-    const sectionRegex = /^## (.+?)$/gm;
-
-    let match;
-    let lastIndex = 0;
-    let lastSection = null;
-
-    while ((match = sectionRegex.exec(body)) !== null) {
-      if (lastSection) {
-        const content = body.substring(lastIndex, match.index).trim();
-        sections[lastSection] = content;
-      }
-      lastSection = match[1];
-      lastIndex = match.index + match[0].length;
-    }
-
-    if (lastSection) {
-      const content = body.substring(lastIndex).trim();
-      sections[lastSection] = content;
-    }
-
-    return sections;
+    return SpecDocument.parse(body).toSectionMap();
   }
 
   /**
@@ -173,7 +334,7 @@ class PlanManager {
   /**
    * Generate implementation plan
    */
-  _generatePlan(sections, spec, focus = null) {
+  _generatePlan(sections, spec, focus = null, codebase = null) {
     const plan = {
       title: spec.title,
       issueNumber: spec.number,
@@ -184,37 +345,43 @@ class PlanManager {
     const requirements = sections['Requirements'] || '';
     const context = sections['Context'] || '';
     const technicalApproach = sections['Technical Approach'] || '';
+    const areas = this._focusAreas(focus);
+    const inFocus = area => areas.length === 0 || areas.includes(area);
 
     // Generate each plan section
-    if (!focus || focus === 'architecture') {
-      plan.sections['Architecture Overview'] = this._generateArchitectureOverview(requirements, context);
+    if (inFocus('architecture')) {
+      plan.sections['Architecture Overview'] = this._generateArchitectureOverview(requirements, context, codebase);
     }
 
-    if (!focus || focus === 'tech') {
-      plan.sections['Tech Stack'] = this._generateTechStack(requirements, technicalApproach);
+    if (inFocus('tech')) {
+      plan.sections['Tech Stack'] = this._generateTechStack(requirements, technicalApproach, codebase);
     }
 
-    if (!focus || focus === 'data') {
-      plan.sections['Data Model'] = this._generateDataModel(requirements);
+    if (inFocus('data')) {
+      plan.dataEntities = this._planDataEntities(requirements, codebase);
+      plan.sections['Data Model'] = this._generateDataModel(plan.dataEntities, codebase);
     }
 
-    if (!focus || focus === 'api') {
-      plan.sections['API Contracts'] = this._generateAPIContracts(requirements);
+    if (inFocus('api')) {
+      plan.apiContracts = this._planAPIContracts(requirements, codebase);
+      plan.sections['API Contracts'] = this._generateAPIContracts(plan.apiContracts);
     }
 
-    if (!focus || focus === 'components') {
-      plan.sections['Component Breakdown'] = this._generateComponentBreakdown(requirements);
+    if (inFocus('components')) {
+      plan.sections['Component Breakdown'] = this._generateComponentBreakdown(requirements + '\n' + context, codebase);
     }
 
-    if (!focus || focus === 'phases') {
-      plan.sections['Implementation Phases'] = this._generateImplementationPhases(requirements);
+    if (inFocus('phases')) {
+      plan.phases = this._planPhases(requirements);
+      plan.sections['Implementation Phases'] = this._generateImplementationPhases(plan.phases);
     }
 
-    if (!focus || focus === 'testing') {
-      plan.sections['Testing Strategy'] = this._generateTestingStrategy(requirements, sections['Acceptance Criteria'] || '');
+    if (inFocus('testing')) {
+      plan.testingStrategy = this._planTestingStrategy(sections['Acceptance Criteria'] || '');
+      plan.sections['Testing Strategy'] = this._generateTestingStrategy(plan.testingStrategy);
     }
 
-    if (!focus || focus === 'deployment') {
+    if (inFocus('deployment')) {
       plan.sections['Deployment Plan'] = this._generateDeploymentPlan(requirements);
     }
 
@@ -223,22 +390,46 @@ class PlanManager {
 
   /**
    * Generate architecture overview
+   *
+   * With an existing codebase, starts with what was detected and the
+   * routes, models and components the spec touches.
    */
-  _generateArchitectureOverview(requirements, context) {
+  _generateArchitectureOverview(requirements, context, codebase = null) {
     // Detect architecture patterns from requirements
     const needsRealtime = /real-time|websocket|live|collaborative/i.test(requirements + context);
     const needsAuth = /auth|login|user|session|permission/i.test(requirements + context);
     const needsAPI = /api|endpoint|rest|graphql/i.test(requirements + context);
     const needsDB = /database|data|store|persist/i.test(requirements + context);
 
-    let architecture = '**Architecture Pattern:** ';
+    let architecture = '';
+    let within = '';
+
+    if (hasExistingCode(codebase)) {
+      const { project } = codebase;
+      const related = this._relatedCode(codebase, requirements + '\n' + context);
+      const summary = project.framework ? `${project.framework} (${project.language})` : project.language;
+
+      architecture += `**Existing Codebase:** ${summary} - ${codebase.routes.length} routes, ${codebase.models.length} models, ${codebase.components.length} components\n\n`;
+      if (related.length > 0) {
+        architecture += '**Extend Existing:**\n';
+        related.slice(0, MAX_RELATED).forEach(entry => {
+          architecture += `- ${this._formatCodeEntry(entry)}\n`;
+        });
+        architecture += '\n';
+      } else {
+        architecture += '_No existing routes, models or components match this spec - add new modules alongside the existing ones._\n\n';
+      }
+      within = project.framework ? ` within the existing ${project.framework} app` : '';
+    }
+
+    architecture += '**Architecture Pattern:** ';
 
     if (needsAPI && needsDB) {
-      architecture += 'Layered Architecture (Controller → Service → Repository)\n\n';
+      architecture += `Layered Architecture (Controller → Service → Repository)${within}\n\n`;
     } else if (needsRealtime) {
-      architecture += 'Event-Driven Architecture with WebSockets\n\n';
+      architecture += `Event-Driven Architecture with WebSockets${within}\n\n`;
     } else {
-      architecture += 'Modular Architecture\n\n';
+      architecture += `Modular Architecture${within}\n\n`;
     }
 
     architecture += '**Key Components:**\n';
@@ -270,13 +461,20 @@ class PlanManager {
 
   /**
    * Generate tech stack recommendations
+   *
+   * For a detected project, lists the existing stack and only proposes
+   * additions the spec needs.
    */
-  _generateTechStack(requirements, technicalApproach) {
+  _generateTechStack(requirements, technicalApproach, codebase = null) {
     const isNode = /node|express|javascript|typescript/i.test(requirements + technicalApproach);
     const isPython = /python|django|flask/i.test(requirements + technicalApproach);
     const needsRealtime = /real-time|websocket|live/i.test(requirements);
     const needsAuth = /auth|oauth/i.test(requirements);
 
+    if (codebase && (codebase.project.framework || codebase.project.type !== 'unknown')) {
+      return this._generateExistingTechStack(codebase.project, { needsRealtime, needsAuth, needsDB: /database|store|persist/i.test(requirements) });
+    }
+
     let stack = '**Backend:**\n';
 
     if (isPython) {
@@ -315,38 +513,105 @@ class PlanManager {
     return stack;
   }
 
+  /**
+   * Describe a detected stack and the additions a spec needs
+   */
+  _generateExistingTechStack(project, needs) {
+    const database = project.features.find(f => ['Prisma', 'MongoDB', 'SQL'].includes(f));
+    const testing = project.features.find(f => ['Jest', 'Vitest', 'Mocha'].includes(f));
+
+    let stack = '**Existing Stack (detected):**\n';
+    if (project.framework) stack += `- Framework: ${project.framework}\n`;
+    stack += `- Language: ${project.hasTypeScript ? 'TypeScript' : project.language.charAt(0).toUpperCase() + project.language.slice(1)}\n`;
+    if (database) stack += `- Database: ${database}\n`;
+    if (testing) stack += `- Testing: ${testing}\n`;
+    if (project.buildTool) stack += `- Build: ${project.buildTool}\n`;
+    stack += `- Package manager: ${project.packageManager}\n`;
+
+    const additions = [];
+    if (needs.needsDB && !database) additions.push('PostgreSQL (no database detected)');
+    if (!testing && ['javascript', 'typescript'].includes(project.language)) {
+      additions.push('Jest (no test framework detected)');
+    }
+    if (needs.needsRealtime) additions.push('Socket.io or WebSocket API');
+    if (needs.needsAuth) additions.push('Passport.js / OAuth2 with JWT tokens');
+
+    stack += '\n**Additions for this feature:**\n';
+    stack += additions.length > 0
+      ? additions.map(addition => `- ${addition}\n`).join('')
+      : '- None - build on the existing stack\n';
+
+    return stack;
+  }
+
+  /**
+   * Plan data entities
+   *
+   * Existing models the spec touches are extended rather than redefined.
+   *
+   * @returns {Object[]} Entities ({ name, existing, file, fields: [{ name, type }] })
+   */
+  _planDataEntities(requirements, codebase = null) {
+    const existing = name => Boolean(codebase && codebase.models.some(m => m.name === name));
+    const field = (name, type) => ({ name, type });
+    const entities = (codebase ? findRelated(codebase.models, requirements) : [])
+      .slice(0, MAX_RELATED)
+      .map(model => ({ name: model.name, existing: true, file: model.file, fields: [] }));
+
+    if (/user|account|profile/i.test(requirements) && !existing('User')) {
+      entities.push({
+        name: 'User',
+        existing: false,
+        file: null,
+        fields: [field('id', 'string'), field('email', 'string'), field('name', 'string'), field('createdAt', 'Date'), field('updatedAt', 'Date')]
+      });
+    }
+
+    if (/session|auth|login/i.test(requirements) && !existing('Session')) {
+      entities.push({
+        name: 'Session',
+        existing: false,
+        file: null,
+        fields: [field('id', 'string'), field('userId', 'string'), field('token', 'string'), field('expiresAt', 'Date')]
+      });
+    }
+
+    return entities;
+  }
+
   /**
    * Generate data model
    */
-  _generateDataModel(requirements) {
-    const needsUsers = /user|account|profile/i.test(requirements);
-    const needsSessions = /session|auth|login/i.test(requirements);
+  _generateDataModel(entities, codebase = null) {
+    const usesPrisma = Boolean(codebase && codebase.project.features.includes('Prisma'));
+    const existing = entities.filter(entity => entity.existing);
 
-    let model = '```typescript\n';
+    let model = '';
 
-    if (needsUsers) {
-      model += '// User model\ninterface User {\n';
-      model += '  id: string;\n';
-      model += '  email: string;\n';
-      model += '  name: string;\n';
-      model += '  createdAt: Date;\n';
-      model += '  updatedAt: Date;\n';
-      model += '}\n\n';
+    if (existing.length > 0) {
+      model += '**Existing Models to Extend:**\n';
+      existing.forEach(entity => {
+        model += `- ${this._formatCodeEntry(entity)}\n`;
+      });
+      model += '\n';
     }
 
-    if (needsSessions) {
-      model += '// Session model\ninterface Session {\n';
-      model += '  id: string;\n';
-      model += '  userId: string;\n';
-      model += '  token: string;\n';
-      model += '  expiresAt: Date;\n';
+    model += '```typescript\n';
+
+    entities.filter(entity => !entity.existing).forEach(entity => {
+      model += `// ${entity.name} model\ninterface ${entity.name} {\n`;
+      entity.fields.forEach(f => {
+        model += `  ${f.name}: ${f.type};\n`;
+      });
       model += '}\n\n';
-    }
+    });
 
     model += '// Add feature-specific models here\n';
     model += '```\n\n';
     model += '**Database Schema:**\n';
-    model += '- Use migrations for schema changes\n';
+    model += usesPrisma
+      ? '- Change `schema.prisma` and run `prisma migrate dev` for schema changes\n'
+      : '- Use migrations for schema changes\n';
     model += '- Add indexes on foreign keys and frequently queried fields\n';
     model += '- Use UUIDs for primary keys\n';
     model += '- Add timestamps (createdAt, updatedAt) to all tables\n';
@@ -355,30 +620,74 @@ class PlanManager {
   }
 
   /**
-   * Generate API contracts
+   * Plan API contracts
+   *
+   * Lists existing endpoints the spec touches and skips proposing auth
+   * endpoints the codebase already has.
+   *
+   * @returns {Object[]} Contracts ({ method, path, description, group, existing, file })
    */
-  _generateAPIContracts(requirements) {
-    let api = '**REST API Endpoints:**\n\n';
+  _planAPIContracts(requirements, codebase = null) {
+    const endpoint = (group, method, endpointPath, description) => ({ method, path: endpointPath, description, group, existing: false, file: null });
+    const contracts = (codebase ? findRelated(codebase.routes, requirements) : [])
+      .slice(0, MAX_RELATED)
+      .map(route => ({ method: route.method, path: route.path, description: null, group: 'existing', existing: true, file: route.file }));
 
     // Extract potential endpoints from requirements
-    const hasAuth = /auth|login|signup/i.test(requirements);
+    const hasAuthRoutes = Boolean(codebase && codebase.routes.some(route => /auth|login/i.test(route.path)));
+    const hasAuth = /auth|login|signup/i.test(requirements) && !hasAuthRoutes;
     const hasCRUD = /create|read|update|delete|list|get/i.test(requirements);
 
     if (hasAuth) {
-      api += '```\nPOST   /api/auth/signup      - Create new account\n';
-      api += 'POST   /api/auth/login       - Authenticate user\n';
-      api += 'POST   /api/auth/logout      - End session\n';
-      api += 'GET    /api/auth/me          - Get current user\n```\n\n';
+      contracts.push(
+        endpoint('auth', 'POST', '/api/auth/signup', 'Create new account'),
+        endpoint('auth', 'POST', '/api/auth/login', 'Authenticate user'),
+        endpoint('auth', 'POST', '/api/auth/logout', 'End session'),
+        endpoint('auth', 'GET', '/api/auth/me', 'Get current user')
+      );
     }
 
     if (hasCRUD) {
-      api += '```\nPOST   /api/resources        - Create resource\n';
-      api += 'GET    /api/resources        - List resources\n';
-      api += 'GET    /api/resources/:id    - Get resource by ID\n';
-      api += 'PUT    /api/resources/:id    - Update resource\n';
-      api += 'DELETE /api/resources/:id    - Delete resource\n```\n\n';
+      contracts.push(
+        endpoint('resources', 'POST', '/api/resources', 'Create resource'),
+        endpoint('resources', 'GET', '/api/resources', 'List resources'),
+        endpoint('resources', 'GET', '/api/resources/:id', 'Get resource by ID'),
+        endpoint('resources', 'PUT', '/api/resources/:id', 'Update resource'),
+        endpoint('resources', 'DELETE', '/api/resources/:id', 'Delete resource')
+      );
     }
 
+    return contracts;
+  }
+
+  /**
+   * Generate API contracts
+   */
+  _generateAPIContracts(contracts) {
+    let api = '';
+
+    const existing = contracts.filter(contract => contract.existing);
+    if (existing.length > 0) {
+      api += '**Existing Endpoints to Extend:**\n\n';
+      existing.forEach(contract => {
+        api += `- ${this._formatCodeEntry(contract)}\n`;
+      });
+      api += '\n';
+    }
+
+    api += '**REST API Endpoints:**\n\n';
+
+    ['auth', 'resources'].forEach(group => {
+      const endpoints = contracts.filter(contract => contract.group === group);
+      if (endpoints.length === 0) return;
+
+      api += '```\n';
+      endpoints.forEach(contract => {
+        api += `${contract.method.padEnd(6)} ${contract.path.padEnd(21)} - ${contract.description}\n`;
+      });
+      api += '```\n\n';
+    });
+
     api += '**Request/Response Format:**\n\n';
     api += '```typescript\n';
     api += '// Success response\n';
@@ -407,8 +716,15 @@ class PlanManager {
 
   /**
    * Generate component breakdown
+   *
+   * With an existing codebase, starts with the code to extend and leaves
+   * out the backend or frontend half the project does not have.
    */
-  _generateComponentBreakdown(requirements) {
+  _generateComponentBreakdown(requirements, codebase = null) {
+    if (hasExistingCode(codebase)) {
+      return this._generateExistingComponentBreakdown(requirements, codebase);
+    }
+
     let breakdown = '**Backend Components:**\n\n';
     breakdown += '1. **Controllers** - Handle HTTP requests/responses\n';
     breakdown += '2. **Services** - Business logic implementation\n';
@@ -432,67 +748,205 @@ class PlanManager {
   }
 
   /**
-   * Generate implementation phases
+   * Component breakdown for an existing codebase
+   */
+  _generateExistingComponentBreakdown(requirements, codebase) {
+    const { project, routes, models, components } = codebase;
+    const related = this._relatedCode(codebase, requirements);
+    const hasBackend = routes.length > 0 || models.length > 0 || project.type === 'api';
+    const hasFrontend = components.length > 0 || project.type === 'web';
+
+    let breakdown = '';
+
+    if (related.length > 0) {
+      breakdown += '**Existing Code to Extend:**\n\n';
+      related.slice(0, MAX_RELATED).forEach(entry => {
+        breakdown += `- ${this._formatCodeEntry(entry)}\n`;
+      });
+      breakdown += '\n';
+    }
+
+    if (hasBackend) {
+      breakdown += '**Backend Components:**\n\n';
+      breakdown += `1. **Routes** - ${routes.length > 0 ? `Add to the existing routes in \`${this._commonDir(routes)}\`` : 'Handle HTTP requests/responses'}\n`;
+      breakdown += '2. **Services** - Business logic implementation\n';
+      breakdown += `3. **Models** - ${models.length > 0 ? `Extend the existing models in \`${this._commonDir(models)}\`` : 'Data access layer'}\n`;
+      breakdown += '4. **Middleware** - Auth, validation, error handling\n\n';
+    }
+
+    if (hasFrontend) {
+      breakdown += '**Frontend Components:**\n\n';
+      breakdown += `1. **UI Components** - ${components.length > 0 ? `Reuse and add to the components in \`${this._commonDir(components)}\`` : 'Reusable UI elements'}\n`;
+      breakdown += '2. **Hooks** - Custom React hooks\n';
+      breakdown += '3. **Services** - API client, state management\n\n';
+    }
+
+    breakdown += '**Shared:**\n\n';
+    breakdown += `1. **${project.hasTypeScript ? 'Types' : 'Constants'}** - ${project.hasTypeScript ? 'TypeScript interfaces/types' : 'Shared constants, configs'}\n`;
+    breakdown += '2. **Validators** - Input validation schemas\n';
+
+    return breakdown;
+  }
+
+  /**
+   * Existing routes, models and components a spec text refers to
+   */
+  _relatedCode(codebase, text) {
+    return [
+      ...findRelated(codebase.models, text),
+      ...findRelated(codebase.routes, text),
+      ...findRelated(codebase.components, text)
+    ];
+  }
+
+  /**
+   * Format a route, model or component for a plan section
    */
-  _generateImplementationPhases(requirements) {
-    let phases = '**Phase 1: Foundation** (Day 1-2)\n';
-    phases += '- [ ] Set up project structure\n';
-    phases += '- [ ] Configure database & migrations\n';
-    phases += '- [ ] Set up testing framework\n';
-    phases += '- [ ] Create basic data models\n\n';
+  _formatCodeEntry(entry) {
+    if (entry.method) {
+      return `\`${entry.method} ${entry.path}\` (${entry.file})`;
+    }
+    return `\`${entry.name}\` ${/\.[jt]sx$/.test(entry.file) ? 'component' : 'model'} (${entry.file})`;
+  }
 
-    phases += '**Phase 2: Core Features** (Day 3-5)\n';
-    phases += '- [ ] Implement business logic\n';
-    phases += '- [ ] Create API endpoints\n';
-    phases += '- [ ] Add error handling\n';
-    phases += '- [ ] Write unit tests\n\n';
+  /**
+   * Most common directory of a list of entries
+   */
+  _commonDir(entries) {
+    const counts = {};
+    entries.forEach(entry => {
+      const dir = entry.file.includes('/') ? entry.file.slice(0, entry.file.lastIndexOf('/')) : '.';
+      counts[dir] = (counts[dir] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] + '/';
+  }
 
-    phases += '**Phase 3: Integration** (Day 6-7)\n';
-    phases += '- [ ] Frontend integration (if applicable)\n';
-    phases += '- [ ] Integration tests\n';
-    phases += '- [ ] End-to-end tests\n';
-    phases += '- [ ] Performance optimization\n\n';
+  /**
+   * Plan implementation phases
+   *
+   * Each task records the requirement IDs it covers so tasks and child
+   * issues can be traced back to the spec. Requirements not covered by a
+   * supporting task (error handling, tests, docs) get their own Core
+   * Features task. Tasks declare the tasks they depend on and a story-point
+   * estimate, from which `leo tasks` builds the dependency graph and
+   * critical path (see lib/tasks/graph).
+   *
+   * @returns {Object[]} Phases ({ number, name, duration, tasks: [{ id, text, requirements, points, dependsOn }] })
+   */
+  _planPhases(requirements) {
+    const items = new SpecSection('Requirements', requirements).items
+      .filter(item => item.text && !/^to be defined$/i.test(item.text));
+    const refs = pattern => items.filter(item => pattern.test(item.text)).map(item => item.id);
+    let count = 0;
+    const task = (text, ids, points, dependsOn = []) => ({
+      id: `T${++count}`,
+      text,
+      requirements: ids,
+      points,
+      dependsOn: dependsOn.map(t => t.id)
+    });
 
-    phases += '**Phase 4: Polish & Deploy** (Day 8-9)\n';
-    phases += '- [ ] Documentation\n';
-    phases += '- [ ] Code review\n';
-    phases += '- [ ] Security audit\n';
-    phases += '- [ ] Deployment\n\n';
+    const functional = items.filter(item =>
+      !Object.values(SUPPORTING_REQUIREMENTS).some(pattern => pattern.test(item.text))
+    );
+
+    const setup = task('Set up project structure', [], 1);
+    const database = task('Configure database & migrations', [], 2, [setup]);
+    const testFramework = task('Set up testing framework', [], 1, [setup]);
+    const models = task('Create basic data models', [], 2, [database]);
+
+    const features = functional.length > 0
+      ? functional.map(item => task(item.text, [item.id], 3, [models]))
+      : [task('Implement business logic', [], 3, [models])];
+    const endpoints = task('Create API endpoints', [], 2, features);
+    const errorHandling = task('Add error handling', refs(SUPPORTING_REQUIREMENTS.errorHandling), 1, [endpoints]);
+    const unitTests = task('Write unit tests', refs(SUPPORTING_REQUIREMENTS.tests), 2, [testFramework, ...features]);
+
+    const frontend = task('Frontend integration (if applicable)', [], 3, [endpoints]);
+    const integrationTests = task('Integration tests', refs(/integration/i), 2, [endpoints, unitTests]);
+    const e2eTests = task('End-to-end tests', refs(/e2e|end-to-end/i), 3, [frontend, integrationTests]);
+    const performance = task('Performance optimization', refs(/performance|latency|scale/i), 2, [integrationTests]);
+
+    const docs = task('Documentation', refs(SUPPORTING_REQUIREMENTS.docs), 1, [endpoints]);
+    const review = task('Code review', [], 1, [errorHandling, e2eTests, performance]);
+    const security = task('Security audit', refs(/security|permission|auth/i), 2, [endpoints, errorHandling]);
+    const deployment = task('Deployment', [], 1, [docs, review, security]);
+
+    return [
+      { number: 1, name: 'Foundation', duration: 'Day 1-2', tasks: [setup, database, testFramework, models] },
+      { number: 2, name: 'Core Features', duration: 'Day 3-5', tasks: [...features, endpoints, errorHandling, unitTests] },
+      { number: 3, name: 'Integration', duration: 'Day 6-7', tasks: [frontend, integrationTests, e2eTests, performance] },
+      { number: 4, name: 'Polish & Deploy', duration: 'Day 8-9', tasks: [docs, review, security, deployment] }
+    ];
+  }
 
-    phases += '**Estimated Timeline:** 9-10 days\n';
+  /**
+   * Generate implementation phases
+   *
+   * Tasks are tagged with their requirement IDs, e.g.
+   * `- [ ] Add error handling (REQ-2)`.
+   */
+  _generateImplementationPhases(phases) {
+    let markdown = '';
 
-    return phases;
+    phases.forEach(phase => {
+      markdown += `**Phase ${phase.number}: ${phase.name}** (${phase.duration})\n`;
+      phase.tasks.forEach(task => {
+        markdown += `- [ ] ${tagWithRequirements(task.text, task.requirements)}\n`;
+      });
+      markdown += '\n';
+    });
+
+    markdown += '**Estimated Timeline:** 9-10 days\n';
+
+    return markdown;
+  }
+
+  /**
+   * Plan testing strategy (test scenarios come from the acceptance criteria)
+   *
+   * @returns {Object} Strategy ({ levels: [{ name, share }], minimumCoverage, scenarios })
+   */
+  _planTestingStrategy(acceptanceCriteria) {
+    return {
+      levels: TEST_PYRAMID,
+      minimumCoverage: MINIMUM_COVERAGE,
+      scenarios: acceptanceCriteria.split('\n')
+        .filter(l => l.includes('- [ ]'))
+        .map(criterion => criterion.replace('- [ ]', '').trim())
+    };
   }
 
   /**
    * Generate testing strategy
    */
-  _generateTestingStrategy(requirements, acceptanceCriteria) {
+  _generateTestingStrategy(strategy) {
+    const share = name => strategy.levels.find(level => level.name === name).share;
+
     let testing = '**Test Pyramid:**\n\n';
-    testing += '1. **Unit Tests** (70% coverage)\n';
+    testing += `1. **Unit Tests** (${share('unit')}% coverage)\n`;
     testing += '   - Test individual functions/methods\n';
     testing += '   - Mock external dependencies\n';
     testing += '   - Fast execution (< 1s total)\n\n';
 
-    testing += '2. **Integration Tests** (20% coverage)\n';
+    testing += `2. **Integration Tests** (${share('integration')}% coverage)\n`;
     testing += '   - Test API endpoints end-to-end\n';
     testing += '   - Use test database\n';
     testing += '   - Verify request/response contracts\n\n';
 
-    testing += '3. **E2E Tests** (10% coverage)\n';
+    testing += `3. **E2E Tests** (${share('e2e')}% coverage)\n`;
     testing += '   - Test critical user flows\n';
     testing += '   - Browser-based testing (if UI)\n';
     testing += '   - Smoke tests for deployment\n\n';
 
     testing += '**Coverage Requirements:**\n';
-    testing += '- Minimum 80% code coverage\n';
+    testing += `- Minimum ${strategy.minimumCoverage}% code coverage\n`;
     testing += '- 100% coverage for critical paths\n';
     testing += '- All API endpoints tested\n\n';
 
     testing += '**Test Scenarios (from Acceptance Criteria):**\n';
-    const criteriaList = acceptanceCriteria.split('\n').filter(l => l.includes('- [ ]'));
-    criteriaList.forEach((criterion, index) => {
-      testing += `${index + 1}. ${criterion.replace('- [ ]', '').trim()}\n`;
+    strategy.scenarios.forEach((scenario, index) => {
+      testing += `${index + 1}. ${scenario}\n`;
     });
 
     return testing;
@@ -549,20 +1003,11 @@ class PlanManager {
   }
 
   /**
-   * Post comment to GitHub issue
+   * Post comment to issue
    */
   async _postComment(issueNumber, comment) {
     try {
-      const commentFile = path.join('/tmp', `leo-plan-${Date.now()}.md`);
-      await fs.writeFile(commentFile, comment, 'utf-8');
-
-      execSync(`gh issue comment ${issueNumber} --body-file "${commentFile}"`, {
-        encoding: 'utf-8',
-        cwd: process.cwd()
-      });
-
-      await fs.unlink(commentFile);
-
+      await this.tracker.addComment(issueNumber, comment);
     } catch (error) {
       console.error(chalk.red(`\n❌ Failed to post comment: ${error.message}`));
       throw error;
@@ -574,41 +1019,10 @@ class PlanManager {
    */
   async _updateLabels(issueNumber) {
     try {
-      // Ensure 'planned' label exists
-      try {
-        execSync(`gh label list --json name | grep '"name":"planned"'`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-      } catch (error) {
-        // Create label
-        execSync(`gh label create "planned" --description "Spec has implementation plan" --color "0E8A16"`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-        console.log(chalk.gray(`   Created label: planned`));
-      }
-
-      // Add 'planned' label
-      execSync(`gh issue edit ${issueNumber} --add-label "planned"`, {
-        encoding: 'utf-8',
-        cwd: process.cwd()
-      });
-
-      // Remove 'needs-planning' label (if exists)
-      try {
-        execSync(`gh issue edit ${issueNumber} --remove-label "needs-planning"`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-      } catch (error) {
-        // Label might not exist, ignore
-      }
+      await this.tracker.addLabels(issueNumber, ['planned']);
+      await this.tracker.removeLabels(issueNumber, ['needs-planning', 'plan-stale']);
 
-      console.log(chalk.green(`✅ Updated labels: +planned, -needs-planning`));
+      console.log(chalk.green(`✅ Updated labels: +planned, -needs-planning, -plan-stale`));
 
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Could not update labels: ${error.message}`));
@@ -150,6 +150,9 @@ class PluginManager {
         this.apiServer.on('hunt:updated', (data) => plugin.instance.onEvent('hunt:updated', data));
         this.apiServer.on('hunt:phase-changed', (data) => plugin.instance.onEvent('hunt:phase-changed', data));
         this.apiServer.on('hunt:completed', (data) => plugin.instance.onEvent('hunt:completed', data));
+        this.apiServer.on('hunt:blocked', (data) => plugin.instance.onEvent('hunt:blocked', data));
+        this.apiServer.on('hunt:unblocked', (data) => plugin.instance.onEvent('hunt:unblocked', data));
+        this.apiServer.on('hunt:sla-warning', (data) => plugin.instance.onEvent('hunt:sla-warning', data));
       }
 
       console.log(chalk.green(`✅ Plugin started: ${name}`));
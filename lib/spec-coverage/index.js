@@ -0,0 +1,179 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createTracker } = require('../tracker');
+const { SpecDocument } = require('../spec/document');
+const SpecTraceManager = require('../spec-trace');
+const { detectProjectType } = require('../utils/project-detector');
+const {
+  COVERAGE_HEADING,
+  STATUS_ICONS,
+  readJestResults,
+  buildCoverage,
+  formatCoverageComment,
+  saveCoverage
+} = require('./report');
+
+/**
+ * Spec Coverage Manager
+ * Runs the project's Jest suite and reports which acceptance criteria of a
+ * spec are verified by passing tests (see ./report for the mapping). The
+ * report is posted on the spec issue and stored for `leo tasks status`.
+ */
+class SpecCoverageManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {string} options.projectRoot - Project root Jest runs in (default: the local tracker root or cwd)
+   */
+  constructor(options = {}) {
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+  }
+
+  /**
+   * Report acceptance criteria coverage for a spec issue
+   * @param {number} issueNumber - Spec issue number
+   * @param {object} options - Coverage options
+   * @param {string} options.results - Existing `jest --json` output to read instead of running Jest (e.g. from CI)
+   * @param {boolean} options.post - Post (or update) the coverage comment on the issue (default: true)
+   * @returns {Promise<object>} Coverage artifact (see ./report)
+   */
+  async coverage(issueNumber, options = {}) {
+    const { post = true } = options;
+
+    console.log(chalk.cyan(`🧪 Checking acceptance criteria coverage for spec #${issueNumber}...\n`));
+
+    try {
+      // Step 1: Load spec criteria and the test files that reference it
+      const issue = await this.tracker.getIssue(issueNumber);
+      const criteria = SpecDocument.parse(issue.body).getItems('acceptanceCriteria');
+      if (criteria.length === 0) {
+        throw new Error(`Spec #${issue.number} has no acceptance criteria`);
+      }
+      const specFiles = (await new SpecTraceManager({ tracker: this.tracker, projectRoot: this.projectRoot }).scanTests(issue.number))
+        .map(test => test.file);
+
+      // Step 2: Run Jest (or read its results)
+      const report = options.results
+        ? await this._readResults(options.results)
+        : await this._runJest();
+      const { tests, errors } = readJestResults(report);
+      const relative = file => (path.isAbsolute(file) && !path.relative(this.projectRoot, file).startsWith('..')
+        ? path.relative(this.projectRoot, file)
+        : file);
+      tests.forEach(test => { test.file = relative(test.file); });
+      errors.forEach(error => { error.file = relative(error.file); });
+
+      // Step 3: Map results to criteria and store them
+      const coverage = buildCoverage({ issueNumber: issue.number, criteria, tests, errors, specFiles });
+      await saveCoverage(this.projectRoot, coverage);
+      this._displayCoverage(coverage);
+
+      // Step 4: Post the table on the spec
+      if (post) {
+        await this._postCoverage(issue.number, formatCoverageComment(coverage));
+      }
+
+      return coverage;
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Failed to check coverage: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Read a `jest --json` results file
+   * @private
+   */
+  async _readResults(file) {
+    const resultsPath = path.resolve(this.projectRoot, file);
+    if (!await fs.pathExists(resultsPath)) {
+      throw new Error(`Results file not found: ${file}`);
+    }
+    return fs.readJson(resultsPath);
+  }
+
+  /**
+   * Run the project's Jest with the JSON reporter
+   * Failing tests are expected; only a missing report is an error.
+   * @private
+   */
+  async _runJest() {
+    const project = await detectProjectType(this.projectRoot);
+    if (!project.testRunners.includes('jest')) {
+      throw new Error('Jest not found in package.json - install it or pass --results <jest-json-file>');
+    }
+
+    const outputFile = path.join(os.tmpdir(), `leo-coverage-${process.pid}-${Date.now()}.json`);
+    console.log(chalk.gray('   Running Jest...\n'));
+
+    try {
+      const result = spawnSync('npx', ['jest', '--json', `--outputFile=${outputFile}`], {
+        cwd: this.projectRoot,
+        stdio: ['ignore', 'ignore', 'inherit'],
+        shell: process.platform === 'win32'
+      });
+
+      if (result.error) {
+        throw new Error(`Could not run Jest: ${result.error.message}`);
+      }
+      if (!await fs.pathExists(outputFile)) {
+        throw new Error(`Jest exited with code ${result.status} without writing results - see the output above`);
+      }
+
+      return await fs.readJson(outputFile);
+    } finally {
+      await fs.remove(outputFile);
+    }
+  }
+
+  /**
+   * Update the previous coverage comment, or add one
+   * @private
+   */
+  async _postCoverage(issueNumber, body) {
+    try {
+      const comments = await this.tracker.listComments(issueNumber);
+      const previous = [...comments].reverse().find(comment => comment.body && comment.body.startsWith(COVERAGE_HEADING));
+
+      if (previous) {
+        await this.tracker.updateComment(issueNumber, previous.id, body);
+      } else {
+        await this.tracker.addComment(issueNumber, body);
+      }
+      console.log(chalk.green(`\n✅ Coverage posted to spec #${issueNumber}`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not post coverage: ${error.message}`));
+    }
+  }
+
+  /**
+   * Print the coverage table
+   * @private
+   */
+  _displayCoverage(coverage) {
+    const colors = { passing: chalk.green, failing: chalk.red, skipped: chalk.yellow, missing: chalk.gray };
+
+    coverage.criteria.forEach(criterion => {
+      const requirements = criterion.requirements.length > 0 ? chalk.gray(` (${criterion.requirements.join(', ')})`) : '';
+      console.log(`${STATUS_ICONS[criterion.status]} ${chalk.bold(criterion.id)} ${colors[criterion.status](criterion.status)}${requirements}`);
+      console.log(chalk.gray(`   ${criterion.text}`));
+      criterion.tests.forEach(test => {
+        console.log(chalk.gray(`   ${test.status === 'passed' ? '✓' : test.status === 'failed' ? '✕' : '○'} ${test.file} › ${test.title}`));
+      });
+    });
+
+    coverage.errors.forEach(error => {
+      console.log(chalk.red(`\n❌ ${error.file} failed to run: ${error.message}`));
+    });
+
+    const { summary } = coverage;
+    console.log(chalk.cyan(`\n📊 ${summary.passing}/${summary.total} criteria verified (${summary.verified}%)`) +
+      chalk.gray(` · ${summary.failing} failing · ${summary.skipped} skipped · ${summary.missing} without tests`));
+  }
+}
+
+module.exports = SpecCoverageManager;
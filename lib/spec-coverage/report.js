@@ -0,0 +1,267 @@
+/**
+ * Acceptance Criteria Coverage
+ *
+ * Maps Jest results (`jest --json`) back to a spec's acceptance criteria.
+ * A test verifies a criterion when its full name carries the criterion's ID
+ * (`AC-2: ...`, as written by `leo spec tests`) in a test file for the spec,
+ * or when it contains the criterion's text.
+ *
+ * The result is written to `.leo/specs/<issue>/coverage.json` and embedded
+ * in the coverage comment as a hidden `<!-- leo-coverage {...} -->` block,
+ * the same way the plan artifact is (see lib/plan/artifact), so
+ * `leo tasks status` can report verified criteria.
+ *
+ * Shape (schemaVersion 1):
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     issueNumber: 42,
+ *     generatedAt: '2026-01-01T00:00:00.000Z',
+ *     summary: { total, passing, failing, skipped, missing, verified },   // verified: % passing
+ *     criteria: [{ id, text, requirements, status, matchedBy: 'tag'|'title'|null, tests: [{ file, title, status }] }],
+ *     errors: [{ file, message }]   // test files that failed to run
+ *   }
+ *
+ * @module lib/spec-coverage/report
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { extractRequirementRefs, stripRequirementTag } = require('../spec/trace');
+
+const COVERAGE_SCHEMA_VERSION = 1;
+const COVERAGE_MARKER = 'leo-coverage';
+const COVERAGE_FILE = 'coverage.json';
+const COVERAGE_HEADING = '## 🧪 Acceptance Criteria Coverage';
+
+/**
+ * Criterion statuses, best first
+ */
+const STATUS_ICONS = {
+  passing: '✅',
+  failing: '❌',
+  skipped: '⏭️',
+  missing: '⚪'
+};
+
+/**
+ * Flatten a Jest JSON report into test results
+ *
+ * @param {Object} report - Output of `jest --json`
+ * @returns {Object} { tests: [{ file, title, status }], errors: [{ file, message }] }
+ */
+function readJestResults(report) {
+  const tests = [];
+  const errors = [];
+
+  (report.testResults || []).forEach(suite => {
+    const file = suite.name || suite.testFilePath || '';
+    const assertions = suite.assertionResults || suite.testResults || [];
+
+    if (assertions.length === 0 && suite.status === 'failed') {
+      errors.push({ file, message: String(suite.message || suite.failureMessage || 'Test file failed to run').split('\n')[0] });
+    }
+
+    assertions.forEach(assertion => {
+      tests.push({
+        file,
+        title: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' '),
+        status: assertion.status
+      });
+    });
+  });
+
+  return { tests, errors };
+}
+
+/**
+ * Lowercase words only, for title matching
+ */
+function normalize(text) {
+  return ` ${String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+/**
+ * Status of a criterion from the tests that verify it
+ */
+function criterionStatus(tests) {
+  if (tests.length === 0) return 'missing';
+  if (tests.some(test => test.status === 'failed')) return 'failing';
+  if (tests.some(test => test.status === 'passed')) return 'passing';
+  return 'skipped';
+}
+
+/**
+ * Map test results onto acceptance criteria
+ *
+ * @param {Object} options - Coverage inputs
+ * @param {number} options.issueNumber - Spec issue number
+ * @param {Object[]} options.criteria - Acceptance criteria items ({ id, text })
+ * @param {Object[]} options.tests - Test results from readJestResults
+ * @param {Object[]} options.errors - Test files that failed to run
+ * @param {string[]} options.specFiles - Test files that reference the spec (relative paths)
+ * @returns {Object} Coverage artifact
+ */
+function buildCoverage(options) {
+  const { issueNumber, criteria, tests, errors = [], specFiles = [] } = options;
+  const specRef = new RegExp(`#${issueNumber}\\b`);
+  const inSpecFile = test => {
+    const file = test.file.replace(/\\/g, '/');
+    return specFiles.some(specFile => file === specFile || file.endsWith(`/${specFile.replace(/\\/g, '/')}`));
+  };
+
+  const results = criteria.map(item => {
+    const idRegex = new RegExp(`\\b${item.id}\\b`);
+    const text = normalize(stripRequirementTag(item.text));
+
+    let matchedBy = 'tag';
+    let matches = tests.filter(test => idRegex.test(test.title) && (inSpecFile(test) || specRef.test(test.title)));
+    if (matches.length === 0 && text.trim()) {
+      matchedBy = 'title';
+      matches = tests.filter(test => normalize(test.title).includes(text));
+    }
+
+    return {
+      id: item.id,
+      text: stripRequirementTag(item.text),
+      requirements: extractRequirementRefs(item.text),
+      status: criterionStatus(matches),
+      matchedBy: matches.length > 0 ? matchedBy : null,
+      tests: matches.map(test => ({ file: test.file, title: test.title, status: test.status }))
+    };
+  });
+
+  const count = status => results.filter(result => result.status === status).length;
+  const total = results.length;
+
+  return {
+    schemaVersion: COVERAGE_SCHEMA_VERSION,
+    issueNumber: Number(issueNumber),
+    generatedAt: new Date().toISOString(),
+    summary: {
+      total,
+      passing: count('passing'),
+      failing: count('failing'),
+      skipped: count('skipped'),
+      missing: count('missing'),
+      verified: total > 0 ? Math.round((count('passing') / total) * 100) : 0
+    },
+    criteria: results,
+    errors
+  };
+}
+
+/**
+ * Escape a table cell
+ */
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Format the coverage comment, with the artifact embedded
+ *
+ * @param {Object} coverage - Coverage artifact
+ * @returns {string} Comment markdown
+ */
+function formatCoverageComment(coverage) {
+  const { summary } = coverage;
+  let comment = `${COVERAGE_HEADING}\n\n`;
+  comment += `**${summary.passing}/${summary.total} criteria verified (${summary.verified}%)** · `;
+  comment += `${summary.failing} failing · ${summary.skipped} skipped · ${summary.missing} without tests\n\n`;
+
+  comment += '| Criterion | Requirements | Status | Tests |\n';
+  comment += '|-----------|--------------|--------|-------|\n';
+  coverage.criteria.forEach(criterion => {
+    const tests = criterion.tests.length > 0
+      ? criterion.tests.map(test => `${STATUS_ICONS[criterionStatus([test])]} ${cell(test.title)}`).join('<br>')
+      : '-';
+    comment += `| **${criterion.id}** ${cell(criterion.text)} | ${criterion.requirements.join(', ') || '-'} | ${STATUS_ICONS[criterion.status]} ${criterion.status} | ${tests} |\n`;
+  });
+
+  if (coverage.errors.length > 0) {
+    comment += '\n**Test files that failed to run:**\n';
+    coverage.errors.forEach(error => {
+      comment += `- \`${path.basename(error.file)}\`: ${cell(error.message)}\n`;
+    });
+  }
+
+  comment += `\n_Generated by \`leo spec coverage\` at ${coverage.generatedAt}_\n`;
+
+  // Escape "-->" so test titles cannot close the HTML comment early
+  const json = JSON.stringify(coverage).replace(/-->/g, '--\\u003e');
+  return `${comment}\n<!-- ${COVERAGE_MARKER} ${json} -->\n`;
+}
+
+/**
+ * Read the coverage artifact embedded in a comment
+ *
+ * @param {string} body - Comment body
+ * @returns {Object|null} Coverage artifact, or null if the comment has none
+ */
+function extractCoverage(body) {
+  const match = String(body || '').match(new RegExp(`<!-- ${COVERAGE_MARKER} (\\{[\\s\\S]*?\\}) -->`));
+  if (!match) return null;
+
+  try {
+    const coverage = JSON.parse(match[1]);
+    return coverage.schemaVersion <= COVERAGE_SCHEMA_VERSION ? coverage : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Path of the coverage artifact for a spec issue
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @returns {string} Absolute path to coverage.json
+ */
+function getCoveragePath(projectRoot, issueNumber) {
+  return path.join(projectRoot, '.leo', 'specs', String(issueNumber), COVERAGE_FILE);
+}
+
+/**
+ * Read the coverage stored for a spec issue
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @returns {Promise<Object|null>} Coverage artifact, or null if none is stored
+ */
+async function loadCoverage(projectRoot, issueNumber) {
+  const coveragePath = getCoveragePath(projectRoot, issueNumber);
+  if (!await fs.pathExists(coveragePath)) return null;
+
+  try {
+    const coverage = await fs.readJson(coveragePath);
+    return coverage.schemaVersion <= COVERAGE_SCHEMA_VERSION ? coverage : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store the coverage for a spec issue
+ *
+ * @param {string} projectRoot - Project root
+ * @param {Object} coverage - Coverage artifact
+ * @returns {Promise<string>} Path written
+ */
+async function saveCoverage(projectRoot, coverage) {
+  const coveragePath = getCoveragePath(projectRoot, coverage.issueNumber);
+  await fs.outputJson(coveragePath, coverage, { spaces: 2 });
+  return coveragePath;
+}
+
+module.exports = {
+  COVERAGE_HEADING,
+  STATUS_ICONS,
+  readJestResults,
+  buildCoverage,
+  formatCoverageComment,
+  extractCoverage,
+  getCoveragePath,
+  loadCoverage,
+  saveCoverage
+};
@@ -1,12 +1,27 @@
-const { execSync } = require('child_process');
 const chalk = require('chalk');
+const { createTracker } = require('../tracker');
+const { SpecDocument, getSectionTitle } = require('../spec/document');
+const { listVersions, loadVersion, saveVersion, parseVersion, diffItems } = require('../spec/versions');
 
 /**
  * Spec Diff Manager
  * Tracks and displays spec evolution over time
+ *
+ * Versions come from the snapshots in .leo/specs/<issue> (see
+ * lib/spec/versions) when the spec has any, and from the tracker's edit
+ * timeline otherwise. List items are compared by ID (REQ-n, US-n, AC-n), so
+ * a reworded requirement shows as modified rather than removed and re-added.
  */
 class SpecDiffManager {
-  constructor() {}
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {string} options.projectRoot - Project root holding .leo/specs/<issue> (default: the local tracker root or cwd)
+   */
+  constructor(options = {}) {
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+  }
 
   /**
    * Show diff for a spec issue
@@ -17,8 +32,11 @@ class SpecDiffManager {
   async diff(issueNumber, options = {}) {
     console.log(chalk.cyan(`📊 Analyzing spec evolution for issue #${issueNumber}...\n`));
 
-    // Step 1: Fetch issue timeline (all edits)
-    const timeline = await this._fetchIssueTimeline(issueNumber);
+    // Step 1: Load snapshots, falling back to the issue timeline (all edits)
+    const snapshots = await listVersions(this.projectRoot, issueNumber);
+    const timeline = snapshots.length > 0
+      ? snapshots.map(snapshot => ({ ...snapshot, type: snapshot.version === 1 ? 'created' : 'edited' }))
+      : await this._fetchIssueTimeline(issueNumber);
 
     if (timeline.length === 0) {
       console.log(chalk.yellow('⚠️  No edits found for this spec'));
@@ -33,9 +51,12 @@ class SpecDiffManager {
       return { changes: [], timeline: versions };
     }
 
-    // Step 3: Apply version range filter if specified
+    // Step 3: Apply version range filter if specified (snapshots compare
+    // the two versions directly)
     let filteredVersions = versions;
-    if (options.from || options.to) {
+    if ((options.from || options.to) && snapshots.length > 0 && !options.timeline) {
+      filteredVersions = this._selectVersions(versions, options.from, options.to);
+    } else if (options.from || options.to) {
       filteredVersions = this._filterVersionRange(versions, options.from, options.to);
     }
 
@@ -55,62 +76,86 @@ class SpecDiffManager {
   }
 
   /**
-   * Fetch issue timeline from GitHub
+   * Restore an earlier snapshot to the issue
+   *
+   * The restored body is stored as a new version, so the rollback itself
+   * shows up in the history and can be undone. Edits made outside ux-ingka
+   * since the last snapshot are stored first, so they are not lost. The
+   * spec gets the `plan-stale` label, since its plan was made for another version.
+   *
+   * @param {number} issueNumber - GitHub issue number
+   * @param {object} options - Rollback options
+   * @param {string} options.to - Version to restore (e.g. v2)
+   * @returns {Promise<object>} Rollback result ({ restored, version })
+   */
+  async rollback(issueNumber, options = {}) {
+    if (!options.to) {
+      throw new Error('Please choose a version to restore, e.g. --to v2');
+    }
+
+    const target = await loadVersion(this.projectRoot, issueNumber, options.to);
+    const issue = await this.tracker.getIssue(issueNumber);
+    const author = await this.tracker.getAuthor();
+
+    await saveVersion(this.projectRoot, issueNumber, {
+      title: issue.title,
+      body: issue.body,
+      reason: 'edited outside ux-ingka',
+      author
+    });
+
+    if (issue.body === target.body && issue.title === target.title) {
+      console.log(chalk.yellow(`⚠️  Spec #${issueNumber} already matches v${target.version}`));
+      return { restored: false, version: target.version };
+    }
+
+    try {
+      const changes = { body: target.body };
+      if (target.title && target.title !== issue.title) {
+        changes.title = target.title;
+      }
+      await this.tracker.updateIssue(issueNumber, changes);
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to update issue:'), error.message);
+      throw error;
+    }
+
+    const saved = await saveVersion(this.projectRoot, issueNumber, {
+      title: target.title || issue.title,
+      body: target.body,
+      reason: `rollback to v${target.version}`,
+      author
+    });
+
+    console.log(chalk.green(`✅ Restored spec #${issueNumber} to v${target.version} (saved as v${saved.version})`));
+    await this._markPlanStale(issueNumber);
+    return { restored: true, version: saved.version, from: target.version };
+  }
+
+  /**
+   * Add the plan-stale label, as spec-extend does, since the plan no longer
+   * matches the restored spec
+   * @private
+   */
+  async _markPlanStale(issueNumber) {
+    try {
+      await this.tracker.addLabels(issueNumber, ['plan-stale']);
+      console.log(chalk.yellow('🏷️  Added label: plan-stale'));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not add label: ${error.message}`));
+    }
+  }
+
+  /**
+   * Fetch issue timeline from the tracker
    * @private
    */
   async _fetchIssueTimeline(issueNumber) {
     try {
-      // Fetch issue with body (original version)
-      const issueJson = execSync(
-        `gh issue view ${issueNumber} --json body,createdAt,author`,
-        { encoding: 'utf-8', cwd: process.cwd() }
-      );
-      const issue = JSON.parse(issueJson);
-
-      // Fetch all comments to find edit history
-      const commentsJson = execSync(
-        `gh api repos/:owner/:repo/issues/${issueNumber}/timeline --paginate`,
-        { encoding: 'utf-8', cwd: process.cwd() }
-      );
-      const timelineEvents = JSON.parse(commentsJson);
-
-      // Build timeline: original + edits
-      const timeline = [
-        {
-          version: 1,
-          timestamp: issue.createdAt,
-          author: issue.author.login,
-          body: issue.body,
-          type: 'created'
-        }
-      ];
-
-      // Add edit events
-      let versionCount = 2;
-      for (const event of timelineEvents) {
-        if (event.event === 'renamed') {
-          // Title changes
-          timeline.push({
-            version: versionCount++,
-            timestamp: event.created_at,
-            author: event.actor.login,
-            type: 'title_change',
-            from: event.rename.from,
-            to: event.rename.to
-          });
-        } else if (event.body !== undefined && event.updated_at) {
-          // Body edits
-          timeline.push({
-            version: versionCount++,
-            timestamp: event.updated_at,
-            author: event.user?.login || event.actor?.login || 'unknown',
-            body: event.body,
-            type: 'edited'
-          });
-        }
-      }
+      const entries = await this.tracker.getTimeline(issueNumber);
 
-      return timeline;
+      // Number versions in order: original + edits
+      return entries.map((entry, index) => ({ version: index + 1, ...entry }));
     } catch (error) {
       console.error(chalk.red('❌ Failed to fetch issue timeline:'), error.message);
       return [];
@@ -136,6 +181,8 @@ class SpecDiffManager {
         timestamp: entry.timestamp,
         author: entry.author,
         type: entry.type,
+        reason: entry.reason || null,
+        body: entry.body || '',
         sections
       });
     }
@@ -145,95 +192,39 @@ class SpecDiffManager {
 
   /**
    * Parse markdown sections from spec body
+   * (item texts for list sections, Markdown for text sections)
    * @private
    */
   _parseSections(body) {
-    const sections = {
-      context: '',
-      requirements: [],
-      userStories: [],
-      acceptanceCriteria: [],
-      technicalNotes: '',
-      constraints: '',
-      outOfScope: '',
-      successMetrics: ''
-    };
-
-    if (!body) return sections;
-
-    // Split by ## headers
-    const lines = body.split('\n');
-    let currentSection = null;
-    let currentContent = [];
-
-    for (const line of lines) {
-      if (line.startsWith('## ')) {
-        // Save previous section
-        if (currentSection) {
-          this._saveSection(sections, currentSection, currentContent.join('\n').trim());
-        }
-
-        // Start new section
-        const header = line.replace('## ', '').trim().toLowerCase();
-        currentSection = this._mapSectionName(header);
-        currentContent = [];
-      } else if (currentSection) {
-        currentContent.push(line);
-      }
-    }
-
-    // Save last section
-    if (currentSection) {
-      this._saveSection(sections, currentSection, currentContent.join('\n').trim());
-    }
-
-    return sections;
+    return SpecDocument.parse(body).toObject();
   }
 
   /**
-   * Map section header to internal name
+   * Filter versions by range
    * @private
    */
-  _mapSectionName(header) {
-    const mapping = {
-      'context': 'context',
-      'requirements': 'requirements',
-      'user stories': 'userStories',
-      'acceptance criteria': 'acceptanceCriteria',
-      'technical notes': 'technicalNotes',
-      'constraints': 'constraints',
-      'out of scope': 'outOfScope',
-      'success metrics': 'successMetrics'
-    };
-    return mapping[header] || header;
-  }
+  _filterVersionRange(versions, from, to) {
+    const fromVersion = from ? parseVersion(from) : 1;
+    const toVersion = to ? parseVersion(to) : versions[versions.length - 1].version;
 
-  /**
-   * Save section content
-   * @private
-   */
-  _saveSection(sections, sectionName, content) {
-    if (sectionName === 'requirements' || sectionName === 'userStories' || sectionName === 'acceptanceCriteria') {
-      // Parse list items
-      sections[sectionName] = content
-        .split('\n')
-        .filter(line => line.trim().startsWith('-') || line.trim().startsWith('•') || line.trim().startsWith('['))
-        .map(line => line.replace(/^[\s-•\[\]x ]+/, '').trim())
-        .filter(item => item.length > 0);
-    } else {
-      sections[sectionName] = content;
-    }
+    return versions.filter(v => v.version >= fromVersion && v.version <= toVersion);
   }
 
   /**
-   * Filter versions by range
+   * Pick two versions to compare directly (default: first and latest)
    * @private
    */
-  _filterVersionRange(versions, from, to) {
-    const fromVersion = from ? parseInt(from) : 1;
-    const toVersion = to ? parseInt(to) : versions[versions.length - 1].version;
+  _selectVersions(versions, from, to) {
+    const find = reference => {
+      const number = parseVersion(reference);
+      const version = versions.find(v => v.version === number);
+      if (!version) {
+        throw new Error(`Version v${number} not found (have v1-v${versions[versions.length - 1].version})`);
+      }
+      return version;
+    };
 
-    return versions.filter(v => v.version >= fromVersion && v.version <= toVersion);
+    return [from ? find(from) : versions[0], to ? find(to) : versions[versions.length - 1]];
   }
 
   /**
@@ -247,7 +238,7 @@ class SpecDiffManager {
       const prev = versions[i - 1];
       const curr = versions[i];
 
-      const sectionChanges = this._compareSections(prev.sections, curr.sections, options.section);
+      const sectionChanges = this._compareSections(prev.sections, curr.sections, options.section, diffItems(prev.body, curr.body));
 
       if (sectionChanges.length > 0) {
         changes.push({
@@ -255,6 +246,7 @@ class SpecDiffManager {
           toVersion: curr.version,
           timestamp: curr.timestamp,
           author: curr.author,
+          reason: curr.reason,
           changes: sectionChanges
         });
       }
@@ -265,9 +257,10 @@ class SpecDiffManager {
 
   /**
    * Compare two section objects
+   * (list sections by item ID when itemChanges from diffItems are given)
    * @private
    */
-  _compareSections(prevSections, currSections, filterSection = null) {
+  _compareSections(prevSections, currSections, filterSection = null, itemChanges = null) {
     const sectionChanges = [];
 
     // Check each section
@@ -285,7 +278,20 @@ class SpecDiffManager {
       const prevContent = prevSections[sectionName];
       const currContent = currSections[sectionName];
 
-      if (Array.isArray(prevContent) && Array.isArray(currContent)) {
+      if (itemChanges && (Array.isArray(prevContent) || Array.isArray(currContent))) {
+        // List comparison by item ID (requirements, user stories, acceptance criteria)
+        const change = itemChanges[sectionName];
+        if (change) {
+          const label = item => `${item.id}: ${item.text}`;
+          sectionChanges.push({
+            section: sectionName,
+            type: 'list',
+            added: change.added.map(label),
+            removed: change.removed.map(label),
+            modified: change.modified
+          });
+        }
+      } else if (Array.isArray(prevContent) && Array.isArray(currContent)) {
         // List comparison (requirements, user stories, acceptance criteria)
         const added = currContent.filter(item => !prevContent.includes(item));
         const removed = prevContent.filter(item => !currContent.includes(item));
@@ -335,6 +341,7 @@ class SpecDiffManager {
     // Count changes by type
     let totalAdded = 0;
     let totalRemoved = 0;
+    let totalModified = 0;
     let sectionsModified = new Set();
 
     for (const change of changes) {
@@ -343,6 +350,7 @@ class SpecDiffManager {
         if (sectionChange.type === 'list') {
           totalAdded += sectionChange.added.length;
           totalRemoved += sectionChange.removed.length;
+          totalModified += (sectionChange.modified || []).length;
         } else if (sectionChange.type === 'text') {
           if (sectionChange.to && !sectionChange.from) totalAdded++;
           if (sectionChange.from && !sectionChange.to) totalRemoved++;
@@ -352,6 +360,7 @@ class SpecDiffManager {
 
     console.log(chalk.green(`  Items added: ${totalAdded}`));
     console.log(chalk.red(`  Items removed: ${totalRemoved}`));
+    console.log(chalk.yellow(`  Items modified: ${totalModified}`));
     console.log(chalk.yellow(`  Sections modified: ${sectionsModified.size}`));
     console.log('');
 
@@ -394,6 +403,9 @@ class SpecDiffManager {
 
       console.log(chalk.bold(`${emoji} Version ${version.version}`));
       console.log(chalk.gray(`   ${date} by @${version.author}`));
+      if (version.reason) {
+        console.log(chalk.gray(`   ${version.reason}`));
+      }
 
       // Show section summary
       const sectionCount = Object.values(version.sections).filter(s =>
@@ -413,8 +425,9 @@ class SpecDiffManager {
       return;
     }
 
+    const label = version => `v${String(version).replace(/^v/i, '')}`;
     const versionRange = options.from || options.to
-      ? ` (v${options.from || versions[0].version} → v${options.to || versions[versions.length - 1].version})`
+      ? ` (${label(options.from || versions[0].version)} → ${label(options.to || versions[versions.length - 1].version)})`
       : '';
 
     console.log(chalk.bold.cyan(`📝 Spec Changes${versionRange} (${changes.length} edit${changes.length > 1 ? 's' : ''})\n`));
@@ -422,7 +435,7 @@ class SpecDiffManager {
     for (const change of changes) {
       const date = new Date(change.timestamp).toLocaleString();
       console.log(chalk.bold.yellow(`\n━━━ Version ${change.fromVersion} → ${change.toVersion} ━━━`));
-      console.log(chalk.gray(`${date} by @${change.author}\n`));
+      console.log(chalk.gray(`${date} by @${change.author}${change.reason ? ` - ${change.reason}` : ''}\n`));
 
       for (const sectionChange of change.changes) {
         const sectionTitle = this._formatSectionTitle(sectionChange.section);
@@ -440,6 +453,13 @@ class SpecDiffManager {
               console.log(chalk.red(`    - ${item}`));
             }
           }
+          for (const { id, from, to } of sectionChange.modified || []) {
+            if (from.text !== to.text) {
+              console.log(chalk.yellow(`    ~ ${id}: ${from.text} → ${to.text}`));
+            } else {
+              console.log(chalk.yellow(`    ~ ${id}: ${to.checked ? 'checked' : 'unchecked'}`));
+            }
+          }
         } else {
           // Show text changes
           if (sectionChange.from) {
@@ -459,17 +479,7 @@ class SpecDiffManager {
    * @private
    */
   _formatSectionTitle(sectionName) {
-    const titles = {
-      context: 'Context',
-      requirements: 'Requirements',
-      userStories: 'User Stories',
-      acceptanceCriteria: 'Acceptance Criteria',
-      technicalNotes: 'Technical Notes',
-      constraints: 'Constraints',
-      outOfScope: 'Out of Scope',
-      successMetrics: 'Success Metrics'
-    };
-    return titles[sectionName] || sectionName;
+    return getSectionTitle(sectionName);
   }
 
   /**
@@ -0,0 +1,218 @@
+/**
+ * Spec Export - DOCX
+ *
+ * Writes the export model (see ./model) as a Word document: a minimal
+ * WordprocessingML package (document, styles, core properties) zipped with
+ * ./zip. Headings use the built-in Heading 1-3 styles so Word's navigation
+ * pane works, and carry bookmarks that the table of contents links to.
+ *
+ * @module lib/spec-export/docx
+ */
+
+const { parseInline } = require('./model');
+const { escapeXml } = require('./html');
+const { createZip } = require('./zip');
+
+const NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${RELATIONSHIPS}/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${NAMESPACE}">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="21"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:b/><w:sz w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:rPr><w:i/><w:color w:val="59636E"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:pageBreakBefore/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="40"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="23"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="TOCHeading"><w:name w:val="TOC Heading"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:before="360" w:after="120"/></w:pPr><w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F6F8FA"/><w:spacing w:after="120" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="17"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>
+<w:top w:val="single" w:sz="4" w:space="0" w:color="D1D9E0"/><w:left w:val="single" w:sz="4" w:space="0" w:color="D1D9E0"/>
+<w:bottom w:val="single" w:sz="4" w:space="0" w:color="D1D9E0"/><w:right w:val="single" w:sz="4" w:space="0" w:color="D1D9E0"/>
+<w:insideH w:val="single" w:sz="4" w:space="0" w:color="D1D9E0"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="D1D9E0"/>
+</w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 does not allow
+ */
+function xmlText(text) {
+  return escapeXml(String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+}
+
+/**
+ * A run of text
+ */
+function run(text, props = {}) {
+  const rPr = [
+    props.style ? `<w:rStyle w:val="${props.style}"/>` : '',
+    props.code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>' : '',
+    props.bold ? '<w:b/>' : '',
+    props.italic ? '<w:i/>' : ''
+  ].join('');
+
+  return `<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}<w:t xml:space="preserve">${xmlText(text)}</w:t></w:r>`;
+}
+
+/**
+ * Runs for inline Markdown (links become external text, styled as links)
+ */
+function inlineRuns(text, props = {}) {
+  return parseInline(text)
+    .map(part => run(part.text, { ...props, bold: props.bold || part.bold, italic: part.italic, code: part.code, style: part.href ? 'Hyperlink' : null }))
+    .join('');
+}
+
+/**
+ * A paragraph
+ */
+function paragraph(content, props = {}) {
+  const pPr = [
+    props.style ? `<w:pStyle w:val="${props.style}"/>` : '',
+    props.indent ? `<w:ind w:left="${props.indent}" w:hanging="${props.hanging || 0}"/>` : '',
+    props.spacingAfter !== undefined ? `<w:spacing w:after="${props.spacingAfter}"/>` : ''
+  ].join('');
+
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+/**
+ * Bookmark name for an anchor (letters, digits and underscores, max 40)
+ */
+function bookmarkName(anchor) {
+  return `_${anchor.replace(/[^A-Za-z0-9]/g, '_')}`.slice(0, 40);
+}
+
+/**
+ * Render a table with a bold, shaded header row
+ */
+function table(block) {
+  const columns = Math.max(block.header.length, ...block.rows.map(row => row.length));
+  const width = Math.floor(9000 / columns);
+  const cell = (text, header) => {
+    const shading = header ? '<w:shd w:val="clear" w:color="auto" w:fill="F6F8FA"/>' : '';
+    return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>${paragraph(inlineRuns(text || '', { bold: header }), { spacingAfter: 0 })}</w:tc>`;
+  };
+  const row = (cells, header) => `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${Array.from({ length: columns }, (_, i) => cell(cells[i], header)).join('')}</w:tr>`;
+
+  const grid = Array.from({ length: columns }, () => `<w:gridCol w:w="${width}"/>`).join('');
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>` +
+    `${row(block.header, true)}${block.rows.map(cells => row(cells, false)).join('')}</w:tbl>${paragraph('')}`;
+}
+
+/**
+ * Render the document body
+ */
+function body(doc) {
+  const parts = [];
+  let bookmarkId = 0;
+
+  parts.push(paragraph(run(doc.title), { style: 'Title' }));
+  const meta = [`Issue #${doc.issueNumber}`, doc.state && doc.state.toLowerCase(), doc.labels.join(', '), `exported ${doc.exportedAt.slice(0, 10)}`];
+  parts.push(paragraph(run(meta.filter(Boolean).join(' · ')), { style: 'Subtitle' }));
+  if (doc.url) parts.push(paragraph(run(doc.url, { style: 'Hyperlink' }), { style: 'Subtitle' }));
+
+  parts.push(paragraph(run('Contents'), { style: 'TOCHeading' }));
+  doc.toc.forEach(entry => {
+    const link = `<w:hyperlink w:anchor="${bookmarkName(entry.anchor)}" w:history="1">${run(entry.text, { style: 'Hyperlink', bold: entry.level === 1 })}</w:hyperlink>`;
+    parts.push(paragraph(link, { indent: (entry.level - 1) * 360, spacingAfter: 40 }));
+  });
+
+  doc.blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading': {
+        const id = bookmarkId++;
+        const bookmark = `<w:bookmarkStart w:id="${id}" w:name="${bookmarkName(block.anchor)}"/>${inlineRuns(block.text)}<w:bookmarkEnd w:id="${id}"/>`;
+        parts.push(paragraph(bookmark, { style: `Heading${block.level}` }));
+        break;
+      }
+      case 'paragraph':
+        parts.push(paragraph(inlineRuns(block.text)));
+        break;
+      case 'list':
+        block.items.forEach((item, index) => {
+          let marker = block.ordered ? `${index + 1}.` : '•';
+          if (item.checked !== null) marker = item.checked ? '☒' : '☐';
+          const id = item.id ? run(`${item.id}  `, { bold: true }) : '';
+          parts.push(paragraph(`${run(`${marker}\t`)}${id}${inlineRuns(item.text)}`, {
+            indent: 360 + item.level * 360,
+            hanging: 280,
+            spacingAfter: 60
+          }));
+        });
+        break;
+      case 'code': {
+        const lines = block.text.split('\n').map(line => `<w:r><w:t xml:space="preserve">${xmlText(line)}</w:t></w:r>`);
+        parts.push(paragraph(lines.join('<w:r><w:br/></w:r>'), { style: 'Code' }));
+        break;
+      }
+      case 'table':
+        parts.push(table(block));
+        break;
+      default:
+        break;
+    }
+  });
+
+  return parts.join('\n');
+}
+
+/**
+ * Render the export document as a DOCX file
+ *
+ * @param {Object} doc - Export document (see buildExportDocument)
+ * @returns {Buffer} DOCX (ZIP) file
+ */
+function renderDocx(doc) {
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${NAMESPACE}" xmlns:r="${RELATIONSHIPS}">
+<w:body>
+${body(doc)}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+
+  const documentRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${RELATIONSHIPS}/styles" Target="styles.xml"/>
+</Relationships>`;
+
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${xmlText(doc.title)}</dc:title>
+<dc:subject>${xmlText(`Spec #${doc.issueNumber}`)}</dc:subject>
+<dc:creator>ux-ingka</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${doc.exportedAt.replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: PACKAGE_RELS },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/_rels/document.xml.rels', data: documentRels },
+    { name: 'word/styles.xml', data: STYLES },
+    { name: 'docProps/core.xml', data: core }
+  ], new Date(doc.exportedAt));
+}
+
+module.exports = {
+  renderDocx
+};
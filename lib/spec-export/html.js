@@ -0,0 +1,236 @@
+/**
+ * Spec Export - HTML and Confluence storage format
+ *
+ * Both writers render the export model (see ./model) as markup. HTML is a
+ * standalone page with inline styles and a linked table of contents;
+ * Confluence storage format is the XHTML body the Confluence REST API and
+ * "Insert markup" accept, using its toc, anchor, code and task-list macros.
+ * Requirement IDs become link targets (`#REQ-1`) in both.
+ *
+ * @module lib/spec-export/html
+ */
+
+const { parseInline } = require('./model');
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.5; }
+  h1.title { font-size: 2rem; margin-bottom: 0.25rem; }
+  .meta { color: #59636e; margin-top: 0; }
+  nav.toc { background: #f6f8fa; border: 1px solid #d1d9e0; border-radius: 6px; padding: 0.5rem 1.5rem; margin: 1.5rem 0; }
+  nav.toc ol { padding-left: 1.25rem; }
+  h2 { border-bottom: 1px solid #d1d9e0; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+  .req-id { font-weight: 600; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.9em; background: #ddf4ff; border-radius: 4px; padding: 0 0.3em; }
+  ul.checklist { list-style: none; padding-left: 1.25rem; }
+  ul.checklist li::before { content: "\\2610"; margin-right: 0.4em; }
+  ul.checklist li.done::before { content: "\\2611"; }
+  pre { background: #f6f8fa; padding: 0.75rem; border-radius: 6px; overflow-x: auto; }
+  code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.9em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #d1d9e0; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+`;
+
+/**
+ * Escape text for HTML/XML
+ *
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render inline Markdown as HTML
+ */
+function inline(text) {
+  return parseInline(text).map(run => {
+    let html = escapeXml(run.text);
+    if (run.code) html = `<code>${html}</code>`;
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    if (run.href) html = `<a href="${escapeXml(run.href)}">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+/**
+ * Render a list as nested <ul>/<ol> (items at level 1 nest under the previous item)
+ *
+ * @param {Object} block - List block
+ * @param {Function} renderItem - Item → <li> markup
+ * @param {string} openTag - Opening tag for unordered lists (e.g. `ul class="checklist"`)
+ */
+function renderList(block, renderItem, openTag = 'ul') {
+  const open = block.ordered ? 'ol' : openTag;
+  const close = open.split(' ')[0];
+  let html = `<${open}>`;
+  let nested = false;
+
+  block.items.forEach((item, index) => {
+    if (item.level > 0 && index > 0 && !nested) {
+      html = html.replace(/<\/li>$/, '');
+      html += `<${open}>`;
+      nested = true;
+    } else if (item.level === 0 && nested) {
+      html += `</${close}></li>`;
+      nested = false;
+    }
+    html += renderItem(item);
+  });
+
+  if (nested) html += `</${close}></li>`;
+  return `${html}</${close}>`;
+}
+
+/**
+ * Render a table with inline Markdown cells
+ */
+function renderTable(block) {
+  const header = block.header.map(cell => `<th>${inline(cell)}</th>`).join('');
+  const rows = block.rows.map(row => `<tr>${row.map(cell => `<td>${inline(cell)}</td>`).join('')}</tr>`).join('');
+  return `<table><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Title line details (issue, state, labels, export date)
+ */
+function metaLine(doc) {
+  const parts = [`Issue #${doc.issueNumber}`];
+  if (doc.state) parts.push(doc.state.toLowerCase());
+  if (doc.labels.length > 0) parts.push(doc.labels.join(', '));
+  parts.push(`exported ${doc.exportedAt.slice(0, 10)}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Render the export document as a standalone HTML page
+ *
+ * @param {Object} doc - Export document (see buildExportDocument)
+ * @returns {string} HTML
+ */
+function renderHtml(doc) {
+  const toc = [];
+  let open = false;
+  doc.toc.forEach(entry => {
+    const link = `<a href="#${entry.anchor}">${escapeXml(entry.text)}</a>`;
+    if (entry.level === 1) {
+      if (open) toc.push('</ol></li>');
+      toc.push(`<li>${link}<ol>`);
+      open = true;
+    } else {
+      toc.push(`<li>${link}</li>`);
+    }
+  });
+  if (open) toc.push('</ol></li>');
+
+  const item = entry => {
+    const id = entry.id ? `<span class="req-id" id="${escapeXml(entry.id)}">${escapeXml(entry.id)}</span> ` : '';
+    const done = entry.checked ? ' class="done"' : '';
+    return `<li${done}>${id}${inline(entry.text)}</li>`;
+  };
+
+  const body = doc.blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level + 1} id="${block.anchor}">${inline(block.text)}</h${block.level + 1}>`;
+      case 'paragraph':
+        return `<p>${inline(block.text)}</p>`;
+      case 'list':
+        return renderList(block, item, block.items.some(i => i.checked !== null) ? 'ul class="checklist"' : 'ul');
+      case 'code':
+        return `<pre><code>${escapeXml(block.text)}</code></pre>`;
+      case 'table':
+        return renderTable(block);
+      default:
+        return '';
+    }
+  });
+
+  const link = doc.url ? ` · <a href="${escapeXml(doc.url)}">${escapeXml(doc.url)}</a>` : '';
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeXml(`#${doc.issueNumber} ${doc.title}`)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1 class="title">${escapeXml(doc.title)}</h1>`,
+    `<p class="meta">${escapeXml(metaLine(doc))}${link}</p>`,
+    `<nav class="toc"><h2>Contents</h2><ol>${toc.join('')}</ol></nav>`,
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Confluence macro markup
+ */
+function macro(name, parameters = {}, body = '') {
+  const params = Object.entries(parameters)
+    .map(([key, value]) => `<ac:parameter ac:name="${key}">${escapeXml(value)}</ac:parameter>`)
+    .join('');
+  return `<ac:structured-macro ac:name="${name}">${params}${body}</ac:structured-macro>`;
+}
+
+/**
+ * Render the export document in Confluence storage format
+ *
+ * The page title is the spec title, so chapters start at <h1>.
+ *
+ * @param {Object} doc - Export document (see buildExportDocument)
+ * @returns {string} Storage format XHTML
+ */
+function renderConfluence(doc) {
+  let taskId = 0;
+
+  const anchor = entry => (entry.id ? `${macro('anchor', { '': entry.id })}<strong>${escapeXml(entry.id)}</strong> ` : '');
+  const body = doc.blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${macro('anchor', { '': block.anchor })}${inline(block.text)}</h${block.level}>`;
+      case 'paragraph':
+        return `<p>${inline(block.text)}</p>`;
+      case 'list':
+        if (block.items.some(i => i.checked !== null)) {
+          const tasks = block.items.map(entry => {
+            taskId++;
+            const status = entry.checked ? 'complete' : 'incomplete';
+            return `<ac:task><ac:task-id>${taskId}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body>${anchor(entry)}${inline(entry.text)}</ac:task-body></ac:task>`;
+          });
+          return `<ac:task-list>${tasks.join('')}</ac:task-list>`;
+        }
+        return renderList(block, entry => `<li>${anchor(entry)}${inline(entry.text)}</li>`);
+      case 'code':
+        return macro('code', {}, `<ac:plain-text-body><![CDATA[${block.text.replace(/]]>/g, ']]]]><![CDATA[>')}]]></ac:plain-text-body>`);
+      case 'table':
+        return renderTable(block).replace('<thead>', '<tbody>').replace('</thead><tbody>', '');
+      default:
+        return '';
+    }
+  });
+
+  const link = doc.url ? ` · <a href="${escapeXml(doc.url)}">${escapeXml(doc.url)}</a>` : '';
+
+  return [
+    `<p><em>${escapeXml(metaLine(doc))}</em>${link}</p>`,
+    macro('toc', { maxLevel: '2' }),
+    ...body,
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  escapeXml,
+  renderHtml,
+  renderConfluence
+};
@@ -0,0 +1,82 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { createTracker } = require('../tracker');
+const ClarificationManager = require('../clarify');
+const { buildExportDocument } = require('./model');
+const { renderHtml, renderConfluence } = require('./html');
+const { renderPdf } = require('./pdf');
+const { renderDocx } = require('./docx');
+
+const FORMATS = {
+  html: { extension: 'html', render: renderHtml },
+  pdf: { extension: 'pdf', render: renderPdf },
+  confluence: { extension: 'xml', render: renderConfluence },
+  docx: { extension: 'docx', render: renderDocx }
+};
+
+/**
+ * Spec Export Manager
+ * Renders a spec, its latest plan, the task checklist and the clarification
+ * Q&A into one shareable document (HTML, PDF, Confluence or DOCX). All
+ * formats are written locally - nothing is sent to an external service.
+ */
+class SpecExportManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {string} options.projectRoot - Project root (default: cwd)
+   */
+  constructor(options = {}) {
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+  }
+
+  /**
+   * Export a spec issue
+   * @param {number} issueNumber - Spec issue number
+   * @param {object} options - Export options
+   * @param {string} options.format - html, pdf, confluence or docx (default: html)
+   * @param {string} options.output - Output file (default: spec-<issue>.<ext> in the project root)
+   * @returns {Promise<object>} Export result ({ format, output, document })
+   */
+  async export(issueNumber, options = {}) {
+    const format = String(options.format || 'html').toLowerCase();
+    const writer = FORMATS[format];
+    if (!writer) {
+      throw new Error(`Unknown export format "${format}" - use ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    console.log(chalk.cyan(`📤 Exporting spec #${issueNumber} as ${format}...\n`));
+
+    try {
+      // Step 1: Load spec, plan/task comments and clarification answers
+      const issue = await this.tracker.getIssue(issueNumber);
+      const comments = await this.tracker.listComments(issueNumber);
+      const questions = new ClarificationManager({ tracker: this.tracker, projectRoot: this.projectRoot }).getAnswers(comments);
+
+      // Step 2: Build the document and render it
+      const document = buildExportDocument({ issue, comments, questions });
+      const content = writer.render(document);
+
+      // Step 3: Write the file
+      const output = path.resolve(this.projectRoot, options.output || `spec-${issue.number}.${writer.extension}`);
+      await fs.outputFile(output, content);
+
+      const chapters = document.toc.filter(entry => entry.level === 1).length;
+      const requirements = document.blocks
+        .filter(block => block.type === 'list')
+        .reduce((count, block) => count + block.items.filter(item => item.id).length, 0);
+
+      console.log(chalk.green(`✅ Spec #${issue.number} exported to ${path.relative(process.cwd(), output) || output}`));
+      console.log(chalk.gray(`   ${chapters} chapters · ${document.toc.length} contents entries · ${requirements} requirement IDs`));
+
+      return { format, output, document };
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Failed to export spec: ${error.message}`));
+      throw error;
+    }
+  }
+}
+
+module.exports = SpecExportManager;
@@ -0,0 +1,361 @@
+/**
+ * Spec Export Model
+ *
+ * Turns a spec issue and its comments into a format-neutral document that
+ * the HTML, Confluence, PDF and DOCX writers render. The document is a flat
+ * list of blocks:
+ *
+ *   { type: 'heading', level: 1-3, text, anchor }
+ *   { type: 'paragraph', text }
+ *   { type: 'list', ordered, items: [{ text, id, checked, level }] }
+ *   { type: 'code', text }
+ *   { type: 'table', header: [cells], rows: [[cells]] }
+ *
+ * Text is inline Markdown (`**bold**`, `_italic_`, `code`, [links](url));
+ * writers split it into runs with parseInline. Only http(s), mailto,
+ * relative and `#` link targets survive as links, since exports are shared
+ * outside the tracker; anything else (javascript:, data:) is kept as text.
+ * Level 1 headings are the
+ * chapters (Specification, Implementation Plan, Tasks, Clarifications) and,
+ * with level 2, make up the table of contents.
+ *
+ * @module lib/spec-export/model
+ */
+
+const { SpecDocument } = require('../spec/document');
+
+const PLAN_MARKER = '# 📐 Implementation Plan';
+const TASKS_MARKER = '## ✅ Implementation Tasks';
+
+const ITEM_REGEX = /^(\s*)([-*+•]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const ITEM_ID_REGEX = /^(?:\*\*)?([A-Z]+-\d+)(?:\*\*)?:\s*/;
+const TABLE_SEPARATOR_REGEX = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const SAFE_SCHEME_REGEX = /^(https?|mailto):/i;
+const INLINE_REGEX = /(\*\*[^*]+\*\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\)|(?<![\w*])\*[^*\s][^*]*\*(?![\w*])|(?<!\w)_[^_\s][^_]*_(?!\w))/;
+
+/**
+ * Check whether a link target may be emitted as a link
+ *
+ * @param {string} href - Link target
+ * @returns {boolean} True for http(s) and mailto URLs, relative paths and #anchors
+ */
+function isSafeHref(href) {
+  const value = String(href || '').trim();
+  if (!value) return false;
+
+  const scheme = value.match(/^([^/?#]*):/);
+  return !scheme || SAFE_SCHEME_REGEX.test(value);
+}
+
+/**
+ * Split inline Markdown into styled runs
+ *
+ * @param {string} text - Inline Markdown
+ * @returns {Object[]} Runs ({ text, bold, italic, code, href })
+ */
+function parseInline(text) {
+  const runs = [];
+  let rest = String(text || '');
+
+  while (rest) {
+    const match = rest.match(INLINE_REGEX);
+    if (!match) {
+      runs.push({ text: rest });
+      break;
+    }
+
+    if (match.index > 0) runs.push({ text: rest.slice(0, match.index) });
+
+    const token = match[0];
+    if (token.startsWith('**')) {
+      runs.push(...parseInline(token.slice(2, -2)).map(run => ({ ...run, bold: true })));
+    } else if (token.startsWith('`')) {
+      runs.push({ text: token.slice(1, -1), code: true });
+    } else if (token.startsWith('[')) {
+      const link = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      runs.push(isSafeHref(link[2]) ? { text: link[1], href: link[2] } : { text: link[1] });
+    } else {
+      runs.push(...parseInline(token.slice(1, -1)).map(run => ({ ...run, italic: true })));
+    }
+
+    rest = rest.slice(match.index + token.length);
+  }
+
+  return runs;
+}
+
+/**
+ * Plain text of inline Markdown
+ *
+ * @param {string} text - Inline Markdown
+ * @returns {string} Text without markup
+ */
+function plainText(text) {
+  return parseInline(text).map(run => run.text).join('');
+}
+
+/**
+ * Anchor for a heading, unique within the document
+ */
+function makeAnchor(text, used) {
+  const base = plainText(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'section';
+
+  let anchor = base;
+  for (let n = 2; used.has(anchor); n++) {
+    anchor = `${base}-${n}`;
+  }
+  used.add(anchor);
+  return anchor;
+}
+
+/**
+ * Split a table row into cells
+ */
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Parse block Markdown (comment bodies, text sections)
+ *
+ * @param {string} markdown - Markdown
+ * @param {Object} options - Parse options
+ * @param {number} options.minLevel - Level for `#`/`##` headings (deeper ones follow, up to 3)
+ * @returns {Object[]} Blocks (headings without anchors)
+ */
+function parseMarkdown(markdown, options = {}) {
+  const { minLevel = 2 } = options;
+  const lines = String(markdown || '').replace(/<!--[\s\S]*?-->/g, '').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^\s*```/.test(line)) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: Math.min(3, minLevel + Math.max(0, heading[1].length - 2)), text: heading[2] });
+      continue;
+    }
+
+    if (line.trim().startsWith('|') && i + 1 < lines.length && TABLE_SEPARATOR_REGEX.test(lines[i + 1].trim())) {
+      flush();
+      const table = { type: 'table', header: splitRow(line), rows: [] };
+      for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+        table.rows.push(splitRow(lines[i]));
+      }
+      i--;
+      blocks.push(table);
+      continue;
+    }
+
+    const item = line.match(ITEM_REGEX);
+    if (item) {
+      if (paragraph.length > 0) flush();
+      const ordered = /\d/.test(item[2]);
+      if (!list || (list.ordered !== ordered && item[1].length === 0)) {
+        list = { type: 'list', ordered, items: [] };
+        blocks.push(list);
+      }
+
+      const idMatch = item[4].match(ITEM_ID_REGEX);
+      list.items.push({
+        text: idMatch ? item[4].slice(idMatch[0].length) : item[4],
+        id: idMatch ? idMatch[1] : null,
+        checked: item[3] === undefined ? null : item[3] !== ' ',
+        level: item[1].length >= 2 ? 1 : 0
+      });
+      continue;
+    }
+
+    if (!line.trim() || /^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      flush();
+      continue;
+    }
+
+    // Indented lines continue the previous list item
+    if (list && /^\s+/.test(line)) {
+      const last = list.items[list.items.length - 1];
+      last.text = `${last.text} — ${line.trim()}`;
+      continue;
+    }
+
+    list = null;
+    paragraph.push(line.trim());
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Latest comment containing a marker
+ */
+function findLatestComment(comments, marker) {
+  return [...comments].reverse().find(comment => comment.body && comment.body.includes(marker)) || null;
+}
+
+/**
+ * Blocks for the spec sections, with requirement IDs on list items
+ */
+function specBlocks(body) {
+  const document = SpecDocument.parse(body);
+  const blocks = [];
+
+  if (document.preamble && document.preamble.trim()) {
+    blocks.push(...parseMarkdown(document.preamble, { minLevel: 3 }));
+  }
+
+  document.sections.forEach(section => {
+    blocks.push({ type: 'heading', level: 2, text: section.title });
+
+    if (section.type === 'list') {
+      const items = section.items.map(item => ({
+        text: [item.text, ...item.details.map(line => line.trim()).filter(Boolean)].join(' — '),
+        id: item.id,
+        checked: item.checked,
+        level: 0
+      }));
+      if (items.length > 0) blocks.push({ type: 'list', ordered: false, items });
+    } else {
+      blocks.push(...parseMarkdown(section.content, { minLevel: 3 }));
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Blocks for the plan comment, without its title and closing boilerplate
+ */
+function planBlocks(body) {
+  const content = body
+    .split('\n')
+    .filter(line => !line.startsWith(PLAN_MARKER) && !/^\*\*Issue:\*\* #\d+/.test(line))
+    .join('\n')
+    .split(/^## Next Steps\s*$/m)[0];
+
+  return parseMarkdown(content, { minLevel: 2 });
+}
+
+/**
+ * Blocks for the task checklist comment, without the execution guide
+ */
+function taskBlocks(body) {
+  const content = body
+    .split('\n')
+    .filter(line => !line.startsWith(TASKS_MARKER) && !/^\*\*Generated from plan for issue #\d+\*\*/.test(line))
+    .join('\n')
+    .split(/^\*\*Task Execution Guide:\*\*/m)[0];
+
+  return parseMarkdown(content, { minLevel: 2 });
+}
+
+/**
+ * Table of questions and answers
+ */
+function clarificationBlocks(questions) {
+  const priority = { high: 'High', medium: 'Medium', low: 'Low' };
+
+  return [{
+    type: 'table',
+    header: ['ID', 'Priority', 'Question', 'Answer'],
+    rows: questions.map(q => [
+      `**${q.id}**`,
+      priority[q.priority] || q.priority || '',
+      q.question,
+      q.answer ? q.answer.replace(/\n/g, ' ') : '_Open_'
+    ])
+  }];
+}
+
+/**
+ * Build the export document for a spec issue
+ *
+ * @param {Object} input - Spec issue and related content
+ * @param {Object} input.issue - Spec issue ({ number, title, body, state, url, labels })
+ * @param {Object[]} input.comments - Issue comments
+ * @param {Object[]} input.questions - Clarification questions with answers (see ClarificationManager.getAnswers)
+ * @param {Date} input.exportedAt - Export time (default: now)
+ * @returns {Object} Document ({ title, issueNumber, url, state, labels, exportedAt, blocks, toc })
+ */
+function buildExportDocument({ issue, comments = [], questions = [], exportedAt = new Date() }) {
+  const planComment = findLatestComment(comments, PLAN_MARKER);
+  const tasksComment = findLatestComment(comments, TASKS_MARKER);
+
+  const chapters = [
+    { title: 'Specification', blocks: specBlocks(issue.body) },
+    {
+      title: 'Implementation Plan',
+      blocks: planComment
+        ? planBlocks(planComment.body)
+        : [{ type: 'paragraph', text: `_No plan yet - run \`ux-ingka plan ${issue.number}\`._` }]
+    },
+    {
+      title: 'Tasks',
+      blocks: tasksComment
+        ? taskBlocks(tasksComment.body)
+        : [{ type: 'paragraph', text: `_No task list yet - run \`ux-ingka tasks ${issue.number}\`._` }]
+    },
+    {
+      title: 'Clarifications',
+      blocks: questions.length > 0
+        ? clarificationBlocks(questions)
+        : [{ type: 'paragraph', text: '_No clarification questions._' }]
+    }
+  ];
+
+  const used = new Set();
+  const blocks = [];
+  chapters.forEach(chapter => {
+    blocks.push({ type: 'heading', level: 1, text: chapter.title });
+    blocks.push(...chapter.blocks);
+  });
+  blocks.filter(block => block.type === 'heading').forEach(block => {
+    block.anchor = makeAnchor(block.text, used);
+  });
+
+  return {
+    title: issue.title,
+    issueNumber: issue.number,
+    url: isSafeHref(issue.url) ? issue.url : null,
+    state: issue.state || null,
+    labels: (issue.labels || []).map(label => label.name || label),
+    exportedAt: exportedAt.toISOString(),
+    blocks,
+    toc: blocks
+      .filter(block => block.type === 'heading' && block.level <= 2)
+      .map(block => ({ level: block.level, text: plainText(block.text), anchor: block.anchor }))
+  };
+}
+
+module.exports = {
+  isSafeHref,
+  parseInline,
+  plainText,
+  parseMarkdown,
+  buildExportDocument
+};
@@ -0,0 +1,502 @@
+/**
+ * Spec Export - PDF
+ *
+ * Writes the export model (see ./model) as a PDF without any external
+ * service or native dependency. Text is set in the PDF standard fonts
+ * (Helvetica, Helvetica-Bold, Helvetica-Oblique, Courier) with their
+ * metrics for line wrapping, so nothing is embedded. Characters outside
+ * WinAnsi (emoji, most symbols) are replaced or dropped.
+ *
+ * The first page holds the title and a table of contents whose entries
+ * link to their pages. Body pages are laid out first so the contents can
+ * show page numbers.
+ *
+ * @module lib/spec-export/pdf
+ */
+
+const { parseInline, plainText } = require('./model');
+
+const PAGE = { width: 595.28, height: 841.89, margin: 56 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const BOTTOM = PAGE.margin + 20;
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' },
+  italic: { key: 'F3', name: 'Helvetica-Oblique' },
+  code: { key: 'F4', name: 'Courier' }
+};
+
+// Advance widths (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Unicode characters with a WinAnsi code point of their own
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+const REPLACEMENTS = { '→': '->', '←': '<-', '⇒': '=>', '≥': '>=', '≤': '<=', '✓': 'x', '✔': 'x', '✗': 'x', '☐': '[ ]', '☑': '[x]' };
+
+const STYLES = {
+  title: { font: 'bold', size: 20, leading: 26 },
+  1: { font: 'bold', size: 16, leading: 22, before: 16, after: 6 },
+  2: { font: 'bold', size: 13, leading: 18, before: 12, after: 4 },
+  3: { font: 'bold', size: 11, leading: 15, before: 8, after: 2 },
+  body: { size: 10, leading: 14 },
+  code: { size: 8.5, leading: 11 },
+  table: { size: 9, leading: 12 }
+};
+
+/**
+ * Map text to WinAnsi (one char per byte)
+ *
+ * @param {string} text - Unicode text
+ * @returns {string} WinAnsi text
+ */
+function toWinAnsi(text) {
+  return Array.from(String(text)).map(char => {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    if (REPLACEMENTS[char]) return REPLACEMENTS[char];
+    if (code === 9) return '    ';
+    if ((code >= 32 && code < 127) || (code >= 160 && code < 256)) return char;
+    return '';
+  }).join('');
+}
+
+/**
+ * Width of WinAnsi text in points
+ */
+function textWidth(text, font, size) {
+  if (font === 'code') return text.length * 600 * size / 1000;
+
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return units * size / 1000;
+}
+
+/**
+ * Escape a PDF string literal
+ */
+function pdfString(text) {
+  return `(${text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')})`;
+}
+
+/**
+ * Format a number for content streams
+ */
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Font for a run
+ */
+function runFont(run, base) {
+  if (run.code) return 'code';
+  if (run.bold || base === 'bold') return 'bold';
+  if (run.italic) return 'italic';
+  return base || 'regular';
+}
+
+/**
+ * Break styled runs into lines no wider than width
+ *
+ * @param {Object[]} runs - Runs from parseInline
+ * @param {number} width - Line width in points
+ * @param {number} size - Font size
+ * @param {string} baseFont - Font for plain runs
+ * @returns {Array<Array<Object>>} Lines of segments ({ text, font, width })
+ */
+function wrapRuns(runs, width, size, baseFont = 'regular') {
+  const words = [];
+  runs.forEach(run => {
+    const font = runFont(run, baseFont);
+    toWinAnsi(run.text).split(/( +)/).filter(Boolean).forEach(piece => {
+      words.push({ text: piece, font, space: /^ +$/.test(piece) });
+    });
+  });
+
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+
+  const pushLine = () => {
+    while (line.length > 0 && line[line.length - 1].space) line.pop();
+    if (line.length > 0) lines.push(line);
+    line = [];
+    lineWidth = 0;
+  };
+
+  words.forEach(word => {
+    if (word.space && line.length === 0) return;
+
+    let segment = { ...word, width: textWidth(word.text, word.font, size) };
+    if (!word.space && lineWidth + segment.width > width && line.length > 0) {
+      pushLine();
+    }
+
+    // Words longer than a line are split by character
+    while (segment.width > width) {
+      let cut = segment.text.length - 1;
+      while (cut > 1 && textWidth(segment.text.slice(0, cut), segment.font, size) > width) cut--;
+      line.push({ ...segment, text: segment.text.slice(0, cut), width: textWidth(segment.text.slice(0, cut), segment.font, size) });
+      pushLine();
+      const rest = segment.text.slice(cut);
+      segment = { ...segment, text: rest, width: textWidth(rest, segment.font, size) };
+    }
+
+    line.push(segment);
+    lineWidth += segment.width;
+  });
+  pushLine();
+
+  return lines.length > 0 ? lines : [[]];
+}
+
+/**
+ * Page layout - places text and shapes on pages, top to bottom
+ */
+class PdfLayout {
+  constructor() {
+    this.pages = [];
+    this.destinations = {};
+    this.newPage();
+  }
+
+  newPage() {
+    this.page = { ops: [], links: [] };
+    this.pages.push(this.page);
+    this.y = PAGE.height - PAGE.margin;
+  }
+
+  /**
+   * Start a new page unless height points fit
+   */
+  ensure(height) {
+    if (this.y - height < BOTTOM) this.newPage();
+  }
+
+  space(points) {
+    this.y -= points;
+  }
+
+  /**
+   * Draw one line of segments with its baseline at the current position
+   */
+  drawLine(segments, x, size, leading) {
+    this.ensure(leading);
+    this.y -= leading;
+    const baseline = this.y + (leading - size) / 2 + 1;
+
+    let cursor = x;
+    segments.forEach(segment => {
+      this.page.ops.push(`BT /${FONTS[segment.font].key} ${num(size)} Tf ${num(cursor)} ${num(baseline)} Td ${pdfString(segment.text)} Tj ET`);
+      cursor += segment.width;
+    });
+  }
+
+  /**
+   * Wrapped rich text
+   */
+  text(runs, options = {}) {
+    const { x = PAGE.margin, width = CONTENT_WIDTH, size = STYLES.body.size, leading = STYLES.body.leading, font = 'regular' } = options;
+    wrapRuns(runs, width, size, font).forEach(line => this.drawLine(line, x, size, leading));
+  }
+
+  rect(x, y, width, height, { fill = null, stroke = false } = {}) {
+    const paint = fill !== null ? `${fill} g ${num(x)} ${num(y)} ${num(width)} ${num(height)} re f 0 g` : '';
+    const outline = stroke ? `${num(x)} ${num(y)} ${num(width)} ${num(height)} re S` : '';
+    this.page.ops.push([paint, outline].filter(Boolean).join(' '));
+  }
+}
+
+/**
+ * Draw a checkbox at the current line
+ */
+function drawCheckbox(layout, x, checked, leading) {
+  const y = layout.y + (leading - 8) / 2;
+  layout.page.ops.push(`0.6 w ${num(x)} ${num(y)} 8 8 re S`);
+  if (checked) {
+    layout.page.ops.push(`1 w ${num(x + 1.5)} ${num(y + 4)} m ${num(x + 3.5)} ${num(y + 1.5)} l ${num(x + 7)} ${num(y + 7)} l S 0.6 w`);
+  }
+}
+
+/**
+ * Lay out a list block
+ */
+function layoutList(layout, block) {
+  const { size, leading } = STYLES.body;
+
+  block.items.forEach((item, index) => {
+    const indent = PAGE.margin + 8 + item.level * 16;
+    const textX = indent + 16;
+    const runs = parseInline(item.text);
+    if (item.id) runs.unshift({ text: `${item.id}  `, bold: true });
+
+    const lines = wrapRuns(runs, PAGE.margin + CONTENT_WIDTH - textX, size);
+    lines.forEach((line, lineIndex) => {
+      layout.drawLine(line, textX, size, leading);
+      if (lineIndex > 0) return;
+
+      if (item.checked !== null) {
+        drawCheckbox(layout, indent, item.checked, leading);
+      } else {
+        const marker = block.ordered ? `${index + 1}.` : String.fromCharCode(0x95);
+        const baseline = layout.y + (leading - size) / 2 + 1;
+        layout.page.ops.push(`BT /F1 ${num(size)} Tf ${num(indent)} ${num(baseline)} Td ${pdfString(marker)} Tj ET`);
+      }
+    });
+    layout.space(2);
+  });
+  layout.space(4);
+}
+
+/**
+ * Lay out a code block on a grey background
+ */
+function layoutCode(layout, block) {
+  const { size, leading } = STYLES.code;
+  const maxChars = Math.floor((CONTENT_WIDTH - 12) / (600 * size / 1000));
+
+  const lines = [];
+  toWinAnsi(block.text).split('\n').forEach(line => {
+    for (let i = 0; i === 0 || i < line.length; i += maxChars) {
+      lines.push(line.slice(i, i + maxChars));
+    }
+  });
+
+  lines.forEach(line => {
+    layout.ensure(leading);
+    layout.rect(PAGE.margin, layout.y - leading, CONTENT_WIDTH, leading, { fill: 0.95 });
+    layout.drawLine([{ text: line, font: 'code', width: 0 }], PAGE.margin + 6, size, leading);
+  });
+  layout.space(8);
+}
+
+/**
+ * Lay out a table, with columns sized by their longest cell (header text never wraps)
+ */
+function layoutTable(layout, block) {
+  const { size, leading } = STYLES.table;
+  const columns = Math.max(block.header.length, ...block.rows.map(row => row.length));
+  const widths = block.header.map(cell => Math.max(plainText(cell).length + 2, 8));
+  block.rows.forEach(row => row.forEach((cell, i) => {
+    widths[i] = Math.max(widths[i] || 8, Math.min(plainText(cell).length, 40));
+  }));
+  const total = widths.reduce((sum, w) => sum + w, 0);
+  const colWidths = Array.from({ length: columns }, (_, i) => CONTENT_WIDTH * (widths[i] || 8) / total);
+
+  const drawRow = (cells, header) => {
+    const wrapped = colWidths.map((width, i) => wrapRuns(parseInline(cells[i] || ''), width - 8, size, header ? 'bold' : 'regular'));
+    const height = Math.max(...wrapped.map(lines => lines.length)) * leading + 6;
+
+    layout.ensure(height);
+    const top = layout.y;
+    if (header) layout.rect(PAGE.margin, top - height, CONTENT_WIDTH, height, { fill: 0.93 });
+
+    let x = PAGE.margin;
+    wrapped.forEach((lines, i) => {
+      layout.y = top - 3;
+      lines.forEach(line => layout.drawLine(line, x + 4, size, leading));
+      layout.rect(x, top - height, colWidths[i], height, { stroke: true });
+      x += colWidths[i];
+    });
+    layout.y = top - height;
+  };
+
+  layout.page.ops.push('0.5 w');
+  drawRow(block.header, true);
+  block.rows.forEach(row => drawRow(row, false));
+  layout.space(10);
+}
+
+/**
+ * Lay out the document body (everything after the contents)
+ */
+function layoutBody(doc) {
+  const layout = new PdfLayout();
+
+  doc.blocks.forEach((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const style = STYLES[block.level];
+        if (block.level === 1 && index > 0) layout.newPage();
+        else layout.space(style.before);
+        layout.ensure(style.leading * 3);
+        layout.destinations[block.anchor] = { page: layout.pages.length - 1, y: layout.y };
+        layout.text(parseInline(block.text), { size: style.size, leading: style.leading, font: 'bold' });
+        layout.space(style.after);
+        break;
+      }
+      case 'paragraph':
+        layout.text(parseInline(block.text));
+        layout.space(6);
+        break;
+      case 'list':
+        layoutList(layout, block);
+        break;
+      case 'code':
+        layoutCode(layout, block);
+        break;
+      case 'table':
+        layoutTable(layout, block);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return layout;
+}
+
+/**
+ * Lay out the title page and contents
+ *
+ * @param {Object} doc - Export document
+ * @param {Object} body - Body layout (for page numbers)
+ * @param {number} offset - Pages before the body (the contents' own length)
+ */
+function layoutContents(doc, body, offset) {
+  const layout = new PdfLayout();
+  const { size, leading } = STYLES.body;
+
+  layout.text([{ text: doc.title }], { size: STYLES.title.size, leading: STYLES.title.leading, font: 'bold' });
+  const meta = [`Issue #${doc.issueNumber}`, doc.state && doc.state.toLowerCase(), doc.labels.join(', '), `exported ${doc.exportedAt.slice(0, 10)}`];
+  layout.text([{ text: meta.filter(Boolean).join(' · '), italic: true }], { size: 9, leading: 14 });
+  if (doc.url) layout.text([{ text: doc.url, italic: true }], { size: 9, leading: 14 });
+
+  layout.space(STYLES[1].before);
+  layout.text([{ text: 'Contents' }], { size: STYLES[1].size, leading: STYLES[1].leading, font: 'bold' });
+  layout.space(STYLES[1].after);
+
+  doc.toc.forEach(entry => {
+    const destination = body.destinations[entry.anchor];
+    const pageLabel = String(destination.page + offset + 1);
+    const font = entry.level === 1 ? 'bold' : 'regular';
+    const x = PAGE.margin + (entry.level - 1) * 16;
+    const numberWidth = textWidth(pageLabel, font, size);
+
+    let title = toWinAnsi(entry.text);
+    while (title.length > 1 && textWidth(title, font, size) > CONTENT_WIDTH - (x - PAGE.margin) - numberWidth - 24) {
+      title = title.slice(0, -1);
+    }
+
+    layout.ensure(leading);
+    layout.drawLine([{ text: title, font, width: 0 }], x, size, leading);
+    const baseline = layout.y + (leading - size) / 2 + 1;
+    layout.page.ops.push(`BT /${FONTS[font].key} ${num(size)} Tf ${num(PAGE.margin + CONTENT_WIDTH - numberWidth)} ${num(baseline)} Td ${pdfString(pageLabel)} Tj ET`);
+    layout.page.links.push({ rect: [x, layout.y, PAGE.margin + CONTENT_WIDTH, layout.y + leading], anchor: entry.anchor });
+    layout.space(entry.level === 1 ? 3 : 1);
+  });
+
+  return layout;
+}
+
+/**
+ * Format a date as a PDF date string
+ */
+function pdfDate(iso) {
+  return `D:${iso.replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Serialize pages into a PDF file
+ */
+function serialize(doc, pages, destinations) {
+  const objects = [];
+  const add = content => {
+    objects.push(content);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontIds = {};
+  Object.values(FONTS).forEach(font => {
+    fontIds[font.key] = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+  });
+  const infoId = add(`<< /Title ${pdfString(toWinAnsi(doc.title))} /Subject ${pdfString(`Spec #${doc.issueNumber}`)} /Producer (ux-ingka spec export) /CreationDate (${pdfDate(doc.exportedAt)}) >>`);
+
+  const pageIds = pages.map(() => add(null));
+  const fontResources = Object.entries(fontIds).map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+
+  pages.forEach((page, index) => {
+    const footer = `BT /F1 8 Tf ${num(PAGE.margin)} ${num(PAGE.margin - 20)} Td ${pdfString(toWinAnsi(`#${doc.issueNumber} ${doc.title}`).slice(0, 90))} Tj ET ` +
+      `BT /F1 8 Tf ${num(PAGE.width - PAGE.margin - 60)} ${num(PAGE.margin - 20)} Td ${pdfString(`Page ${index + 1} of ${pages.length}`)} Tj ET`;
+    const stream = `${page.ops.join('\n')}\n${footer}\n`;
+    const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}endstream`);
+
+    const annots = page.links
+      .filter(link => destinations[link.anchor])
+      .map(link => {
+        const target = destinations[link.anchor];
+        return add(`<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(num).join(' ')}] /Border [0 0 0] /Dest [${pageIds[target.page]} 0 R /XYZ ${num(PAGE.margin)} ${num(target.y)} 0] >>`);
+      });
+    const annotsEntry = annots.length > 0 ? ` /Annots [${annots.map(id => `${id} 0 R`).join(' ')}]` : '';
+
+    objects[pageIds[index] - 1] = `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(PAGE.width)} ${num(PAGE.height)}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R${annotsEntry} >>`;
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R /PageMode /UseNone >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+/**
+ * Render the export document as a PDF
+ *
+ * @param {Object} doc - Export document (see buildExportDocument)
+ * @returns {Buffer} PDF file
+ */
+function renderPdf(doc) {
+  const body = layoutBody(doc);
+
+  // The contents' length does not depend on the page numbers it shows
+  const offset = layoutContents(doc, body, 0).pages.length;
+  const contents = layoutContents(doc, body, offset);
+
+  const destinations = {};
+  Object.entries(body.destinations).forEach(([anchor, target]) => {
+    destinations[anchor] = { page: target.page + offset, y: target.y };
+  });
+
+  return serialize(doc, [...contents.pages, ...body.pages], destinations);
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,157 @@
+/**
+ * Spec Change Impact
+ *
+ * Works out what a spec change (e.g. `spec-extend`) does to the existing
+ * plan: which plan sections are stale, which planned tasks implement a
+ * requirement or acceptance criterion that changed, and which child issues
+ * track those tasks.
+ *
+ * Stale sections are found by drafting the plan for the old and the new
+ * spec (PlanManager.draft) and comparing them section by section, so the
+ * report always agrees with what re-planning would produce.
+ *
+ * @module lib/spec-extend/impact
+ */
+
+const { PLAN_FOCUS_AREAS } = require('../plan/artifact');
+const { stripRequirementTag } = require('../spec/trace');
+const { diffItems } = require('../spec/versions');
+
+/**
+ * Planned tasks checked against changed acceptance criteria
+ * (the plan derives test scenarios, not task IDs, from them)
+ */
+const TEST_TASK_REGEX = /\btests?\b|testing/i;
+
+/**
+ * Focus areas whose plan section differs between two drafts
+ *
+ * @param {Object} before - Draft plan for the old spec
+ * @param {Object} after - Draft plan for the new spec
+ * @param {string[]} planned - Section titles in the current plan (default: all)
+ * @returns {string[]} Focus areas (e.g. ['api', 'phases'])
+ */
+function findStaleAreas(before, after, planned = null) {
+  return Object.entries(PLAN_FOCUS_AREAS)
+    .filter(([, title]) => !planned || planned.includes(title))
+    .filter(([, title]) => (before.sections[title] || '') !== (after.sections[title] || ''))
+    .map(([area]) => area);
+}
+
+/**
+ * Planned tasks affected by changed requirements and acceptance criteria
+ *
+ * A task is affected when it implements a requirement that was reworded or
+ * removed, or, when acceptance criteria changed, when it is a testing task.
+ *
+ * @param {Object[]} phases - Plan phases (plan.json)
+ * @param {Object} changes - Item changes from diffItems
+ * @returns {Object[]} Tasks ({ id, text, phase, requirements, reasons: [] })
+ */
+function findAffectedTasks(phases, changes) {
+  const requirements = changes.requirements || { added: [], removed: [], modified: [] };
+  const changedIds = new Set([
+    ...requirements.modified.map(change => change.id),
+    ...requirements.removed.map(item => item.id)
+  ]);
+  const criteriaChanged = Boolean(changes.acceptanceCriteria);
+
+  const affected = [];
+  (phases || []).forEach(phase => {
+    phase.tasks.forEach(task => {
+      const reasons = (task.requirements || [])
+        .filter(id => changedIds.has(id))
+        .map(id => `${id} ${requirements.removed.some(item => item.id === id) ? 'removed' : 'changed'}`);
+      if (criteriaChanged && TEST_TASK_REGEX.test(task.text)) {
+        reasons.push('acceptance criteria changed');
+      }
+
+      if (reasons.length > 0) {
+        affected.push({ id: task.id || null, text: task.text, phase: phase.number, requirements: task.requirements || [], reasons });
+      }
+    });
+  });
+
+  return affected;
+}
+
+/**
+ * Build the impact report for a spec change
+ *
+ * @param {Object} input - Spec change and current plan
+ * @param {string} input.before - Old spec body
+ * @param {string} input.after - New spec body
+ * @param {Object} input.artifact - Current plan artifact (null if the spec has no plan)
+ * @param {Object} input.drafts - Draft plans for the old and new spec ({ before, after })
+ * @param {Object[]} input.childLinks - Child issue links ({ number, text }, see lib/tasks/sync)
+ * @returns {Object} Impact ({ planned, changes, staleAreas, staleSections, tasks, childIssues, newRequirements })
+ */
+function analyzeImpact({ before, after, artifact = null, drafts = null, childLinks = [] }) {
+  const changes = diffItems(before, after);
+  const newRequirements = changes.requirements ? changes.requirements.added : [];
+
+  if (!artifact || !drafts) {
+    return { planned: false, changes, staleAreas: [], staleSections: [], tasks: [], childIssues: [], newRequirements };
+  }
+
+  const staleAreas = findStaleAreas(drafts.before, drafts.after, artifact.sections);
+  const tasks = findAffectedTasks(artifact.phases, changes);
+
+  const childIssues = childLinks
+    .map(link => ({ ...link, task: tasks.find(task => task.text === stripRequirementTag(link.text).trim()) }))
+    .filter(link => link.task)
+    .map(link => ({ number: link.number, taskId: link.task.id, text: link.task.text }));
+
+  return {
+    planned: true,
+    changes,
+    staleAreas,
+    staleSections: staleAreas.map(area => PLAN_FOCUS_AREAS[area]),
+    tasks,
+    childIssues,
+    newRequirements
+  };
+}
+
+/**
+ * Format the impact report as Markdown (for the extension comment)
+ *
+ * @param {Object} impact - Impact from analyzeImpact
+ * @param {number|string} issueNumber - Spec issue number
+ * @returns {string} Markdown
+ */
+function formatImpactReport(impact, issueNumber) {
+  if (!impact.planned) {
+    return '**Impact:** No plan yet - nothing to update.\n';
+  }
+  if (impact.staleAreas.length === 0 && impact.tasks.length === 0) {
+    return '**Impact:** The current plan is still up to date.\n';
+  }
+
+  let markdown = '**Impact on the plan:**\n\n';
+
+  if (impact.staleSections.length > 0) {
+    markdown += `- Stale plan sections: ${impact.staleSections.join(', ')}\n`;
+  }
+  if (impact.newRequirements.length > 0) {
+    markdown += `- New requirements without tasks: ${impact.newRequirements.map(item => item.id).join(', ')}\n`;
+  }
+  impact.tasks.forEach(task => {
+    const child = impact.childIssues.find(issue => issue.text === task.text);
+    const label = task.id ? `**${task.id}** ${task.text}` : task.text;
+    markdown += `- ${label}${child ? ` (#${child.number})` : ''} - ${task.reasons.join(', ')}\n`;
+  });
+
+  if (impact.staleAreas.length > 0) {
+    markdown += `\nRe-plan with \`ux-ingka plan ${issueNumber} --focus ${impact.staleAreas.join(',')}\`\n`;
+  }
+
+  return markdown;
+}
+
+module.exports = {
+  findStaleAreas,
+  findAffectedTasks,
+  analyzeImpact,
+  formatImpactReport
+};
@@ -1,19 +1,44 @@
-const { execSync } = require('child_process');
 const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { createTracker } = require('../tracker');
+const { SpecDocument } = require('../spec/document');
+const { tagWithRequirements } = require('../spec/trace');
+const { saveVersion, loadIdRegister } = require('../spec/versions');
+const { extractPlanArtifact, loadPlanArtifact } = require('../plan/artifact');
+const { parseChildLinks } = require('../tasks/sync');
+const { analyzeImpact, formatImpactReport } = require('./impact');
 
 /**
  * Spec Extension Manager
  * Adds new requirements to existing specs
+ *
+ * Each extension is checked against the current plan (see
+ * lib/spec-extend/impact): stale plan sections and affected tasks are
+ * reported, the spec gets the `plan-stale` label, and the stale areas can be
+ * re-planned with `plan --focus`.
  */
 class SpecExtendManager {
-  constructor() {}
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {string} options.projectRoot - Project root for spec versions in .leo/specs (default: the local tracker root or cwd)
+   */
+  constructor(options = {}) {
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+  }
 
   /**
    * Extend an existing spec with new requirements
    * @param {number} issueNumber - GitHub issue number
    * @param {string} extension - Extension description
    * @param {object} options - Extension options
-   * @returns {Promise<object>} Extension result
+   * @param {boolean} options.autoUpdate - Update the issue (false = preview only)
+   * @param {boolean} options.createIssues - Create child issues for the new requirements
+   * @param {boolean} options.trackHistory - Post an extension comment
+   * @param {boolean} options.replan - Re-plan the stale areas (default: ask in interactive mode, otherwise print the command)
+   * @param {boolean} options.interactive - Ask before re-planning
+   * @returns {Promise<object>} Extension result (success, extension, childIssues, updatedBody, impact, replan)
    */
   async extend(issueNumber, extension, options = {}) {
     console.log(chalk.cyan(`📝 Extending spec #${issueNumber}...\n`));
@@ -26,8 +51,9 @@ class SpecExtendManager {
       return { success: false };
     }
 
-    // Step 2: Parse current sections
-    const sections = this._parseSections(currentSpec.body);
+    // Step 2: Parse current sections (IDs issued in earlier versions stay reserved)
+    const sections = this._parseSections(currentSpec.body)
+      .reserveIds(await loadIdRegister(this.projectRoot, issueNumber));
 
     // Step 3: Generate extension content based on description
     const extensionContent = await this._generateExtension(extension, options);
@@ -38,139 +64,197 @@ class SpecExtendManager {
     // Step 5: Format updated spec body
     const updatedBody = this._formatSpecBody(updatedSections);
 
-    // Step 6: Update issue body
+    // Step 6: Work out which parts of the plan the change affects
+    const impact = await this._analyzeImpact(issueNumber, currentSpec, updatedBody);
+    this._displayImpact(impact, issueNumber);
+
+    // Step 7: Update issue body
     if (options.autoUpdate !== false) {
       await this._updateIssueBody(issueNumber, updatedBody);
       console.log(chalk.green(`✅ Spec #${issueNumber} extended successfully`));
+      await this._saveVersion(issueNumber, {
+        title: currentSpec.title,
+        body: updatedBody,
+        reason: `extend: ${extension}`,
+        previous: currentSpec
+      });
+      if (impact.staleAreas.length > 0 || impact.tasks.length > 0) {
+        await this._markPlanStale(issueNumber);
+      }
     } else {
       console.log(chalk.yellow('\n📄 Preview (use --no-update to skip posting):\n'));
       console.log(updatedBody);
     }
 
-    // Step 7: Create child issues for extensions (optional)
+    // Step 8: Create child issues for extensions (optional)
     let childIssues = [];
     if (options.createIssues) {
-      childIssues = await this._createExtensionIssues(issueNumber, extensionContent, currentSpec.title);
+      childIssues = await this._createExtensionIssues(issueNumber, extensionContent, currentSpec.title, updatedSections);
     }
 
-    // Step 8: Add extension comment with history
+    // Step 9: Add extension comment with history
     if (options.autoUpdate !== false && options.trackHistory !== false) {
-      await this._addExtensionComment(issueNumber, extension, extensionContent, childIssues);
+      await this._addExtensionComment(issueNumber, extension, extensionContent, childIssues, impact);
+    }
+
+    // Step 10: Offer to re-plan only the stale areas
+    let replan = null;
+    if (options.autoUpdate !== false && impact.staleAreas.length > 0) {
+      replan = await this._offerReplan(issueNumber, impact, options);
     }
 
     return {
       success: true,
       extension: extensionContent,
       childIssues,
-      updatedBody
+      updatedBody,
+      impact,
+      replan
     };
   }
 
   /**
-   * Fetch current spec from GitHub
+   * Compare the old and new spec against the current plan
    * @private
    */
-  async _fetchSpec(issueNumber) {
-    try {
-      const issueJson = execSync(
-        `gh issue view ${issueNumber} --json body,title,labels`,
-        { encoding: 'utf-8', cwd: process.cwd() }
-      );
-      const issue = JSON.parse(issueJson);
+  async _analyzeImpact(issueNumber, currentSpec, updatedBody) {
+    const comments = await this.tracker.listComments(issueNumber).catch(() => []);
+    const artifact = await this._findPlanArtifact(issueNumber, comments);
+
+    let drafts = null;
+    if (artifact) {
+      const PlanManager = require('../plan');
+      const planner = new PlanManager({ tracker: this.tracker, projectRoot: this.projectRoot });
+      drafts = {
+        before: planner.draft(currentSpec),
+        after: planner.draft({ ...currentSpec, body: updatedBody })
+      };
+    }
 
-      // Verify it's a spec issue
-      const hasSpecLabel = issue.labels.some(l => l.name === 'spec');
-      if (!hasSpecLabel) {
-        console.log(chalk.yellow(`⚠️  Issue #${issueNumber} doesn't have 'spec' label. Proceeding anyway...`));
-      }
+    const linksComment = [...comments].reverse().find(comment => comment.body && comment.body.includes('## 🔗 Child Task Issues'));
 
-      return issue;
-    } catch (error) {
-      console.error(chalk.red('❌ Failed to fetch spec:'), error.message);
-      return null;
-    }
+    return analyzeImpact({
+      before: currentSpec.body,
+      after: updatedBody,
+      artifact,
+      drafts,
+      childLinks: linksComment ? parseChildLinks(linksComment.body) : []
+    });
   }
 
   /**
-   * Parse spec sections from body
+   * Newest plan artifact, from the plan comments or .leo/specs/<issue>/plan.json
    * @private
    */
-  _parseSections(body) {
-    const sections = {
-      context: '',
-      requirements: [],
-      userStories: [],
-      acceptanceCriteria: [],
-      technicalApproach: '',
-      constraints: '',
-      outOfScope: '',
-      successMetrics: ''
-    };
+  async _findPlanArtifact(issueNumber, comments) {
+    const candidates = comments.map(comment => extractPlanArtifact(comment.body)).filter(Boolean);
+    const stored = await loadPlanArtifact(this.projectRoot, issueNumber);
+    if (stored) candidates.push(stored);
 
-    if (!body) return sections;
+    return candidates.reduce((newest, artifact) =>
+      (!newest || artifact.generatedAt > newest.generatedAt ? artifact : newest), null);
+  }
 
-    // Split by ## headers
-    const lines = body.split('\n');
-    let currentSection = null;
-    let currentContent = [];
+  /**
+   * Print the impact report
+   * @private
+   */
+  _displayImpact(impact, issueNumber) {
+    if (!impact.planned) {
+      console.log(chalk.gray('   No plan yet - nothing to update'));
+      return;
+    }
+    if (impact.staleAreas.length === 0 && impact.tasks.length === 0) {
+      console.log(chalk.green('✅ The current plan is still up to date'));
+      return;
+    }
 
-    for (const line of lines) {
-      if (line.startsWith('## ')) {
-        // Save previous section
-        if (currentSection) {
-          this._saveSection(sections, currentSection, currentContent.join('\n').trim());
-        }
+    console.log(chalk.yellow(`\n⚠️  This change affects the plan for #${issueNumber}:`));
+    if (impact.staleSections.length > 0) {
+      console.log(chalk.yellow(`   Stale sections: ${impact.staleSections.join(', ')}`));
+    }
+    if (impact.newRequirements.length > 0) {
+      console.log(chalk.gray(`   New requirements without tasks: ${impact.newRequirements.map(item => item.id).join(', ')}`));
+    }
+    impact.tasks.forEach(task => {
+      const child = impact.childIssues.find(issue => issue.text === task.text);
+      console.log(chalk.gray(`   - ${task.id ? `${task.id} ` : ''}${task.text}${child ? ` (#${child.number})` : ''}: ${task.reasons.join(', ')}`));
+    });
+    console.log('');
+  }
 
-        // Start new section
-        const header = line.replace('## ', '').trim().toLowerCase();
-        currentSection = this._mapSectionName(header);
-        currentContent = [];
-      } else if (currentSection) {
-        currentContent.push(line);
-      }
+  /**
+   * Add the plan-stale label so the board shows the spec needs replanning
+   * @private
+   */
+  async _markPlanStale(issueNumber) {
+    try {
+      await this.tracker.addLabels(issueNumber, ['plan-stale']);
+      console.log(chalk.yellow('🏷️  Added label: plan-stale'));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not add label: ${error.message}`));
     }
+  }
 
-    // Save last section
-    if (currentSection) {
-      this._saveSection(sections, currentSection, currentContent.join('\n').trim());
+  /**
+   * Re-plan the stale areas (when asked to, or after confirming in interactive mode)
+   * @private
+   */
+  async _offerReplan(issueNumber, impact, options = {}) {
+    const focus = impact.staleAreas.join(',');
+    let replan = options.replan === true;
+
+    if (options.replan === undefined && options.interactive) {
+      ({ replan } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'replan',
+        message: `Re-plan ${impact.staleSections.join(', ')} now?`,
+        default: true
+      }]));
     }
 
-    return sections;
+    if (!replan) {
+      console.log(chalk.gray(`   Re-plan with: ux-ingka plan ${issueNumber} --focus ${focus}\n`));
+      return null;
+    }
+
+    try {
+      const PlanManager = require('../plan');
+      const planner = new PlanManager({ tracker: this.tracker, projectRoot: this.projectRoot });
+      return await planner.plan(issueNumber, { focus });
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not re-plan: ${error.message}`));
+      return null;
+    }
   }
 
   /**
-   * Map section header to internal name
+   * Fetch current spec from the tracker
    * @private
    */
-  _mapSectionName(header) {
-    const mapping = {
-      'context': 'context',
-      'requirements': 'requirements',
-      'user stories': 'userStories',
-      'acceptance criteria': 'acceptanceCriteria',
-      'technical approach': 'technicalApproach',
-      'constraints': 'constraints',
-      'out of scope': 'outOfScope',
-      'success metrics': 'successMetrics'
-    };
-    return mapping[header] || header;
+  async _fetchSpec(issueNumber) {
+    try {
+      const issue = await this.tracker.getIssue(issueNumber);
+
+      // Verify it's a spec issue
+      const hasSpecLabel = issue.labels.some(l => l.name === 'spec');
+      if (!hasSpecLabel) {
+        console.log(chalk.yellow(`⚠️  Issue #${issueNumber} doesn't have 'spec' label. Proceeding anyway...`));
+      }
+
+      return issue;
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to fetch spec:'), error.message);
+      return null;
+    }
   }
 
   /**
-   * Save section content
+   * Parse spec body into a SpecDocument
    * @private
    */
-  _saveSection(sections, sectionName, content) {
-    if (sectionName === 'requirements' || sectionName === 'userStories' || sectionName === 'acceptanceCriteria') {
-      // Parse list items
-      sections[sectionName] = content
-        .split('\n')
-        .filter(line => line.trim().startsWith('-') || line.trim().startsWith('•') || line.trim().startsWith('['))
-        .map(line => line.replace(/^[\s-•\[\]x ]+/, '').trim())
-        .filter(item => item.length > 0);
-    } else {
-      sections[sectionName] = content;
-    }
+  _parseSections(body) {
+    return SpecDocument.parse(body);
   }
 
   /**
@@ -202,36 +286,29 @@ class SpecExtendManager {
 
   /**
    * Merge extension with existing sections
+   *
+   * New requirements, user stories and acceptance criteria are appended
+   * (skipping ones already present) with the next free ID; everything else
+   * is kept as-is. All item IDs are written into the body so existing
+   * requirements keep their IDs.
    * @private
    */
   _mergeSections(existingSections, extensionContent) {
-    const merged = { ...existingSections };
-
-    // Add new requirements
-    if (extensionContent.requirements) {
-      merged.requirements = [
-        ...merged.requirements,
-        ...extensionContent.requirements.filter(r => !merged.requirements.includes(r))
-      ];
-    }
+    const merged = existingSections.clone();
 
-    // Add new user stories
-    if (extensionContent.userStories) {
-      merged.userStories = [
-        ...merged.userStories,
-        ...extensionContent.userStories.filter(s => !merged.userStories.includes(s))
-      ];
-    }
+    for (const key of ['requirements', 'userStories', 'acceptanceCriteria']) {
+      const existing = merged.getItems(key).map(item => item.text);
+      const checked = key === 'userStories' ? null : false;
 
-    // Add new acceptance criteria
-    if (extensionContent.acceptanceCriteria) {
-      merged.acceptanceCriteria = [
-        ...merged.acceptanceCriteria,
-        ...extensionContent.acceptanceCriteria.filter(c => !merged.acceptanceCriteria.includes(c))
-      ];
+      for (const text of extensionContent[key] || []) {
+        if (!existing.includes(text)) {
+          merged.addItem(key, text, { checked });
+          existing.push(text);
+        }
+      }
     }
 
-    return merged;
+    return merged.assignIds();
   }
 
   /**
@@ -239,101 +316,43 @@ class SpecExtendManager {
    * @private
    */
   _formatSpecBody(sections) {
-    let body = '';
-
-    // Context
-    if (sections.context) {
-      body += '## Context\n\n';
-      body += sections.context + '\n\n';
-    }
-
-    // Requirements
-    if (sections.requirements && sections.requirements.length > 0) {
-      body += '## Requirements\n\n';
-      for (const req of sections.requirements) {
-        body += `- [ ] ${req}\n`;
-      }
-      body += '\n';
-    }
-
-    // User Stories
-    if (sections.userStories && sections.userStories.length > 0) {
-      body += '## User Stories\n\n';
-      for (const story of sections.userStories) {
-        body += `• ${story}\n`;
-      }
-      body += '\n';
-    }
-
-    // Acceptance Criteria
-    if (sections.acceptanceCriteria && sections.acceptanceCriteria.length > 0) {
-      body += '## Acceptance Criteria\n\n';
-      for (const criteria of sections.acceptanceCriteria) {
-        body += `- [ ] ${criteria}\n`;
-      }
-      body += '\n';
-    }
-
-    // Technical Approach
-    if (sections.technicalApproach) {
-      body += '## Technical Approach\n\n';
-      body += sections.technicalApproach + '\n\n';
-    }
-
-    // Constraints
-    if (sections.constraints) {
-      body += '## Constraints\n\n';
-      body += sections.constraints + '\n\n';
-    }
-
-    // Out of Scope
-    if (sections.outOfScope) {
-      body += '## Out of Scope\n\n';
-      body += sections.outOfScope + '\n\n';
-    }
-
-    // Success Metrics
-    if (sections.successMetrics) {
-      body += '## Success Metrics\n\n';
-      body += sections.successMetrics + '\n\n';
-    }
-
-    // Footer
-    body += '---\n\n';
-    body += 'This spec was created using `leo spec new` and extended using `leo spec extend`\n';
-
-    return body;
+    sections.footer = 'This spec was created using `leo spec new` and extended using `leo spec extend`';
+    return sections.toMarkdown();
   }
 
   /**
-   * Update issue body on GitHub
+   * Update issue body in the tracker
    * @private
    */
   async _updateIssueBody(issueNumber, newBody) {
     try {
-      // Write body to temp file to avoid shell escaping issues
-      const fs = require('fs').promises;
-      const tmpFile = `/tmp/leo-spec-${issueNumber}.md`;
-      await fs.writeFile(tmpFile, newBody, 'utf-8');
-
-      execSync(
-        `gh issue edit ${issueNumber} --body-file ${tmpFile}`,
-        { encoding: 'utf-8', cwd: process.cwd(), stdio: 'pipe' }
-      );
-
-      // Clean up
-      await fs.unlink(tmpFile);
+      await this.tracker.updateIssue(issueNumber, { body: newBody });
     } catch (error) {
       console.error(chalk.red('❌ Failed to update issue:'), error.message);
       throw error;
     }
   }
 
+  /**
+   * Store a snapshot of the spec in .leo/specs/<issue> (see lib/spec/versions)
+   */
+  async _saveVersion(issueNumber, snapshot) {
+    try {
+      const { version } = await saveVersion(this.projectRoot, issueNumber, { author: await this.tracker.getAuthor(), ...snapshot });
+      console.log(chalk.gray(`   Saved spec version v${version}`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not save spec version: ${error.message}`));
+    }
+  }
+
   /**
    * Create child issues for extension work
+   *
+   * Requirement issues are tagged with their requirement ID from the
+   * merged spec document (when given) so `spec trace` can follow them.
    * @private
    */
-  async _createExtensionIssues(parentIssue, extensionContent, parentTitle) {
+  async _createExtensionIssues(parentIssue, extensionContent, parentTitle, document = null) {
     console.log(chalk.cyan('\n📝 Creating child issues for extension work...\n'));
 
     // Ensure extension label exists
@@ -341,35 +360,23 @@ class SpecExtendManager {
 
     const childIssues = [];
     const allExtensionItems = [
-      ...extensionContent.requirements.map(r => ({ type: 'requirement', text: r })),
-      ...extensionContent.userStories.map(s => ({ type: 'user-story', text: s }))
+      ...extensionContent.requirements.map(r => ({ type: 'requirement', text: r, ids: this._requirementIds(document, r) })),
+      ...extensionContent.userStories.map(s => ({ type: 'user-story', text: s, ids: [] }))
     ];
 
-    const fs = require('fs').promises;
-
     for (let i = 0; i < allExtensionItems.length; i++) {
       const item = allExtensionItems[i];
       try {
-        const title = `[Extension] ${item.text.substring(0, 60)}${item.text.length > 60 ? '...' : ''}`;
-        const body = `**Parent Spec:** #${parentIssue} - ${parentTitle}\n\n**Type:** ${item.type}\n\n## Description\n\n${item.text}\n\n---\n\nGenerated by \`leo spec extend #${parentIssue} --create-issues\``;
-
-        // Write to temp files to avoid escaping issues
-        const tmpTitle = `/tmp/leo-ext-title-${i}.txt`;
-        const tmpBody = `/tmp/leo-ext-body-${i}.md`;
-        await fs.writeFile(tmpTitle, title, 'utf-8');
-        await fs.writeFile(tmpBody, body, 'utf-8');
-
-        const result = execSync(
-          `gh issue create --title "$(cat ${tmpTitle})" --body-file ${tmpBody} --label "extension,spec-extension"`,
-          { encoding: 'utf-8', cwd: process.cwd() }
-        );
-
-        // Clean up temp files
-        await fs.unlink(tmpTitle);
-        await fs.unlink(tmpBody);
-
-        const issueUrl = result.trim();
-        const issueNumber = issueUrl.split('/').pop();
+        const summary = `${item.text.substring(0, 60)}${item.text.length > 60 ? '...' : ''}`;
+        const title = `[Extension] ${tagWithRequirements(summary, item.ids)}`;
+        const requirementLine = item.ids.length > 0 ? `**Requirement:** ${item.ids.join(', ')}\n\n` : '';
+        const body = `**Parent Spec:** #${parentIssue} - ${parentTitle}\n\n**Type:** ${item.type}\n\n${requirementLine}## Description\n\n${item.text}\n\n---\n\nGenerated by \`leo spec extend #${parentIssue} --create-issues\``;
+
+        const { number: issueNumber } = await this.tracker.createIssue({
+          title,
+          body,
+          labels: ['extension', 'spec-extension']
+        });
         childIssues.push({ number: issueNumber, title, type: item.type });
 
         console.log(chalk.green(`   ✓ Created #${issueNumber}: ${title.substring(0, 50)}...`));
@@ -383,45 +390,28 @@ class SpecExtendManager {
     return childIssues;
   }
 
+  /**
+   * Look up the ID of a requirement in the merged spec
+   * @private
+   */
+  _requirementIds(document, text) {
+    const item = document && document.getItems('requirements').find(i => i.text === text);
+    return item ? [item.id] : [];
+  }
+
   /**
    * Ensure labels exist for child issues
    * @private
    */
   async _ensureLabelsExist(labels) {
-    const labelColors = {
-      'extension': 'FBCA04',
-      'spec-extension': '0E8A16'
-    };
-
-    for (const label of labels) {
-      try {
-        execSync(`gh label list --json name | grep '"name":"${label}"'`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-      } catch (error) {
-        // Label doesn't exist, create it
-        const color = labelColors[label] || '808080';
-        const description = label === 'extension' ? 'Spec extension work' : 'Extended from spec';
-        try {
-          execSync(`gh label create "${label}" --description "${description}" --color "${color}"`, {
-            encoding: 'utf-8',
-            cwd: process.cwd(),
-            stdio: 'pipe'
-          });
-        } catch (createError) {
-          // Ignore if already exists
-        }
-      }
-    }
+    await this.tracker.ensureLabels(labels);
   }
 
   /**
    * Add extension history comment
    * @private
    */
-  async _addExtensionComment(issueNumber, description, extensionContent, childIssues = []) {
+  async _addExtensionComment(issueNumber, description, extensionContent, childIssues = [], impact = null) {
     const timestamp = new Date().toLocaleString();
     let comment = `## 🔧 Spec Extended\n\n**Date:** ${timestamp}\n\n**Extension:** ${description}\n\n`;
 
@@ -438,14 +428,15 @@ class SpecExtendManager {
       comment += '\n';
     }
 
+    if (impact) {
+      comment += `${formatImpactReport(impact, issueNumber)}\n`;
+    }
+
     comment += '---\n\n';
     comment += `Extended using \`leo spec extend ${issueNumber} "${description}"\``;
 
     try {
-      execSync(
-        `gh issue comment ${issueNumber} --body "${comment.replace(/"/g, '\\"')}"`,
-        { encoding: 'utf-8', cwd: process.cwd(), stdio: 'pipe' }
-      );
+      await this.tracker.addComment(issueNumber, comment);
     } catch (error) {
       console.error(chalk.yellow('⚠️  Failed to add extension comment:'), error.message);
     }
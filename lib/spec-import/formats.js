@@ -0,0 +1,503 @@
+/**
+ * Spec Import Formats
+ *
+ * Parsers that turn existing backlog documents into spec drafts:
+ *
+ *   { title, sections: { 'Context': '...', 'Requirements': '- [ ] ...' }, priority, type, source }
+ *
+ * `sections` is the heading → Markdown map SpecManager._formatIssueBody
+ * takes. Headings are mapped onto the spec sections by name and common
+ * synonyms (Background → Context, Definition of Done → Acceptance
+ * Criteria, Non-goals → Out of Scope, ...); other headings are kept as they
+ * are. Supported sources:
+ *
+ * - markdown: one spec per `# Title` (or the whole file), sections from the
+ *   next heading level, optional YAML front matter (priority, type)
+ * - jira: Jira "Export to CSV" files - Summary, Description (wiki markup),
+ *   an Acceptance Criteria custom field, Priority and Issue Type
+ * - github: JSON from `gh issue list --json number,title,body,labels` or
+ *   the REST API - priority and type come from the issue labels
+ *
+ * @module lib/spec-import/formats
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { getSectionDefinition } = require('../spec/document');
+
+const IMPORT_FORMATS = ['markdown', 'jira', 'github'];
+
+/**
+ * Spec section for common backlog headings (lowercase, without punctuation)
+ */
+const SECTION_SYNONYMS = {
+  'Context': ['context', 'background', 'overview', 'summary', 'description', 'problem', 'problem statement', 'motivation', 'introduction', 'why'],
+  'Requirements': ['requirements', 'functional requirements', 'goals', 'scope', 'features', 'what'],
+  'User Stories': ['user stories', 'user story', 'stories', 'use cases'],
+  'Acceptance Criteria': ['acceptance criteria', 'acceptance', 'definition of done', 'dod', 'done when'],
+  'Technical Approach': ['technical approach', 'approach', 'solution', 'proposed solution', 'design', 'technical design', 'implementation', 'how'],
+  'Technical Notes': ['technical notes', 'notes', 'implementation notes'],
+  'Dependencies': ['dependencies', 'depends on', 'blocked by', 'related issues'],
+  'Constraints': ['constraints', 'non functional requirements', 'nfrs', 'nfr', 'assumptions'],
+  'Out of Scope': ['out of scope', 'non goals', 'not in scope'],
+  'Success Metrics': ['success metrics', 'metrics', 'kpis', 'success criteria']
+};
+
+const CHECKLIST_SECTIONS = ['Requirements', 'Acceptance Criteria'];
+
+const PRIORITY_ALIASES = {
+  high: ['high', 'highest', 'critical', 'blocker', 'urgent', 'major', 'p0', 'p1'],
+  medium: ['medium', 'normal', 'p2'],
+  low: ['low', 'lowest', 'minor', 'trivial', 'p3', 'p4']
+};
+
+const TYPE_ALIASES = {
+  bug: ['bug', 'defect', 'incident'],
+  feature: ['feature', 'story', 'new feature', 'enhancement', 'improvement', 'epic', 'task', 'sub task', 'subtask'],
+  refactor: ['refactor', 'refactoring', 'tech debt', 'technical debt', 'chore'],
+  docs: ['docs', 'documentation']
+};
+
+const ITEM_REGEX = /^(\s*)([-*+•]|\d+[.)])\s+(\[[ xX]\]\s+)?(.*)$/;
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const META_LINE_REGEX = /^\s*(?:\*\*|__)?(priority|type)(?:\*\*|__)?\s*:\s*(?:\*\*|__)?\s*([\w -]+?)\s*$/i;
+
+/**
+ * Normalize a heading or field value for lookups
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Spec section for a heading (known synonyms map, others keep their text)
+ *
+ * @param {string} heading - Heading text
+ * @returns {string} Spec section heading
+ */
+function mapSection(heading) {
+  const key = normalize(heading);
+  const match = Object.entries(SECTION_SYNONYMS).find(([, names]) => names.includes(key));
+  return match ? match[0] : String(heading).replace(/:\s*$/, '').trim();
+}
+
+/**
+ * Look up a priority or type value in an alias table
+ */
+function lookup(aliases, value) {
+  const key = normalize(value);
+  const match = Object.entries(aliases).find(([, names]) => names.includes(key));
+  return match ? match[0] : null;
+}
+
+/**
+ * Spec priority for a source value (Jira priority, label, front matter)
+ *
+ * @param {string} value - Source priority
+ * @returns {string|null} high, medium, low or null
+ */
+function mapPriority(value) {
+  return lookup(PRIORITY_ALIASES, String(value || '').replace(/^priority\s*[:/-]?\s*/i, ''));
+}
+
+/**
+ * Spec type for a source value (Jira issue type, label, front matter)
+ *
+ * @param {string} value - Source type
+ * @returns {string|null} feature, bug, refactor, docs or null
+ */
+function mapType(value) {
+  return lookup(TYPE_ALIASES, String(value || '').replace(/^(type|kind)\s*[:/-]?\s*/i, ''));
+}
+
+/**
+ * Normalize the Markdown of a spec section
+ *
+ * List markers become `-`; Requirements and Acceptance Criteria items become
+ * checkboxes (keeping their state). When a list section has no list items,
+ * each line becomes one.
+ */
+function normalizeSection(heading, content) {
+  const definition = getSectionDefinition(heading);
+  const text = String(content || '').trim();
+  if (!definition || definition.type !== 'list' || !text) {
+    return text;
+  }
+
+  const checklist = CHECKLIST_SECTIONS.includes(heading);
+  let lines = text.split('\n');
+  if (!lines.some(line => ITEM_REGEX.test(line))) {
+    lines = lines.filter(line => line.trim()).map(line => `- ${line.trim()}`);
+  }
+
+  return lines.map(line => {
+    const item = line.match(ITEM_REGEX);
+    if (!item) return line;
+
+    const [, indent, , checkbox, rest] = item;
+    if (indent.length > 0) return line;
+    if (checkbox) return `- ${checkbox.trim()} ${rest}`;
+    return checklist ? `- [ ] ${rest}` : `- ${rest}`;
+  }).join('\n');
+}
+
+/**
+ * Add content to a section map, appending to a section mapped twice
+ */
+function addSection(sections, heading, content) {
+  const text = normalizeSection(heading, content);
+  if (!text) return;
+  sections[heading] = sections[heading] ? `${sections[heading]}\n\n${text}` : text;
+}
+
+/**
+ * Map a Markdown body onto spec sections
+ *
+ * Sections start at the shallowest heading level in the body; deeper
+ * headings stay in their section. Text before the first heading becomes
+ * Context, except a loose checkbox list, which becomes Requirements.
+ * `Priority: High` / `Type: Bug` lines are read as metadata.
+ *
+ * @param {string} body - Markdown
+ * @returns {Object} { sections, priority, type }
+ */
+function parseBody(body) {
+  const lines = String(body || '').replace(/\r\n/g, '\n').replace(/<!--[\s\S]*?-->/g, '').split('\n');
+  const meta = {};
+
+  let level = 7;
+  let inCode = false;
+  lines.forEach(line => {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    const heading = !inCode && line.match(HEADING_REGEX);
+    if (heading) level = Math.min(level, heading[1].length);
+  });
+
+  const blocks = [{ heading: null, lines: [] }];
+  inCode = false;
+  lines.forEach(line => {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    const heading = !inCode && line.match(HEADING_REGEX);
+    if (heading && heading[1].length === level) {
+      blocks.push({ heading: heading[2], lines: [] });
+      return;
+    }
+
+    const metaLine = !inCode && line.match(META_LINE_REGEX);
+    if (metaLine) {
+      const value = metaLine[1].toLowerCase() === 'priority' ? mapPriority(metaLine[2]) : mapType(metaLine[2]);
+      if (value) {
+        meta[metaLine[1].toLowerCase()] = value;
+        return;
+      }
+    }
+
+    blocks[blocks.length - 1].lines.push(line);
+  });
+
+  const sections = {};
+  const [preamble, ...rest] = blocks;
+  rest.forEach(block => addSection(sections, mapSection(block.heading), block.lines.join('\n')));
+
+  const intro = preamble.lines.join('\n').trim();
+  if (intro) {
+    const checklist = intro.split('\n').filter(line => /^\s*[-*+]\s+\[[ xX]\]/.test(line));
+    const text = intro.split('\n').filter(line => !checklist.includes(line)).join('\n').trim();
+
+    if (checklist.length > 0) {
+      addSection(sections, 'Requirements', checklist.join('\n'));
+    }
+    if (text) {
+      sections['Context'] = sections['Context'] ? `${text}\n\n${sections['Context']}` : text;
+    }
+  }
+
+  // Keep the canonical order: Context first, then the rest as written
+  const ordered = {};
+  if (sections['Context']) ordered['Context'] = sections['Context'];
+  Object.keys(sections).forEach(heading => { ordered[heading] = sections[heading]; });
+
+  return { sections: ordered, priority: meta.priority || null, type: meta.type || null };
+}
+
+/**
+ * Parse a Markdown file: YAML front matter, then one spec per `# Title`
+ *
+ * @param {string} text - File content
+ * @param {string} file - File path (title fallback and source)
+ * @returns {Object[]} Spec drafts
+ */
+function parseMarkdown(text, file = 'spec.md') {
+  let content = String(text || '').replace(/^﻿/, '').replace(/\r\n/g, '\n');
+  let frontMatter = {};
+
+  const front = content.match(/^---\n([\s\S]*?)\n---\n/);
+  if (front) {
+    try {
+      frontMatter = yaml.safeLoad(front[1]) || {};
+    } catch (error) {
+      throw new Error(`Invalid front matter in ${file}: ${error.message}`);
+    }
+    content = content.slice(front[0].length);
+  }
+
+  // Split at top-level `# ` headings outside code blocks
+  const chunks = [];
+  let inCode = false;
+  content.split('\n').forEach(line => {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    const title = !inCode && line.match(/^#\s+(.+?)\s*#*\s*$/);
+    if (title) {
+      chunks.push({ title: title[1], lines: [] });
+    } else if (chunks.length > 0) {
+      chunks[chunks.length - 1].lines.push(line);
+    } else if (line.trim()) {
+      chunks.push({ title: null, lines: [line] });
+    }
+  });
+
+  const fallbackTitle = frontMatter.title || path.basename(file, path.extname(file)).replace(/[-_]+/g, ' ');
+  const defaults = { priority: mapPriority(frontMatter.priority), type: mapType(frontMatter.type) };
+
+  return chunks
+    .filter(chunk => chunk.title || chunk.lines.join('').trim())
+    .map((chunk, index) => {
+      const parsed = parseBody(chunk.lines.join('\n'));
+      return {
+        title: chunk.title || (index === 0 ? fallbackTitle : `${fallbackTitle} (${index + 1})`),
+        sections: parsed.sections,
+        priority: parsed.priority || defaults.priority,
+        type: parsed.type || defaults.type,
+        source: path.basename(file)
+      };
+    });
+}
+
+/**
+ * Parse CSV (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Convert Jira wiki markup to Markdown (headings, lists, code, emphasis, links)
+ *
+ * @param {string} text - Jira wiki markup
+ * @returns {string} Markdown
+ */
+function jiraToMarkdown(text) {
+  let inCode = false;
+
+  return String(text || '').replace(/\r\n/g, '\n').split('\n').map(line => {
+    if (/^\s*\{(code|noformat)(:[^}]*)?\}\s*$/.test(line)) {
+      inCode = !inCode;
+      return '```';
+    }
+    if (inCode) return line;
+
+    const heading = line.match(/^\s*h([1-6])\.\s+(.*)$/);
+    if (heading) return `${'#'.repeat(Number(heading[1]) + 1)} ${heading[2]}`;
+
+    const item = line.match(/^\s*([*#-]+)\s+(.*)$/);
+    let prefix = '';
+    let rest = line;
+    if (item) {
+      const depth = item[1].length - 1;
+      prefix = `${'  '.repeat(depth)}${item[1].endsWith('#') ? '1.' : '-'} `;
+      rest = item[2];
+    }
+
+    rest = rest
+      .replace(/\{\{([^}]+)\}\}/g, '`$1`')
+      .replace(/\[([^|\]]+)\|([^\]]+)\]/g, '[$1]($2)')
+      .replace(/(^|[\s(])\*([^*\s][^*]*?)\*(?=[\s).,:;!?]|$)/g, '$1**$2**');
+
+    return `${prefix}${rest}`;
+  }).join('\n');
+}
+
+/**
+ * Parse a Jira CSV export
+ *
+ * Jira repeats a column for multi-value fields (Labels, Sprint), so cells
+ * are collected per header name. The acceptance criteria field is any
+ * column whose name contains "Acceptance Criteria".
+ *
+ * @param {string} text - CSV text
+ * @returns {Object[]} Spec drafts
+ * @throws {Error} If the file is not a Jira export
+ */
+function parseJiraCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const names = (header || []).map(name => name.trim());
+
+  if (!names.includes('Summary')) {
+    throw new Error('Not a Jira CSV export - expected a "Summary" column');
+  }
+
+  const acceptanceColumn = names.findIndex(name => /acceptance criteria/i.test(name));
+  const field = (cells, name) => {
+    const index = names.indexOf(name);
+    return index === -1 ? '' : String(cells[index] || '').trim();
+  };
+
+  return rows
+    .filter(cells => field(cells, 'Summary'))
+    .map(cells => {
+      const parsed = parseBody(jiraToMarkdown(field(cells, 'Description')));
+      if (acceptanceColumn !== -1 && String(cells[acceptanceColumn] || '').trim()) {
+        const criteria = normalizeSection('Acceptance Criteria', jiraToMarkdown(cells[acceptanceColumn]).trim());
+        parsed.sections['Acceptance Criteria'] = parsed.sections['Acceptance Criteria']
+          ? `${parsed.sections['Acceptance Criteria']}\n${criteria}`
+          : criteria;
+      }
+
+      return {
+        title: field(cells, 'Summary'),
+        sections: parsed.sections,
+        priority: mapPriority(field(cells, 'Priority')) || parsed.priority,
+        type: mapType(field(cells, 'Issue Type')) || parsed.type,
+        source: field(cells, 'Issue key') || null
+      };
+    });
+}
+
+/**
+ * Parse a GitHub issue export (JSON array, `{ issues: [...] }` or one issue)
+ *
+ * Pull requests in REST API exports are skipped.
+ *
+ * @param {string} text - JSON text
+ * @returns {Object[]} Spec drafts
+ * @throws {Error} If the file is not valid JSON
+ */
+function parseGitHubIssues(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').replace(/^﻿/, ''));
+  } catch (error) {
+    throw new Error(`Not a GitHub issue export - invalid JSON: ${error.message}`);
+  }
+
+  const issues = Array.isArray(data) ? data : Array.isArray(data.issues) ? data.issues : [data];
+
+  return issues
+    .filter(issue => issue && issue.title && !issue.pull_request)
+    .map(issue => {
+      const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+      const parsed = parseBody(issue.body || '');
+      const fromLabels = map => labels.map(map).find(Boolean) || null;
+
+      return {
+        title: issue.title,
+        sections: parsed.sections,
+        priority: fromLabels(mapPriority) || parsed.priority,
+        type: fromLabels(mapType) || parsed.type,
+        source: issue.url || issue.html_url || (issue.number ? `#${issue.number}` : null)
+      };
+    });
+}
+
+/**
+ * Detect the format of an import file from its extension and content
+ *
+ * @param {string} file - File path
+ * @param {string} text - File content
+ * @returns {string} markdown, jira or github
+ */
+function detectFormat(file, text) {
+  const extension = path.extname(file).toLowerCase();
+  const start = String(text || '').replace(/^﻿/, '').trimStart();
+
+  if (extension === '.json' || start.startsWith('[') || start.startsWith('{')) {
+    return 'github';
+  }
+  if (extension === '.csv' || /^"?Summary"?,/.test(start) || /,"?Issue key"?,/.test(start.split('\n')[0])) {
+    return 'jira';
+  }
+  return 'markdown';
+}
+
+/**
+ * Parse an import file
+ *
+ * @param {string} file - File path (for detection and titles)
+ * @param {string} text - File content
+ * @param {string} format - markdown, jira or github (default: detected)
+ * @returns {Object} { format, specs }
+ */
+function parseImport(file, text, format = null) {
+  const resolved = format ? String(format).toLowerCase() : detectFormat(file, text);
+
+  switch (resolved) {
+    case 'markdown':
+    case 'md':
+      return { format: 'markdown', specs: parseMarkdown(text, file) };
+    case 'jira':
+    case 'csv':
+      return { format: 'jira', specs: parseJiraCsv(text) };
+    case 'github':
+    case 'json':
+      return { format: 'github', specs: parseGitHubIssues(text) };
+    default:
+      throw new Error(`Unknown import format "${format}" - use ${IMPORT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  mapSection,
+  mapPriority,
+  mapType,
+  parseBody,
+  parseMarkdown,
+  parseCsv,
+  jiraToMarkdown,
+  parseJiraCsv,
+  parseGitHubIssues,
+  detectFormat,
+  parseImport
+};
@@ -0,0 +1,183 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const SpecManager = require('../spec');
+const { getTemplate, validateSpec, DEFAULT_TEMPLATE } = require('../spec/templates');
+const { SpecDocument } = require('../spec/document');
+const { parseImport } = require('./formats');
+
+/**
+ * Spec Import Manager
+ * Turns Markdown docs, Jira CSV exports and GitHub issue exports into spec
+ * issues (see ./formats for the field mapping). Bodies and labels go
+ * through SpecManager, so imported specs look like ones made with `spec new`.
+ */
+class SpecImportManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {SpecManager} options.specManager - Spec manager used for bodies, labels and issue creation
+   * @param {string} options.projectRoot - Project root for templates and spec versions (default: the tracker root or cwd)
+   */
+  constructor(options = {}) {
+    this.specManager = options.specManager || new SpecManager(options);
+    this.tracker = options.tracker || this.specManager.tracker;
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+  }
+
+  /**
+   * Import specs from a file
+   * @param {string} file - Markdown, Jira CSV or GitHub issue JSON file
+   * @param {object} options - Import options
+   * @param {string} options.format - markdown, jira or github (default: detected from the file)
+   * @param {boolean} options.dryRun - Preview the specs without creating issues
+   * @param {string} options.template - Spec template the sections are checked against (default: feature)
+   * @param {string} options.priority - Priority for specs whose source has none (default: medium)
+   * @param {string} options.type - Type for specs whose source has none (default: feature)
+   * @param {boolean} options.force - Create specs that break template rules
+   * @returns {Promise<object>} { format, specs } - each spec has title, labels, body, source, status (preview, created, duplicate, invalid, failed) and number
+   */
+  async import(file, options = {}) {
+    const { dryRun = false, force = false, priority = 'medium', type = 'feature' } = options;
+    const filePath = path.resolve(this.projectRoot, file);
+
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`File not found: ${file}`);
+    }
+
+    console.log(chalk.blue(`📥 Importing specs from ${file}...`));
+
+    // Step 1: Parse the file
+    const { format, specs: drafts } = parseImport(filePath, await fs.readFile(filePath, 'utf8'), options.format);
+    if (drafts.length === 0) {
+      throw new Error(`No specs found in ${file}`);
+    }
+    console.log(chalk.gray(`   Format: ${format} · ${drafts.length} spec(s)`));
+
+    // Step 2: Build bodies and labels the way `spec new` does
+    const template = await getTemplate(this.projectRoot, options.template || DEFAULT_TEMPLATE);
+    this.specManager.template = template;
+    const existing = await this._existingTitles();
+
+    const specs = drafts.map(draft => {
+      const specContent = this._applyTemplate(draft);
+      const labels = this.specManager._determineLabels(draft.priority || priority, draft.type || type);
+      const origin = `imported${draft.source ? ` from ${draft.source}` : ''} using \`leo spec import\``;
+      const body = this.specManager._formatIssueBody(specContent, { assignIds: true, origin });
+      const validation = validateSpec(template, specContent.sections);
+      const missing = template.sections
+        .filter(section => section.required && !draft.sections[section.name])
+        .map(section => section.name);
+
+      let status = dryRun ? 'preview' : 'pending';
+      if (existing.has(draft.title.trim().toLowerCase())) status = 'duplicate';
+      else if (!validation.valid && !force) status = 'invalid';
+
+      return { title: draft.title, source: draft.source, labels, body, missing, errors: validation.errors, status, number: null };
+    });
+
+    this._displayPreview(specs, template);
+
+    // Step 3: Create the issues
+    if (dryRun) {
+      const ready = specs.filter(spec => spec.status === 'preview').length;
+      console.log(chalk.yellow(`\n🔍 Dry run - no issues created. Run without --dry-run to create ${ready} spec(s).`));
+      return { format, specs };
+    }
+
+    console.log('');
+    for (const spec of specs.filter(s => s.status === 'pending')) {
+      try {
+        const issue = await this.specManager._createGitHubIssue(spec.title, spec.body, spec.labels);
+        spec.number = issue.number;
+        spec.url = issue.url;
+        spec.status = 'created';
+        console.log(chalk.green(`✅ #${issue.number} ${spec.title}`));
+        await this.specManager._saveVersion(issue.number, {
+          title: spec.title,
+          body: spec.body,
+          reason: `import${spec.source ? `: ${spec.source}` : ''}`
+        });
+      } catch (error) {
+        spec.status = 'failed';
+        spec.error = error.message;
+      }
+    }
+
+    const count = status => specs.filter(spec => spec.status === status).length;
+    console.log(chalk.green(`\n✅ Imported ${count('created')} of ${specs.length} spec(s)`));
+    if (count('duplicate') > 0) {
+      console.log(chalk.gray(`   Skipped ${count('duplicate')} already imported (same title)`));
+    }
+    if (count('invalid') > 0) {
+      console.log(chalk.yellow(`⚠️  Skipped ${count('invalid')} that do not match the "${template.name}" template (fix them or use --force)`));
+    }
+    specs.filter(spec => spec.status === 'failed').forEach(spec => {
+      console.error(chalk.red(`❌ Failed to create "${spec.title}": ${spec.error}`));
+    });
+
+    return { format, specs };
+  }
+
+  /**
+   * Template sections first (required ones filled from the placeholder),
+   * then any other sections from the source, so nothing is dropped
+   * @private
+   */
+  _applyTemplate(draft) {
+    const specContent = this.specManager._applyTemplate({ title: draft.title, sections: draft.sections });
+
+    Object.entries(draft.sections).forEach(([heading, content]) => {
+      if (!specContent.sections[heading]) {
+        specContent.sections[heading] = content;
+      }
+    });
+
+    return specContent;
+  }
+
+  /**
+   * Titles of existing spec issues (lowercase), to skip re-imports
+   * @private
+   */
+  async _existingTitles() {
+    try {
+      const issues = await this.tracker.listIssues({ label: 'spec', state: 'all', limit: 1000 });
+      return new Set(issues.map(issue => issue.title.trim().toLowerCase()));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not list existing specs: ${error.message}`));
+      return new Set();
+    }
+  }
+
+  /**
+   * Print what each spec will look like
+   * @private
+   */
+  _displayPreview(specs, template) {
+    const icons = { preview: '📄', pending: '📄', duplicate: '⏭️ ', invalid: '⚠️ ' };
+
+    specs.forEach(spec => {
+      const document = SpecDocument.parse(spec.body);
+      const sections = document.sections.map(section => (
+        section.type === 'list' ? `${section.title} (${section.items.length})` : section.title
+      ));
+
+      console.log(`\n${icons[spec.status]} ${chalk.bold(spec.title)}${spec.source ? chalk.gray(` ← ${spec.source}`) : ''}`);
+      console.log(chalk.gray(`   Labels: ${spec.labels.join(', ')}`));
+      console.log(chalk.gray(`   Sections: ${sections.join(', ')}`));
+
+      if (spec.missing.length > 0) {
+        console.log(chalk.yellow(`   Placeholder for: ${spec.missing.join(', ')}`));
+      }
+      if (spec.status === 'duplicate') {
+        console.log(chalk.gray('   Already imported - a spec with this title exists'));
+      }
+      spec.errors.forEach(error => {
+        console.log(chalk.yellow(`   ${template.name} template - ${error.section}: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = SpecImportManager;
@@ -0,0 +1,149 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { createTracker } = require('../tracker');
+const { SpecDocument } = require('../spec/document');
+const SpecTraceManager = require('../spec-trace');
+const { detectProjectType } = require('../utils/project-detector');
+const { groupCriteria, renderSkeleton } = require('./skeleton');
+
+/**
+ * Supported runners, in the order they are picked when a project has several
+ */
+const RUNNERS = {
+  jest: { name: 'Jest', suffix: 'test', dirs: ['tests', '__tests__', 'test'] },
+  playwright: { name: 'Playwright', suffix: 'spec', dirs: ['e2e', 'tests/e2e', 'tests'] }
+};
+
+/**
+ * Spec Tests Manager
+ * Turns a spec's acceptance criteria into Jest or Playwright test skeletons
+ * (see ./skeleton). Criteria that already have a test are skipped, and an
+ * existing test file is never overwritten.
+ */
+class SpecTestsManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {string} options.projectRoot - Project root (default: cwd)
+   */
+  constructor(options = {}) {
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+  }
+
+  /**
+   * Generate test skeletons for a spec issue
+   * @param {number} issueNumber - Spec issue number
+   * @param {object} options - Generation options
+   * @param {string} options.runner - jest or playwright (default: detected from package.json)
+   * @param {string} options.output - Test file (default: spec-<issue>-<title>.test.js in the project's test directory)
+   * @param {boolean} options.dryRun - Print the skeleton instead of writing it
+   * @returns {Promise<object>} { runner, output, groups, skipped, content }
+   */
+  async generate(issueNumber, options = {}) {
+    console.log(chalk.cyan(`🧪 Generating test skeletons for spec #${issueNumber}...\n`));
+
+    // Step 1: Load spec
+    const issue = await this.tracker.getIssue(issueNumber);
+    const document = SpecDocument.parse(issue.body);
+    const criteria = document.getItems('acceptanceCriteria');
+    if (criteria.length === 0) {
+      throw new Error(`Spec #${issue.number} has no acceptance criteria`);
+    }
+
+    // Step 2: Pick the test runner
+    const project = await detectProjectType(this.projectRoot);
+    const runner = this._selectRunner(project, options.runner);
+    console.log(chalk.gray(`   Runner: ${RUNNERS[runner].name}`));
+
+    // Step 3: Leave out criteria that already have tests
+    const existing = await new SpecTraceManager({ tracker: this.tracker, projectRoot: this.projectRoot }).scanTests(issue.number);
+    const tested = new Set(existing.flatMap(test => test.criteria));
+    const skipped = criteria.filter(item => tested.has(item.id)).map(item => item.id);
+    const groups = groupCriteria(document, { skip: skipped });
+
+    if (skipped.length > 0) {
+      console.log(chalk.gray(`   Already tested: ${skipped.join(', ')} (${existing.map(test => test.file).join(', ')})`));
+    }
+    if (groups.length === 0) {
+      console.log(chalk.green('\n✅ Every acceptance criterion already has a test'));
+      return { runner, output: null, groups, skipped, content: null };
+    }
+
+    // Step 4: Render and write
+    const content = renderSkeleton(groups, { runner, issue, typescript: project.hasTypeScript });
+    const output = path.resolve(this.projectRoot, options.output || await this._defaultOutput(issue, runner, project));
+    const relative = path.relative(this.projectRoot, output);
+    const exists = await fs.pathExists(output);
+
+    if (options.dryRun) {
+      if (exists) {
+        console.log(chalk.yellow(`⚠️  ${relative} already exists - it would not be overwritten`));
+      }
+      console.log(chalk.gray(`\n// ${relative}\n`));
+      console.log(content);
+      return { runner, output, groups, skipped, content };
+    }
+
+    if (exists) {
+      throw new Error(`${relative} already exists - existing tests are never overwritten. Use --output to write the skeletons to a new file`);
+    }
+
+    await fs.outputFile(output, content);
+
+    const count = groups.reduce((total, group) => total + group.criteria.length, 0);
+    console.log(chalk.green(`\n✅ Wrote ${count} test(s) in ${groups.length} describe block(s) to ${relative}`));
+
+    const untagged = groups.flatMap(group => group.criteria).filter(criterion => criterion.requirements.length === 0);
+    if (untagged.length > 0) {
+      console.log(chalk.yellow(`⚠️  No requirement ID for ${untagged.map(c => c.id).join(', ')} - add (REQ-n) to the criterion or its user story`));
+    }
+
+    return { runner, output, groups, skipped, content };
+  }
+
+  /**
+   * Requested runner, or the first supported one in package.json
+   * @private
+   */
+  _selectRunner(project, requested) {
+    if (requested) {
+      const runner = String(requested).toLowerCase();
+      if (!RUNNERS[runner]) {
+        throw new Error(`Unknown test runner "${requested}" - use ${Object.keys(RUNNERS).join(', ')}`);
+      }
+      if (!project.testRunners.includes(runner)) {
+        console.log(chalk.yellow(`⚠️  ${RUNNERS[runner].name} is not in package.json`));
+      }
+      return runner;
+    }
+
+    const runner = Object.keys(RUNNERS).find(name => project.testRunners.includes(name));
+    if (!runner) {
+      throw new Error(`No Jest or Playwright found in package.json - install one or use --runner ${Object.keys(RUNNERS).join('|')}`);
+    }
+    return runner;
+  }
+
+  /**
+   * spec-<issue>-<title>.<suffix>.<js|ts> in the first test directory that exists
+   * @private
+   */
+  async _defaultOutput(issue, runner, project) {
+    const { suffix, dirs } = RUNNERS[runner];
+    let dir = dirs[0];
+    for (const candidate of dirs) {
+      if (await fs.pathExists(path.join(this.projectRoot, candidate))) {
+        dir = candidate;
+        break;
+      }
+    }
+
+    const slug = issue.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40).replace(/-+$/, '');
+    const extension = project.hasTypeScript ? 'ts' : 'js';
+    return path.join(dir, `spec-${issue.number}${slug ? `-${slug}` : ''}.${suffix}.${extension}`);
+  }
+}
+
+module.exports = SpecTestsManager;
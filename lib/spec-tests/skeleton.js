@@ -0,0 +1,159 @@
+/**
+ * Acceptance Criteria → Test Skeletons
+ *
+ * Groups a spec's acceptance criteria under its user stories and renders
+ * them as Jest or Playwright files: one `describe` per user story and one
+ * test per criterion. Titles carry the item IDs and requirement tags, e.g.
+ *
+ *   describe('US-1: As a shopper, I want ... (REQ-1)', () => {
+ *     it('AC-2: Given a saved cart, when I sign in, then ... (REQ-1)', ...)
+ *
+ * so `spec trace` and the coverage report can map results back to the spec.
+ *
+ * A criterion belongs to the story it names (`US-2`). With a single story
+ * every criterion goes under it; otherwise unnamed criteria are grouped in
+ * a final "Acceptance criteria" block.
+ *
+ * @module lib/spec-tests/skeleton
+ */
+
+const { extractRequirementRefs, stripRequirementTag, tagWithRequirements } = require('../spec/trace');
+
+const STORY_REF_REGEX = /\bUS-\d+\b/;
+const GHERKIN_REGEX = /^\s*given\s+(.+?),?\s+when\s+(.+?),?\s+then\s+(.+?)\s*$/i;
+const UNGROUPED_TITLE = 'Acceptance criteria';
+
+/**
+ * Split a Given/When/Then criterion into its steps
+ *
+ * @param {string} text - Criterion text
+ * @returns {Object|null} { given, when, then }, or null if not in that form
+ */
+function splitCriterion(text) {
+  const match = stripRequirementTag(text).match(GHERKIN_REGEX);
+  return match ? { given: match[1], when: match[2], then: match[3] } : null;
+}
+
+/**
+ * Group acceptance criteria under user stories
+ *
+ * @param {SpecDocument} document - Parsed spec
+ * @param {Object} options - Grouping options
+ * @param {string[]} options.skip - Criterion IDs to leave out (already tested)
+ * @returns {Object[]} Groups ({ id, title, requirements, criteria: [{ id, title, requirements, steps }] })
+ */
+function groupCriteria(document, options = {}) {
+  const skip = new Set(options.skip || []);
+  const stories = document.getItems('userStories');
+  const criteria = document.getItems('acceptanceCriteria').filter(item => !skip.has(item.id));
+
+  const groups = stories.map(story => ({
+    id: story.id,
+    title: stripRequirementTag(story.text),
+    requirements: extractRequirementRefs(story.text),
+    criteria: []
+  }));
+  const ungrouped = { id: null, title: UNGROUPED_TITLE, requirements: [], criteria: [] };
+
+  criteria.forEach(item => {
+    const storyRef = (item.text.match(STORY_REF_REGEX) || [])[0];
+    const group = groups.find(g => g.id === storyRef) || (groups.length === 1 ? groups[0] : ungrouped);
+    const ownRequirements = extractRequirementRefs(item.text);
+
+    group.criteria.push({
+      id: item.id,
+      title: stripRequirementTag(item.text),
+      requirements: ownRequirements.length > 0 ? ownRequirements : group.requirements,
+      steps: splitCriterion(item.text)
+    });
+  });
+
+  return [...groups, ungrouped].filter(group => group.criteria.length > 0);
+}
+
+/**
+ * Quote a string as a single-quoted JavaScript literal
+ */
+function quote(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\s+/g, ' ').trim()}'`;
+}
+
+/**
+ * describe/test title with the item ID and requirement tag
+ */
+function title(id, text, requirements) {
+  return tagWithRequirements(id ? `${id}: ${text}` : text, requirements);
+}
+
+/**
+ * Comment lines for the test body
+ */
+function stepComments(criterion, indent) {
+  const lines = criterion.steps
+    ? [`// Given ${criterion.steps.given}`, `// When ${criterion.steps.when}`, `// Then ${criterion.steps.then}`]
+    : ['// Arrange', '// Act', `// Assert: ${criterion.title}`];
+
+  if (criterion.requirements.length === 0) {
+    lines.push('// TODO: name the requirement this verifies (REQ-n) in the spec');
+  }
+
+  return lines.map(line => `${indent}${line.replace(/\s+/g, ' ')}`);
+}
+
+/**
+ * Render test skeletons
+ *
+ * @param {Object[]} groups - Groups from groupCriteria
+ * @param {Object} options - Render options
+ * @param {string} options.runner - jest or playwright
+ * @param {Object} options.issue - Spec issue ({ number, title })
+ * @param {boolean} options.typescript - Use ES module imports
+ * @returns {string} Test file content
+ */
+function renderSkeleton(groups, options = {}) {
+  const { runner = 'jest', issue, typescript = false } = options;
+  const playwright = runner === 'playwright';
+  const describe = playwright ? 'test.describe' : 'describe';
+  const it = playwright ? 'test' : 'it';
+  const args = playwright ? '{ page }' : '';
+
+  const lines = [
+    '/**',
+    ` * Acceptance tests for spec #${issue.number}: ${issue.title.replace(/\*\//g, '*\\/')}`,
+    ' *',
+    ' * Generated by `leo spec tests` - one describe per user story, one test per',
+    ' * acceptance criterion. Keep the AC/REQ IDs in the titles so coverage can be',
+    ' * traced back to the spec.',
+    ' */',
+    ''
+  ];
+
+  if (playwright) {
+    lines.push(typescript
+      ? "import { test, expect } from '@playwright/test';"
+      : "const { test, expect } = require('@playwright/test');", '');
+  }
+
+  groups.forEach((group, index) => {
+    lines.push(`${describe}(${quote(title(group.id, group.title, group.requirements))}, () => {`);
+
+    group.criteria.forEach((criterion, criterionIndex) => {
+      lines.push(`  ${it}(${quote(title(criterion.id, criterion.title, criterion.requirements))}, async (${args}) => {`);
+      lines.push(...stepComments(criterion, '    '));
+      lines.push(`    throw new Error(${quote(`Not implemented: ${criterion.id}`)});`);
+      lines.push('  });');
+      if (criterionIndex < group.criteria.length - 1) lines.push('');
+    });
+
+    lines.push('});');
+    if (index < groups.length - 1) lines.push('');
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  splitCriterion,
+  groupCriteria,
+  renderSkeleton
+};
@@ -0,0 +1,391 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { createTracker } = require('../tracker');
+const { SpecDocument } = require('../spec/document');
+const { extractRequirementRefs, stripRequirementTag } = require('../spec/trace');
+
+const PLAN_MARKER = '# 📐 Implementation Plan';
+const TASKS_MARKER = '## ✅ Implementation Tasks';
+const CHILD_ISSUES_MARKER = '## 🔗 Child Task Issues';
+
+const TEST_FILE_REGEX = /\.(test|spec)\.[jt]sx?$/;
+const IGNORED_DIRS = ['node_modules', '.git', '.leo', 'coverage', 'dist', 'build'];
+
+/**
+ * Spec Trace Manager
+ * Builds a traceability matrix from spec requirements to plan phases,
+ * tasks, child issues and tests
+ */
+class SpecTraceManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {string} options.projectRoot - Project root scanned for tests (default: cwd)
+   */
+  constructor(options = {}) {
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || process.cwd();
+  }
+
+  /**
+   * Build and print (or export) the traceability matrix for a spec
+   * @param {number} issueNumber - Spec issue number
+   * @param {object} options - Trace options
+   * @param {string} options.format - table, markdown, csv or json (default: table)
+   * @param {string} options.output - Write the report to this file instead of stdout
+   * @returns {Promise<object>} Traceability matrix
+   */
+  async trace(issueNumber, options = {}) {
+    const { format = 'table', output = null } = options;
+
+    console.log(chalk.cyan(`🔗 Tracing requirements for spec #${issueNumber}...\n`));
+
+    // Step 1: Load spec and its plan/task comments
+    const issue = await this.tracker.getIssue(issueNumber);
+    const comments = await this.tracker.listComments(issueNumber);
+    const document = SpecDocument.parse(issue.body);
+
+    // Step 2: Collect everything that can point at a requirement
+    const planTasks = this._parsePlanTasks(this._findComment(comments, PLAN_MARKER));
+    const tasksComment = this._findComment(comments, TASKS_MARKER);
+    const tasks = tasksComment ? this._parseTaskChecklist(tasksComment) : planTasks;
+    const childIssues = this._parseChildIssues(this._findComment(comments, CHILD_ISSUES_MARKER));
+    const tests = await this.scanTests(issueNumber);
+
+    if (!tasksComment) {
+      console.log(chalk.yellow('⚠️  No task checklist found - tracing against plan phases'));
+    }
+
+    // Step 3: Build matrix
+    const matrix = this._buildMatrix(issue, document, { planTasks, tasks, childIssues, tests });
+
+    // Step 4: Output
+    if (format === 'table' && !output) {
+      this._displayMatrix(matrix);
+      return matrix;
+    }
+
+    const report = this._formatReport(matrix, format);
+    if (output) {
+      await fs.outputFile(output, report);
+      console.log(chalk.green(`✅ Traceability matrix written to ${output}`));
+    } else {
+      console.log(report);
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Find the first comment containing a marker
+   * @private
+   */
+  _findComment(comments, marker) {
+    const comment = comments.find(c => c.body && c.body.includes(marker));
+    return comment ? comment.body : null;
+  }
+
+  /**
+   * Parse tasks from the plan's "Implementation Phases" section
+   * @private
+   */
+  _parsePlanTasks(plan) {
+    if (!plan) return [];
+
+    const phasesMatch = plan.match(/## Implementation Phases\s+([\s\S]*?)(?=\n##|\n---|$)/);
+    if (!phasesMatch) return [];
+
+    const tasks = [];
+    let phase = null;
+
+    for (const line of phasesMatch[1].split('\n')) {
+      const phaseMatch = line.match(/^\*\*Phase (\d+): (.+?)\*\*/);
+      const taskMatch = line.match(/^- \[[ xX]\] (.+)$/);
+
+      if (phaseMatch) {
+        phase = parseInt(phaseMatch[1], 10);
+      } else if (taskMatch && phase !== null) {
+        tasks.push(this._toTask(phase, taskMatch[1], false));
+      }
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Parse tasks from the "Implementation Tasks" checklist comment
+   * @private
+   */
+  _parseTaskChecklist(comment) {
+    const tasks = [];
+    let phase = null;
+
+    for (const line of comment.split('\n')) {
+      const phaseMatch = line.match(/^### Phase (\d+):/);
+      const taskMatch = line.match(/^- \[([ xX])\] (.+)$/);
+
+      if (phaseMatch) {
+        phase = parseInt(phaseMatch[1], 10);
+      } else if (taskMatch && phase !== null) {
+        tasks.push(this._toTask(phase, taskMatch[2], taskMatch[1].toLowerCase() === 'x'));
+      }
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Parse child issues from the "Child Task Issues" comment
+   * @private
+   */
+  _parseChildIssues(comment) {
+    if (!comment) return [];
+
+    return Array.from(comment.matchAll(/^- #(\d+) - (.+)$/gm)).map(match => ({
+      number: parseInt(match[1], 10),
+      text: stripRequirementTag(match[2].trim()),
+      requirements: extractRequirementRefs(match[2])
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _toTask(phase, rawText, done) {
+    const text = rawText.replace(/^\*\*T\d+\*\* /, '').replace(/\[BLOCKED: Phase \d+\] /, '').trim();
+    return {
+      phase,
+      text: stripRequirementTag(text),
+      done,
+      requirements: extractRequirementRefs(text)
+    };
+  }
+
+  /**
+   * Find test files that reference this spec (`#<issue>`) and collect
+   * the requirement and acceptance criterion IDs they mention
+   * Also used by spec tests and spec coverage to find a spec's test files.
+   * @param {number} issueNumber - Spec issue number
+   * @returns {Promise<Array>} Test files ({ file, requirements, criteria }), file relative to the project root
+   */
+  async scanTests(issueNumber) {
+    const tests = [];
+    const specRef = new RegExp(`#${issueNumber}\\b`);
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.includes(entry.name)) {
+            await walk(fullPath);
+          }
+        } else if (TEST_FILE_REGEX.test(entry.name)) {
+          const content = await fs.readFile(fullPath, 'utf-8');
+          if (specRef.test(content)) {
+            tests.push({
+              file: path.relative(this.projectRoot, fullPath),
+              requirements: extractRequirementRefs(content),
+              criteria: [...new Set(content.match(/\bAC-\d+\b/g) || [])]
+            });
+          }
+        }
+      }
+    };
+
+    await walk(this.projectRoot);
+    return tests;
+  }
+
+  /**
+   * Build the traceability matrix
+   * @private
+   */
+  _buildMatrix(issue, document, sources) {
+    const { planTasks, tasks, childIssues, tests } = sources;
+    const requirementItems = document.getItems('requirements');
+    const knownIds = requirementItems.map(item => item.id);
+
+    const refersTo = id => entry => entry.requirements.includes(id);
+
+    const requirements = requirementItems.map(item => {
+      const matchedTasks = tasks.filter(refersTo(item.id));
+      return {
+        id: item.id,
+        text: item.text,
+        phases: [...new Set(planTasks.filter(refersTo(item.id)).map(t => t.phase))],
+        tasks: matchedTasks.map(t => t.text),
+        tasksDone: matchedTasks.filter(t => t.done).length,
+        childIssues: childIssues.filter(refersTo(item.id)).map(c => c.number),
+        tests: tests.filter(refersTo(item.id)).map(t => t.file)
+      };
+    });
+
+    const untracedTasks = tasks.filter(t => t.requirements.length === 0);
+    const unknownRefs = [...new Set(
+      [...tasks, ...childIssues, ...tests]
+        .flatMap(entry => entry.requirements)
+        .filter(id => !knownIds.includes(id))
+    )];
+
+    const uncovered = requirements.filter(r => r.tasks.length === 0);
+
+    return {
+      issueNumber: issue.number,
+      title: issue.title,
+      requirements,
+      untracedTasks,
+      unknownRefs,
+      summary: {
+        requirements: requirements.length,
+        covered: requirements.length - uncovered.length,
+        uncovered: uncovered.length,
+        tested: requirements.filter(r => r.tests.length > 0).length,
+        untracedTasks: untracedTasks.length
+      }
+    };
+  }
+
+  /**
+   * Print matrix to the console
+   * @private
+   */
+  _displayMatrix(matrix) {
+    console.log(chalk.bold(`Traceability: #${matrix.issueNumber} ${matrix.title}\n`));
+
+    if (matrix.requirements.length === 0) {
+      console.log(chalk.yellow('⚠️  Spec has no requirements'));
+    }
+
+    for (const req of matrix.requirements) {
+      const icon = req.tasks.length === 0 ? chalk.red('✗') : chalk.green('✓');
+      console.log(`${icon} ${chalk.bold(req.id)} ${this._truncate(req.text, 70)}`);
+      console.log(chalk.gray(`    Phases: ${req.phases.join(', ') || '-'}`));
+      console.log(chalk.gray(`    Tasks: ${req.tasks.length} (${req.tasksDone} done)`));
+      console.log(chalk.gray(`    Child issues: ${req.childIssues.map(n => `#${n}`).join(', ') || '-'}`));
+      console.log(chalk.gray(`    Tests: ${req.tests.join(', ') || '-'}`));
+    }
+
+    const uncovered = matrix.requirements.filter(r => r.tasks.length === 0);
+    if (uncovered.length > 0) {
+      console.log(chalk.red(`\n❌ Requirements with no task (${uncovered.length}):`));
+      uncovered.forEach(r => console.log(chalk.red(`   ${r.id} ${this._truncate(r.text, 70)}`)));
+    }
+
+    if (matrix.untracedTasks.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  Tasks with no requirement (${matrix.untracedTasks.length}):`));
+      matrix.untracedTasks.forEach(t => console.log(chalk.yellow(`   Phase ${t.phase}: ${t.text}`)));
+    }
+
+    if (matrix.unknownRefs.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  References to requirements not in the spec: ${matrix.unknownRefs.join(', ')}`));
+    }
+
+    const { summary } = matrix;
+    console.log(chalk.cyan(`\n📊 ${summary.covered}/${summary.requirements} requirements have tasks, ${summary.tested} have tests\n`));
+  }
+
+  /**
+   * Format matrix for export
+   * @private
+   */
+  _formatReport(matrix, format) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(matrix, null, 2) + '\n';
+      case 'csv':
+        return this._formatCsv(matrix);
+      case 'markdown':
+      case 'md':
+        return this._formatMarkdown(matrix);
+      default:
+        throw new Error(`Unknown format: ${format} (available: table, markdown, csv, json)`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _formatMarkdown(matrix) {
+    let report = `# Traceability Matrix: #${matrix.issueNumber} ${matrix.title}\n\n`;
+    report += '| Requirement | Description | Plan Phases | Tasks | Child Issues | Tests |\n';
+    report += '|-------------|-------------|-------------|-------|--------------|-------|\n';
+
+    for (const req of matrix.requirements) {
+      const flag = req.tasks.length === 0 ? ' ⚠️' : '';
+      report += `| ${req.id}${flag} | ${this._escapeCell(req.text)} | ${req.phases.join(', ') || '-'} | `;
+      report += `${req.tasks.length ? `${req.tasksDone}/${req.tasks.length}` : '-'} | `;
+      report += `${req.childIssues.map(n => `#${n}`).join(', ') || '-'} | ${req.tests.join(', ') || '-'} |\n`;
+    }
+
+    const uncovered = matrix.requirements.filter(r => r.tasks.length === 0);
+    if (uncovered.length > 0) {
+      report += '\n## Requirements With No Task\n\n';
+      uncovered.forEach(r => { report += `- ${r.id}: ${r.text}\n`; });
+    }
+
+    if (matrix.untracedTasks.length > 0) {
+      report += '\n## Tasks With No Requirement\n\n';
+      matrix.untracedTasks.forEach(t => { report += `- Phase ${t.phase}: ${t.text}\n`; });
+    }
+
+    if (matrix.unknownRefs.length > 0) {
+      report += `\n## Unknown Requirement References\n\n${matrix.unknownRefs.join(', ')}\n`;
+    }
+
+    return report;
+  }
+
+  /**
+   * @private
+   */
+  _formatCsv(matrix) {
+    const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+    const rows = [['requirement', 'description', 'phases', 'tasks', 'tasks_done', 'child_issues', 'tests']];
+
+    for (const req of matrix.requirements) {
+      rows.push([
+        req.id,
+        req.text,
+        req.phases.join(' '),
+        req.tasks.length,
+        req.tasksDone,
+        req.childIssues.map(n => `#${n}`).join(' '),
+        req.tests.join(' ')
+      ]);
+    }
+
+    for (const task of matrix.untracedTasks) {
+      rows.push(['', `[untraced task, phase ${task.phase}] ${task.text}`, task.phase, 1, task.done ? 1 : 0, '', '']);
+    }
+
+    return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * @private
+   */
+  _escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|');
+  }
+
+  /**
+   * Truncate long text for display
+   * @private
+   */
+  _truncate(text, maxLength = 100) {
+    if (!text) return '';
+    if (text.length <= maxLength) return text;
+    return text.substring(0, maxLength) + '...';
+  }
+}
+
+module.exports = SpecTraceManager;
@@ -0,0 +1,247 @@
+/**
+ * AI Spec Authoring
+ *
+ * Opt-in replacement for the keyword heuristics in SpecManager: sends the
+ * feature description to the model picked for the orchestrator agent and
+ * returns a spec in the same `{ title, sections }` shape, so the rest of
+ * the spec pipeline (IDs, formatting, plan, tasks) does not change.
+ *
+ * Only Anthropic models can be called today. Usage is recorded through
+ * the ModelSelector's CostTracker (.leo/model-usage.json).
+ *
+ * @module lib/spec/author
+ */
+
+const chalk = require('chalk');
+const ModelSelector = require('../model-selection');
+const ModelConfigManager = require('../utils/model-config');
+const { getSectionDefinition, getSectionTitle } = require('./document');
+
+const AGENT = 'orchestrator';
+const TASK_TYPE = 'spec_authoring';
+const SPEC_TOOL_NAME = 'write_spec';
+
+/**
+ * Model registry IDs → Anthropic API model IDs
+ * Unlisted `claude-*` models (custom, beta) are sent as-is.
+ */
+const API_MODEL_IDS = {
+  'claude-3.5-sonnet': 'claude-3-5-sonnet-20241022',
+  'claude-3-opus': 'claude-3-opus-20240229',
+  'claude-3-sonnet': 'claude-3-sonnet-20240229',
+  'claude-3-haiku': 'claude-3-haiku-20240307'
+};
+
+/**
+ * SpecAuthor - Writes spec sections with an LLM
+ */
+class SpecAuthor {
+  /**
+   * @param {Object} options - Author options
+   * @param {Object[]} options.sections - Spec template sections ({ name, description, required })
+   * @param {ModelSelector} options.modelSelector - Model selector (default: from .ux-ingkarc.json)
+   * @param {Object} options.client - Anthropic client (default: created from ANTHROPIC_API_KEY)
+   * @param {number} options.maxTokens - Response token limit
+   */
+  constructor(options = {}) {
+    this.sections = options.sections || [];
+    this.modelSelector = options.modelSelector || null;
+    this.client = options.client || null;
+    this.maxTokens = options.maxTokens || 4000;
+  }
+
+  /**
+   * Check whether a model can be called
+   *
+   * @returns {boolean} True if a client is configured or an API key is set
+   */
+  isAvailable() {
+    return !!(this.client || process.env.ANTHROPIC_API_KEY);
+  }
+
+  /**
+   * Write a spec from a description
+   *
+   * @param {string} description - Feature description
+   * @param {Object} options - Authoring options
+   * @param {string} options.complexity - Task complexity for model selection
+   * @param {Object[]} options.sections - Template sections for this spec (default: the constructor's)
+   * @returns {Promise<Object>} Spec content ({ title, sections, model, usage })
+   */
+  async author(description, options = {}) {
+    const { complexity = 'moderate', sections = this.sections } = options;
+    const selector = this._getModelSelector();
+    const task = { description, type: TASK_TYPE, complexity };
+
+    const model = await selector.selectModel(AGENT, task, complexity);
+    const modelInfo = selector.getModelInfo(model);
+    if (modelInfo && modelInfo.provider !== 'anthropic') {
+      throw new Error(`Model ${model} (${modelInfo.provider}) is not supported for spec authoring`);
+    }
+
+    console.log(chalk.cyan(`🤖 Writing spec sections with ${model}...`));
+
+    const message = await this._getClient().messages.create({
+      model: API_MODEL_IDS[model] || model,
+      max_tokens: this.maxTokens,
+      system: this._buildSystemPrompt(sections),
+      tools: [this._buildTool(sections)],
+      tool_choice: { type: 'tool', name: SPEC_TOOL_NAME },
+      messages: [{ role: 'user', content: `Feature description:\n\n${description}` }]
+    });
+
+    const usage = {
+      inputTokens: message.usage?.input_tokens || 0,
+      outputTokens: message.usage?.output_tokens || 0
+    };
+    await selector.costTracker.loadUsage();
+    await selector.recordUsage(AGENT, model, task, usage);
+
+    if (message.stop_reason === 'max_tokens') {
+      throw new Error(`Response was cut off at ${this.maxTokens} tokens`);
+    }
+
+    const toolUse = (message.content || []).find(block => block.type === 'tool_use' && block.name === SPEC_TOOL_NAME);
+    if (!toolUse || !toolUse.input || typeof toolUse.input !== 'object') {
+      throw new Error('Model response did not include a spec');
+    }
+
+    return {
+      title: description,
+      sections: this._parseSections(toolUse.input, sections),
+      model,
+      usage
+    };
+  }
+
+  /**
+   * Create the model selector from the project's model-selection config
+   */
+  _getModelSelector() {
+    if (!this.modelSelector) {
+      this.modelSelector = new ModelSelector(new ModelConfigManager().getModelSelectionConfig());
+    }
+    return this.modelSelector;
+  }
+
+  /**
+   * Create the Anthropic client
+   */
+  _getClient() {
+    if (this.client) {
+      return this.client;
+    }
+
+    if (!process.env.ANTHROPIC_API_KEY) {
+      throw new Error('ANTHROPIC_API_KEY not set');
+    }
+
+    const Anthropic = require('@anthropic-ai/sdk').default;
+    this.client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    return this.client;
+  }
+
+  /**
+   * Build the system prompt
+   */
+  _buildSystemPrompt() {
+    return `You are a senior product engineer writing a feature specification.
+
+Call the ${SPEC_TOOL_NAME} tool with the spec, one property per section.
+
+Rules:
+- Requirements are specific and testable. Include error handling, tests and documentation where relevant.
+- User stories follow "As a <role>, I want <action> so that <benefit>".
+- Acceptance criteria follow "Given <context>, when <action>, then <outcome>".
+- Leave out optional sections you have nothing concrete to say about.
+- Do not number items or add IDs.`;
+  }
+
+  /**
+   * Build the tool the model must call with the spec, so sections come back
+   * as schema-checked input instead of JSON embedded in free text
+   *
+   * List sections (requirements, user stories, acceptance criteria) are
+   * arrays of strings, one item each; the rest are Markdown strings.
+   */
+  _buildTool(sections = this.sections) {
+    const properties = {};
+    sections.forEach(section => {
+      const definition = getSectionDefinition(section.name);
+      properties[section.name] = definition && definition.type === 'list'
+        ? { type: 'array', items: { type: 'string' }, description: section.description }
+        : { type: 'string', description: `${section.description} (Markdown)` };
+    });
+
+    return {
+      name: SPEC_TOOL_NAME,
+      description: 'Write the feature specification, one property per section.',
+      input_schema: {
+        type: 'object',
+        properties,
+        required: sections.filter(section => section.required).map(section => section.name)
+      }
+    };
+  }
+
+  /**
+   * Read the spec tool input into template sections
+   *
+   * @param {Object} input - Tool input (section name → string or array of strings)
+   * @param {Object[]} templateSections - Template sections (default: the constructor's)
+   * @returns {Object} Section name → Markdown
+   * @throws {Error} If a section has the wrong type or a required one is missing
+   */
+  _parseSections(input, templateSections = this.sections) {
+    const sections = {};
+    for (const [name, value] of Object.entries(input)) {
+      const templateSection = templateSections.find(s => s.name === getSectionTitle(name));
+      if (!templateSection) continue;
+
+      const definition = getSectionDefinition(templateSection.name);
+      const isList = definition && definition.type === 'list';
+      const valid = isList
+        ? Array.isArray(value) && value.every(item => typeof item === 'string')
+        : typeof value === 'string';
+      if (!valid) {
+        throw new Error(`Model response has an invalid "${templateSection.name}" section - expected ${isList ? 'a list of strings' : 'a string'}`);
+      }
+
+      const content = this._formatSection(templateSection.name, value);
+      if (content) {
+        sections[templateSection.name] = content;
+      }
+    }
+
+    const missing = templateSections.filter(s => s.required && !sections[s.name]).map(s => s.name);
+    if (missing.length > 0) {
+      throw new Error(`Model response is missing required sections: ${missing.join(', ')}`);
+    }
+
+    return sections;
+  }
+
+  /**
+   * Format a section value as Markdown
+   * List sections get checkboxes where the heuristic spec has them.
+   */
+  _formatSection(name, value) {
+    if (!Array.isArray(value)) {
+      return value.trim();
+    }
+
+    const definition = getSectionDefinition(name);
+    const checkbox = definition && ['requirements', 'acceptanceCriteria'].includes(definition.key) ? '[ ] ' : '';
+
+    return value
+      .map(item => String(item).trim().replace(/^-\s+(\[[ xX]\]\s+)?/, ''))
+      .filter(Boolean)
+      .map(item => `- ${checkbox}${item}`)
+      .join('\n');
+  }
+}
+
+module.exports = {
+  SpecAuthor,
+  API_MODEL_IDS
+};
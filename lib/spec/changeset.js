@@ -0,0 +1,341 @@
+/**
+ * Staged Change Sets
+ *
+ * `spec implement` never writes generated code straight into the project.
+ * The files go to a staging area, `.leo/generated/<feature>/files/`, next to
+ * a manifest (`changeset.json`):
+ *
+ *   {
+ *     feature, model, createdAt, summary,
+ *     files: [{ path, status: 'added' | 'modified', summary, baseHash, decision }],
+ *     unchanged: [paths]
+ *   }
+ *
+ * Each file is reviewed as a unified diff against the project and then
+ * accepted (copied into the project) or rejected. `baseHash` is the hash of
+ * the project file when the change was staged, so a file edited since then
+ * is reported as a conflict instead of being overwritten.
+ *
+ * @module lib/spec/changeset
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const STAGING_DIR = '.leo/generated';
+const MANIFEST_FILE = 'changeset.json';
+const DECISIONS = ['pending', 'accepted', 'rejected'];
+
+// Above this many line comparisons the diff shows the whole file as replaced
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Check a generated file path and normalize it (relative, `/`-separated)
+ *
+ * @param {string} filePath - Path proposed by the generator
+ * @returns {string} Normalized path
+ * @throws {Error} If the path is absolute or leaves the project
+ */
+function normalizeFilePath(filePath) {
+  const raw = String(filePath || '').trim().replace(/\\/g, '/');
+  const normalized = path.posix.normalize(raw).replace(/^\.\//, '');
+
+  if (!raw || path.posix.isAbsolute(raw) || /^[a-zA-Z]:/.test(raw)) {
+    throw new Error(`Invalid file path "${filePath}" - paths must be relative to the project`);
+  }
+  if (normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`Invalid file path "${filePath}" - paths must stay inside the project`);
+  }
+  if (normalized.split('/')[0] === '.git' || normalized.startsWith(`${STAGING_DIR}/`)) {
+    throw new Error(`Invalid file path "${filePath}" - cannot write to ${normalized.split('/').slice(0, 2).join('/')}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Hash of file content (null when the file does not exist)
+ */
+function hashContent(content) {
+  return content === null ? null : crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Read a project file, or null when it does not exist
+ */
+async function readProjectFile(projectRoot, filePath) {
+  const fullPath = path.join(projectRoot, filePath);
+  return await fs.pathExists(fullPath) ? fs.readFile(fullPath, 'utf8') : null;
+}
+
+/**
+ * Staging directory for a feature
+ *
+ * @param {string} projectRoot - Project root
+ * @param {string} feature - Feature name
+ * @returns {string} Directory path
+ */
+function getStagingDir(projectRoot, feature) {
+  return path.join(projectRoot, STAGING_DIR, feature);
+}
+
+/**
+ * Write a generated change set to the staging area
+ *
+ * Replaces any earlier change set for the feature. Files identical to the
+ * project's are listed as unchanged and not staged.
+ *
+ * @param {string} projectRoot - Project root
+ * @param {string} feature - Feature name
+ * @param {Object} changeSet - Generated change set ({ files: [{ path, content, summary }], summary, model })
+ * @returns {Promise<Object>} Manifest
+ */
+async function stageChangeSet(projectRoot, feature, changeSet) {
+  const stagingDir = getStagingDir(projectRoot, feature);
+  await fs.remove(stagingDir);
+
+  const manifest = {
+    feature,
+    model: changeSet.model || null,
+    createdAt: new Date().toISOString(),
+    summary: changeSet.summary || '',
+    files: [],
+    unchanged: []
+  };
+
+  const seen = new Set();
+  for (const file of changeSet.files || []) {
+    const filePath = normalizeFilePath(file.path);
+    if (seen.has(filePath)) {
+      throw new Error(`Duplicate file in change set: ${filePath}`);
+    }
+    seen.add(filePath);
+
+    const current = await readProjectFile(projectRoot, filePath);
+    if (current === file.content) {
+      manifest.unchanged.push(filePath);
+      continue;
+    }
+
+    await fs.outputFile(path.join(stagingDir, 'files', filePath), file.content);
+    manifest.files.push({
+      path: filePath,
+      status: current === null ? 'added' : 'modified',
+      summary: file.summary || '',
+      baseHash: hashContent(current),
+      decision: 'pending'
+    });
+  }
+
+  await fs.outputJson(path.join(stagingDir, MANIFEST_FILE), manifest, { spaces: 2 });
+  return manifest;
+}
+
+/**
+ * Load the staged change set for a feature
+ *
+ * @param {string} projectRoot - Project root
+ * @param {string} feature - Feature name
+ * @returns {Promise<Object|null>} Manifest, or null when nothing is staged
+ */
+async function loadChangeSet(projectRoot, feature) {
+  const manifestPath = path.join(getStagingDir(projectRoot, feature), MANIFEST_FILE);
+  return await fs.pathExists(manifestPath) ? fs.readJson(manifestPath) : null;
+}
+
+/**
+ * Read a staged file
+ *
+ * @param {string} projectRoot - Project root
+ * @param {string} feature - Feature name
+ * @param {string} filePath - File path from the manifest
+ * @returns {Promise<string>} Staged content
+ */
+async function readStagedFile(projectRoot, feature, filePath) {
+  return fs.readFile(path.join(getStagingDir(projectRoot, feature), 'files', filePath), 'utf8');
+}
+
+/**
+ * Longest common subsequence table walk → edit script
+ */
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = oldLines[i] === newLines[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      edits.push({ type: ' ', line: oldLines[i++] });
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      edits.push({ type: '-', line: oldLines[i++] });
+    } else {
+      edits.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) edits.push({ type: '-', line: oldLines[i++] });
+  while (j < m) edits.push({ type: '+', line: newLines[j++] });
+
+  return edits;
+}
+
+/**
+ * Split text into lines (a trailing newline does not add an empty line)
+ */
+function splitLines(text) {
+  if (text === null || text === '') return [];
+  return String(text).replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Unified diff of two texts
+ *
+ * @param {string|null} oldText - Current content (null for a new file)
+ * @param {string|null} newText - New content (null for a deleted file)
+ * @param {Object} options - Diff options
+ * @param {string} options.path - File path for the headers
+ * @param {number} options.context - Unchanged lines around each change (default: 3)
+ * @returns {string} Unified diff ('' when the texts are equal)
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const { path: filePath = 'file', context = 3 } = options;
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  if (!edits.some(edit => edit.type !== ' ')) {
+    return '';
+  }
+
+  // Merge the changes (with their context lines) into hunk ranges
+  const ranges = [];
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(edits.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) last.to = to;
+    else ranges.push({ from, to });
+  });
+
+  // Line numbers where each edit starts
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  edits.forEach(edit => {
+    positions.push({ oldLine, newLine });
+    if (edit.type !== '+') oldLine++;
+    if (edit.type !== '-') newLine++;
+  });
+
+  const hunks = ranges.map(range => ({
+    oldStart: positions[range.from].oldLine,
+    newStart: positions[range.from].newLine,
+    lines: edits.slice(range.from, range.to + 1).map(edit => `${edit.type}${edit.line}`)
+  }));
+
+  const header = [
+    `--- ${oldText === null ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${newText === null ? '/dev/null' : `b/${filePath}`}`
+  ];
+
+  const body = hunks.map(h => {
+    const oldCount = h.lines.filter(line => line[0] !== '+').length;
+    const newCount = h.lines.filter(line => line[0] !== '-').length;
+    const oldStart = oldCount === 0 ? h.oldStart - 1 : h.oldStart;
+    const newStart = newCount === 0 ? h.newStart - 1 : h.newStart;
+    return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...h.lines].join('\n');
+  });
+
+  return [...header, ...body].join('\n');
+}
+
+/**
+ * Diff a staged file against the project
+ *
+ * @param {string} projectRoot - Project root
+ * @param {string} feature - Feature name
+ * @param {Object} file - Manifest file entry
+ * @returns {Promise<string>} Unified diff
+ */
+async function diffStagedFile(projectRoot, feature, file) {
+  const current = await readProjectFile(projectRoot, file.path);
+  const staged = await readStagedFile(projectRoot, feature, file.path);
+  return unifiedDiff(current, staged, { path: file.path });
+}
+
+/**
+ * Record review decisions, copying accepted files into the project
+ *
+ * A file whose project copy changed after staging is not copied; it is
+ * returned as a conflict and stays pending.
+ *
+ * @param {string} projectRoot - Project root
+ * @param {string} feature - Feature name
+ * @param {Object} decisions - File path → accepted, rejected or pending
+ * @returns {Promise<Object>} { manifest, applied, rejected, conflicts }
+ * @throws {Error} If nothing is staged, a path is not in the change set or a decision is unknown
+ */
+async function applyDecisions(projectRoot, feature, decisions) {
+  const manifest = await loadChangeSet(projectRoot, feature);
+  if (!manifest) {
+    throw new Error(`No staged changes for ${feature} - run \`leo spec implement\` first`);
+  }
+
+  const result = { manifest, applied: [], rejected: [], conflicts: [] };
+
+  for (const [filePath, decision] of Object.entries(decisions)) {
+    const file = manifest.files.find(f => f.path === filePath);
+    if (!file) {
+      throw new Error(`${filePath} is not in the staged change set`);
+    }
+    if (!DECISIONS.includes(decision)) {
+      throw new Error(`Unknown decision "${decision}" for ${filePath} - use ${DECISIONS.join(', ')}`);
+    }
+
+    if (decision === 'accepted' && file.decision !== 'accepted') {
+      const current = await readProjectFile(projectRoot, filePath);
+      if (hashContent(current) !== file.baseHash) {
+        result.conflicts.push(filePath);
+        continue;
+      }
+      await fs.outputFile(path.join(projectRoot, filePath), await readStagedFile(projectRoot, feature, filePath));
+      result.applied.push(filePath);
+    } else if (decision === 'rejected') {
+      result.rejected.push(filePath);
+    }
+
+    file.decision = decision;
+  }
+
+  await fs.outputJson(path.join(getStagingDir(projectRoot, feature), MANIFEST_FILE), manifest, { spaces: 2 });
+  return result;
+}
+
+module.exports = {
+  STAGING_DIR,
+  normalizeFilePath,
+  getStagingDir,
+  stageChangeSet,
+  loadChangeSet,
+  readStagedFile,
+  unifiedDiff,
+  diffStagedFile,
+  applyDecisions
+};
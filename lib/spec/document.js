@@ -0,0 +1,587 @@
+/**
+ * Spec Document Model
+ *
+ * Parses the issue body produced by `SpecManager._formatIssueBody` into typed
+ * sections and writes it back out without losing content. Every spec module
+ * (clarify, plan, tasks, spec-extend, spec-diff) reads specs through this
+ * model so they agree on section names and item IDs.
+ *
+ * Body layout:
+ *   [preamble]
+ *   ## <Section>
+ *   <content>
+ *   ...
+ *   ---
+ *   [footer]
+ *
+ * List sections (Requirements, User Stories, Acceptance Criteria) are parsed
+ * into items with stable IDs (REQ-n, US-n, AC-n). An ID written in the body
+ * (`- [ ] REQ-3: ...`) is kept as-is; items without one are numbered after
+ * the highest existing ID in their section. Items added later are numbered
+ * after the highest ID the spec has ever issued when the document knows it
+ * (see SpecDocument.reserveIds and the ID register in lib/spec/versions), so
+ * an ID removed by an edit or rollback is never handed out again.
+ *
+ * @module lib/spec/document
+ */
+
+/**
+ * Known spec sections, in canonical order
+ */
+const SECTION_DEFINITIONS = [
+  { key: 'context', title: 'Context', type: 'text' },
+  { key: 'requirements', title: 'Requirements', type: 'list', idPrefix: 'REQ' },
+  { key: 'userStories', title: 'User Stories', type: 'list', idPrefix: 'US' },
+  { key: 'acceptanceCriteria', title: 'Acceptance Criteria', type: 'list', idPrefix: 'AC' },
+  { key: 'technicalApproach', title: 'Technical Approach', type: 'text' },
+  { key: 'technicalNotes', title: 'Technical Notes', type: 'text' },
+  { key: 'dependencies', title: 'Dependencies', type: 'text' },
+  { key: 'constraints', title: 'Constraints', type: 'text' },
+  { key: 'outOfScope', title: 'Out of Scope', type: 'text' },
+  { key: 'successMetrics', title: 'Success Metrics', type: 'text' }
+];
+
+const HEADING_REGEX = /^## (.+?)\s*$/;
+const FOOTER_RULE_REGEX = /^---\s*$/;
+const ITEM_REGEX = /^([-*+•]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const ITEM_ID_REGEX = /^(?:\*\*)?([A-Z]+-\d+)(?:\*\*)?:\s*/;
+
+/**
+ * Find the definition for a section key or heading (case-insensitive)
+ *
+ * @param {string} name - Section key (`userStories`) or heading (`User Stories`)
+ * @returns {Object|null} Section definition
+ */
+function getSectionDefinition(name) {
+  const normalized = String(name).trim().toLowerCase();
+  return SECTION_DEFINITIONS.find(def =>
+    def.key.toLowerCase() === normalized || def.title.toLowerCase() === normalized
+  ) || null;
+}
+
+/**
+ * Get the section key for a heading, camelCasing unknown headings
+ *
+ * @param {string} name - Section heading or key
+ * @returns {string} Section key
+ */
+function getSectionKey(name) {
+  const definition = getSectionDefinition(name);
+  if (definition) {
+    return definition.key;
+  }
+
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (match, chr) => chr.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Get the display title for a section key or heading
+ *
+ * @param {string} name - Section key or heading
+ * @returns {string} Section title
+ */
+function getSectionTitle(name) {
+  const definition = getSectionDefinition(name);
+  return definition ? definition.title : name;
+}
+
+/**
+ * SpecSection - One `## Heading` block of a spec
+ *
+ * Text sections keep their Markdown as-is. List sections keep an ordered
+ * list of nodes (items and the lines between them) so they serialize back
+ * exactly as parsed.
+ */
+class SpecSection {
+  /**
+   * @param {string} heading - Heading as written in the body
+   * @param {string} content - Section Markdown (without the heading)
+   */
+  constructor(heading, content = '') {
+    const definition = getSectionDefinition(heading);
+
+    this.heading = heading;
+    this.key = getSectionKey(heading);
+    this.title = definition ? definition.title : heading;
+    this.type = definition ? definition.type : 'text';
+    this.idPrefix = definition ? definition.idPrefix || null : null;
+    this.issuedIdNumber = 0; // highest ID number ever issued, from the spec's ID register
+    this.content = '';
+    this.nodes = [];
+
+    this.setContent(content);
+  }
+
+  /**
+   * Items in a list section
+   * @returns {Array<Object>} Items (id, text, checked, marker, details)
+   */
+  get items() {
+    return this.nodes.filter(node => node.type === 'item').map(node => node.item);
+  }
+
+  /**
+   * Replace the section's Markdown
+   *
+   * @param {string} content - Section Markdown
+   */
+  setContent(content) {
+    const text = String(content || '').trim();
+
+    if (this.type !== 'list') {
+      this.content = text;
+      return;
+    }
+
+    this.nodes = [];
+    let currentItem = null;
+
+    for (const line of text.split('\n')) {
+      const match = line.match(ITEM_REGEX);
+
+      if (match) {
+        currentItem = this._createItem(match);
+        this.nodes.push({ type: 'item', item: currentItem });
+      } else if (currentItem && /^\s+\S/.test(line)) {
+        // Indented continuation belongs to the item above
+        currentItem.details.push(line);
+      } else {
+        currentItem = null;
+        this.nodes.push({ type: 'text', text: line });
+      }
+    }
+
+    this._assignMissingIds();
+  }
+
+  /**
+   * Append an item to a list section
+   *
+   * @param {string} text - Item text
+   * @param {Object} options - Item options
+   * @param {boolean} options.checked - Checkbox state (null for a plain bullet)
+   * @param {string} options.marker - List marker (default: `-`)
+   * @returns {Object} The new item
+   */
+  addItem(text, options = {}) {
+    const { checked = false, marker = '-' } = options;
+
+    const item = {
+      id: this.idPrefix ? `${this.idPrefix}-${this._maxIdNumber() + 1}` : null,
+      explicitId: false,
+      text,
+      checked,
+      marker,
+      details: []
+    };
+
+    this.nodes.push({ type: 'item', item });
+    return item;
+  }
+
+  /**
+   * Serialize section content (without the heading)
+   * @returns {string} Section Markdown
+   */
+  toMarkdown() {
+    if (this.type !== 'list') {
+      return this.content;
+    }
+
+    const lines = [];
+    for (const node of this.nodes) {
+      if (node.type === 'text') {
+        lines.push(node.text);
+      } else {
+        lines.push(this._formatItem(node.item), ...node.item.details);
+      }
+    }
+
+    return lines.join('\n').trim();
+  }
+
+  /**
+   * Build an item from an ITEM_REGEX match
+   * @private
+   */
+  _createItem(match) {
+    const [, marker, checkbox, rest] = match;
+    const idMatch = rest.match(ITEM_ID_REGEX);
+
+    return {
+      id: idMatch ? idMatch[1] : null,
+      explicitId: Boolean(idMatch),
+      text: idMatch ? rest.slice(idMatch[0].length).trim() : rest.trim(),
+      checked: checkbox === undefined ? null : checkbox.toLowerCase() === 'x',
+      marker,
+      details: []
+    };
+  }
+
+  /**
+   * Number items that have no ID written in the body
+   * @private
+   */
+  _assignMissingIds() {
+    if (!this.idPrefix) {
+      return;
+    }
+
+    let next = this._maxIdNumber();
+    for (const item of this.items) {
+      if (!item.id) {
+        item.id = `${this.idPrefix}-${++next}`;
+      }
+    }
+  }
+
+  /**
+   * Highest ID number used in this section or issued before
+   * @private
+   */
+  _maxIdNumber() {
+    return this.items.reduce((max, item) => {
+      const match = item.id && item.id.match(/-(\d+)$/);
+      return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, this.issuedIdNumber || 0);
+  }
+
+  /**
+   * Format one item line
+   * @private
+   */
+  _formatItem(item) {
+    const checkbox = item.checked === null ? '' : `[${item.checked ? 'x' : ' '}] `;
+    const id = item.explicitId ? `${item.id}: ` : '';
+    return `${item.marker} ${checkbox}${id}${item.text}`;
+  }
+}
+
+/**
+ * SpecDocument - Parsed spec issue body
+ */
+class SpecDocument {
+  constructor() {
+    this.preamble = '';
+    this.sections = [];
+    this.footer = '';
+    this.idRegister = {};
+  }
+
+  /**
+   * Parse a spec issue body
+   *
+   * @param {string} body - Issue body (Markdown)
+   * @returns {SpecDocument} Parsed document
+   */
+  static parse(body) {
+    const document = new SpecDocument();
+    const lines = String(body || '').replace(/\r\n/g, '\n').split('\n');
+
+    // The footer starts at the last `---` rule with no section after it
+    let footerStart = -1;
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (HEADING_REGEX.test(lines[i])) break;
+      if (FOOTER_RULE_REGEX.test(lines[i])) {
+        footerStart = i;
+        break;
+      }
+    }
+
+    const contentLines = footerStart === -1 ? lines : lines.slice(0, footerStart);
+    if (footerStart !== -1) {
+      document.footer = lines.slice(footerStart + 1).join('\n').trim();
+    }
+
+    let heading = null;
+    let buffer = [];
+
+    const flush = () => {
+      if (heading === null) {
+        document.preamble = buffer.join('\n').trim();
+      } else {
+        document.sections.push(new SpecSection(heading, buffer.join('\n')));
+      }
+    };
+
+    for (const line of contentLines) {
+      const match = line.match(HEADING_REGEX);
+      if (match) {
+        flush();
+        heading = match[1];
+        buffer = [];
+      } else {
+        buffer.push(line);
+      }
+    }
+    flush();
+
+    return document;
+  }
+
+  /**
+   * Build a document from a heading → Markdown map
+   * (the `specContent.sections` shape used by SpecManager)
+   *
+   * @param {Object} sections - Section Markdown keyed by heading
+   * @param {Object} options - Document options
+   * @param {string} options.footer - Footer text
+   * @returns {SpecDocument} Document
+   */
+  static fromSections(sections, options = {}) {
+    const document = new SpecDocument();
+
+    for (const [heading, content] of Object.entries(sections || {})) {
+      document.sections.push(new SpecSection(heading, content));
+    }
+    document.footer = options.footer || '';
+
+    return document;
+  }
+
+  /**
+   * Get a section by key or heading
+   *
+   * @param {string} name - Section key or heading
+   * @returns {SpecSection|null} Section
+   */
+  getSection(name) {
+    const key = getSectionKey(name);
+    return this.sections.find(section => section.key === key) || null;
+  }
+
+  /**
+   * @param {string} name - Section key or heading
+   * @returns {boolean} Whether the section exists
+   */
+  hasSection(name) {
+    return this.getSection(name) !== null;
+  }
+
+  /**
+   * Get a section's Markdown ('' if missing)
+   *
+   * @param {string} name - Section key or heading
+   * @returns {string} Section Markdown
+   */
+  getText(name) {
+    const section = this.getSection(name);
+    return section ? section.toMarkdown() : '';
+  }
+
+  /**
+   * Get the items of a list section ([] if missing)
+   *
+   * @param {string} name - Section key or heading
+   * @returns {Array<Object>} Items
+   */
+  getItems(name) {
+    const section = this.getSection(name);
+    return section && section.type === 'list' ? section.items : [];
+  }
+
+  /**
+   * Find an item by ID in any list section
+   *
+   * @param {string} id - Item ID (e.g. REQ-3)
+   * @returns {Object|null} Item
+   */
+  findItem(id) {
+    for (const section of this.sections) {
+      if (section.type !== 'list') continue;
+      const item = section.items.find(i => i.id === id);
+      if (item) return item;
+    }
+    return null;
+  }
+
+  /**
+   * Get a section, creating it in canonical order if missing
+   *
+   * @param {string} name - Section key or heading
+   * @returns {SpecSection} Section
+   */
+  ensureSection(name) {
+    const existing = this.getSection(name);
+    if (existing) {
+      return existing;
+    }
+
+    const section = new SpecSection(getSectionTitle(name));
+    section.issuedIdNumber = section.idPrefix ? this.idRegister[section.idPrefix] || 0 : 0;
+    const order = key => {
+      const index = SECTION_DEFINITIONS.findIndex(def => def.key === key);
+      return index === -1 ? SECTION_DEFINITIONS.length : index;
+    };
+
+    const insertAt = this.sections.findIndex(s => order(s.key) > order(section.key));
+    if (insertAt === -1) {
+      this.sections.push(section);
+    } else {
+      this.sections.splice(insertAt, 0, section);
+    }
+
+    return section;
+  }
+
+  /**
+   * Replace a section's Markdown, creating the section if missing
+   *
+   * @param {string} name - Section key or heading
+   * @param {string} content - Section Markdown
+   */
+  setText(name, content) {
+    this.ensureSection(name).setContent(content);
+  }
+
+  /**
+   * Append an item to a list section, creating the section if missing
+   *
+   * @param {string} name - Section key or heading
+   * @param {string} text - Item text
+   * @param {Object} options - Item options (see SpecSection.addItem)
+   * @returns {Object} The new item
+   */
+  addItem(name, text, options = {}) {
+    return this.ensureSection(name).addItem(text, options);
+  }
+
+  /**
+   * Never issue IDs at or below the given numbers again
+   *
+   * @param {Object} register - Highest ID number ever issued, keyed by prefix ({ REQ: 7, AC: 4 })
+   * @returns {SpecDocument} This document
+   */
+  reserveIds(register = {}) {
+    this.idRegister = { ...register };
+    for (const section of this.sections) {
+      if (section.idPrefix) {
+        section.issuedIdNumber = Math.max(section.issuedIdNumber || 0, this.idRegister[section.idPrefix] || 0);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Highest ID number in use per prefix
+   *
+   * @returns {Object} ID numbers keyed by prefix ({ REQ: 7, US: 2, AC: 4 })
+   */
+  getIdNumbers() {
+    const numbers = {};
+    for (const section of this.sections) {
+      if (!section.idPrefix) continue;
+      section.items.forEach(item => {
+        const match = item.id && item.id.match(/^([A-Z]+)-(\d+)$/);
+        if (match) {
+          numbers[match[1]] = Math.max(numbers[match[1]] || 0, parseInt(match[2], 10));
+        }
+      });
+    }
+    return numbers;
+  }
+
+  /**
+   * Write every item ID into the body (`- [ ] REQ-3: ...`) so IDs stay
+   * stable when items are later added, removed or reordered
+   *
+   * @returns {SpecDocument} This document
+   */
+  assignIds() {
+    for (const section of this.sections) {
+      section.items.forEach(item => {
+        item.explicitId = Boolean(item.id);
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Section Markdown keyed by canonical title
+   * (e.g. { 'Context': '...', 'Requirements': '- [ ] ...' })
+   *
+   * @returns {Object} Section map
+   */
+  toSectionMap() {
+    const map = {};
+    for (const section of this.sections) {
+      map[section.title] = section.toMarkdown();
+    }
+    return map;
+  }
+
+  /**
+   * Plain object keyed by section key: item texts for list sections,
+   * Markdown for text sections. Known sections are always present.
+   *
+   * @returns {Object} Section values
+   */
+  toObject() {
+    const result = {};
+
+    for (const def of SECTION_DEFINITIONS) {
+      result[def.key] = def.type === 'list' ? [] : '';
+    }
+
+    for (const section of this.sections) {
+      result[section.key] = section.type === 'list'
+        ? section.items.map(item => item.text)
+        : section.toMarkdown();
+    }
+
+    return result;
+  }
+
+  /**
+   * Serialize back to an issue body
+   *
+   * @returns {string} Issue body (Markdown)
+   */
+  toMarkdown() {
+    let body = '';
+
+    if (this.preamble) {
+      body += `${this.preamble}\n\n`;
+    }
+
+    for (const section of this.sections) {
+      body += `## ${section.heading}\n\n${section.toMarkdown()}\n\n`;
+    }
+
+    if (this.footer) {
+      body += `---\n\n${this.footer}\n`;
+    }
+
+    return body;
+  }
+
+  /**
+   * Deep copy of this document
+   * @returns {SpecDocument} Copy
+   */
+  clone() {
+    const copy = SpecDocument.parse(this.toMarkdown());
+
+    // IDs numbered on parse must stay the same in the copy
+    this.sections.forEach((section, index) => {
+      section.items.forEach((item, itemIndex) => {
+        copy.sections[index].items[itemIndex].id = item.id;
+      });
+    });
+
+    return copy.reserveIds(this.idRegister);
+  }
+}
+
+module.exports = {
+  SpecDocument,
+  SpecSection,
+  SECTION_DEFINITIONS,
+  getSectionDefinition,
+  getSectionKey,
+  getSectionTitle
+};
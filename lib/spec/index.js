@@ -15,75 +15,32 @@
  * @module lib/spec
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
-const { execSync } = require('child_process');
+const { createTracker } = require('../tracker');
+const { ConstitutionManager } = require('../constitution');
+const { SpecDocument } = require('./document');
+const { SpecAuthor } = require('./author');
+const { scoreSpec, DEFAULT_QUALITY_THRESHOLD } = require('./quality');
+const { saveVersion } = require('./versions');
+const { DEFAULT_TEMPLATE, BUILT_IN_TEMPLATES, getTemplate, loadTemplates, validateSpec } = require('./templates');
 
 /**
- * Spec issue template sections
- * Follows a structured format for clear requirements gathering
+ * Spec issue labels
+ * Every spec gets the defaults; templates add their own (see lib/spec/templates)
  */
-const SPEC_TEMPLATE = {
-  sections: [
-    {
-      name: 'Context',
-      description: 'What problem are we solving? Why is this needed?',
-      placeholder: 'Describe the background and motivation for this feature...',
-      required: true
-    },
-    {
-      name: 'Requirements',
-      description: 'What must this feature do?',
-      placeholder: '- [ ] Functional requirement 1\n- [ ] Functional requirement 2\n- [ ] Non-functional requirement 1',
-      required: true
-    },
-    {
-      name: 'User Stories',
-      description: 'Who benefits and how?',
-      placeholder: '- As a [user type], I want to [action] so that [benefit]\n- As a [user type], I want to [action] so that [benefit]',
-      required: false
-    },
-    {
-      name: 'Acceptance Criteria',
-      description: 'How do we know it\'s done?',
-      placeholder: '- [ ] Given [context] when [action] then [outcome]\n- [ ] Given [context] when [action] then [outcome]',
-      required: true
-    },
-    {
-      name: 'Technical Approach',
-      description: 'Initial technical ideas (optional, can be added during planning)',
-      placeholder: '- Architecture considerations\n- Tech stack choices\n- Data model ideas\n- API contracts',
-      required: false
-    },
-    {
-      name: 'Dependencies',
-      description: 'What else needs to be done first?',
-      placeholder: '- Blocking issue: #123\n- Related issue: #456\n- External dependency: X',
-      required: false
-    },
-    {
-      name: 'Success Metrics',
-      description: 'How will we measure success?',
-      placeholder: '- Performance: < 200ms response time\n- Coverage: > 80% test coverage\n- User satisfaction: > 4.5/5 rating',
-      required: false
-    }
-  ],
-
-  labels: {
-    default: ['spec', 'needs-planning'],
-    priority: {
-      high: 'priority: high',
-      medium: 'priority: medium',
-      low: 'priority: low'
-    },
-    type: {
-      feature: 'type: feature',
-      bug: 'type: bug',
-      refactor: 'type: refactor',
-      docs: 'type: docs'
-    }
+const SPEC_LABELS = {
+  default: ['spec', 'needs-planning'],
+  priority: {
+    high: 'priority: high',
+    medium: 'priority: medium',
+    low: 'priority: low'
+  },
+  type: {
+    feature: 'type: feature',
+    bug: 'type: bug',
+    refactor: 'type: refactor',
+    docs: 'type: docs'
   }
 };
 
@@ -91,8 +48,20 @@ const SPEC_TEMPLATE = {
  * SpecManager - Main class for spec creation and management
  */
 class SpecManager {
-  constructor() {
-    this.template = SPEC_TEMPLATE;
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {SpecAuthor} options.author - AI spec author for `ai` mode (see lib/spec/author)
+   * @param {ConstitutionManager} options.constitution - Constitutional principles (see lib/constitution)
+   * @param {string} options.projectRoot - Project root for spec versions in .leo/specs and templates in .leo/templates/spec (default: the local tracker root or cwd)
+   */
+  constructor(options = {}) {
+    this.template = { name: DEFAULT_TEMPLATE, ...BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE] };
+    this.labels = SPEC_LABELS;
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+    this.author = options.author || new SpecAuthor({ sections: this.template.sections });
+    this.constitution = options.constitution || new ConstitutionManager(options.projectRoot);
   }
 
   /**
@@ -103,7 +72,10 @@ class SpecManager {
    * @param {boolean} options.interactive - Use interactive prompts for sections
    * @param {string} options.priority - Priority level (high, medium, low)
    * @param {string} options.type - Issue type (feature, bug, refactor, docs)
-   * @param {boolean} options.autoPopulate - Use AI to auto-populate sections from description
+   * @param {string} options.template - Spec template (feature, ui, api, migration, component or a project template)
+   * @param {boolean} options.autoPopulate - Auto-populate sections from description (keyword heuristics)
+   * @param {boolean} options.ai - Write sections with an LLM, falling back to auto-populate when offline
+   * @param {boolean} options.force - Create the spec even if it misses template sections or violates constitutional principles
    * @returns {Promise<Object>} Created issue details (number, url)
    */
   async create(description, options = {}) {
@@ -113,24 +85,37 @@ class SpecManager {
       interactive = false,
       priority = 'medium',
       type = 'feature',
-      autoPopulate = true
+      autoPopulate = true,
+      ai = false,
+      force = false
     } = options;
 
+    this.template = await getTemplate(this.projectRoot, options.template || DEFAULT_TEMPLATE);
+    if (this.template.name !== DEFAULT_TEMPLATE) {
+      console.log(chalk.gray(`   Template: ${this.template.name} (${this.template.description})`));
+    }
+
     // Step 1: Generate spec content
     let specContent;
     if (interactive) {
       specContent = await this._interactiveSpecCreation(description);
+    } else if (ai) {
+      specContent = await this._aiPopulateSpec(description);
     } else if (autoPopulate) {
       specContent = await this._autoPopulateSpec(description);
     } else {
       specContent = this._defaultSpecContent(description);
     }
+    if (!interactive) {
+      specContent = this._applyTemplate(specContent);
+    }
 
-    // Step 2: Validate against constitutional principles (if available)
-    await this._validateAgainstPrinciples(specContent);
+    // Step 2: Validate against the template and constitutional principles (if available)
+    this._validateAgainstTemplate(specContent, { force });
+    await this._validateAgainstPrinciples(specContent, { force });
 
-    // Step 3: Format as GitHub issue body
-    const issueBody = this._formatIssueBody(specContent);
+    // Step 3: Format as GitHub issue body (with stable requirement IDs)
+    const issueBody = this._formatIssueBody(specContent, { assignIds: true });
 
     // Step 4: Determine labels
     const labels = this._determineLabels(priority, type);
@@ -142,6 +127,9 @@ class SpecManager {
     console.log(chalk.gray(`   URL: ${issue.url}`));
     console.log(chalk.gray(`   Labels: ${labels.join(', ')}`));
 
+    // Step 6: Record the first version
+    await this._saveVersion(issue.number, { title: description, body: issueBody, reason: 'create' });
+
     return issue;
   }
 
@@ -222,6 +210,31 @@ class SpecManager {
     return spec;
   }
 
+  /**
+   * Write spec sections with an LLM (see lib/spec/author)
+   *
+   * Falls back to the keyword heuristics when no model is configured or
+   * the model call fails, so `--ai` never blocks spec creation.
+   */
+  async _aiPopulateSpec(description) {
+    if (!this.author.isAvailable()) {
+      console.log(chalk.yellow('⚠️  ANTHROPIC_API_KEY not set (falling back to auto-populate)'));
+      return this._autoPopulateSpec(description);
+    }
+
+    try {
+      const spec = await this.author.author(description, { sections: this.template.sections });
+
+      console.log(chalk.green(`✅ Spec sections written by ${spec.model}`));
+      console.log(chalk.gray(`   Tokens: ${spec.usage.inputTokens} in / ${spec.usage.outputTokens} out\n`));
+
+      return { title: spec.title, sections: spec.sections };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  AI spec authoring failed: ${error.message} (falling back to auto-populate)`));
+      return this._autoPopulateSpec(description);
+    }
+  }
+
   /**
    * Default spec content (minimal)
    */
@@ -327,105 +340,113 @@ Potential dependencies:
   }
 
   /**
-   * Validate spec against constitutional principles
+   * Keep the template's sections, in template order
+   *
+   * Required sections the generator did not fill start from the template
+   * placeholder; sections the template does not have are dropped.
    */
-  async _validateAgainstPrinciples(specContent) {
-    try {
-      // Check if constitutional principles are configured
-      const configPath = path.join(process.cwd(), '.ux-ingkarc.json');
-      const configExists = await fs.access(configPath).then(() => true).catch(() => false);
-
-      if (!configExists) {
-        console.log(chalk.yellow('⚠️  No constitutional principles configured (skipping validation)'));
-        return;
+  _applyTemplate(specContent) {
+    const sections = {};
+
+    this.template.sections.forEach(section => {
+      const content = specContent.sections[section.name];
+      if (content) {
+        sections[section.name] = content;
+      } else if (section.required) {
+        sections[section.name] = section.placeholder;
       }
+    });
 
-      const config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
-      const constitution = config.constitution;
-
-      if (!constitution || !constitution.principles || constitution.principles.length === 0) {
-        console.log(chalk.yellow('⚠️  No constitutional principles configured (skipping validation)'));
-        return;
-      }
+    return { ...specContent, sections };
+  }
 
-      console.log(chalk.cyan('🔍 Validating spec against constitutional principles...'));
-
-      // Basic validation checks
-      const validationResults = [];
-
-      // Check for TDD principle
-      const tddPrinciple = constitution.principles.find(p => p.name.includes('Test'));
-      if (tddPrinciple && tddPrinciple.enabled) {
-        const hasTestRequirement = specContent.sections['Requirements']?.toLowerCase().includes('test');
-        validationResults.push({
-          principle: 'Test-First Development',
-          passed: hasTestRequirement,
-          message: hasTestRequirement
-            ? '✅ Test requirements included'
-            : '⚠️  Consider adding test requirements'
-        });
-      }
+  /**
+   * Check required sections and the template's rules (see lib/spec/templates)
+   *
+   * @param {Object} specContent - Spec title and sections
+   * @param {Object} options - Validation options
+   * @param {boolean} options.force - Report problems without blocking
+   * @returns {Object} Validation result ({ valid, errors })
+   * @throws {Error} If the spec does not match the template and force is not set
+   */
+  _validateAgainstTemplate(specContent, options = {}) {
+    const result = validateSpec(this.template, specContent.sections);
+    if (result.valid) {
+      return result;
+    }
 
-      // Check for documentation principle
-      const docPrinciple = constitution.principles.find(p => p.name.includes('Documentation'));
-      if (docPrinciple && docPrinciple.enabled) {
-        const hasDocRequirement = specContent.sections['Requirements']?.toLowerCase().includes('documentation');
-        validationResults.push({
-          principle: 'Documentation Required',
-          passed: hasDocRequirement,
-          message: hasDocRequirement
-            ? '✅ Documentation requirements included'
-            : '⚠️  Consider adding documentation requirements'
-        });
-      }
+    console.log(chalk.yellow(`\n⚠️  Spec does not match the "${this.template.name}" template:`));
+    result.errors.forEach(error => {
+      console.log(chalk.yellow(`   - ${error.section}: ${error.message}`));
+    });
 
-      // Display validation results
-      validationResults.forEach(result => {
-        console.log(chalk.gray(`   ${result.message}`));
-      });
+    if (!options.force) {
+      throw new Error(`Spec does not match the "${this.template.name}" template (fix the sections or use --force)`);
+    }
+    console.log(chalk.yellow('⚠️  Continuing despite template problems (--force)\n'));
 
-      console.log(chalk.green('✅ Constitutional validation complete\n'));
+    return result;
+  }
 
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️  Constitutional validation skipped: ${error.message}`));
-    }
+  /**
+   * Validate spec against constitutional principles (see lib/constitution)
+   *
+   * @param {Object} specContent - Spec title and sections
+   * @param {Object} options - Validation options
+   * @param {boolean} options.force - Report violations without blocking
+   * @returns {Promise<Object>} Validation result
+   * @throws {Error} If the spec has violations and force is not set
+   */
+  async _validateAgainstPrinciples(specContent, options = {}) {
+    return this.constitution.enforce(
+      { type: 'spec', content: specContent },
+      { label: 'Spec', force: options.force }
+    );
   }
 
   /**
    * Format spec as GitHub issue body (Markdown)
+   *
+   * @param {Object} specContent - Spec title and sections
+   * @param {Object} options - Format options
+   * @param {boolean} options.assignIds - Write REQ/US/AC IDs into list items
+   * @param {string} options.origin - How the spec was made (default: created using `leo spec new`)
    */
-  _formatIssueBody(specContent) {
-    let body = '';
-
-    // Add each section
-    for (const [sectionName, sectionContent] of Object.entries(specContent.sections)) {
-      body += `## ${sectionName}\n\n${sectionContent}\n\n`;
+  _formatIssueBody(specContent, options = {}) {
+    const footer = [
+      `_This spec was ${options.origin || 'created using `leo spec new`'}_`,
+      '_Next step: `leo clarify <issue>` to identify questions, then `leo plan <issue>` to create implementation plan_'
+    ].join('\n');
+
+    const document = SpecDocument.fromSections(specContent.sections, { footer });
+    if (options.assignIds) {
+      document.assignIds();
     }
 
-    // Add footer
-    body += `---\n\n`;
-    body += `_This spec was created using \`leo spec new\`_\n`;
-    body += `_Next step: \`leo clarify <issue>\` to identify questions, then \`leo plan <issue>\` to create implementation plan_\n`;
-
-    return body;
+    return document.toMarkdown();
   }
 
   /**
    * Determine labels for the issue
    */
   _determineLabels(priority, type) {
-    const labels = [...this.template.labels.default];
+    const labels = [...this.labels.default];
 
     // Add priority label
-    if (this.template.labels.priority[priority]) {
-      labels.push(this.template.labels.priority[priority]);
+    if (this.labels.priority[priority]) {
+      labels.push(this.labels.priority[priority]);
     }
 
     // Add type label
-    if (this.template.labels.type[type]) {
-      labels.push(this.template.labels.type[type]);
+    if (this.labels.type[type]) {
+      labels.push(this.labels.type[type]);
     }
 
+    // Add template labels
+    (this.template.labels || []).forEach(label => {
+      if (!labels.includes(label)) labels.push(label);
+    });
+
     return labels;
   }
 
@@ -433,81 +454,34 @@ Potential dependencies:
    * Ensure labels exist, create if missing
    */
   async _ensureLabelsExist(labels) {
-    const labelColors = {
-      'spec': '0E8A16',
-      'needs-planning': 'FBCA04',
-      'needs-clarification': 'D93F0B',
-      'priority: high': 'D73A4A',
-      'priority: medium': 'FBCA04',
-      'priority: low': '0E8A16',
-      'type: feature': '0075CA',
-      'type: bug': 'D73A4A',
-      'type: refactor': '7057FF',
-      'type: docs': '0075CA'
-    };
+    await this.tracker.ensureLabels(labels);
+  }
 
-    for (const label of labels) {
-      try {
-        // Check if label exists
-        execSync(`gh label list --json name | grep '"name":"${label}"'`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-      } catch (error) {
-        // Label doesn't exist, create it
-        const color = labelColors[label] || '808080';
-        const description = label.replace(/:/g, ' -');
-        try {
-          execSync(`gh label create "${label}" --description "${description}" --color "${color}"`, {
-            encoding: 'utf-8',
-            cwd: process.cwd(),
-            stdio: 'pipe'
-          });
-          console.log(chalk.gray(`   Created label: ${label}`));
-        } catch (createError) {
-          console.log(chalk.yellow(`   ⚠️  Could not create label: ${label}`));
-        }
-      }
+  /**
+   * Store a snapshot of the spec in .leo/specs/<issue> (see lib/spec/versions)
+   */
+  async _saveVersion(issueNumber, snapshot) {
+    try {
+      const { version } = await saveVersion(this.projectRoot, issueNumber, { author: await this.tracker.getAuthor(), ...snapshot });
+      console.log(chalk.gray(`   Saved spec version v${version}`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not save spec version: ${error.message}`));
     }
   }
 
   /**
-   * Create GitHub issue via gh CLI
+   * Create spec issue through the configured tracker
    */
   async _createGitHubIssue(title, body, labels) {
     try {
-      // Ensure all labels exist
-      await this._ensureLabelsExist(labels);
-
-      // Escape body for shell
-      const bodyFile = path.join('/tmp', `leo-spec-${Date.now()}.md`);
-      await fs.writeFile(bodyFile, body, 'utf-8');
-
-      // Create issue with gh CLI
-      const labelArgs = labels.map(l => `--label "${l}"`).join(' ');
-      const command = `gh issue create --title "${title}" --body-file "${bodyFile}" ${labelArgs}`;
-
-      const output = execSync(command, { encoding: 'utf-8', cwd: process.cwd() });
-
-      // Parse issue URL from output
-      const urlMatch = output.match(/https:\/\/github\.com\/[^\s]+/);
-      const url = urlMatch ? urlMatch[0] : '';
-
-      // Extract issue number from URL
-      const numberMatch = url.match(/\/(\d+)$/);
-      const number = numberMatch ? parseInt(numberMatch[1], 10) : null;
-
-      // Clean up temp file
-      await fs.unlink(bodyFile);
-
-      return { number, url };
-
+      return await this.tracker.createIssue({ title, body, labels });
     } catch (error) {
       console.error(chalk.red(`\n❌ Failed to create GitHub issue: ${error.message}`));
       throw error;
     }
-  }  /**
+  }
+
+  /**
    * List all spec issues (issues with "spec" label)
    */
   async list(options = {}) {
@@ -516,11 +490,7 @@ Potential dependencies:
     console.log(chalk.blue(`📋 Listing spec issues (status: ${status})...`));
 
     try {
-      const stateArg = status === 'open' ? '--state open' : status === 'closed' ? '--state closed' : '--state all';
-      const command = `gh issue list --label spec ${stateArg} --limit ${limit} --json number,title,state,labels,url`;
-
-      const output = execSync(command, { encoding: 'utf-8', cwd: process.cwd() });
-      const issues = JSON.parse(output);
+      const issues = await this.tracker.listIssues({ label: 'spec', state: status, limit });
 
       if (issues.length === 0) {
         console.log(chalk.yellow('\n📭 No spec issues found'));
@@ -553,9 +523,7 @@ Potential dependencies:
     console.log(chalk.blue(`📄 Loading spec issue #${issueNumber}...`));
 
     try {
-      const command = `gh issue view ${issueNumber} --json number,title,body,state,labels,url,createdAt,updatedAt`;
-      const output = execSync(command, { encoding: 'utf-8', cwd: process.cwd() });
-      const issue = JSON.parse(output);
+      const issue = await this.tracker.getIssue(issueNumber);
 
       console.log(chalk.green(`\n✅ Spec Issue #${issue.number}\n`));
       console.log(chalk.bold(issue.title));
@@ -574,6 +542,79 @@ Potential dependencies:
       throw error;
     }
   }
+
+  /**
+   * Print the quality report for a spec issue (see lib/spec/quality)
+   *
+   * @param {number|string} issueNumber - GitHub issue number
+   * @returns {Promise<Object>} Quality report ({ score, sections, findings })
+   */
+  async analyze(issueNumber) {
+    console.log(chalk.blue(`🔍 Scoring spec issue #${issueNumber}...`));
+
+    try {
+      const issue = await this.tracker.getIssue(issueNumber);
+      const report = scoreSpec(issue.body);
+      const color = score => (score >= 80 ? chalk.green : score >= DEFAULT_QUALITY_THRESHOLD ? chalk.yellow : chalk.red);
+
+      console.log(color(report.score).bold(`\n📋 Spec Quality: ${report.score}/100\n`));
+
+      report.sections.forEach(section => {
+        console.log(color(section.score)(`${section.title}: ${section.score}/100`));
+        section.findings.forEach(finding => {
+          console.log(chalk.gray(`   - ${finding.message} (-${finding.penalty})`));
+        });
+      });
+
+      if (report.findings.length === 0) {
+        console.log(chalk.green('\n✅ No quality issues found'));
+      } else {
+        console.log(chalk.gray(`\n${report.findings.length} finding(s) - run leo clarify ${issueNumber} to ask about the gaps`));
+      }
+
+      return report;
+
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Failed to analyze spec issue: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * List the spec templates (built-in and .leo/templates/spec)
+   *
+   * @returns {Promise<Object[]>} Templates ({ name, description, labels, sections, rules, source })
+   */
+  async templates() {
+    try {
+      const templates = Object.values(await loadTemplates(this.projectRoot));
+
+      console.log(chalk.green(`\n✅ ${templates.length} spec template(s):\n`));
+
+      templates.forEach(template => {
+        const required = template.sections.filter(section => section.required).map(section => section.name);
+        const optional = template.sections.filter(section => !section.required).map(section => section.name);
+
+        console.log(`${chalk.bold(template.name)} - ${template.description}`);
+        console.log(chalk.gray(`   Required: ${required.join(', ')}`));
+        if (optional.length > 0) {
+          console.log(chalk.gray(`   Optional: ${optional.join(', ')}`));
+        }
+        if (template.source !== 'built-in') {
+          console.log(chalk.gray(`   Source: ${template.source}`));
+        }
+        console.log('');
+      });
+
+      console.log(chalk.gray('Use with: ux-ingka spec new "<description>" --template <name>'));
+
+      return templates;
+
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Failed to load spec templates: ${error.message}`));
+      throw error;
+    }
+  }
 }
 
 module.exports = SpecManager;
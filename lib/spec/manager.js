@@ -8,6 +8,10 @@
 const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
+const { stageChangeSet, loadChangeSet, diffStagedFile, applyDecisions } = require('./changeset');
+
+// Where earlier versions of the kit kept feature specs
+const LEGACY_SPEC_DIR = path.join('.ingvar', 'spec');
 
 /**
  * Specification Manager - Core spec system
@@ -15,16 +19,36 @@ const chalk = require('chalk');
 class SpecificationManager {
   constructor(projectDir = process.cwd()) {
     this.projectDir = projectDir;
-    this.specDir = path.join(projectDir, '.ingvar/spec');
+    this.specDir = path.join(projectDir, '.leo/spec');
     this.featureDir = null;
   }
 
+  /**
+   * Move feature specs from .ingvar/spec to .leo/spec
+   *
+   * Only runs while .leo/spec does not exist, so it happens once per project.
+   *
+   * @returns {Promise<boolean>} True if specs were moved
+   */
+  async migrateLegacySpecDir() {
+    const legacyDir = path.join(this.projectDir, LEGACY_SPEC_DIR);
+    if (await this._fileExists(this.specDir) || !await this._fileExists(legacyDir)) {
+      return false;
+    }
+
+    await fs.mkdir(path.dirname(this.specDir), { recursive: true });
+    await fs.rename(legacyDir, this.specDir);
+    console.log(chalk.yellow(`\nℹ️  Moved specs from ${LEGACY_SPEC_DIR} to ${path.relative(this.projectDir, this.specDir)}\n`));
+    return true;
+  }
+
   /**
    * Initialize spec project
    */
   async init(featureName) {
     try {
       console.log(chalk.cyan.bold('\n📋 Initializing Ingvar Spec\n'));
+      await this.migrateLegacySpecDir();
 
       // Create directory structure
       this.featureDir = path.join(this.specDir, featureName);
@@ -128,6 +152,7 @@ class SpecificationManager {
    */
   async loadSpec(featureName) {
     try {
+      await this.migrateLegacySpecDir();
       this.featureDir = path.join(this.specDir, featureName);
 
       const constitution = await this._loadFile('constitution.md');
@@ -218,6 +243,7 @@ Run: \`ux-ingka spec implement\` to generate code for these tasks
    */
   async getStatus(featureName) {
     try {
+      await this.migrateLegacySpecDir();
       this.featureDir = path.join(this.specDir, featureName);
 
       const constitution = await this._loadFile('constitution.md');
@@ -245,6 +271,60 @@ Run: \`ux-ingka spec implement\` to generate code for these tasks
     }
   }
 
+  /**
+   * Generate code for a feature and stage it for review
+   *
+   * Nothing is written to the project; see lib/spec/changeset.
+   *
+   * @param {string} featureName - Feature in .leo/spec
+   * @param {Object} options - Generation options
+   * @param {AICodeGenerator} options.generator - Code generator (default: Claude with options.model)
+   * @param {string} options.model - Model key for the default generator
+   * @returns {Promise<Object>} Change set manifest
+   */
+  async implement(featureName, options = {}) {
+    const spec = await this.loadSpec(featureName);
+    if (!spec.specification) {
+      throw new Error(`Specification not found for ${featureName} - run: leo spec init ${featureName}`);
+    }
+
+    const generator = options.generator || new AICodeGenerator({ model: options.model });
+    const changeSet = await generator.generateFromSpec(spec, options);
+
+    return stageChangeSet(this.projectDir, featureName, changeSet);
+  }
+
+  /**
+   * Load the staged change set with a diff per file
+   *
+   * @param {string} featureName - Feature name
+   * @returns {Promise<Object|null>} { manifest, diffs: { path: unified diff } }, or null when nothing is staged
+   */
+  async reviewChanges(featureName) {
+    const manifest = await loadChangeSet(this.projectDir, featureName);
+    if (!manifest) {
+      return null;
+    }
+
+    const diffs = {};
+    for (const file of manifest.files) {
+      diffs[file.path] = await diffStagedFile(this.projectDir, featureName, file);
+    }
+
+    return { manifest, diffs };
+  }
+
+  /**
+   * Accept or reject staged files
+   *
+   * @param {string} featureName - Feature name
+   * @param {Object} decisions - File path → accepted, rejected or pending
+   * @returns {Promise<Object>} { manifest, applied, rejected, conflicts }
+   */
+  async applyChanges(featureName, decisions) {
+    return applyDecisions(this.projectDir, featureName, decisions);
+  }
+
   /**
    * Private: Check if file exists (helper for tests)
    */
@@ -405,18 +485,63 @@ Run: \`ux-ingka spec tasks\` to auto-generate tasks from your spec.
   }
 }
 
+
+/**
+ * Tool the model must call with its change set, so the files come back as
+ * structured input instead of JSON embedded in free text
+ */
+const CHANGE_SET_TOOL = {
+  name: 'propose_changes',
+  description: 'Propose the files that implement the specification. Each file is written to the staging area for review.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: {
+        type: 'string',
+        description: 'One paragraph describing the change set'
+      },
+      files: {
+        type: 'array',
+        description: 'Files to create or replace',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'Path relative to the project root, e.g. src/index.js' },
+            content: { type: 'string', description: 'Complete file content' },
+            summary: { type: 'string', description: 'What this file does or what changed' }
+          },
+          required: ['path', 'content']
+        }
+      }
+    },
+    required: ['summary', 'files']
+  }
+};
+
 /**
  * AI Code Generator Integration - Multi-Model Support
  *
- * Supports multiple Claude models with intelligent selection
+ * Supports multiple Claude models with intelligent selection. Generation
+ * fails with a clear error when no provider key is configured; it never
+ * falls back to placeholder output.
  */
 class AICodeGenerator {
+  /**
+   * @param {Object|string} options - Generator options, or the provider name
+   * @param {string} options.provider - AI provider (only claude is supported)
+   * @param {string} options.model - Model key from modelConfig (default: sonnet-3-5)
+   * @param {boolean} options.autoSelect - Pick the model from the spec size
+   * @param {Object} options.client - Anthropic client (default: created from ANTHROPIC_API_KEY)
+   */
   constructor(options = {}) {
+    if (typeof options === 'string') {
+      options = { provider: options };
+    }
+
     this.provider = options.provider || 'claude';
     this.model = options.model || 'sonnet-3-5';
     this.autoSelect = options.autoSelect || false;
-    this.client = null;
-    this._initializeClient();
+    this.client = options.client || null;
 
     // Model configurations
     this.modelConfig = {
@@ -424,50 +549,53 @@ class AICodeGenerator {
         id: 'claude-3-5-sonnet-20241022',
         name: 'Claude 3.5 Sonnet',
         description: 'Balanced performance & cost (Default)',
-        maxTokens: 4000
+        maxTokens: 8192
       },
       'opus-4': {
         id: 'claude-opus-4-1',
         name: 'Claude 4 (Opus)',
         description: 'High performance & reasoning',
-        maxTokens: 4096
+        maxTokens: 16000
       },
       'opus-4-5': {
         id: 'claude-opus-4-5-20250514',
         name: 'Claude 4.5 (Opus)',
         description: 'Maximum capabilities & reasoning',
-        maxTokens: 8000
+        maxTokens: 16000
       },
       'haiku-3': {
-        id: 'claude-3-haiku-20250307',
+        id: 'claude-3-haiku-20240307',
         name: 'Claude 3 Haiku',
         description: 'Fast lightweight generation',
-        maxTokens: 1024
+        maxTokens: 4096
       }
     };
   }
 
   /**
-   * Initialize AI provider client
+   * Check whether code can be generated
+   *
+   * @returns {boolean} True if the provider is supported and a client or API key is set
    */
-  _initializeClient() {
-    if (this.provider === 'claude') {
-      try {
-        const Anthropic = require('@anthropic-ai/sdk').default;
-        const apiKey = process.env.ANTHROPIC_API_KEY;
-
-        if (!apiKey) {
-          console.warn(chalk.yellow('⚠️  ANTHROPIC_API_KEY not set. Using mock responses.\n'));
-          this.client = null;
-          return;
-        }
+  isAvailable() {
+    return this.provider === 'claude' && !!(this.client || process.env.ANTHROPIC_API_KEY);
+  }
 
-        this.client = new Anthropic({ apiKey });
-      } catch (error) {
-        console.warn(chalk.yellow(`⚠️  Claude SDK not available: ${error.message}\n`));
-        this.client = null;
-      }
+  /**
+   * Create the Anthropic client
+   */
+  _getClient() {
+    if (this.client) {
+      return this.client;
+    }
+
+    if (!process.env.ANTHROPIC_API_KEY) {
+      throw new Error('ANTHROPIC_API_KEY not set - export it to generate code with Claude');
     }
+
+    const Anthropic = require('@anthropic-ai/sdk').default;
+    this.client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    return this.client;
   }
 
   /**
@@ -497,10 +625,23 @@ class AICodeGenerator {
   }
 
   /**
-   * Generate code from specification
+   * Generate a change set from specification
+   *
+   * @param {Object} spec - Loaded spec ({ constitution, specification, plan, tasks })
+   * @param {Object} options - Generation options
+   * @param {string[]} options.existingFiles - Project files the model may modify
+   * @returns {Promise<Object>} Change set ({ files: [{ path, content, summary }], summary, model, usage })
+   * @throws {Error} If the provider is unsupported, no API key is set or the response has no change set
    */
   async generateFromSpec(spec, options = {}) {
     try {
+      if (this.provider !== 'claude') {
+        throw new Error(`Unsupported AI provider "${this.provider}" - only claude is supported`);
+      }
+
+      // Fail before any work when there is no key
+      this._getClient();
+
       // Auto-select model if enabled
       if (this.autoSelect) {
         this.model = this._autoSelectModel(spec);
@@ -518,11 +659,11 @@ class AICodeGenerator {
 
       // Call AI provider
       console.log(chalk.gray('Generating code... (this may take a moment)'));
-      const generatedCode = await this._callAIProvider(prompt, activeModel);
+      const changeSet = await this._callClaude(prompt, activeModel);
 
-      console.log(chalk.green('\n✅ Code generated successfully!\n'));
+      console.log(chalk.green(`\n✅ Generated ${changeSet.files.length} file(s)\n`));
 
-      return generatedCode;
+      return changeSet;
     } catch (error) {
       throw new Error(`Code generation failed: ${error.message}`);
     }
@@ -531,7 +672,7 @@ class AICodeGenerator {
   /**
    * Build prompt for AI - optimized per model
    */
-  _buildPrompt(spec, options, model) {
+  _buildPrompt(spec, options = {}, model) {
     // Provide default model if undefined
     const defaultModel = {
       name: this.modelConfig[this.model]?.name || 'AI Model',
@@ -561,16 +702,23 @@ ${spec.tasks}
 5. Generate all necessary files (package.json, config, README)
 6. Include unit tests
 7. Follow the technology stack specified in the plan
-8. Ensure code is production-ready and maintainable
+8. Ensure code is production-ready and maintainable`;
+
+    if (options.existingFiles && options.existingFiles.length > 0) {
+      prompt += `
+
+## Existing Project Files
+${options.existingFiles.map(file => `- ${file}`).join('\n')}`;
+    }
+
+    prompt += `
 
 ## Output Format
-Return ONLY a valid JSON object with filenames as keys and code content as values:
-{
-  "src/index.js": "code here",
-  "tests/index.test.js": "test code here",
-  "package.json": "{ configuration }",
-  "README.md": "documentation"
-}`;
+Call the \`${CHANGE_SET_TOOL.name}\` tool once with the complete change set:
+- \`path\` is relative to the project root and uses forward slashes
+- \`content\` is the complete file, never a fragment or a diff
+- Only include files that need to be created or changed
+The files are staged for review; a developer accepts or rejects each one.`;
 
     // Add model-specific requirements for advanced models
     if (activeModel.id.includes('opus-4-5')) {
@@ -612,95 +760,49 @@ Generate code now:`;
   }
 
   /**
-   * Call AI provider
-   */
-  async _callAIProvider(prompt, model) {
-    if (this.provider === 'claude' && this.client) {
-      return await this._callClaude(prompt, model);
-    }
-
-    // Fallback mock response
-    console.log(chalk.gray('(Using mock response - set ANTHROPIC_API_KEY for real generation)'));
-    return this._getMockResponse(model);
-  }
-
-  /**
-   * Call Claude API with specified model
+   * Call Claude API with specified model and read the change set tool call
    */
   async _callClaude(prompt, model) {
-    try {
-      const message = await this.client.messages.create({
-        model: model.id,
-        max_tokens: model.maxTokens,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      });
-
-      // Extract code from response
-      const content = message.content[0];
-      if (content.type === 'text') {
-        try {
-          // Try to parse as JSON
-          const jsonMatch = content.text.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-          }
-        } catch (e) {
-          // If not JSON, return as text file
-          return {
-            'generated-code.txt': content.text
-          };
+    const message = await this._getClient().messages.create({
+      model: model.id,
+      max_tokens: model.maxTokens,
+      tools: [CHANGE_SET_TOOL],
+      tool_choice: { type: 'tool', name: CHANGE_SET_TOOL.name },
+      messages: [
+        {
+          role: 'user',
+          content: prompt
         }
-      }
+      ]
+    });
 
-      return this._getMockResponse(model);
-    } catch (error) {
-      console.error(chalk.red(`\n❌ Claude API error: ${error.message}\n`));
-      return this._getMockResponse(model);
+    if (message.stop_reason === 'max_tokens') {
+      throw new Error(`Response was cut off at ${model.maxTokens} tokens - split the tasks or use a larger model`);
     }
-  }
-
-  /**
-   * Get mock response for testing/fallback
-   */
-  _getMockResponse(model) {
-    const modelName = model ? model.name : 'Claude';
-    return {
-      'src/main.js': `// Generated code with ${modelName}
-// This is a mock response. Set ANTHROPIC_API_KEY to generate real code.
-
-console.log('Generated with Ingvar Spec System');
-console.log('Model: ${modelName}');
-
-module.exports = {};
-`,
-      'package.json': JSON.stringify({
-        name: 'ingvar-generated',
-        version: '1.0.0',
-        description: `Generated by Ingvar Spec System with ${modelName}`
-      }, null, 2),
-      'README.md': `# Generated Code
-
-This code was generated from a specification using the Ingvar Spec System.
 
-**Model:** ${modelName}
-
-## Setup
+    const toolUse = (message.content || []).find(block => block.type === 'tool_use' && block.name === CHANGE_SET_TOOL.name);
+    const input = toolUse && toolUse.input;
+    if (!input || !Array.isArray(input.files)) {
+      throw new Error('Model response did not include a change set');
+    }
+    if (input.files.length === 0) {
+      throw new Error('Model proposed no file changes');
+    }
 
-Install dependencies:
-\`\`\`
-npm install
-\`\`\`
+    input.files.forEach((file, index) => {
+      if (!file || typeof file.path !== 'string' || typeof file.content !== 'string') {
+        throw new Error(`File ${index + 1} in the change set has no path or content`);
+      }
+    });
 
-Run tests:
-\`\`\`
-npm test
-\`\`\`
-`
+    return {
+      files: input.files.map(file => ({ path: file.path, content: file.content, summary: file.summary || '' })),
+      summary: input.summary || '',
+      model: model.id,
+      usage: {
+        inputTokens: message.usage?.input_tokens || 0,
+        outputTokens: message.usage?.output_tokens || 0
+      }
     };
   }
 }
@@ -0,0 +1,326 @@
+/**
+ * Spec Quality Scoring
+ *
+ * Scores each spec section from 0 to 100 by subtracting a penalty per
+ * finding, extending the checks ClarificationManager runs before asking
+ * questions (context length, item counts, test/error/docs coverage) with:
+ *
+ * - weasel words ("fast", "user-friendly", "etc.") and placeholders ("TBD")
+ * - acceptance criteria that cannot be tested (no Given/When/Then, nothing measurable)
+ * - duplicate or conflicting requirements
+ * - user stories without the "As a / I want / so that" shape
+ *
+ * The overall score is the average of the core sections (Context,
+ * Requirements, User Stories, Acceptance Criteria); a missing core section
+ * scores 0. Other sections are scored for wording only.
+ *
+ * @module lib/spec/quality
+ */
+
+const { SpecDocument, getSectionTitle } = require('./document');
+const { stripRequirementTag } = require('./trace');
+
+/**
+ * Minimum score `leo plan` accepts (override with `spec.qualityThreshold`)
+ */
+const DEFAULT_QUALITY_THRESHOLD = 50;
+
+/**
+ * Sections that make up the overall score
+ */
+const CORE_SECTIONS = ['context', 'requirements', 'userStories', 'acceptanceCriteria'];
+
+/**
+ * Points subtracted from a section score per finding
+ */
+const PENALTIES = {
+  missing: 100,
+  brief: 30,
+  problemStatement: 15,
+  tooFew: 10, // per item below the minimum
+  missingTopic: 10,
+  weasel: 10,
+  placeholder: 20,
+  untestable: 15,
+  storyShape: 20,
+  duplicate: 15,
+  conflict: 25
+};
+
+const MIN_ITEMS = 3;
+
+const WEASEL_REGEX = /(?<![\w-])(fast|quick(?:ly)?|easy|easily|simple|simply|user-friendly|intuitive|seamless(?:ly)?|robust|scalable|flexible|efficient(?:ly)?|modern|optimal|appropriate|reasonable|various|as needed|as expected|if possible|and so on|etc\.?)(?![\w-])/gi;
+const PLACEHOLDER_REGEX = /\[[a-z][a-z ]{2,}\](?!\()|\bTBD\b|\bTODO\b|\bto be (?:defined|determined)\b/gi;
+const USER_STORY_REGEX = /^as an? \S.*?\bi (?:want|need|can)\b.+\bso that\b.+/i;
+
+const REQUIREMENT_TOPICS = [
+  { name: 'tests', regex: /\btest/i },
+  { name: 'error handling', regex: /\berror|\bvalidat/i },
+  { name: 'documentation', regex: /\bdoc(s|ument\w*)?\b/i }
+];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'to', 'of', 'and', 'or', 'for', 'in', 'on', 'at', 'by', 'with', 'from', 'as',
+  'be', 'is', 'are', 'it', 'its', 'their', 'should', 'must', 'shall', 'will', 'can', 'may',
+  'able', 'system', 'user', 'users'
+]);
+const NEGATIONS = new Set(['not', 'no', 'never', 'without', 'cannot', "can't", "don't", "doesn't", "won't", 'nobody']);
+
+/**
+ * Opposite verbs, mapped to a shared word and whether they negate it
+ */
+const OPPOSITES = {
+  allow: ['allow', false], deny: ['allow', true], block: ['allow', true], forbid: ['allow', true], prevent: ['allow', true],
+  enable: ['enable', false], disable: ['enable', true],
+  show: ['show', false], hide: ['show', true],
+  include: ['include', false], exclude: ['include', true],
+  require: ['require', false], required: ['require', false], optional: ['require', true]
+};
+
+const DUPLICATE_SIMILARITY = 0.8;
+const CONFLICT_SIMILARITY = 0.6;
+
+/**
+ * Distinct weasel words and placeholders in a text
+ *
+ * @param {string} text - Text to check
+ * @returns {Object} { weasel: string[], placeholders: string[] }
+ */
+function findVagueWording(text) {
+  const unique = regex => [...new Set((String(text || '').match(regex) || []).map(word => word.toLowerCase()))];
+  return {
+    weasel: unique(WEASEL_REGEX),
+    placeholders: unique(PLACEHOLDER_REGEX)
+  };
+}
+
+/**
+ * Check whether an acceptance criterion can be tested
+ * (Given/When/Then, or a measurable outcome)
+ *
+ * @param {string} text - Criterion text
+ * @returns {boolean} True if testable
+ */
+function isTestableCriterion(text) {
+  const bdd = /\bgiven\b/i.test(text) && /\bwhen\b/i.test(text) && /\bthen\b/i.test(text);
+  return bdd || /\d/.test(text);
+}
+
+/**
+ * Check whether a user story has the "As a / I want / so that" shape
+ *
+ * @param {string} text - Story text
+ * @returns {boolean} True if well-formed
+ */
+function isUserStory(text) {
+  return USER_STORY_REGEX.test(String(text || '').trim());
+}
+
+/**
+ * Significant words of a requirement and whether it is negated
+ */
+function statement(text) {
+  const words = new Set();
+  let negative = false;
+
+  stripRequirementTag(text).toLowerCase().split(/[^a-z0-9'-]+/).filter(Boolean).forEach(word => {
+    if (NEGATIONS.has(word)) {
+      negative = !negative;
+    } else if (OPPOSITES[word]) {
+      const [base, negates] = OPPOSITES[word];
+      words.add(base);
+      if (negates) negative = !negative;
+    } else if (!STOP_WORDS.has(word)) {
+      words.add(word);
+    }
+  });
+
+  return { words, negative };
+}
+
+/**
+ * Jaccard similarity of two word sets
+ */
+function similarity(a, b) {
+  const shared = [...a].filter(word => b.has(word)).length;
+  const total = new Set([...a, ...b]).size;
+  return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Find duplicate and conflicting pairs in a list of items
+ *
+ * @param {Object[]} items - Spec items ({ id, text })
+ * @returns {Object[]} Pairs ({ type: 'duplicate'|'conflict', item, other })
+ */
+function findOverlaps(items) {
+  const statements = items.map(item => ({ item, ...statement(item.text) }));
+  const overlaps = [];
+
+  statements.forEach((current, index) => {
+    for (const earlier of statements.slice(0, index)) {
+      if (current.words.size < 2 || earlier.words.size < 2) continue;
+
+      const score = similarity(current.words, earlier.words);
+      if (current.negative === earlier.negative && score >= DUPLICATE_SIMILARITY) {
+        overlaps.push({ type: 'duplicate', item: current.item, other: earlier.item });
+        break;
+      }
+      if (current.negative !== earlier.negative && score >= CONFLICT_SIMILARITY) {
+        overlaps.push({ type: 'conflict', item: current.item, other: earlier.item });
+        break;
+      }
+    }
+  });
+
+  return overlaps;
+}
+
+/**
+ * Findings for weasel words and placeholders in a text
+ */
+function wordingFindings(text, item = null) {
+  const { weasel, placeholders } = findVagueWording(text);
+  const where = item ? `${item.id}: ` : '';
+
+  return [
+    ...weasel.map(word => ({ type: 'weasel', item: item && item.id, penalty: PENALTIES.weasel, message: `${where}Vague wording "${word}" - say what it means in measurable terms` })),
+    ...placeholders.map(word => ({ type: 'placeholder', item: item && item.id, penalty: PENALTIES.placeholder, message: `${where}Placeholder "${word}" left in` }))
+  ];
+}
+
+/**
+ * Findings for too few items in a list section
+ */
+function countFindings(items, noun) {
+  if (items.length >= MIN_ITEMS) return [];
+  return [{
+    type: 'too-few',
+    item: null,
+    penalty: PENALTIES.tooFew * (MIN_ITEMS - items.length),
+    message: `Only ${items.length} ${noun} (at least ${MIN_ITEMS} expected)`
+  }];
+}
+
+/**
+ * Checks per core section
+ */
+const SECTION_CHECKS = {
+  context: doc => {
+    const text = doc.getText('context');
+    const findings = [];
+
+    if (text.length < 50) {
+      findings.push({ type: 'brief', item: null, penalty: PENALTIES.brief, message: 'Context is too brief (under 50 characters)' });
+    }
+    if (!/\b(problem|need)/i.test(text)) {
+      findings.push({ type: 'problem-statement', item: null, penalty: PENALTIES.problemStatement, message: 'No problem statement (what problem is being solved?)' });
+    }
+
+    return [...findings, ...wordingFindings(text)];
+  },
+
+  requirements: doc => {
+    const items = doc.getItems('requirements');
+    const text = items.map(item => item.text).join('\n');
+
+    return [
+      ...countFindings(items, 'requirement(s)'),
+      ...REQUIREMENT_TOPICS
+        .filter(topic => !topic.regex.test(text))
+        .map(topic => ({ type: 'missing-topic', item: null, penalty: PENALTIES.missingTopic, message: `No ${topic.name} requirement` })),
+      ...items.flatMap(item => wordingFindings(item.text, item)),
+      ...findOverlaps(items).map(({ type, item, other }) => ({
+        type,
+        item: item.id,
+        penalty: PENALTIES[type],
+        message: type === 'duplicate' ? `${item.id} duplicates ${other.id}` : `${item.id} conflicts with ${other.id}`
+      }))
+    ];
+  },
+
+  userStories: doc => doc.getItems('userStories').flatMap(item => [
+    ...(isUserStory(item.text) ? [] : [{
+      type: 'story-shape',
+      item: item.id,
+      penalty: PENALTIES.storyShape,
+      message: `${item.id}: Not in "As a <role>, I want <action> so that <benefit>" form`
+    }]),
+    ...wordingFindings(item.text, item)
+  ]),
+
+  acceptanceCriteria: doc => {
+    const items = doc.getItems('acceptanceCriteria');
+
+    return [
+      ...countFindings(items, 'criteria'),
+      ...items.flatMap(item => [
+        ...(isTestableCriterion(item.text) ? [] : [{
+          type: 'untestable',
+          item: item.id,
+          penalty: PENALTIES.untestable,
+          message: `${item.id}: Not testable - use Given/When/Then or a measurable outcome`
+        }]),
+        ...wordingFindings(item.text, item)
+      ])
+    ];
+  }
+};
+
+/**
+ * Score one section
+ */
+function scoreSection(doc, key) {
+  const section = doc.getSection(key);
+  const title = section ? section.title : getSectionTitle(key);
+  const empty = !section || (section.type === 'list' ? section.items.length === 0 : !section.content);
+
+  if (empty) {
+    return {
+      key,
+      title,
+      score: 0,
+      findings: [{ section: title, type: 'missing', item: null, penalty: PENALTIES.missing, message: `${title} section is missing or empty` }]
+    };
+  }
+
+  const check = SECTION_CHECKS[key] || (d => wordingFindings(d.getText(key)));
+  const findings = check(doc).map(finding => ({ section: title, ...finding }));
+  const penalty = findings.reduce((sum, finding) => sum + finding.penalty, 0);
+
+  return { key, title, score: Math.max(0, 100 - penalty), findings };
+}
+
+/**
+ * Score a spec
+ *
+ * @param {SpecDocument|string} spec - Spec document or issue body
+ * @returns {Object} Report ({ score, sections: [{ key, title, score, findings }], findings })
+ */
+function scoreSpec(spec) {
+  const doc = spec instanceof SpecDocument ? spec : SpecDocument.parse(spec);
+
+  const keys = [
+    ...CORE_SECTIONS,
+    ...doc.sections.map(section => section.key).filter(key => !CORE_SECTIONS.includes(key))
+  ];
+  const sections = keys.map(key => scoreSection(doc, key));
+  const core = sections.filter(section => CORE_SECTIONS.includes(section.key));
+
+  return {
+    score: Math.round(core.reduce((sum, section) => sum + section.score, 0) / core.length),
+    sections,
+    findings: sections.flatMap(section => section.findings)
+  };
+}
+
+module.exports = {
+  DEFAULT_QUALITY_THRESHOLD,
+  CORE_SECTIONS,
+  PENALTIES,
+  scoreSpec,
+  findVagueWording,
+  findOverlaps,
+  isTestableCriterion,
+  isUserStory
+};
@@ -0,0 +1,437 @@
+/**
+ * Spec Templates
+ *
+ * Registry of spec templates selected with `spec new --template <name>`.
+ * A template lists its sections (required or optional), the extra labels
+ * its specs get, and validation rules for the section content:
+ *
+ *   name: api
+ *   description: REST/GraphQL endpoint
+ *   labels: [template: api]
+ *   sections:
+ *     - name: Endpoints
+ *       description: Method, path and purpose of each endpoint
+ *       placeholder: "- GET /api/resource - ..."
+ *       required: true
+ *   rules:
+ *     - section: Endpoints
+ *       itemsMatch: "^`?(GET|POST|PUT|PATCH|DELETE) /"
+ *       message: Each endpoint starts with an HTTP method and a path
+ *
+ * Rules check a section with `match` (the content matches a regex),
+ * `itemsMatch` (every list item matches a regex) or `minItems`.
+ *
+ * Built-in templates can be overridden, and new ones added, with YAML files
+ * in `.leo/templates/spec/*.yml`. A file named after a built-in (or with
+ * `extends: <name>`) starts from that template and replaces the fields it
+ * sets.
+ *
+ * Every built-in keeps Context, Requirements and Acceptance Criteria, since
+ * plan, tasks and trace work from REQ/AC IDs.
+ *
+ * @module lib/spec/templates
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_TEMPLATE = 'feature';
+const TEMPLATE_FILE_REGEX = /\.ya?ml$/;
+
+const CONTEXT_SECTION = {
+  name: 'Context',
+  description: 'What problem are we solving? Why is this needed?',
+  placeholder: 'Describe the background and motivation for this feature...',
+  required: true
+};
+
+const REQUIREMENTS_SECTION = {
+  name: 'Requirements',
+  description: 'What must this feature do?',
+  placeholder: '- [ ] Functional requirement 1\n- [ ] Functional requirement 2\n- [ ] Non-functional requirement 1',
+  required: true
+};
+
+const USER_STORIES_SECTION = {
+  name: 'User Stories',
+  description: 'Who benefits and how?',
+  placeholder: '- As a [user type], I want to [action] so that [benefit]\n- As a [user type], I want to [action] so that [benefit]',
+  required: false
+};
+
+const ACCEPTANCE_CRITERIA_SECTION = {
+  name: 'Acceptance Criteria',
+  description: 'How do we know it\'s done?',
+  placeholder: '- [ ] Given [context] when [action] then [outcome]\n- [ ] Given [context] when [action] then [outcome]',
+  required: true
+};
+
+const DEPENDENCIES_SECTION = {
+  name: 'Dependencies',
+  description: 'What else needs to be done first?',
+  placeholder: '- Blocking issue: #123\n- Related issue: #456\n- External dependency: X',
+  required: false
+};
+
+/**
+ * Built-in templates by name
+ */
+const BUILT_IN_TEMPLATES = {
+  feature: {
+    description: 'General feature (default)',
+    labels: [],
+    sections: [
+      CONTEXT_SECTION,
+      REQUIREMENTS_SECTION,
+      USER_STORIES_SECTION,
+      ACCEPTANCE_CRITERIA_SECTION,
+      {
+        name: 'Technical Approach',
+        description: 'Initial technical ideas (optional, can be added during planning)',
+        placeholder: '- Architecture considerations\n- Tech stack choices\n- Data model ideas\n- API contracts',
+        required: false
+      },
+      DEPENDENCIES_SECTION,
+      {
+        name: 'Success Metrics',
+        description: 'How will we measure success?',
+        placeholder: '- Performance: < 200ms response time\n- Coverage: > 80% test coverage\n- User satisfaction: > 4.5/5 rating',
+        required: false
+      }
+    ],
+    rules: []
+  },
+
+  ui: {
+    description: 'User-facing screen or flow',
+    labels: ['template: ui'],
+    sections: [
+      CONTEXT_SECTION,
+      REQUIREMENTS_SECTION,
+      USER_STORIES_SECTION,
+      {
+        name: 'User Flows',
+        description: 'Step by step, what does the user do and see?',
+        placeholder: '1. User opens [screen]\n2. User [action]\n3. System shows [result]',
+        required: true
+      },
+      {
+        name: 'Design References',
+        description: 'Links to designs (Figma, prototypes, screenshots)',
+        placeholder: '- Figma: https://www.figma.com/file/[id]',
+        required: true
+      },
+      {
+        name: 'Accessibility',
+        description: 'Keyboard, screen reader and contrast requirements',
+        placeholder: '- Meets WCAG 2.1 AA\n- All actions reachable by keyboard\n- Screen reader labels for icons and form fields',
+        required: true
+      },
+      ACCEPTANCE_CRITERIA_SECTION,
+      DEPENDENCIES_SECTION
+    ],
+    rules: [
+      { section: 'Design References', match: 'https?://', message: 'Link at least one design' },
+      { section: 'Accessibility', match: 'WCAG|keyboard|screen reader', message: 'Name the WCAG level, keyboard or screen reader support' }
+    ]
+  },
+
+  api: {
+    description: 'API endpoint(s)',
+    labels: ['template: api'],
+    sections: [
+      CONTEXT_SECTION,
+      REQUIREMENTS_SECTION,
+      {
+        name: 'Endpoints',
+        description: 'Method, path and purpose of each endpoint',
+        placeholder: '- `GET /api/[resource]` - [purpose]\n- `POST /api/[resource]` - [purpose]',
+        required: true
+      },
+      {
+        name: 'Request & Response',
+        description: 'Payload schemas and examples',
+        placeholder: '```json\n{ "id": "string" }\n```',
+        required: true
+      },
+      {
+        name: 'Error Responses',
+        description: 'Status codes and when they are returned',
+        placeholder: '- `400` - Invalid request body\n- `404` - [Resource] not found',
+        required: true
+      },
+      {
+        name: 'Authentication',
+        description: 'Who may call the endpoints?',
+        placeholder: '- Requires a valid session token',
+        required: false
+      },
+      ACCEPTANCE_CRITERIA_SECTION,
+      DEPENDENCIES_SECTION
+    ],
+    rules: [
+      { section: 'Endpoints', itemsMatch: '^`?(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS) /', message: 'Each endpoint starts with an HTTP method and a path' },
+      { section: 'Error Responses', itemsMatch: '\\b[45]\\d\\d\\b', message: 'Each error response names a 4xx/5xx status code' }
+    ]
+  },
+
+  migration: {
+    description: 'Data or schema migration',
+    labels: ['template: migration'],
+    sections: [
+      CONTEXT_SECTION,
+      REQUIREMENTS_SECTION,
+      {
+        name: 'Data Affected',
+        description: 'Tables, collections or files changed, and how much data',
+        placeholder: '- [table]: ~[N] rows',
+        required: true
+      },
+      {
+        name: 'Migration Steps',
+        description: 'Ordered steps to run the migration',
+        placeholder: '1. Back up [table]\n2. Run the migration script\n3. Verify row counts',
+        required: true
+      },
+      {
+        name: 'Rollback Plan',
+        description: 'How to undo the migration if it fails',
+        placeholder: '1. Stop the migration\n2. Restore [table] from the backup',
+        required: true
+      },
+      {
+        name: 'Downtime',
+        description: 'Expected downtime or degraded service',
+        placeholder: '- None expected (online migration)',
+        required: false
+      },
+      ACCEPTANCE_CRITERIA_SECTION,
+      DEPENDENCIES_SECTION
+    ],
+    rules: [
+      { section: 'Migration Steps', minItems: 2, message: 'List at least two migration steps' },
+      { section: 'Rollback Plan', minItems: 1, message: 'List the rollback steps' }
+    ]
+  },
+
+  component: {
+    description: 'Design-system component addition',
+    labels: ['template: component'],
+    sections: [
+      CONTEXT_SECTION,
+      REQUIREMENTS_SECTION,
+      {
+        name: 'Component API',
+        description: 'Props, events and slots',
+        placeholder: '- `variant` (`primary` | `secondary`) - Visual style\n- `onClick` (function) - Called when activated',
+        required: true
+      },
+      {
+        name: 'Variants & States',
+        description: 'Visual variants and interaction states',
+        placeholder: '- Variants: primary, secondary\n- States: default, hover, focus, disabled',
+        required: true
+      },
+      {
+        name: 'Accessibility',
+        description: 'Roles, keyboard interaction and screen reader behaviour',
+        placeholder: '- Meets WCAG 2.1 AA\n- Focus visible and operable by keyboard',
+        required: true
+      },
+      {
+        name: 'Design References',
+        description: 'Links to designs and design tokens',
+        placeholder: '- Figma: https://www.figma.com/file/[id]',
+        required: false
+      },
+      ACCEPTANCE_CRITERIA_SECTION
+    ],
+    rules: [
+      { section: 'Component API', itemsMatch: '^`[\\w-]+`', message: 'Each prop starts with its `name`' },
+      { section: 'Accessibility', match: 'WCAG|keyboard|screen reader|aria', message: 'Name the WCAG level, keyboard or screen reader support' }
+    ]
+  }
+};
+
+/**
+ * Directory holding project-local templates
+ *
+ * @param {string} projectRoot - Project root
+ * @returns {string} Absolute path to .leo/templates/spec
+ */
+function getTemplatesDir(projectRoot) {
+  return path.join(projectRoot, '.leo', 'templates', 'spec');
+}
+
+/**
+ * Check a template definition and fill in defaults
+ *
+ * @param {Object} template - Template definition
+ * @param {string} source - Where the template came from, for errors
+ * @returns {Object} Template
+ * @throws {Error} If sections or rules are malformed
+ */
+function normalizeTemplate(template, source) {
+  const fail = message => {
+    throw new Error(`Invalid spec template ${source}: ${message}`);
+  };
+
+  if (!Array.isArray(template.sections) || template.sections.length === 0) {
+    fail('sections must be a non-empty list');
+  }
+
+  const sections = template.sections.map(section => {
+    if (!section || typeof section.name !== 'string' || !section.name.trim()) {
+      fail('every section needs a name');
+    }
+    return {
+      name: section.name.trim(),
+      description: section.description || '',
+      placeholder: section.placeholder || '',
+      required: section.required === true
+    };
+  });
+
+  const rules = (template.rules || []).map(rule => {
+    if (!sections.some(section => section.name === rule.section)) {
+      fail(`rule refers to unknown section "${rule.section}"`);
+    }
+    ['match', 'itemsMatch'].filter(key => rule[key]).forEach(key => {
+      try {
+        new RegExp(rule[key], 'i');
+      } catch (error) {
+        fail(`${key} for "${rule.section}" is not a valid regex (${error.message})`);
+      }
+    });
+    return { ...rule, message: rule.message || `${rule.section} does not match the template` };
+  });
+
+  return {
+    name: String(template.name),
+    description: template.description || '',
+    labels: (template.labels || []).map(String),
+    sections,
+    rules,
+    source: template.source || 'built-in'
+  };
+}
+
+/**
+ * Load all templates: built-ins plus .leo/templates/spec/*.yml
+ *
+ * @param {string} projectRoot - Project root
+ * @returns {Promise<Object>} Templates by name
+ * @throws {Error} If a project template cannot be parsed
+ */
+async function loadTemplates(projectRoot) {
+  const templates = {};
+  Object.entries(BUILT_IN_TEMPLATES).forEach(([name, template]) => {
+    templates[name] = normalizeTemplate({ ...template, name }, name);
+  });
+
+  const dir = getTemplatesDir(projectRoot);
+  if (!await fs.pathExists(dir)) return templates;
+
+  const files = (await fs.readdir(dir)).filter(file => TEMPLATE_FILE_REGEX.test(file)).sort();
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    const source = path.relative(projectRoot, filePath);
+
+    let raw;
+    try {
+      raw = yaml.safeLoad(await fs.readFile(filePath, 'utf8')) || {};
+    } catch (error) {
+      throw new Error(`Invalid spec template ${source}: ${error.message}`);
+    }
+
+    const name = String(raw.name || file.replace(TEMPLATE_FILE_REGEX, ''));
+    const baseName = raw.extends || name;
+    if (raw.extends && !templates[raw.extends]) {
+      throw new Error(`Invalid spec template ${source}: extends unknown template "${raw.extends}"`);
+    }
+
+    const base = templates[baseName] || {};
+    const fields = { ...raw };
+    delete fields.extends;
+
+    // Replacing the sections keeps only the base rules that still apply
+    if (fields.sections && !fields.rules && base.rules) {
+      fields.rules = base.rules.filter(rule => fields.sections.some(section => section && section.name === rule.section));
+    }
+
+    templates[name] = normalizeTemplate({ ...base, ...fields, name, source }, source);
+  }
+
+  return templates;
+}
+
+/**
+ * Load one template by name
+ *
+ * @param {string} projectRoot - Project root
+ * @param {string} name - Template name (default: feature)
+ * @returns {Promise<Object>} Template ({ name, description, labels, sections, rules, source })
+ * @throws {Error} If no template has that name
+ */
+async function getTemplate(projectRoot, name = DEFAULT_TEMPLATE) {
+  const templates = await loadTemplates(projectRoot);
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown spec template "${name}" - use ${Object.keys(templates).join(', ')}`);
+  }
+  return template;
+}
+
+/**
+ * List items (`- x`, `1. x`) in a section, without the marker or checkbox
+ */
+function listItems(content) {
+  return String(content || '').split('\n')
+    .map(line => line.match(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/))
+    .filter(Boolean)
+    .map(match => match[1].trim());
+}
+
+/**
+ * Check spec sections against a template
+ *
+ * @param {Object} template - Template from getTemplate
+ * @param {Object} sections - Section name → Markdown
+ * @returns {Object} Result ({ valid, errors: [{ section, message }] })
+ */
+function validateSpec(template, sections) {
+  const errors = [];
+  const content = name => String(sections[name] || '').trim();
+
+  template.sections
+    .filter(section => section.required && !content(section.name))
+    .forEach(section => errors.push({ section: section.name, message: 'Required section is missing' }));
+
+  template.rules
+    .filter(rule => content(rule.section))
+    .forEach(rule => {
+      const text = content(rule.section);
+      const items = listItems(text);
+
+      const failed = (rule.match && !new RegExp(rule.match, 'i').test(text)) ||
+        (rule.itemsMatch && (items.length === 0 || items.some(item => !new RegExp(rule.itemsMatch, 'i').test(item)))) ||
+        (rule.minItems && items.length < rule.minItems);
+
+      if (failed) {
+        errors.push({ section: rule.section, message: rule.message });
+      }
+    });
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  BUILT_IN_TEMPLATES,
+  getTemplatesDir,
+  loadTemplates,
+  getTemplate,
+  validateSpec
+};
@@ -0,0 +1,51 @@
+/**
+ * Requirement References
+ *
+ * Plan tasks, task checklists and child issues point back at the spec
+ * requirements they implement with a trailing tag, e.g.
+ *
+ *   - [ ] Add error handling (REQ-2, REQ-5)
+ *
+ * @module lib/spec/trace
+ */
+
+const REQUIREMENT_REF_REGEX = /\bREQ-\d+\b/g;
+const REQUIREMENT_TAG_REGEX = /\s*\((REQ-\d+(?:,\s*REQ-\d+)*)\)\s*$/;
+
+/**
+ * Extract requirement IDs referenced in a line of text
+ *
+ * @param {string} text - Task, issue title or test name
+ * @returns {string[]} Unique requirement IDs in order of appearance
+ */
+function extractRequirementRefs(text) {
+  return [...new Set(String(text || '').match(REQUIREMENT_REF_REGEX) || [])];
+}
+
+/**
+ * Append a requirement tag to a task text
+ *
+ * @param {string} text - Task text
+ * @param {string[]} ids - Requirement IDs (no tag is added when empty)
+ * @returns {string} Tagged text
+ */
+function tagWithRequirements(text, ids = []) {
+  return ids.length > 0 ? `${text} (${ids.join(', ')})` : text;
+}
+
+/**
+ * Remove the trailing requirement tag from a task text
+ *
+ * @param {string} text - Tagged text
+ * @returns {string} Text without tag
+ */
+function stripRequirementTag(text) {
+  return String(text || '').replace(REQUIREMENT_TAG_REGEX, '');
+}
+
+module.exports = {
+  REQUIREMENT_REF_REGEX,
+  extractRequirementRefs,
+  tagWithRequirements,
+  stripRequirementTag
+};
@@ -0,0 +1,311 @@
+/**
+ * Spec Versions
+ *
+ * In-repo history of a spec issue. Every mutation (`spec new`, `spec-extend`,
+ * `clarify --resolve`, `spec rollback`) writes the full body to
+ * `.leo/specs/<issue>/v<N>.md`, next to plan.json (see lib/plan/artifact),
+ * with a small front matter block:
+ *
+ *   ---
+ *   version: 3
+ *   title: "Add login"
+ *   author: "alice"
+ *   reason: "extend: Add OAuth2 support"
+ *   timestamp: "2026-01-01T00:00:00.000Z"
+ *   ---
+ *
+ *   <issue body>
+ *
+ * Unlike the tracker timeline, snapshots work offline, record why the spec
+ * changed, and let any two versions be compared by item ID (REQ-n, US-n,
+ * AC-n) rather than by line.
+ *
+ * `ids.json` in the same directory records the highest item ID ever issued
+ * per prefix ({ "REQ": 7, "US": 2, "AC": 4 }). It only ever grows, so an ID
+ * dropped by an edit or rollback is never reused for a different item while
+ * plan.json, task titles and child issues still refer to it.
+ *
+ * @module lib/spec/versions
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SpecDocument } = require('./document');
+
+const VERSION_FILE_REGEX = /^v(\d+)\.md$/;
+const ID_REGISTER_FILE = 'ids.json';
+const FRONT_MATTER_FIELDS = ['version', 'title', 'author', 'reason', 'timestamp'];
+
+/**
+ * Directory holding the snapshots for a spec issue
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @returns {string} Absolute path to .leo/specs/<issue>
+ */
+function getVersionsDir(projectRoot, issueNumber) {
+  return path.join(projectRoot, '.leo', 'specs', String(issueNumber));
+}
+
+/**
+ * Parse a version reference ("v3" or "3")
+ *
+ * @param {string|number} value - Version reference
+ * @returns {number} Version number
+ * @throws {Error} If the value is not a version
+ */
+function parseVersion(value) {
+  const match = String(value).trim().match(/^v?(\d+)$/i);
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid version "${value}" - use v1, v2, ...`);
+  }
+  return Number(match[1]);
+}
+
+/**
+ * Serialize a snapshot as front matter + body
+ */
+function formatSnapshot(snapshot) {
+  const header = FRONT_MATTER_FIELDS.map(field => `${field}: ${JSON.stringify(snapshot[field])}`);
+  return `---\n${header.join('\n')}\n---\n\n${snapshot.body}`;
+}
+
+/**
+ * Parse a snapshot file
+ */
+function parseSnapshot(content) {
+  const match = content.match(/^---\n([\s\S]*?)\n---\n\n?([\s\S]*)$/);
+  if (!match) {
+    return { body: content };
+  }
+
+  const snapshot = { body: match[2] };
+  match[1].split('\n').forEach(line => {
+    const field = line.match(/^(\w+): (.*)$/);
+    if (!field) return;
+    try {
+      snapshot[field[1]] = JSON.parse(field[2]);
+    } catch (error) {
+      snapshot[field[1]] = field[2];
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * List the stored versions of a spec, oldest first
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @returns {Promise<Array>} Versions (version, title, author, reason, timestamp, body, path)
+ */
+async function listVersions(projectRoot, issueNumber) {
+  const dir = getVersionsDir(projectRoot, issueNumber);
+  if (!await fs.pathExists(dir)) return [];
+
+  const files = (await fs.readdir(dir))
+    .map(file => ({ file, match: file.match(VERSION_FILE_REGEX) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+
+  const versions = [];
+  for (const { file, match } of files) {
+    const filePath = path.join(dir, file);
+    const snapshot = parseSnapshot(await fs.readFile(filePath, 'utf8'));
+    versions.push({ ...snapshot, version: Number(match[1]), path: filePath });
+  }
+  return versions;
+}
+
+/**
+ * Load one stored version of a spec
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @param {string|number} version - Version reference ("v3" or 3)
+ * @returns {Promise<Object>} Version (see listVersions)
+ * @throws {Error} If the version does not exist
+ */
+async function loadVersion(projectRoot, issueNumber, version) {
+  const number = parseVersion(version);
+  const versions = await listVersions(projectRoot, issueNumber);
+  const found = versions.find(v => v.version === number);
+
+  if (!found) {
+    const available = versions.length > 0 ? ` (have v1-v${versions[versions.length - 1].version})` : '';
+    throw new Error(`Version v${number} not found for spec #${issueNumber}${available}`);
+  }
+  return found;
+}
+
+/**
+ * Store a new version of a spec
+ *
+ * Nothing is written when the title and body match the latest version. A
+ * spec that predates snapshots gets its previous state stored as v1 first,
+ * so the change itself can be diffed and rolled back.
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @param {Object} snapshot - New state
+ * @param {string} snapshot.title - Issue title
+ * @param {string} snapshot.body - Issue body
+ * @param {string} snapshot.reason - Why the spec changed (e.g. "create", "extend: Add OAuth2")
+ * @param {string} snapshot.author - Who changed it (default: OS user)
+ * @param {Object} snapshot.previous - State before the change ({ title, body }) for specs without history
+ * @returns {Promise<Object>} Stored (or unchanged latest) version
+ */
+async function saveVersion(projectRoot, issueNumber, snapshot) {
+  const versions = await listVersions(projectRoot, issueNumber);
+  const author = snapshot.author || defaultAuthor();
+
+  if (versions.length === 0 && snapshot.previous) {
+    versions.push(await writeVersion(projectRoot, issueNumber, {
+      version: 1,
+      title: snapshot.previous.title,
+      author,
+      reason: 'baseline',
+      body: snapshot.previous.body
+    }));
+  }
+
+  const latest = versions[versions.length - 1];
+  if (latest && latest.body === snapshot.body && latest.title === snapshot.title) {
+    return latest;
+  }
+
+  return writeVersion(projectRoot, issueNumber, {
+    version: latest ? latest.version + 1 : 1,
+    title: snapshot.title,
+    author,
+    reason: snapshot.reason,
+    body: snapshot.body
+  });
+}
+
+/**
+ * Write one snapshot file (and record its IDs in the ID register)
+ */
+async function writeVersion(projectRoot, issueNumber, snapshot) {
+  const stored = { ...snapshot, timestamp: new Date().toISOString() };
+  const filePath = path.join(getVersionsDir(projectRoot, issueNumber), `v${snapshot.version}.md`);
+  await fs.outputFile(filePath, formatSnapshot(stored));
+  await recordIds(projectRoot, issueNumber, snapshot.body);
+  return { ...stored, path: filePath };
+}
+
+/**
+ * Merge ID numbers, keeping the highest per prefix
+ */
+function mergeIdNumbers(...registers) {
+  const merged = {};
+  registers.forEach(register => {
+    Object.entries(register || {}).forEach(([prefix, number]) => {
+      if (Number.isInteger(number)) {
+        merged[prefix] = Math.max(merged[prefix] || 0, number);
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Highest item ID ever issued for a spec, per prefix
+ *
+ * Read from ids.json; IDs in stored versions are counted too, so specs
+ * versioned before the register existed are covered.
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @returns {Promise<Object>} ID numbers keyed by prefix ({ REQ: 7, US: 2, AC: 4 })
+ */
+async function loadIdRegister(projectRoot, issueNumber) {
+  const filePath = path.join(getVersionsDir(projectRoot, issueNumber), ID_REGISTER_FILE);
+  const stored = await fs.readJson(filePath).catch(() => ({}));
+  const versions = await listVersions(projectRoot, issueNumber);
+
+  return mergeIdNumbers(stored, ...versions.map(v => SpecDocument.parse(v.body).getIdNumbers()));
+}
+
+/**
+ * Record the item IDs of a spec body in the ID register
+ *
+ * @param {string} projectRoot - Project root
+ * @param {number|string} issueNumber - Spec issue number
+ * @param {string} body - Spec body
+ * @returns {Promise<Object>} Updated register
+ */
+async function recordIds(projectRoot, issueNumber, body) {
+  const filePath = path.join(getVersionsDir(projectRoot, issueNumber), ID_REGISTER_FILE);
+  const stored = await fs.readJson(filePath).catch(() => ({}));
+  const register = mergeIdNumbers(stored, SpecDocument.parse(body).getIdNumbers());
+
+  await fs.outputJson(filePath, register, { spaces: 2 });
+  return register;
+}
+
+/**
+ * OS user name, like the local tracker's default author
+ */
+function defaultAuthor() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return 'local';
+  }
+}
+
+/**
+ * Compare the list items of two spec bodies by ID
+ *
+ * @param {string} fromBody - Older spec body
+ * @param {string} toBody - Newer spec body
+ * @returns {Object} Changes keyed by section key: { added: [items], removed: [items], modified: [{ id, from, to }] }
+ */
+function diffItems(fromBody, toBody) {
+  const collect = body => {
+    const items = {};
+    SpecDocument.parse(body).sections
+      .filter(section => section.type === 'list')
+      .forEach(section => {
+        items[section.key] = section.items.map(item => ({ id: item.id, text: item.text, checked: item.checked }));
+      });
+    return items;
+  };
+
+  const before = collect(fromBody);
+  const after = collect(toBody);
+  const changes = {};
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    const prevItems = before[key] || [];
+    const currItems = after[key] || [];
+    const prevById = new Map(prevItems.map(item => [item.id, item]));
+    const currById = new Map(currItems.map(item => [item.id, item]));
+
+    const added = currItems.filter(item => !prevById.has(item.id));
+    const removed = prevItems.filter(item => !currById.has(item.id));
+    const modified = currItems
+      .filter(item => prevById.has(item.id))
+      .map(item => ({ id: item.id, from: prevById.get(item.id), to: item }))
+      .filter(change => change.from.text !== change.to.text || change.from.checked !== change.to.checked);
+
+    if (added.length > 0 || removed.length > 0 || modified.length > 0) {
+      changes[key] = { added, removed, modified };
+    }
+  });
+
+  return changes;
+}
+
+module.exports = {
+  getVersionsDir,
+  parseVersion,
+  listVersions,
+  loadVersion,
+  saveVersion,
+  loadIdRegister,
+  recordIds,
+  diffItems
+};
@@ -0,0 +1,213 @@
+/**
+ * File Storage
+ *
+ * Stores each key as a JSON file: `.leo/<key>.json`, except `config`, which
+ * is the project's `.leo.json`. These are the files the team and
+ * model-selection modules always wrote, so existing projects keep working.
+ *
+ * Writes are atomic (temp file + rename, so readers never see half a file)
+ * and locked with a `<file>.lock` directory, which `mkdir` creates atomically
+ * across processes. A lock older than `staleLockMs` is assumed to belong to a
+ * crashed process and is broken.
+ *
+ * @module lib/storage/file-storage
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_FILES = {
+  config: '.leo.json'
+};
+
+const LOCK_RETRY_MS = 25;
+const DEFAULT_LOCK_TIMEOUT_MS = 5000;
+const DEFAULT_STALE_LOCK_MS = 30000;
+
+/**
+ * Write JSON atomically: write a temp file next to the target, then rename it
+ *
+ * @param {string} file - Target path
+ * @param {*} data - JSON-serializable data
+ * @param {Object} options - fs.writeJson options (e.g. mode)
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(file, data, options = {}) {
+  const tempFile = `${file}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+
+  await fs.ensureDir(path.dirname(file));
+  try {
+    await fs.writeJson(tempFile, data, { spaces: 2, ...options });
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    try {
+      await fs.remove(tempFile);
+    } catch (removeError) {
+      // Keep the original error
+    }
+    throw error;
+  }
+}
+
+/**
+ * File-backed storage adapter
+ */
+class FileStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.projectRoot - Project root (default: cwd)
+   * @param {Object} options.files - Explicit paths for keys ({ key: path }), relative to the project root
+   * @param {number} options.lockTimeout - How long to wait for a lock in ms (default: 5000)
+   * @param {number} options.staleLockMs - Age after which a lock is broken in ms (default: 30000)
+   */
+  constructor(options = {}) {
+    this.backend = 'file';
+    this.projectRoot = options.projectRoot || process.cwd();
+    this.files = { ...DEFAULT_FILES, ...(options.files || {}) };
+    this.lockTimeout = options.lockTimeout || DEFAULT_LOCK_TIMEOUT_MS;
+    this.staleLockMs = options.staleLockMs || DEFAULT_STALE_LOCK_MS;
+  }
+
+  /**
+   * Path of the file holding a key
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  location(key) {
+    return path.resolve(this.projectRoot, this.files[key] || path.join('.leo', `${key}.json`));
+  }
+
+  /**
+   * Read a key
+   * @param {string} key - Storage key
+   * @returns {Promise<*>} Stored data, or null if the key does not exist
+   */
+  async read(key) {
+    const file = this.location(key);
+    if (!await fs.pathExists(file)) return null;
+
+    try {
+      return await fs.readJson(file);
+    } catch (error) {
+      throw new Error(`Could not read ${path.relative(this.projectRoot, file) || file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a key
+   * @param {string} key - Storage key
+   * @param {*} data - JSON-serializable data
+   * @param {Object} options - Write options
+   * @param {number} options.mode - File mode (e.g. 0o600 for credentials)
+   * @returns {Promise<void>}
+   */
+  async write(key, data, options = {}) {
+    await this._withLock(key, () => writeJsonAtomic(this.location(key), data, options.mode ? { mode: options.mode } : {}));
+  }
+
+  /**
+   * Read, change and write a key while holding its lock
+   * Use this instead of read + write whenever other processes may write the same key.
+   * @param {string} key - Storage key
+   * @param {Function} updater - (current|null) => next data
+   * @param {Object} options - Write options (see write)
+   * @returns {Promise<*>} The data written
+   */
+  async update(key, updater, options = {}) {
+    return this._withLock(key, async () => {
+      const next = await updater(await this.read(key));
+      await writeJsonAtomic(this.location(key), next, options.mode ? { mode: options.mode } : {});
+      return next;
+    });
+  }
+
+  /**
+   * Delete a key
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} Whether the key existed
+   */
+  async delete(key) {
+    return this._withLock(key, async () => {
+      const file = this.location(key);
+      if (!await fs.pathExists(file)) return false;
+      await fs.remove(file);
+      return true;
+    });
+  }
+
+  /**
+   * List stored keys
+   * @returns {Promise<string[]>}
+   */
+  async list() {
+    const keys = new Set();
+
+    for (const key of Object.keys(this.files)) {
+      if (await fs.pathExists(this.location(key))) keys.add(key);
+    }
+
+    const leoDir = path.join(this.projectRoot, '.leo');
+    if (await fs.pathExists(leoDir)) {
+      (await fs.readdir(leoDir))
+        .filter(name => name.endsWith('.json'))
+        .forEach(name => keys.add(path.basename(name, '.json')));
+    }
+
+    return [...keys].sort();
+  }
+
+  /**
+   * Nothing to release for files
+   */
+  async close() {}
+
+  /**
+   * Run fn while holding the lock for a key
+   * @private
+   */
+  async _withLock(key, fn) {
+    const lockPath = `${this.location(key)}.lock`;
+    await fs.ensureDir(path.dirname(lockPath));
+
+    const started = Date.now();
+    for (;;) {
+      try {
+        await fs.mkdir(lockPath);
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        if (await this._isStale(lockPath)) {
+          await fs.remove(lockPath);
+          continue;
+        }
+        if (Date.now() - started > this.lockTimeout) {
+          throw new Error(`Timed out waiting for ${path.relative(this.projectRoot, lockPath)} - another ux-ingka process is writing it (delete the lock if none is running)`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.remove(lockPath);
+    }
+  }
+
+  /**
+   * Whether a lock was left behind by a crashed process
+   * @private
+   */
+  async _isStale(lockPath) {
+    try {
+      const stats = await fs.stat(lockPath);
+      return Date.now() - stats.mtimeMs > this.staleLockMs;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = FileStorage;
+module.exports.writeJsonAtomic = writeJsonAtomic;
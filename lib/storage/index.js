@@ -0,0 +1,166 @@
+/**
+ * Storage Abstraction
+ *
+ * One interface for the state the team and model-selection modules persist
+ * (hunts, pack config, analytics, model usage, dashboard tokens, board), so
+ * the CLI and the dashboard can write concurrently without clobbering each
+ * other:
+ *
+ *   read(key)               -> data | null
+ *   write(key, data)        -> replace a key
+ *   update(key, updater)    -> locked read-modify-write; updater(current|null) must be synchronous
+ *   delete(key)             -> boolean
+ *   list()                  -> keys
+ *   location(key)           -> where the key lives (for messages)
+ *
+ * Backends:
+ * - file:   JSON files under .leo/ with atomic writes and lock files (default)
+ * - sqlite: one table in .leo/leo.db (needs better-sqlite3)
+ *
+ * The backend is picked from (first match wins):
+ * 1. `options.backend`
+ * 2. UX_INGKA_STORAGE environment variable
+ * 3. `storage.backend` in .ux-ingkarc.json
+ * 4. 'file'
+ *
+ * Move existing data between backends with migrateStorage
+ * (`ux-ingka storage migrate --to sqlite`).
+ *
+ * @module lib/storage
+ */
+
+const path = require('path');
+const FileStorage = require('./file-storage');
+const SqliteStorage = require('./sqlite-storage');
+
+const BACKENDS = {
+  file: FileStorage,
+  sqlite: SqliteStorage
+};
+
+const DEFAULT_BACKEND = 'file';
+
+// One adapter per backend and project, so SQLite keeps a single connection
+const instances = new Map();
+
+/**
+ * Read the configured backend from .ux-ingkarc.json
+ *
+ * @returns {string|null} Backend name or null if not configured
+ */
+function getConfiguredBackend() {
+  try {
+    const configManager = require('../utils/config-manager');
+    const storageConfig = configManager.get('storage');
+    return (storageConfig && storageConfig.backend) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the storage for a project
+ *
+ * @param {Object} options - Storage options
+ * @param {string} options.backend - Backend name (file, sqlite)
+ * @param {string} options.projectRoot - Project root (default: cwd)
+ * @returns {FileStorage|SqliteStorage} Storage adapter
+ */
+function createStorage(options = {}) {
+  const backend = options.backend
+    || process.env.UX_INGKA_STORAGE
+    || getConfiguredBackend()
+    || DEFAULT_BACKEND;
+
+  const Storage = BACKENDS[backend];
+  if (!Storage) {
+    throw new Error(`Unknown storage backend: ${backend} (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const projectRoot = path.resolve(options.projectRoot || process.cwd());
+  const id = `${backend}:${projectRoot}`;
+  if (!instances.has(id)) {
+    instances.set(id, new Storage({ projectRoot }));
+  }
+
+  return instances.get(id);
+}
+
+/**
+ * Merge a process's records into the stored list by ID
+ * Stored records keep their order and are replaced by ours; records another
+ * process added since we loaded are kept. Use inside update().
+ *
+ * @param {Object[]|null} stored - Records currently stored
+ * @param {Object[]} records - Records held by this process
+ * @param {string} idKey - ID property (default: 'id')
+ * @returns {Object[]} Merged records
+ */
+function mergeById(stored, records, idKey = 'id') {
+  const ours = new Map(records.map(record => [record[idKey], record]));
+  const merged = (stored || []).map(record => ours.get(record[idKey]) || record);
+  const known = new Set(merged.map(record => record[idKey]));
+
+  return [...merged, ...records.filter(record => !known.has(record[idKey]))];
+}
+
+/**
+ * Merge like mergeById, but a stored record with a higher version than ours
+ * is kept: a process holding a stale copy never overwrites a newer one.
+ * Use inside update().
+ *
+ * @param {Object[]|null} stored - Records currently stored
+ * @param {Object[]} records - Records held by this process
+ * @param {string} idKey - ID property (default: 'id')
+ * @param {string} versionKey - Version property (default: 'version'; missing counts as 0)
+ * @returns {Object[]} Merged records
+ */
+function mergeByVersion(stored, records, idKey = 'id', versionKey = 'version') {
+  const current = new Map((stored || []).map(record => [record[idKey], record]));
+  const newer = records.map(record => {
+    const theirs = current.get(record[idKey]);
+    return theirs && (theirs[versionKey] || 0) > (record[versionKey] || 0) ? theirs : record;
+  });
+
+  return mergeById(stored, newer, idKey);
+}
+
+/**
+ * Copy every key from one storage to another
+ * Keys already present in the target are kept unless `overwrite` is set;
+ * the source is left untouched so a migration can be rolled back by
+ * switching the backend back.
+ *
+ * @param {Object} source - Storage to copy from
+ * @param {Object} target - Storage to copy to
+ * @param {Object} options - Migration options
+ * @param {boolean} options.overwrite - Replace keys that already exist in the target
+ * @returns {Promise<Object>} { copied: string[], skipped: string[] }
+ */
+async function migrateStorage(source, target, options = {}) {
+  const copied = [];
+  const skipped = [];
+  const existing = new Set(await target.list());
+
+  for (const key of await source.list()) {
+    if (existing.has(key) && !options.overwrite) {
+      skipped.push(key);
+      continue;
+    }
+
+    await target.write(key, await source.read(key));
+    copied.push(key);
+  }
+
+  return { copied, skipped };
+}
+
+module.exports = {
+  createStorage,
+  migrateStorage,
+  mergeById,
+  mergeByVersion,
+  FileStorage,
+  SqliteStorage,
+  BACKENDS
+};
@@ -0,0 +1,181 @@
+/**
+ * SQLite Storage
+ *
+ * Stores every key as a JSON document in one table of `.leo/leo.db`:
+ *
+ *   documents (key TEXT PRIMARY KEY, value TEXT, updated_at TEXT)
+ *
+ * SQLite serializes writers across processes itself; `update` runs inside a
+ * `BEGIN IMMEDIATE` transaction so a read-modify-write cannot interleave with
+ * another process. The database runs in WAL mode so the dashboard can read
+ * while the CLI writes.
+ *
+ * Needs the `better-sqlite3` package, an optional dependency of the kit. If
+ * its native build failed on install, `npm install better-sqlite3` in the
+ * project (or globally next to the kit).
+ *
+ * @module lib/storage/sqlite-storage
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_DATABASE = path.join('.leo', 'leo.db');
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * Load better-sqlite3 from the project or the kit
+ *
+ * @param {string} projectRoot - Project root
+ * @returns {Function} Database constructor
+ */
+function loadDriver(projectRoot) {
+  try {
+    return require(require.resolve('better-sqlite3', { paths: [projectRoot, __dirname] }));
+  } catch (error) {
+    throw new Error('SQLite storage needs the better-sqlite3 package - run "npm install better-sqlite3" or use the file backend');
+  }
+}
+
+/**
+ * SQLite-backed storage adapter
+ */
+class SqliteStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.projectRoot - Project root (default: cwd)
+   * @param {string} options.database - Database path, relative to the project root (default: .leo/leo.db)
+   */
+  constructor(options = {}) {
+    this.backend = 'sqlite';
+    this.projectRoot = options.projectRoot || process.cwd();
+    this.databasePath = path.resolve(this.projectRoot, options.database || DEFAULT_DATABASE);
+    this.db = null;
+  }
+
+  /**
+   * Where a key is stored
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  location(key) {
+    return `${this.databasePath}#${key}`;
+  }
+
+  /**
+   * Read a key
+   * @param {string} key - Storage key
+   * @returns {Promise<*>} Stored data, or null if the key does not exist
+   */
+  async read(key) {
+    return this._read(this._open(), key);
+  }
+
+  /**
+   * Replace a key
+   * @param {string} key - Storage key
+   * @param {*} data - JSON-serializable data
+   * @returns {Promise<void>}
+   */
+  async write(key, data) {
+    this._write(this._open(), key, data);
+  }
+
+  /**
+   * Read, change and write a key in one transaction
+   * @param {string} key - Storage key
+   * @param {Function} updater - (current|null) => next data (must be synchronous, see below)
+   * @returns {Promise<*>} The data written
+   */
+  async update(key, updater) {
+    const db = this._open();
+
+    // better-sqlite3 transactions are synchronous, so the updater has to be too
+    const transaction = db.transaction(() => {
+      const next = updater(this._read(db, key));
+      if (next && typeof next.then === 'function') {
+        throw new Error('SQLite storage updaters must be synchronous');
+      }
+      this._write(db, key, next);
+      return next;
+    });
+
+    return transaction.immediate();
+  }
+
+  /**
+   * Delete a key
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} Whether the key existed
+   */
+  async delete(key) {
+    return this._open().prepare('DELETE FROM documents WHERE key = ?').run(key).changes > 0;
+  }
+
+  /**
+   * List stored keys
+   * @returns {Promise<string[]>}
+   */
+  async list() {
+    return this._open().prepare('SELECT key FROM documents ORDER BY key').all().map(row => row.key);
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Open the database and create the table on first use
+   * @private
+   */
+  _open() {
+    if (this.db) return this.db;
+
+    const Database = loadDriver(this.projectRoot);
+    fs.ensureDirSync(path.dirname(this.databasePath));
+
+    this.db = new Database(this.databasePath, { timeout: BUSY_TIMEOUT_MS });
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    return this.db;
+  }
+
+  /**
+   * @private
+   */
+  _read(db, key) {
+    const row = db.prepare('SELECT value FROM documents WHERE key = ?').get(key);
+    if (!row) return null;
+
+    try {
+      return JSON.parse(row.value);
+    } catch (error) {
+      throw new Error(`Could not read "${key}" from ${path.relative(this.projectRoot, this.databasePath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _write(db, key, data) {
+    db.prepare(`
+      INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run(key, JSON.stringify(data), new Date().toISOString());
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,253 @@
+/**
+ * Task Dependency Graph
+ *
+ * Builds a DAG from task-level dependency declarations (`dependsOn` in
+ * plan.json, see lib/plan/artifact), rejects unknown dependencies and
+ * cycles, and finds the critical path - the chain of dependent tasks with
+ * the most story points, which bounds how soon the spec can be done.
+ *
+ * Renders the graph as Mermaid (like the diagrams in `diagrams/`) or
+ * Graphviz DOT, with the critical path highlighted.
+ *
+ * @module lib/tasks/graph
+ */
+
+/**
+ * Story points for a task without an estimate
+ */
+const DEFAULT_POINTS = 1;
+
+/**
+ * Build a task graph
+ *
+ * @param {Object[]} tasks - Tasks ({ id, title, phase, points, dependsOn: [ids] }) in declaration order
+ * @returns {Object} Graph ({ tasks, byId, blocks, order, criticalPath })
+ * @throws {Error} If a task depends on an unknown task or the dependencies form a cycle
+ */
+function buildTaskGraph(tasks) {
+  const byId = new Map();
+  tasks.forEach(task => {
+    if (byId.has(task.id)) {
+      throw new Error(`Duplicate task ID ${task.id}`);
+    }
+    byId.set(task.id, {
+      ...task,
+      points: Number.isFinite(task.points) ? task.points : DEFAULT_POINTS,
+      dependsOn: [...new Set(task.dependsOn || [])]
+    });
+  });
+
+  const blocks = new Map(tasks.map(task => [task.id, []]));
+  byId.forEach(task => {
+    task.dependsOn.forEach(dependency => {
+      if (!byId.has(dependency)) {
+        throw new Error(`Task ${task.id} depends on unknown task ${dependency}`);
+      }
+      blocks.get(dependency).push(task.id);
+    });
+  });
+
+  const cycle = findCycle(byId);
+  if (cycle) {
+    throw new Error(`Task dependency cycle: ${cycle.join(' → ')}`);
+  }
+
+  const graph = { tasks: [...byId.values()], byId, blocks, order: topologicalOrder(byId, blocks) };
+  graph.criticalPath = findCriticalPath(graph);
+  return graph;
+}
+
+/**
+ * Find a dependency cycle (depth-first search)
+ *
+ * @param {Map} byId - Tasks by ID
+ * @returns {string[]|null} Task IDs around the cycle (first ID repeated at the end), or null
+ */
+function findCycle(byId) {
+  const state = new Map(); // id → 'visiting' | 'done'
+  const stack = [];
+
+  const visit = id => {
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'visiting') {
+      return [...stack.slice(stack.indexOf(id)), id];
+    }
+
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dependency of byId.get(id).dependsOn) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const id of byId.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle.reverse();
+  }
+  return null;
+}
+
+/**
+ * Order tasks so every task comes after its dependencies (Kahn's algorithm,
+ * ties broken by declaration order)
+ */
+function topologicalOrder(byId, blocks) {
+  const remaining = new Map([...byId.values()].map(task => [task.id, task.dependsOn.length]));
+  const ready = [...byId.keys()].filter(id => remaining.get(id) === 0);
+  const position = new Map([...byId.keys()].map((id, index) => [id, index]));
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort((a, b) => position.get(a) - position.get(b));
+    const id = ready.shift();
+    order.push(id);
+    blocks.get(id).forEach(next => {
+      remaining.set(next, remaining.get(next) - 1);
+      if (remaining.get(next) === 0) ready.push(next);
+    });
+  }
+
+  return order;
+}
+
+/**
+ * Longest chain of dependent tasks by story points
+ *
+ * @param {Object} graph - Task graph
+ * @returns {Object} { path: [ids], points }
+ */
+function findCriticalPath(graph) {
+  const finish = new Map(); // id → points of the heaviest chain ending at the task
+  const previous = new Map();
+
+  graph.order.forEach(id => {
+    const task = graph.byId.get(id);
+    let best = null;
+    task.dependsOn.forEach(dependency => {
+      if (best === null || finish.get(dependency) > finish.get(best)) best = dependency;
+    });
+    finish.set(id, task.points + (best === null ? 0 : finish.get(best)));
+    previous.set(id, best);
+  });
+
+  let end = null;
+  graph.order.forEach(id => {
+    if (end === null || finish.get(id) > finish.get(end)) end = id;
+  });
+  if (end === null) return { path: [], points: 0 };
+
+  const path = [];
+  for (let id = end; id !== null; id = previous.get(id)) {
+    path.unshift(id);
+  }
+  return { path, points: finish.get(end) };
+}
+
+/**
+ * Edges on the critical path ("T1>T2")
+ */
+function criticalEdges(graph) {
+  const { path } = graph.criticalPath;
+  return new Set(path.slice(1).map((id, index) => `${path[index]}>${id}`));
+}
+
+/**
+ * Render the graph as a Mermaid flowchart, one subgraph per phase
+ *
+ * @param {Object} graph - Task graph
+ * @param {Object} options - Render options
+ * @param {Object} options.phases - Phase names by number
+ * @returns {string} Mermaid source
+ */
+function toMermaid(graph, options = {}) {
+  const { phases = {} } = options;
+  const label = task => `${task.id}: ${task.title} (${task.points} pts)`.replace(/"/g, '#quot;');
+  const onPath = new Set(graph.criticalPath.path);
+  const critical = criticalEdges(graph);
+
+  let mermaid = 'graph LR\n';
+
+  [...new Set(graph.tasks.map(task => task.phase))].forEach(number => {
+    mermaid += `    subgraph P${number}["Phase ${number}${phases[number] ? `: ${phases[number]}` : ''}"]\n`;
+    graph.tasks.filter(task => task.phase === number).forEach(task => {
+      mermaid += `        ${task.id}["${label(task)}"]\n`;
+    });
+    mermaid += '    end\n';
+  });
+
+  mermaid += '\n';
+  const criticalLinks = [];
+  let linkIndex = 0;
+  graph.order.forEach(id => {
+    graph.byId.get(id).dependsOn.forEach(dependency => {
+      const isCritical = critical.has(`${dependency}>${id}`);
+      mermaid += `    ${dependency} ${isCritical ? '==>' : '-->'} ${id}\n`;
+      if (isCritical) criticalLinks.push(linkIndex);
+      linkIndex++;
+    });
+  });
+
+  if (onPath.size > 0) {
+    mermaid += '\n    classDef critical fill:#ffe0e0,stroke:#d00,stroke-width:2px\n';
+    mermaid += `    class ${[...onPath].join(',')} critical\n`;
+  }
+  if (criticalLinks.length > 0) {
+    mermaid += `    linkStyle ${criticalLinks.join(',')} stroke:#d00,stroke-width:2px\n`;
+  }
+
+  return mermaid;
+}
+
+/**
+ * Render the graph as Graphviz DOT, one cluster per phase
+ *
+ * @param {Object} graph - Task graph
+ * @param {Object} options - Render options
+ * @param {Object} options.phases - Phase names by number
+ * @param {string} options.name - Graph name
+ * @returns {string} DOT source
+ */
+function toDot(graph, options = {}) {
+  const { phases = {}, name = 'tasks' } = options;
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const onPath = new Set(graph.criticalPath.path);
+  const critical = criticalEdges(graph);
+
+  let dot = `digraph ${quote(name)} {\n`;
+  dot += '  rankdir=LR;\n';
+  dot += '  node [shape=box, style=rounded];\n\n';
+
+  [...new Set(graph.tasks.map(task => task.phase))].forEach(number => {
+    dot += `  subgraph cluster_phase${number} {\n`;
+    dot += `    label=${quote(`Phase ${number}${phases[number] ? `: ${phases[number]}` : ''}`)};\n`;
+    graph.tasks.filter(task => task.phase === number).forEach(task => {
+      const style = onPath.has(task.id) ? ', color=red, penwidth=2' : '';
+      dot += `    ${quote(task.id)} [label=${quote(`${task.id}: ${task.title}\n${task.points} pts`)}${style}];\n`;
+    });
+    dot += '  }\n';
+  });
+
+  dot += '\n';
+  graph.order.forEach(id => {
+    graph.byId.get(id).dependsOn.forEach(dependency => {
+      const style = critical.has(`${dependency}>${id}`) ? ' [color=red, penwidth=2]' : '';
+      dot += `  ${quote(dependency)} -> ${quote(id)}${style};\n`;
+    });
+  });
+
+  dot += '}\n';
+  return dot;
+}
+
+module.exports = {
+  DEFAULT_POINTS,
+  buildTaskGraph,
+  findCycle,
+  findCriticalPath,
+  toMermaid,
+  toDot
+};
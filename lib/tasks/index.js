@@ -6,20 +6,40 @@
  * with dependencies and TDD workflow support.
  *
  * Key Features:
- * - Parse implementation plan from issue comments
+ * - Read the plan.json artifact (see lib/plan/artifact), falling back to
+ *   parsing the plan comment markdown for plans without one
  * - Extract phases and tasks
- * - Add task dependencies (TDD: tests before implementation)
+ * - Build the task dependency graph and critical path from the plan's
+ *   task-level declarations (see lib/tasks/graph)
  * - Generate checklist with parallel/sequential markers
+ * - Render the dependency graph as Mermaid or DOT
+ * - Sync checklist boxes with child issue state (see lib/tasks/sync)
  * - Post tasks as GitHub issue comment
+ * - Report progress from verified acceptance criteria (see lib/spec-coverage)
  * - Label management (add 'has-tasks')
  *
  * @module lib/tasks
  */
 
-const { execSync } = require('child_process');
 const chalk = require('chalk');
-const fs = require('fs').promises;
+const fs = require('fs-extra');
 const path = require('path');
+const { createTracker } = require('../tracker');
+const { ConstitutionManager } = require('../constitution');
+const { SpecDocument } = require('../spec/document');
+const { extractRequirementRefs, tagWithRequirements } = require('../spec/trace');
+const { extractPlanArtifact, loadPlanArtifact } = require('../plan/artifact');
+const { extractCoverage, loadCoverage } = require('../spec-coverage/report');
+const { buildTaskGraph, toMermaid, toDot } = require('./graph');
+const {
+  parseChecklist,
+  parseChildLinks,
+  readSyncState,
+  writeSyncState,
+  setChecked,
+  reconcile,
+  CONFLICT_TYPES
+} = require('./sync');
 
 /**
  * Task dependency types
@@ -30,12 +50,29 @@ const DEPENDENCY_TYPES = {
   BLOCKED: 'Blocked' // Tasks blocked by other phases
 };
 
+/**
+ * Task dependency graph output formats
+ */
+const GRAPH_FORMATS = {
+  mermaid: { render: toMermaid, extension: 'mmd' },
+  dot: { render: toDot, extension: 'dot' }
+};
+
 /**
  * TaskManager - Main class for task management
  */
 class TaskManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.tracker - Issue tracker (default: configured backend, see lib/tracker)
+   * @param {ConstitutionManager} options.constitution - Constitutional principles (see lib/constitution)
+   * @param {string} options.projectRoot - Project root holding .leo/specs/<issue>/plan.json (default: the local tracker root or cwd)
+   */
+  constructor(options = {}) {
     this.dependencyTypes = DEPENDENCY_TYPES;
+    this.tracker = options.tracker || createTracker(options);
+    this.projectRoot = options.projectRoot || this.tracker.projectRoot || process.cwd();
+    this.constitution = options.constitution || new ConstitutionManager(options.projectRoot);
   }
 
   /**
@@ -47,6 +84,7 @@ class TaskManager {
    * @param {boolean} options.addLabel - Add 'has-tasks' label
    * @param {boolean} options.tddMode - Enforce TDD (tests before implementation)
    * @param {boolean} options.createIssues - Create child issues for each task (default: false, just checklist)
+   * @param {boolean} options.force - Post tasks even if they violate constitutional principles
    * @returns {Promise<Object>} Task generation results
    */
   async create(issueNumber, options = {}) {
@@ -54,7 +92,8 @@ class TaskManager {
       autoPost = true,
       addLabel = true,
       tddMode = true,
-      createIssues = false
+      createIssues = false,
+      force = false
     } = options;
 
     console.log(chalk.blue(`📋 Generating task checklist for issue #${issueNumber}...`));
@@ -62,23 +101,31 @@ class TaskManager {
     // Step 1: Load issue and comments
     const issue = await this._loadIssue(issueNumber);
     const comments = await this._loadComments(issueNumber);
+    const spec = SpecDocument.parse(issue.body);
 
-    // Step 2: Find implementation plan in comments
-    const plan = this._findImplementationPlan(comments);
-    if (!plan) {
+    if (spec.getItems('requirements').length === 0) {
+      console.log(chalk.yellow(`⚠️  Spec #${issueNumber} has no requirements - tasks will only cover the plan`));
+    }
+
+    // Step 2: Find implementation plan (plan.json artifact, else the plan comment)
+    const artifact = await this._findPlanArtifact(issueNumber, comments);
+    const plan = artifact ? null : this._findImplementationPlan(comments);
+    if (!artifact && !plan) {
       console.log(chalk.yellow('\n⚠️  No implementation plan found'));
       console.log(chalk.gray('   Run `ux-ingka plan ' + issueNumber + '` first to generate a plan\n'));
       throw new Error('No implementation plan found');
     }
 
-    // Step 3: Parse plan sections
-    const phases = this._parsePlanPhases(plan);
+    // Step 3: Read plan phases and build the dependency graph
+    const phases = artifact ? this._phasesFromArtifact(artifact) : this._parsePlanPhases(plan);
+    const graph = this._buildGraph(phases, artifact);
 
     // Step 4: Generate task checklist
     const tasks = this._generateTaskChecklist(phases, { tddMode });
+    const validation = await this.constitution.enforce({ type: 'tasks', content: tasks }, { label: 'Task list', force });
 
     // Step 5: Format as comment
-    const comment = this._formatTasksComment(tasks, issueNumber);
+    const comment = this._formatTasksComment(tasks, issueNumber, graph);
 
     // Step 6: Post to GitHub (if autoPost)
     if (autoPost) {
@@ -95,28 +142,118 @@ class TaskManager {
     let childIssues = [];
     if (createIssues) {
       console.log(chalk.blue('\n📝 Creating child issues for each task...'));
-      childIssues = await this._createChildIssues(issueNumber, tasks, issue.title);
+      childIssues = await this._createChildIssues(issueNumber, tasks, issue.title, graph);
       console.log(chalk.green(`✅ Created ${childIssues.length} child issues`));
     }
 
     return {
       issueNumber,
+      spec,
       taskCount: tasks.reduce((sum, phase) => sum + phase.tasks.length, 0),
       phaseCount: tasks.length,
       tasks,
+      graph,
+      criticalPath: graph.criticalPath,
       comment,
-      childIssues
+      childIssues,
+      validation,
+      planRevision: artifact ? artifact.revision : null
     };
   }
 
   /**
-   * Load issue from GitHub
+   * Render the task dependency graph for an issue
+   *
+   * @param {number|string} issueNumber - GitHub issue number
+   * @param {Object} options - Graph options
+   * @param {string} options.format - Output format: mermaid, dot (default: mermaid)
+   * @param {string} options.output - File to write (e.g. diagrams/tasks-42.mmd); prints to stdout when omitted
+   * @returns {Promise<Object>} { graph, source, output }
+   */
+  async graph(issueNumber, options = {}) {
+    const { format = 'mermaid', output = null } = options;
+
+    const renderer = GRAPH_FORMATS[format];
+    if (!renderer) {
+      throw new Error(`Unknown graph format "${format}" - use ${Object.keys(GRAPH_FORMATS).join(' or ')}`);
+    }
+
+    const comments = await this._loadComments(issueNumber);
+    const artifact = await this._findPlanArtifact(issueNumber, comments);
+    const plan = artifact ? null : this._findImplementationPlan(comments);
+    if (!artifact && !plan) {
+      console.log(chalk.gray('   Run `ux-ingka plan ' + issueNumber + '` first to generate a plan\n'));
+      throw new Error('No implementation plan found');
+    }
+
+    const phases = artifact ? this._phasesFromArtifact(artifact) : this._parsePlanPhases(plan);
+    const graph = this._buildGraph(phases, artifact);
+    const source = renderer.render(graph, {
+      phases: Object.fromEntries(phases.map(phase => [phase.number, phase.name])),
+      name: `tasks-${issueNumber}`
+    });
+
+    if (output) {
+      await fs.outputFile(output, source);
+      console.log(chalk.green(`✅ Wrote task graph for issue #${issueNumber} to ${output}`));
+    } else {
+      console.log(source);
+    }
+
+    const { path: criticalPath, points } = graph.criticalPath;
+    console.error(chalk.gray(`Critical path (${points} pts): ${criticalPath.join(' → ')}`));
+
+    return { graph, source, output };
+  }
+
+  /**
+   * Build the task dependency graph for parsed phases
+   *
+   * Tasks from a plan.json artifact keep their declared IDs, story points
+   * and dependencies. Plans without declarations (older artifacts, plan
+   * markdown) fall back to phase order: every task waits for the whole
+   * blocking phase, and tasks in a Sequential phase wait for the previous one.
+   */
+  _buildGraph(phases, artifact = null) {
+    const declared = Boolean(artifact) && artifact.phases.some(phase => phase.tasks.some(task => task.id));
+    let graphTasks;
+
+    if (declared) {
+      graphTasks = artifact.phases.flatMap(phase => phase.tasks.map(task => ({
+        id: task.id,
+        title: tagWithRequirements(task.text, task.requirements),
+        phase: phase.number,
+        points: task.points,
+        dependsOn: task.dependsOn || []
+      })));
+    } else {
+      let count = 0;
+      const ids = new Map(phases.map(phase => [phase.number, phase.tasks.map(() => `T${++count}`)]));
+
+      graphTasks = phases.flatMap(phase => phase.tasks.map((task, index) => {
+        const phaseIds = ids.get(phase.number);
+        const dependsOn = [...(ids.get(phase.dependencies.blockedBy) || [])];
+        if (phase.dependencies.type === DEPENDENCY_TYPES.SEQUENTIAL && index > 0) {
+          dependsOn.push(phaseIds[index - 1]);
+        }
+        return { id: phaseIds[index], title: task, phase: phase.number, dependsOn };
+      }));
+    }
+
+    try {
+      return buildTaskGraph(graphTasks);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Invalid task dependencies: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Load issue from the tracker
    */
   async _loadIssue(issueNumber) {
     try {
-      const command = `gh issue view ${issueNumber} --json number,title,body,labels`;
-      const output = execSync(command, { encoding: 'utf-8', cwd: process.cwd() });
-      return JSON.parse(output);
+      return await this.tracker.getIssue(issueNumber);
     } catch (error) {
       console.error(chalk.red(`\n❌ Failed to load issue: ${error.message}`));
       throw error;
@@ -128,18 +265,73 @@ class TaskManager {
    */
   async _loadComments(issueNumber) {
     try {
-      const command = `gh api /repos/{owner}/{repo}/issues/${issueNumber}/comments`;
-      const output = execSync(command, { encoding: 'utf-8', cwd: process.cwd() });
-      return JSON.parse(output);
+      return await this.tracker.listComments(issueNumber);
     } catch (error) {
       console.error(chalk.red(`\n❌ Failed to load comments: ${error.message}`));
       throw error;
     }
   }
 
+  /**
+   * Find the newest plan artifact, embedded in a plan comment or stored in
+   * .leo/specs/<issue>/plan.json
+   */
+  async _findPlanArtifact(issueNumber, comments) {
+    const candidates = [
+      ...comments.map(comment => extractPlanArtifact(comment.body)),
+      await loadPlanArtifact(this.projectRoot, issueNumber)
+    ].filter(Boolean);
+
+    if (candidates.length === 0) return null;
+
+    return candidates.reduce((newest, artifact) =>
+      (artifact.generatedAt > newest.generatedAt ? artifact : newest));
+  }
+
+  /**
+   * Read plan phases from a plan artifact
+   */
+  _phasesFromArtifact(artifact) {
+    if (artifact.phases.length === 0) {
+      console.log(chalk.yellow(`⚠️  Plan revision ${artifact.revision} has no implementation phases (planned with --focus ${artifact.focus})`));
+    }
+
+    const phaseOf = new Map();
+    artifact.phases.forEach(phase => phase.tasks.forEach(task => {
+      if (task.id) phaseOf.set(task.id, phase.number);
+    }));
+
+    return artifact.phases.map(phase => ({
+      number: phase.number,
+      name: phase.name,
+      tasks: phase.tasks.map(task => tagWithRequirements(task.text, task.requirements)),
+      dependencies: phaseOf.size > 0
+        ? this._declaredDependencies(phase, phaseOf)
+        : this._inferDependencies(phase.number, phase.name)
+    }));
+  }
+
+  /**
+   * Phase dependencies from task-level declarations: Sequential if tasks in
+   * the phase depend on each other, blocked by the latest earlier phase any
+   * of its tasks depend on
+   */
+  _declaredDependencies(phase, phaseOf) {
+    const dependencyPhases = phase.tasks
+      .flatMap(task => task.dependsOn || [])
+      .map(id => phaseOf.get(id));
+    const earlier = dependencyPhases.filter(number => number < phase.number);
+
+    return {
+      type: dependencyPhases.includes(phase.number) ? DEPENDENCY_TYPES.SEQUENTIAL : DEPENDENCY_TYPES.PARALLEL,
+      blockedBy: earlier.length > 0 ? Math.max(...earlier) : null
+    };
+  }
+
   /**
    * Find implementation plan in comments
-   * Looks for comment with "# 📐 Implementation Plan" header
+   * Looks for comment with "# 📐 Implementation Plan" header (plans posted
+   * before plan.json existed)
    */
   _findImplementationPlan(comments) {
     for (const comment of comments) {
@@ -273,8 +465,11 @@ class TaskManager {
 
   /**
    * Format tasks as GitHub comment (Markdown)
+   *
+   * With a dependency graph, each task gets its ID, story points and the
+   * tasks it waits for, and the critical path is listed after the phases.
    */
-  _formatTasksComment(tasks, issueNumber) {
+  _formatTasksComment(tasks, issueNumber, graph = null) {
     let comment = '## ✅ Implementation Tasks\n\n';
     comment += `**Generated from plan for issue #${issueNumber}**\n\n`;
     comment += '---\n\n';
@@ -295,18 +490,34 @@ class TaskManager {
       comment += `${phaseHeader}\n\n`;
 
       // Add tasks
-      phase.tasks.forEach(task => {
-        comment += `- [ ] ${task}\n`;
+      const graphTasks = graph ? graph.tasks.filter(task => task.phase === phase.number) : [];
+      phase.tasks.forEach((task, index) => {
+        const graphTask = graphTasks[index];
+        if (!graphTask) {
+          comment += `- [ ] ${task}\n`;
+          return;
+        }
+
+        comment += `- [ ] **${graphTask.id}** ${task}\n`;
+        const after = graphTask.dependsOn.length > 0 ? ` · after ${graphTask.dependsOn.join(', ')}` : '';
+        comment += `  _${graphTask.points} pts${after}_\n`;
       });
 
       comment += '\n';
     });
 
+    if (graph && graph.criticalPath.path.length > 0) {
+      comment += `### Critical Path (${graph.criticalPath.points} pts)\n\n`;
+      comment += `${graph.criticalPath.path.join(' → ')}\n\n`;
+      comment += `_Delays on these tasks delay the spec. See the full graph with \`ux-ingka tasks graph ${issueNumber}\`._\n\n`;
+    }
+
     comment += '---\n\n';
     comment += '**Task Execution Guide:**\n\n';
     comment += '- **[Parallel]** - Tasks can be worked on simultaneously\n';
     comment += '- **[Sequential]** - Tasks must be completed in order\n';
-    comment += '- **[BLOCKED: Phase X]** - Cannot start until Phase X is complete\n\n';
+    comment += '- **[BLOCKED: Phase X]** - Cannot start until Phase X is complete\n';
+    comment += '- **after T3** - Cannot start until task T3 is complete\n\n';
     comment += '**TDD Workflow:**\n';
     comment += '1. Write tests first (Phase 2)\n';
     comment += '2. Run tests (they should fail)\n';
@@ -319,20 +530,11 @@ class TaskManager {
   }
 
   /**
-   * Post comment to GitHub issue
+   * Post comment to issue
    */
   async _postComment(issueNumber, comment) {
     try {
-      const commentFile = path.join('/tmp', `ingvar-tasks-${Date.now()}.md`);
-      await fs.writeFile(commentFile, comment, 'utf-8');
-
-      execSync(`gh issue comment ${issueNumber} --body-file "${commentFile}"`, {
-        encoding: 'utf-8',
-        cwd: process.cwd()
-      });
-
-      await fs.unlink(commentFile);
-
+      await this.tracker.addComment(issueNumber, comment);
     } catch (error) {
       console.error(chalk.red(`\n❌ Failed to post comment: ${error.message}`));
       throw error;
@@ -344,70 +546,58 @@ class TaskManager {
    */
   async _addLabel(issueNumber, label) {
     try {
-      // Check if label exists
-      try {
-        execSync(`gh label list --json name | grep '"name":"${label}"'`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-      } catch (error) {
-        // Create label
-        const color = '1D76DB'; // Blue
-        execSync(`gh label create "${label}" --description "Issue has task checklist" --color "${color}"`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
-        });
-        console.log(chalk.gray(`   Created label: ${label}`));
-      }
-
-      // Add label to issue
-      execSync(`gh issue edit ${issueNumber} --add-label "${label}"`, {
-        encoding: 'utf-8',
-        cwd: process.cwd()
-      });
-
+      await this.tracker.addLabels(issueNumber, [label]);
       console.log(chalk.green(`✅ Added label: ${label}`));
-
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Could not add label: ${error.message}`));
     }
   }
 
   /**
-   * Show task status for an issue (how many tasks completed)
+   * Show progress for an issue
+   *
+   * Progress is the share of acceptance criteria verified by passing tests
+   * when `leo spec coverage` has run for the issue, and the share of ticked
+   * checklist boxes otherwise.
+   *
+   * @param {number|string} issueNumber - Spec issue number
+   * @returns {Promise<Object|undefined>} { total, completed, remaining, progress, source: 'tests'|'checklist', tasks, verification }
    */
   async status(issueNumber) {
     console.log(chalk.blue(`📊 Checking task status for issue #${issueNumber}...`));
 
     const comments = await this._loadComments(issueNumber);
+    const found = this._findTasksComment(comments);
+    const tasksComment = found ? found.body : null;
+    const coverage = await this._findCoverage(issueNumber, comments);
 
-    // Find tasks comment
-    let tasksComment = null;
-    for (const comment of comments) {
-      if (comment.body && comment.body.includes('## ✅ Implementation Tasks')) {
-        tasksComment = comment.body;
-        break;
-      }
-    }
-
-    if (!tasksComment) {
+    if (!tasksComment && !coverage) {
       console.log(chalk.yellow('\n⚠️  No task checklist found'));
       console.log(chalk.gray('   Run `ux-ingka tasks create ' + issueNumber + '` to generate tasks\n'));
       return;
     }
 
     // Count tasks
-    const totalTasks = (tasksComment.match(/- \[[ x]\]/g) || []).length;
-    const completedTasks = (tasksComment.match(/- \[x\]/g) || []).length;
-    const remainingTasks = totalTasks - completedTasks;
-    const progressPercent = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-
-    console.log(chalk.cyan(`\n📋 Task Progress: ${completedTasks}/${totalTasks} (${progressPercent}%)\n`));
+    const tasks = tasksComment ? {
+      total: (tasksComment.match(/- \[[ x]\]/g) || []).length,
+      completed: (tasksComment.match(/- \[x\]/g) || []).length
+    } : null;
+
+    const verification = coverage ? { ...coverage.summary, generatedAt: coverage.generatedAt } : null;
+    const source = verification ? 'tests' : 'checklist';
+    const total = verification ? verification.total : tasks.total;
+    const completed = verification ? verification.passing : tasks.completed;
+    const remaining = total - completed;
+    const progressPercent = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+    if (verification) {
+      console.log(chalk.cyan(`\n🧪 Verified: ${completed}/${total} acceptance criteria (${progressPercent}%)\n`));
+    } else {
+      console.log(chalk.cyan(`\n📋 Task Progress: ${completed}/${total} (${progressPercent}%)\n`));
+    }
 
     if (progressPercent === 100) {
-      console.log(chalk.green('✅ All tasks complete!'));
+      console.log(chalk.green(verification ? '✅ All acceptance criteria verified!' : '✅ All tasks complete!'));
     } else if (progressPercent >= 75) {
       console.log(chalk.green('🎯 Almost done!'));
     } else if (progressPercent >= 50) {
@@ -418,111 +608,293 @@ class TaskManager {
       console.log(chalk.gray('📝 Just beginning'));
     }
 
-    console.log(chalk.gray(`\n   Completed: ${completedTasks} tasks`));
-    console.log(chalk.gray(`   Remaining: ${remainingTasks} tasks\n`));
+    if (verification) {
+      console.log(chalk.gray(`\n   Passing: ${verification.passing} · Failing: ${verification.failing} · Skipped: ${verification.skipped} · No tests: ${verification.missing}`));
+      console.log(chalk.gray(`   From test results at ${verification.generatedAt} (re-run: leo spec coverage ${issueNumber})`));
+      if (tasks) {
+        console.log(chalk.gray(`   Checklist: ${tasks.completed}/${tasks.total} boxes ticked\n`));
+      } else {
+        console.log();
+      }
+    } else {
+      console.log(chalk.gray(`\n   Completed: ${completed} tasks`));
+      console.log(chalk.gray(`   Remaining: ${remaining} tasks`));
+      console.log(chalk.gray(`   Checkbox counts only - run \`leo spec coverage ${issueNumber}\` for verified progress\n`));
+    }
 
     return {
-      total: totalTasks,
-      completed: completedTasks,
-      remaining: remainingTasks,
-      progress: progressPercent
+      total,
+      completed,
+      remaining,
+      progress: progressPercent,
+      source,
+      tasks,
+      verification
     };
   }
 
   /**
-   * Create child issues for each task (full GitHub tracking)
+   * Find the newest acceptance criteria coverage, embedded in the coverage
+   * comment or stored in .leo/specs/<issue>/coverage.json
+   */
+  async _findCoverage(issueNumber, comments) {
+    const candidates = [
+      ...comments.map(comment => extractCoverage(comment.body)),
+      await loadCoverage(this.projectRoot, issueNumber)
+    ].filter(Boolean);
+
+    if (candidates.length === 0) return null;
+
+    return candidates.reduce((newest, coverage) =>
+      (coverage.generatedAt > newest.generatedAt ? coverage : newest));
+  }
+
+  /**
+   * Find the latest task checklist comment
+   */
+  _findTasksComment(comments) {
+    return [...comments].reverse().find(comment => comment.body && comment.body.includes('## ✅ Implementation Tasks')) || null;
+  }
+
+  /**
+   * Reconcile the task checklist with the child issues, both ways
    *
-   * This creates separate GitHub issues for each task, linked to the parent spec.
-   * Provides better visualization on GitHub Projects board and team collaboration.
+   * Closing a child issue ticks its box and ticking a box closes the child
+   * (unticking and reopening work the same way once the two have been
+   * synced). Deleted or renamed tasks and issues are reported as conflicts
+   * and left for a person to resolve.
    *
-   * @param {number} parentIssueNumber - Parent spec issue number
-   * @param {Array} tasks - Task phases array
-   * @param {string} parentTitle - Parent issue title
-   * @returns {Promise<Array>} Created child issues
+   * @param {number|string} issueNumber - Parent spec issue number
+   * @param {Object} options - Sync options
+   * @param {boolean} options.dryRun - Report the changes without making them
+   * @returns {Promise<Object>} { ticked, unticked, closed, reopened, conflicts }
    */
-  async _createChildIssues(parentIssueNumber, tasks, parentTitle) {
-    const childIssues = [];
+  async sync(issueNumber, options = {}) {
+    const { dryRun = false } = options;
 
-    for (const phase of tasks) {
-      console.log(chalk.gray(`\n   Creating issues for Phase ${phase.number}: ${phase.name}...`));
+    console.log(chalk.blue(`🔄 Syncing tasks for issue #${issueNumber}...`));
+
+    const comments = await this._loadComments(issueNumber);
+    const tasksComment = this._findTasksComment(comments);
+    if (!tasksComment) {
+      console.log(chalk.yellow('\n⚠️  No task checklist found'));
+      console.log(chalk.gray('   Run `ux-ingka tasks create ' + issueNumber + '` to generate tasks\n'));
+      throw new Error('No task checklist found');
+    }
 
-      for (const task of phase.tasks) {
-        try {
-          // Clean task text (remove [BLOCKED: ...] markers for title)
-          const cleanTask = task.replace(/\[BLOCKED: Phase \d+\] /, '');
+    const linksComment = [...comments].reverse().find(comment => comment.body && comment.body.includes('## 🔗 Child Task Issues'));
+    const links = linksComment ? parseChildLinks(linksComment.body) : [];
+    if (links.length === 0) {
+      console.log(chalk.yellow('\n⚠️  No child issues to sync'));
+      console.log(chalk.gray('   Run `ux-ingka tasks create ' + issueNumber + ' --create-issues` to create them\n'));
+      return { ticked: [], unticked: [], closed: [], reopened: [], conflicts: [] };
+    }
 
-          // Create issue title
-          const issueTitle = `[Phase ${phase.number}] ${cleanTask}`;
+    const issues = new Map();
+    for (const link of links) {
+      try {
+        issues.set(link.number, await this.tracker.getIssue(link.number));
+      } catch (error) {
+        issues.set(link.number, null);
+      }
+    }
 
-          // Create issue body
-          let issueBody = `**Parent Spec:** #${parentIssueNumber} - ${parentTitle}\n\n`;
-          issueBody += `**Phase:** ${phase.number} - ${phase.name}\n`;
-          issueBody += `**Type:** ${phase.type}\n`;
-          if (phase.blockedBy) {
-            issueBody += `**Blocked By:** Phase ${phase.blockedBy}\n`;
-          }
-          issueBody += '\n---\n\n';
-          issueBody += `## Task Description\n\n${cleanTask}\n\n`;
-          issueBody += '## Acceptance Criteria\n\n';
-          issueBody += '- [ ] Task completed\n';
-          issueBody += '- [ ] Tests passing\n';
-          issueBody += '- [ ] Code reviewed\n\n';
-          issueBody += `_Generated by \`ux-ingka tasks create #${parentIssueNumber} --create-issues\`_\n`;
-
-          // Determine labels
-          const labels = ['task', `phase-${phase.number}`];
-          if (task.includes('[BLOCKED:')) {
-            labels.push('blocked');
-          }
-          if (phase.name.toLowerCase().includes('test')) {
-            labels.push('testing');
-          }
-          if (phase.name.toLowerCase().includes('deploy')) {
-            labels.push('deployment');
-          }
+    const checklist = parseChecklist(tasksComment.body);
+    const plan = reconcile({ checklist, links, issues, syncState: readSyncState(tasksComment.body) });
 
-          // Ensure labels exist
-          await this._ensureLabelsExist(labels);
+    if (!dryRun) {
+      let body = tasksComment.body;
+      plan.tick.forEach(item => { body = setChecked(body, item.line, true); });
+      plan.untick.forEach(item => { body = setChecked(body, item.line, false); });
+      body = writeSyncState(body, plan.state);
 
-          // Write body to temp file
-          const bodyFile = path.join('/tmp', `ingvar-task-${Date.now()}-${Math.random()}.md`);
-          await fs.writeFile(bodyFile, issueBody, 'utf-8');
+      try {
+        if (body !== tasksComment.body) {
+          await this.tracker.updateComment(issueNumber, tasksComment.id, body);
+        }
+        for (const number of plan.close) {
+          await this.tracker.updateIssue(number, { state: 'closed' });
+        }
+        for (const number of plan.reopen) {
+          await this.tracker.updateIssue(number, { state: 'open' });
+        }
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Failed to sync tasks: ${error.message}`));
+        throw error;
+      }
+    }
 
-          // Create issue with gh CLI
-          const labelArgs = labels.map(l => `--label "${l}"`).join(' ');
-          const command = `gh issue create --title "${issueTitle}" --body-file "${bodyFile}" ${labelArgs}`;
+    const label = item => (item.id ? `${item.id} ${item.text}` : item.text);
+    const report = (items, done, verb, format) => {
+      if (items.length === 0) return;
+      console.log(chalk.green(`\n${dryRun ? `Would ${verb}` : done} ${items.length}:`));
+      items.forEach(item => console.log(chalk.gray(`   - ${format(item)}`)));
+    };
+    report(plan.tick, 'Ticked', 'tick', label);
+    report(plan.untick, 'Unticked', 'untick', label);
+    report(plan.close, 'Closed', 'close', number => `#${number}`);
+    report(plan.reopen, 'Reopened', 'reopen', number => `#${number}`);
+
+    if (plan.conflicts.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  ${plan.conflicts.length} conflict(s) need attention:`));
+      plan.conflicts.forEach(conflict => console.log(chalk.yellow(`   - ${this._describeConflict(conflict)}`)));
+    }
 
-          const output = execSync(command, { encoding: 'utf-8', cwd: process.cwd() });
+    const changes = plan.tick.length + plan.untick.length + plan.close.length + plan.reopen.length;
+    if (changes === 0) {
+      console.log(chalk.green('\n✅ Checklist and child issues are in sync'));
+    } else if (!dryRun) {
+      console.log(chalk.green(`\n✅ Synced ${changes} change(s) for issue #${issueNumber}`));
+    }
 
-          // Parse issue URL and number
-          const urlMatch = output.match(/https:\/\/github\.com\/[^\s]+/);
-          const url = urlMatch ? urlMatch[0] : '';
-          const numberMatch = url.match(/\/(\d+)$/);
-          const number = numberMatch ? parseInt(numberMatch[1], 10) : null;
+    return {
+      ticked: plan.tick,
+      unticked: plan.untick,
+      closed: plan.close,
+      reopened: plan.reopen,
+      conflicts: plan.conflicts
+    };
+  }
 
-          // Clean up temp file
-          await fs.unlink(bodyFile);
+  /**
+   * Describe a sync conflict for the console
+   */
+  _describeConflict(conflict) {
+    const task = conflict.taskId ? `${conflict.taskId} "${conflict.task}"` : `"${conflict.task}"`;
+
+    switch (conflict.type) {
+      case CONFLICT_TYPES.MISSING_ISSUE:
+        return `#${conflict.number} (${task}) was deleted or cannot be read`;
+      case CONFLICT_TYPES.MISSING_TASK:
+        return `${task} (#${conflict.number}) is no longer in the checklist - deleted or renamed`;
+      case CONFLICT_TYPES.RENAMED_TASK:
+        return `${task} (#${conflict.number}) was renamed in the checklist to "${conflict.current}"`;
+      case CONFLICT_TYPES.RENAMED_ISSUE:
+        return `#${conflict.number} (${task}) was renamed to "${conflict.current}"`;
+      default:
+        return `${task} (#${conflict.number}): ${conflict.type}`;
+    }
+  }
 
-          childIssues.push({
-            number,
-            url,
-            title: issueTitle,
-            phase: phase.number,
-            task: cleanTask
-          });
+  /**
+   * Create child issues for each task (full GitHub tracking)
+   *
+   * This creates separate GitHub issues for each task, linked to the parent spec.
+   * Provides better visualization on GitHub Projects board and team collaboration.
+   * With a dependency graph, issues are created in dependency order so each
+   * one can list the issues it is blocked by; the "Blocks" links are added
+   * once all issues exist.
+   *
+   * @param {number} parentIssueNumber - Parent spec issue number
+   * @param {Array} tasks - Task phases array
+   * @param {string} parentTitle - Parent issue title
+   * @param {Object} graph - Task dependency graph (see lib/tasks/graph)
+   * @returns {Promise<Array>} Created child issues
+   */
+  async _createChildIssues(parentIssueNumber, tasks, parentTitle, graph = null) {
+    const childIssues = [];
+    const issueByTask = new Map();
 
-          console.log(chalk.gray(`      ✓ Created #${number}: ${cleanTask.substring(0, 50)}...`));
+    // Pair each checklist task with its graph node, then order by dependencies
+    let entries = tasks.flatMap(phase => {
+      const graphTasks = graph ? graph.tasks.filter(task => task.phase === phase.number) : [];
+      return phase.tasks.map((task, index) => ({ phase, task, node: graphTasks[index] || null }));
+    });
+    if (graph && entries.every(entry => entry.node)) {
+      const position = new Map(graph.order.map((id, index) => [id, index]));
+      entries = entries.sort((a, b) => position.get(a.node.id) - position.get(b.node.id));
+    }
 
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 100));
+    let currentPhase = null;
+    for (const { phase, task, node } of entries) {
+      if (phase !== currentPhase) {
+        console.log(chalk.gray(`\n   Creating issues for Phase ${phase.number}: ${phase.name}...`));
+        currentPhase = phase;
+      }
 
-        } catch (error) {
-          console.log(chalk.yellow(`      ⚠️  Could not create issue for task: ${task.substring(0, 50)}...`));
-          console.log(chalk.gray(`         Error: ${error.message}`));
+      try {
+        // Clean task text (remove [BLOCKED: ...] markers for title)
+        const cleanTask = task.replace(/\[BLOCKED: Phase \d+\] /, '');
+
+        // Create issue title (keeps the requirement tag for traceability)
+        const issueTitle = `[Phase ${phase.number}] ${cleanTask}`;
+        const requirements = extractRequirementRefs(cleanTask);
+        const blockedBy = node
+          ? node.dependsOn.map(id => (issueByTask.has(id) ? `#${issueByTask.get(id).number}` : id))
+          : [];
+
+        // Create issue body
+        let issueBody = `**Parent Spec:** #${parentIssueNumber} - ${parentTitle}\n\n`;
+        issueBody += `**Phase:** ${phase.number} - ${phase.name}\n`;
+        issueBody += `**Type:** ${phase.type}\n`;
+        if (node) {
+          issueBody += `**Task:** ${node.id} (${node.points} pts)\n`;
+        }
+        if (blockedBy.length > 0) {
+          issueBody += `**Blocked By:** ${blockedBy.join(', ')}\n`;
+        } else if (!node && phase.blockedBy) {
+          issueBody += `**Blocked By:** Phase ${phase.blockedBy}\n`;
+        }
+        if (requirements.length > 0) {
+          issueBody += `**Requirements:** ${requirements.join(', ')}\n`;
+        }
+        issueBody += '\n---\n\n';
+        issueBody += `## Task Description\n\n${cleanTask}\n\n`;
+        issueBody += '## Acceptance Criteria\n\n';
+        issueBody += '- [ ] Task completed\n';
+        issueBody += '- [ ] Tests passing\n';
+        issueBody += '- [ ] Code reviewed\n\n';
+        issueBody += `_Generated by \`ux-ingka tasks create #${parentIssueNumber} --create-issues\`_\n`;
+
+        // Determine labels
+        const labels = ['task', `phase-${phase.number}`];
+        if (task.includes('[BLOCKED:') || blockedBy.length > 0) {
+          labels.push('blocked');
         }
+        if (phase.name.toLowerCase().includes('test')) {
+          labels.push('testing');
+        }
+        if (phase.name.toLowerCase().includes('deploy')) {
+          labels.push('deployment');
+        }
+
+        // Create issue (tracker ensures labels exist)
+        const { number, url } = await this.tracker.createIssue({
+          title: issueTitle,
+          body: issueBody,
+          labels
+        });
+
+        const childIssue = {
+          number,
+          url,
+          title: issueTitle,
+          phase: phase.number,
+          task: cleanTask,
+          taskId: node ? node.id : null,
+          requirements,
+          blockedBy: node ? node.dependsOn.filter(id => issueByTask.has(id)).map(id => issueByTask.get(id).number) : [],
+          blocks: []
+        };
+        childIssues.push(childIssue);
+        if (node) issueByTask.set(node.id, { ...childIssue, body: issueBody });
+
+        console.log(chalk.gray(`      ✓ Created #${number}: ${cleanTask.substring(0, 50)}...`));
+
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+      } catch (error) {
+        console.log(chalk.yellow(`      ⚠️  Could not create issue for task: ${task.substring(0, 50)}...`));
+        console.log(chalk.gray(`         Error: ${error.message}`));
       }
     }
 
+    // Add "Blocks" links now that every issue has a number
+    if (graph) {
+      await this._linkBlockingIssues(childIssues, issueByTask, graph);
+    }
+
     // Link child issues to parent
     if (childIssues.length > 0) {
       await this._linkChildIssuesToParent(parentIssueNumber, childIssues);
@@ -532,44 +904,36 @@ class TaskManager {
   }
 
   /**
-   * Ensure labels exist for child issues
+   * Add "**Blocks:** #n" to each child issue that other child issues wait for
    */
-  async _ensureLabelsExist(labels) {
-    const labelColors = {
-      'task': '0075CA',
-      'blocked': 'D73A4A',
-      'testing': '7057FF',
-      'deployment': 'FBCA04',
-      'phase-1': 'D4C5F9',
-      'phase-2': 'C2E0C6',
-      'phase-3': 'FEF2C0',
-      'phase-4': 'BFD4F2'
-    };
+  async _linkBlockingIssues(childIssues, issueByTask, graph) {
+    for (const childIssue of childIssues) {
+      if (!childIssue.taskId) continue;
+      const { body } = issueByTask.get(childIssue.taskId);
+
+      childIssue.blocks = graph.blocks.get(childIssue.taskId)
+        .filter(id => issueByTask.has(id))
+        .map(id => issueByTask.get(id).number);
+      if (childIssue.blocks.length === 0) continue;
 
-    for (const label of labels) {
       try {
-        execSync(`gh label list --json name | grep '"name":"${label}"'`, {
-          encoding: 'utf-8',
-          cwd: process.cwd(),
-          stdio: 'pipe'
+        const line = `**Blocks:** ${childIssue.blocks.map(number => `#${number}`).join(', ')}\n`;
+        await this.tracker.updateIssue(childIssue.number, {
+          body: body.replace('\n---\n\n## Task Description', `${line}\n---\n\n## Task Description`)
         });
       } catch (error) {
-        // Label doesn't exist, create it
-        const color = labelColors[label] || '808080';
-        const description = label.includes('phase-') ? `Phase ${label.split('-')[1]} tasks` : label;
-        try {
-          execSync(`gh label create "${label}" --description "${description}" --color "${color}"`, {
-            encoding: 'utf-8',
-            cwd: process.cwd(),
-            stdio: 'pipe'
-          });
-        } catch (createError) {
-          // Ignore if already exists
-        }
+        console.log(chalk.yellow(`      ⚠️  Could not link #${childIssue.number} to the issues it blocks: ${error.message}`));
       }
     }
   }
 
+  /**
+   * Ensure labels exist for child issues
+   */
+  async _ensureLabelsExist(labels) {
+    await this.tracker.ensureLabels(labels);
+  }
+
   /**
    * Link child issues to parent by posting a comment
    */
@@ -600,15 +964,7 @@ class TaskManager {
       comment += '- View all tasks on the GitHub Projects board\n\n';
       comment += '_Child issues created by `ux-ingka tasks create --create-issues`_\n';
 
-      const commentFile = path.join('/tmp', `ingvar-child-links-${Date.now()}.md`);
-      await fs.writeFile(commentFile, comment, 'utf-8');
-
-      execSync(`gh issue comment ${parentIssueNumber} --body-file "${commentFile}"`, {
-        encoding: 'utf-8',
-        cwd: process.cwd()
-      });
-
-      await fs.unlink(commentFile);
+      await this.tracker.addComment(parentIssueNumber, comment);
 
       console.log(chalk.green(`\n✅ Linked ${childIssues.length} child issues to parent #${parentIssueNumber}`));
 
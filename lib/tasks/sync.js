@@ -0,0 +1,203 @@
+/**
+ * Task Sync
+ *
+ * Reconciles the task checklist comment with the child issues created by
+ * `tasks create --create-issues`, in both directions: closing a child ticks
+ * its box and ticking a box closes the child.
+ *
+ * Child issues are matched to checklist lines by task ID (`**Task:** T5` in
+ * the child body) and otherwise by the task text listed in the
+ * "Child Task Issues" comment. The done state agreed at the last sync is
+ * kept in the checklist comment as a hidden `<!-- leo-tasks-sync {...} -->`
+ * block, so whichever side changed since then wins - which lets unticking a
+ * box reopen its child, and reopening a child untick its box. Without that
+ * block (first sync), a task done on either side is done on both.
+ *
+ * Tasks that were deleted or renamed on one side are reported as conflicts
+ * and left alone.
+ *
+ * @module lib/tasks/sync
+ */
+
+const { stripRequirementTag } = require('../spec/trace');
+
+const SYNC_MARKER = 'leo-tasks-sync';
+
+/**
+ * Conflict types reported by reconcile
+ */
+const CONFLICT_TYPES = {
+  MISSING_ISSUE: 'missing-issue', // Child issue was deleted or cannot be read
+  MISSING_TASK: 'missing-task', // Checklist line was deleted (or renamed, for tasks without an ID)
+  RENAMED_TASK: 'renamed-task', // Checklist line with the task ID has different text
+  RENAMED_ISSUE: 'renamed-issue' // Child issue title no longer matches the task
+};
+
+const CHECKLIST_LINE = /^(\s*- \[)([ xX])(\] )(?:\*\*(T\d+)\*\* )?(?:\[BLOCKED: Phase \d+\] )?(.+?)\s*$/;
+const CHILD_LINK_LINE = /^- #(\d+) - (.+?)\s*$/;
+
+/**
+ * Parse the checklist lines of a tasks comment
+ *
+ * @param {string} body - Tasks comment body
+ * @returns {Object[]} Items ({ line, checked, id, text }) - line is the 0-based line index
+ */
+function parseChecklist(body) {
+  return String(body || '').split('\n').reduce((items, line, index) => {
+    const match = line.match(CHECKLIST_LINE);
+    if (match) {
+      items.push({ line: index, checked: match[2] !== ' ', id: match[4] || null, text: match[5] });
+    }
+    return items;
+  }, []);
+}
+
+/**
+ * Parse the "- #12 - task" lines of a child issues comment
+ *
+ * @param {string} body - Child Task Issues comment body
+ * @returns {Object[]} Links ({ number, text })
+ */
+function parseChildLinks(body) {
+  return String(body || '').split('\n').reduce((links, line) => {
+    const match = line.match(CHILD_LINK_LINE);
+    if (match) links.push({ number: Number(match[1]), text: match[2] });
+    return links;
+  }, []);
+}
+
+/**
+ * Task ID from a child issue body ("**Task:** T5 (3 pts)")
+ *
+ * @param {string} body - Child issue body
+ * @returns {string|null} Task ID
+ */
+function readTaskId(body) {
+  const match = String(body || '').match(/^\*\*Task:\*\* (T\d+)\b/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Done state per child issue recorded at the last sync
+ *
+ * @param {string} body - Tasks comment body
+ * @returns {Object|null} Done flags by child issue number, or null before the first sync
+ */
+function readSyncState(body) {
+  const match = String(body || '').match(new RegExp(`<!-- ${SYNC_MARKER} (\\{[^\\n]*?\\}) -->`));
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record the done state per child issue in the tasks comment
+ *
+ * @param {string} body - Tasks comment body
+ * @param {Object} state - Done flags by child issue number
+ * @returns {string} Comment body with the hidden block added or replaced
+ */
+function writeSyncState(body, state) {
+  const block = `<!-- ${SYNC_MARKER} ${JSON.stringify(state)} -->`;
+  const pattern = new RegExp(`<!-- ${SYNC_MARKER} [^\\n]*? -->`);
+
+  if (pattern.test(body)) {
+    return body.replace(pattern, block);
+  }
+  return `${body.replace(/\n*$/, '\n')}${block}\n`;
+}
+
+/**
+ * Tick or untick a checklist line
+ *
+ * @param {string} body - Tasks comment body
+ * @param {number} line - Line index from parseChecklist
+ * @param {boolean} checked - New state
+ * @returns {string} Updated comment body
+ */
+function setChecked(body, line, checked) {
+  const lines = body.split('\n');
+  lines[line] = lines[line].replace(CHECKLIST_LINE, (match, open, mark, close) =>
+    `${open}${checked ? 'x' : ' '}${close}${match.slice(open.length + mark.length + close.length)}`);
+  return lines.join('\n');
+}
+
+/**
+ * Compare task text ignoring requirement tags and whitespace
+ */
+function sameText(a, b) {
+  const normalize = text => stripRequirementTag(String(text)).replace(/\s+/g, ' ').trim().toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Work out the changes that bring the checklist and child issues in line
+ *
+ * @param {Object} input - Current state
+ * @param {Object[]} input.checklist - Items from parseChecklist
+ * @param {Object[]} input.links - Links from parseChildLinks
+ * @param {Map} input.issues - Child issues by number (null for issues that could not be loaded)
+ * @param {Object|null} input.syncState - State from readSyncState
+ * @returns {Object} { tick: [items], untick: [items], close: [numbers], reopen: [numbers], conflicts, state }
+ */
+function reconcile({ checklist, links, issues, syncState = null }) {
+  const result = { tick: [], untick: [], close: [], reopen: [], conflicts: [], state: {} };
+  const byId = new Map(checklist.filter(item => item.id).map(item => [item.id, item]));
+
+  links.forEach(link => {
+    const issue = issues.get(link.number);
+    if (!issue) {
+      result.conflicts.push({ type: CONFLICT_TYPES.MISSING_ISSUE, number: link.number, task: link.text });
+      return;
+    }
+
+    const taskId = readTaskId(issue.body);
+    const item = taskId ? byId.get(taskId) : checklist.find(candidate => sameText(candidate.text, link.text));
+    if (!item) {
+      result.conflicts.push({ type: CONFLICT_TYPES.MISSING_TASK, number: link.number, taskId, task: link.text });
+      return;
+    }
+
+    if (!sameText(item.text, link.text)) {
+      result.conflicts.push({ type: CONFLICT_TYPES.RENAMED_TASK, number: link.number, taskId, task: link.text, current: item.text });
+    }
+    const issueTask = String(issue.title || '').replace(/^\[Phase \d+\] /, '');
+    if (!sameText(issueTask, link.text)) {
+      result.conflicts.push({ type: CONFLICT_TYPES.RENAMED_ISSUE, number: link.number, taskId, task: link.text, current: issueTask });
+    }
+
+    const closed = String(issue.state).toUpperCase() === 'CLOSED';
+    const previous = syncState ? syncState[link.number] : undefined;
+    let done;
+    if (typeof previous === 'boolean') {
+      // Whichever side moved since the last sync wins
+      done = item.checked !== previous ? item.checked : closed;
+    } else {
+      done = item.checked || closed;
+    }
+
+    if (done && !item.checked) result.tick.push(item);
+    if (!done && item.checked) result.untick.push(item);
+    if (done && !closed) result.close.push(link.number);
+    if (!done && closed) result.reopen.push(link.number);
+    result.state[link.number] = done;
+  });
+
+  return result;
+}
+
+module.exports = {
+  SYNC_MARKER,
+  CONFLICT_TYPES,
+  parseChecklist,
+  parseChildLinks,
+  readTaskId,
+  readSyncState,
+  writeSyncState,
+  setChecked,
+  reconcile
+};
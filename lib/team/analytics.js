@@ -3,9 +3,13 @@
  * Tracks and reports team metrics and performance
  */
 
-const fs = require('fs-extra');
-const path = require('path');
 const { RoleManager } = require('./roles');
+const { createStorage, mergeById } = require('../storage');
+const { HuntEventLog } = require('./hunt-events');
+const { replayHunts } = require('./tracker');
+const { loadRoleWorkflow } = require('./role-workflow');
+
+const ANALYTICS_KEY = 'analytics';
 
 /**
  * Analytics Engine
@@ -15,6 +19,8 @@ class AnalyticsEngine {
   constructor(packName) {
     this.packName = packName;
     this.metrics = [];
+    this.storage = null;
+    this.roles = RoleManager; // or the pack's RoleWorkflow, for custom roles
   }
 
   /**
@@ -29,6 +35,9 @@ class AnalyticsEngine {
       totalDuration: typeof hunt.getTotalDuration === 'function'
         ? hunt.getTotalDuration()
         : (hunt.totalDuration || 0),
+      blockedDuration: typeof hunt.getBlockedDuration === 'function'
+        ? hunt.getBlockedDuration(hunt.completedAt ? new Date(hunt.completedAt) : new Date())
+        : (hunt.blockedDuration || 0),
       phases: {},
       timestamps: {
         started: hunt.startedAt,
@@ -36,15 +45,28 @@ class AnalyticsEngine {
       }
     };
 
+    metrics.activeDuration = Math.max(0, metrics.totalDuration - metrics.blockedDuration);
+
     // Calculate metrics per phase
     for (const phase of hunt.phaseHistory) {
-      const roleInfo = RoleManager.getRole(phase.phase);
+      const roleInfo = this.roles.getRole(phase.phase);
+      const slaMinutes = this.roles.getSlaMinutes(phase.phase);
+
+      // A phase run again after rework (a backward transition) adds to its first run
+      const previous = metrics.phases[phase.phase];
+      const sum = (field, value) => (previous && previous[field] != null ? previous[field] + (value || 0) : value);
+      const activeDuration = sum('activeDuration', phase.activeDuration ?? phase.duration);
 
       metrics.phases[phase.phase] = {
-        role: roleInfo.name,
+        role: roleInfo ? roleInfo.name : phase.phase,
         assignee: phase.assignee,
-        duration: phase.duration, // in minutes
-        startTime: phase.startTime,
+        duration: sum('duration', phase.duration), // in minutes
+        activeDuration, // duration minus time blocked
+        blockedDuration: sum('blockedDuration', phase.blockedDuration || 0),
+        runs: previous ? previous.runs + 1 : 1,
+        slaMinutes,
+        overSla: Boolean(slaMinutes && activeDuration > slaMinutes),
+        startTime: previous ? previous.startTime : phase.startTime,
         endTime: phase.endTime
       };
     }
@@ -53,6 +75,18 @@ class AnalyticsEngine {
     return metrics;
   }
 
+  /**
+   * Rebuild metrics by replaying hunt events
+   * Replaces the recorded metrics with one entry per hunt in the log.
+   * @param {Object[]} events - Hunt events, oldest first (see hunt-events.js)
+   * @returns {Object[]} Rebuilt metrics
+   */
+  rebuildFromEvents(events) {
+    this.metrics = [];
+    replayHunts(events).forEach(hunt => this.recordHuntMetrics(hunt));
+    return this.metrics;
+  }
+
   /**
    * Calculate pack velocity (hunts per month)
    */
@@ -89,9 +123,9 @@ class AnalyticsEngine {
     const roleStats = {};
 
     // Initialize all roles
-    RoleManager.getSequence().forEach(roleId => {
+    this._roleIds().forEach(roleId => {
       roleStats[roleId] = {
-        role: RoleManager.getRole(roleId).name,
+        role: this.roles.getRole(roleId).name,
         tasksCompleted: 0,
         totalTime: 0,
         averageTime: 0
@@ -103,7 +137,7 @@ class AnalyticsEngine {
       Object.entries(metric.phases).forEach(([roleId, phaseData]) => {
         if (roleStats[roleId]) {
           roleStats[roleId].tasksCompleted++;
-          roleStats[roleId].totalTime += phaseData.duration || 0;
+          roleStats[roleId].totalTime += this._activeTime(phaseData);
         }
       });
     });
@@ -144,9 +178,9 @@ class AnalyticsEngine {
   getPhaseAnalysis() {
     const phaseData = {};
 
-    RoleManager.getSequence().forEach(roleId => {
+    this._roleIds().forEach(roleId => {
       phaseData[roleId] = {
-        phase: RoleManager.getRole(roleId).name,
+        phase: this.roles.getRole(roleId).name,
         durations: [],
         count: 0,
         totalTime: 0,
@@ -156,10 +190,11 @@ class AnalyticsEngine {
 
     this.metrics.forEach(metric => {
       Object.entries(metric.phases).forEach(([roleId, phaseInfo]) => {
-        if (phaseData[roleId] && phaseInfo.duration) {
-          phaseData[roleId].durations.push(phaseInfo.duration);
+        const time = this._activeTime(phaseInfo);
+        if (phaseData[roleId] && time) {
+          phaseData[roleId].durations.push(time);
           phaseData[roleId].count++;
-          phaseData[roleId].totalTime += phaseInfo.duration;
+          phaseData[roleId].totalTime += time;
         }
       });
     });
@@ -173,6 +208,75 @@ class AnalyticsEngine {
     return phaseData;
   }
 
+  /**
+   * Calculate time hunts spent blocked, per role
+   * Blocked time is kept out of the phase durations used everywhere else.
+   */
+  getBlockedTimeAnalysis() {
+    const byRole = {};
+
+    this._roleIds().forEach(roleId => {
+      byRole[roleId] = {
+        role: this.roles.getRole(roleId).name,
+        blockedTime: 0,
+        phasesBlocked: 0
+      };
+    });
+
+    this.metrics.forEach(metric => {
+      Object.entries(metric.phases).forEach(([roleId, phaseInfo]) => {
+        if (byRole[roleId] && phaseInfo.blockedDuration) {
+          byRole[roleId].blockedTime += phaseInfo.blockedDuration;
+          byRole[roleId].phasesBlocked++;
+        }
+      });
+    });
+
+    const blockedMetrics = this.metrics.filter(m => m.blockedDuration > 0);
+
+    return {
+      totalBlockedTime: blockedMetrics.reduce((sum, m) => sum + m.blockedDuration, 0),
+      huntsBlocked: blockedMetrics.length,
+      byRole
+    };
+  }
+
+  /**
+   * Calculate SLA compliance per role
+   * A phase breaches its SLA when its active time exceeds the role's threshold
+   * (see getSlaMinutes in roles.js / role-workflow.js).
+   */
+  getSlaAnalysis() {
+    const slaData = {};
+
+    this._roleIds().forEach(roleId => {
+      slaData[roleId] = {
+        role: this.roles.getRole(roleId).name,
+        thresholdMinutes: this.roles.getSlaMinutes(roleId),
+        phases: 0,
+        breaches: 0,
+        breachRate: 0
+      };
+    });
+
+    this.metrics.forEach(metric => {
+      Object.entries(metric.phases).forEach(([roleId, phaseInfo]) => {
+        if (slaData[roleId] && phaseInfo.endTime) {
+          slaData[roleId].phases++;
+          if (phaseInfo.overSla) {
+            slaData[roleId].breaches++;
+          }
+        }
+      });
+    });
+
+    Object.values(slaData).forEach(s => {
+      s.breachRate = s.phases > 0 ? Math.round((s.breaches / s.phases) * 100) : 0;
+    });
+
+    return slaData;
+  }
+
   /**
    * Identify bottlenecks
    */
@@ -205,6 +309,8 @@ class AnalyticsEngine {
     const quality = this.getQualityMetrics();
     const phaseAnalysis = this.getPhaseAnalysis();
     const bottlenecks = this.identifyBottlenecks();
+    const blocked = this.getBlockedTimeAnalysis();
+    const sla = this.getSlaAnalysis();
 
     return {
       timestamp: new Date().toISOString(),
@@ -218,10 +324,13 @@ class AnalyticsEngine {
       quality,
       phaseAnalysis,
       bottlenecks,
+      blocked,
+      sla,
       recommendations: this._generateRecommendations(
         velocity,
         utilization,
-        bottlenecks
+        bottlenecks,
+        sla
       )
     };
   }
@@ -261,6 +370,30 @@ class AnalyticsEngine {
     });
     md += `\n`;
 
+    // Blocked time
+    if (report.blocked && report.blocked.totalBlockedTime > 0) {
+      md += `## ⛔ Blocked Time\n\n`;
+      md += `- Total: ${report.blocked.totalBlockedTime} min across ${report.blocked.huntsBlocked} hunt(s)\n`;
+      Object.values(report.blocked.byRole)
+        .filter(b => b.blockedTime > 0)
+        .forEach(b => {
+          md += `- ${b.role}: ${b.blockedTime} min\n`;
+        });
+      md += `\n`;
+    }
+
+    // SLA breaches
+    const breached = report.sla ? Object.values(report.sla).filter(s => s.breaches > 0) : [];
+    if (breached.length > 0) {
+      md += `## ⏰ SLA Breaches\n\n`;
+      md += `| Role | SLA | Breaches | Rate |\n`;
+      md += `|------|-----|----------|------|\n`;
+      breached.forEach(s => {
+        md += `| ${s.role} | ${s.thresholdMinutes}m | ${s.breaches}/${s.phases} | ${s.breachRate}% |\n`;
+      });
+      md += `\n`;
+    }
+
     // Bottlenecks
     if (report.bottlenecks.length > 0) {
       md += `## ⚠️ Bottlenecks\n\n`;
@@ -282,39 +415,66 @@ class AnalyticsEngine {
   }
 
   /**
-   * Save metrics to file
+   * Save metrics to storage
+   * Merged by hunt ID, so metrics recorded by another process are kept.
    */
   async save(projectPath = '.') {
-    const analyticsPath = path.join(projectPath, '.leo', 'analytics.json');
-    await fs.ensureDir(path.dirname(analyticsPath));
-    await fs.writeJson(analyticsPath, {
+    const storage = this.storage || createStorage({ projectRoot: projectPath });
+
+    await storage.update(ANALYTICS_KEY, stored => ({
       packName: this.packName,
-      metrics: this.metrics,
+      metrics: mergeById(stored && stored.metrics, this.metrics, 'huntId'),
       generatedAt: new Date().toISOString()
-    }, { spaces: 2 });
+    }));
   }
 
   /**
-   * Load metrics from file
+   * Load metrics from storage
+   * @param {string} packName - Pack name
+   * @param {string} projectPath - Project path (default: '.')
+   * @param {Object} options - Load options
+   * @param {Object} options.storage - Storage adapter (default: the project's, see lib/storage)
    */
-  static async load(packName, projectPath = '.') {
+  static async load(packName, projectPath = '.', options = {}) {
     const engine = new AnalyticsEngine(packName);
-    const analyticsPath = path.join(projectPath, '.leo', 'analytics.json');
+    engine.storage = options.storage || null;
 
     try {
-      const data = await fs.readJson(analyticsPath);
-      engine.metrics = data.metrics || [];
+      const storage = engine.storage || createStorage({ projectRoot: projectPath });
+      const data = await storage.read(ANALYTICS_KEY);
+      engine.metrics = (data && data.metrics) || [];
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        console.warn('Could not load analytics:', error.message);
-      }
+      console.warn('Could not load analytics:', error.message);
     }
 
     return engine;
   }
 
+  /**
+   * Create an engine with metrics rebuilt from the hunt event log
+   * @param {string} packName - Pack name
+   * @param {string} projectPath - Project path (default: '.')
+   * @param {Object} options - Load options
+   * @param {Object} options.storage - Storage adapter (default: the project's, see lib/storage)
+   * @param {RoleWorkflow} options.workflow - Role workflow (default: the pack config's roleWorkflow)
+   */
+  static async fromEventLog(packName, projectPath = '.', options = {}) {
+    const engine = new AnalyticsEngine(packName);
+    engine.storage = options.storage || null;
+
+    const storage = engine.storage || createStorage({ projectRoot: projectPath });
+    engine.roles = options.workflow || await loadRoleWorkflow(storage);
+    engine.rebuildFromEvents(await new HuntEventLog({ storage }).read());
+
+    return engine;
+  }
+
   // Private helper methods
 
+  _roleIds() {
+    return this.roles.getAllRoles().map(role => role.id);
+  }
+
   _calculateAverage(numbers) {
     if (numbers.length === 0) return 0;
     const sum = numbers.reduce((a, b) => a + b, 0);
@@ -342,7 +502,11 @@ class AnalyticsEngine {
     return '➡️ stable';
   }
 
-  _generateRecommendations(velocity, utilization, bottlenecks) {
+  _activeTime(phaseInfo) {
+    return phaseInfo.activeDuration ?? phaseInfo.duration ?? 0;
+  }
+
+  _generateRecommendations(velocity, utilization, bottlenecks, sla = {}) {
     const recs = [];
 
     if (velocity.huntsPerMonth < 5) {
@@ -360,6 +524,11 @@ class AnalyticsEngine {
       recs.push('👥 Some roles are overutilized. Consider role rotation or team expansion.');
     }
 
+    const breached = Object.values(sla).filter(s => s.breachRate >= 50);
+    if (breached.length > 0) {
+      recs.push(`⏰ ${breached.map(s => s.role).join(', ')} overrun their SLA in most hunts. Revisit the estimate or split the work.`);
+    }
+
     return recs;
   }
 }
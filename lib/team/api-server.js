@@ -14,6 +14,7 @@ const { HuntCycleTracker } = require('./tracker');
 const { TeamPack } = require('./pack');
 const { AnalyticsEngine } = require('./analytics');
 const { ConfigurationManager } = require('./config-manager');
+const { DashboardAuth } = require('./auth');
 
 /**
  * APIServer - Express server with WebSocket support
@@ -27,6 +28,9 @@ class APIServer extends EventEmitter {
    * @param {Object} config.tracker - HuntCycleTracker instance (optional)
    * @param {Object} config.config - Configuration object (optional)
    * @param {string} config.projectPath - Project path (optional)
+   * @param {string[]} config.origins - Origins allowed to call the API (default: the server's own URL)
+   * @param {Object|boolean} config.auth - DashboardAuth instance, or false to disable authentication
+   * @param {number} config.slaCheckInterval - How often to check phases against their SLA in ms (default: 60000, 0 to disable)
    */
   constructor(config = {}) {
     super();
@@ -43,6 +47,13 @@ class APIServer extends EventEmitter {
     this.config = config.config || null;
     this.connectedClients = 0;
     this.startTime = null;
+    this.origins = config.origins || [`http://${this.host}:${this.port}`];
+    this.slaCheckInterval = config.slaCheckInterval ?? 60000;
+    this.slaTimer = null;
+    this.slaWarned = new Set();
+    this.auth = config.auth === false
+      ? null
+      : config.auth || new DashboardAuth({ projectPath: this.projectPath });
   }
 
   /**
@@ -50,9 +61,10 @@ class APIServer extends EventEmitter {
    * @private
    */
   _setupMiddleware() {
-    // CORS configuration
+    // CORS configuration - only the dashboard's own origins, with credentials
     this.app.use(cors({
-      origin: '*',
+      origin: this.origins,
+      credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE'],
       allowedHeaders: ['Content-Type', 'Authorization']
     }));
@@ -101,6 +113,14 @@ class APIServer extends EventEmitter {
       });
     });
 
+    // Auth routes
+    this.app.post('/api/auth/login', this._login.bind(this));
+    this.app.post('/api/auth/logout', this._logout.bind(this));
+
+    // Everything else under /api requires a team member's credentials
+    this.app.use('/api', this._authenticate.bind(this));
+    this.app.get('/api/auth/me', (req, res) => res.json(req.user));
+
     // Team routes
     this.app.get('/api/team', this._getTeam.bind(this));
     this.app.get('/api/team/members', this._getTeamMembers.bind(this));
@@ -110,9 +130,11 @@ class APIServer extends EventEmitter {
     this.app.get('/api/hunts/:id', this._getHuntDetail.bind(this));
     this.app.get('/api/hunts/:id/phases', this._getHuntPhases.bind(this));
     this.app.post('/api/hunts', this._createHunt.bind(this));
-    this.app.put('/api/hunts/:id', this._updateHunt.bind(this));
-    this.app.post('/api/hunts/:id/phase-next', this._nextPhase.bind(this));
-    this.app.post('/api/hunts/:id/complete', this._completeHunt.bind(this));
+    this.app.put('/api/hunts/:id', this._authorizeHunt.bind(this), this._updateHunt.bind(this));
+    this.app.post('/api/hunts/:id/phase-next', this._authorizeHunt.bind(this), this._nextPhase.bind(this));
+    this.app.post('/api/hunts/:id/complete', this._authorizeHunt.bind(this), this._completeHunt.bind(this));
+    this.app.post('/api/hunts/:id/block', this._authorizeHunt.bind(this), this._blockHunt.bind(this));
+    this.app.post('/api/hunts/:id/unblock', this._authorizeHunt.bind(this), this._unblockHunt.bind(this));
 
     // Analytics routes
     this.app.get('/api/analytics', this._getAnalytics.bind(this));
@@ -127,20 +149,47 @@ class APIServer extends EventEmitter {
   _setupWebSocket() {
     this.io = socketIO(this.server, {
       cors: {
-        origin: '*',
+        origin: this.origins,
+        credentials: true,
         methods: ['GET', 'POST']
       }
     });
 
+    this.io.use(this._authenticateSocket.bind(this));
     this.io.on('connection', this._handleConnection.bind(this));
   }
 
   /**
-   * Handle WebSocket connection
+   * WebSocket handshake middleware - sets socket.user, or rejects the
+   * connection before it is established (the client gets `connect_error`)
+   * Same credentials as the REST API: `auth: { token }`, a bearer header or the session cookie.
+   * @private
+   */
+  async _authenticateSocket(socket, next) {
+    if (!this.auth) {
+      return next();
+    }
+
+    try {
+      const handshake = socket.handshake || {};
+      socket.user = await this.auth.authenticate(
+        this.auth.getCredentials(handshake.headers, handshake.auth)
+      );
+      next();
+    } catch (error) {
+      console.log(`Client rejected: ${socket.id} (${error.message})`);
+      const rejection = new Error(error.message);
+      rejection.data = { status: error.status || 401 };
+      next(rejection);
+    }
+  }
+
+  /**
+   * Handle WebSocket connection (already authenticated by _authenticateSocket)
    * @private
    */
   _handleConnection(socket) {
-    console.log(`Client connected: ${socket.id}`);
+    console.log(`Client connected: ${socket.id}${socket.user ? ` (${socket.user.username})` : ''}`);
 
     // Join team room
     socket.join('team');
@@ -149,7 +198,8 @@ class APIServer extends EventEmitter {
     socket.emit('initial:state', {
       hunts: this.tracker?.hunts || [],
       team: this.team || {},
-      clientId: socket.id
+      clientId: socket.id,
+      user: socket.user || null
     });
 
     // Handle disconnect
@@ -173,6 +223,100 @@ class APIServer extends EventEmitter {
     }
   }
 
+  // ============ Auth ============
+
+  /**
+   * Authentication middleware - sets req.user from a bearer token or session cookie
+   * @private
+   */
+  async _authenticate(req, res, next) {
+    if (!this.auth) {
+      return next();
+    }
+
+    try {
+      req.user = await this.auth.authenticate(this.auth.getCredentials(req.headers));
+      next();
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Authorization middleware for hunt changes
+   * Only leads and the member owning the hunt's current role may advance it.
+   * @private
+   */
+  _authorizeHunt(req, res, next) {
+    if (!this.auth) {
+      return next();
+    }
+
+    const hunt = this.tracker?.getHunt(req.params.id);
+    if (!hunt) {
+      return res.status(404).json({ error: 'Hunt not found' });
+    }
+
+    if (!this.auth.canAdvance(req.user, hunt)) {
+      const phase = hunt.currentPhase || 'the first phase';
+      return res.status(403).json({
+        error: `Only the member owning ${phase} or a lead can change this hunt`
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Actor recorded in the hunt event log for a request
+   * @private
+   */
+  _actor(req) {
+    return req.user ? req.user.username : 'dashboard';
+  }
+
+  /**
+   * POST /api/auth/login - Exchange an API token for a session cookie
+   * @private
+   */
+  async _login(req, res) {
+    if (!this.auth) {
+      return res.status(404).json({ error: 'Authentication is disabled' });
+    }
+
+    try {
+      const { token } = req.body || {};
+      const credentials = this.auth.getCredentials(req.headers, { token });
+      if (!credentials.token) {
+        return res.status(400).json({ error: 'Token required' });
+      }
+
+      const user = await this.auth.verifyToken(credentials.token);
+      const session = this.auth.createSession(user);
+
+      res.set('Set-Cookie', this.auth.sessionCookie(session));
+      res.json({ ...user, expiresAt: new Date(session.expiresAt).toISOString() });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/auth/logout - End the current session
+   * @private
+   */
+  async _logout(req, res) {
+    if (this.auth) {
+      const { sessionId } = this.auth.getCredentials(req.headers);
+      if (sessionId) {
+        this.auth.destroySession(sessionId);
+      }
+      res.set('Set-Cookie', this.auth.sessionCookie(null));
+    }
+
+    res.status(204).send();
+  }
+
   // ============ Team Endpoints ============
 
   /**
@@ -251,6 +395,7 @@ class APIServer extends EventEmitter {
         title: h.title || h.featureName,
         description: h.description,
         currentPhase: h.currentPhase,
+        status: h.status,
         owner: h.owner,
         priority: h.priority,
         active: !h.completedAt,
@@ -298,6 +443,11 @@ class APIServer extends EventEmitter {
         createdAt: hunt.createdAt || hunt.startedAt || new Date().toISOString(),  // string type (ISO date)
         completedAt: hunt.completedAt,
         duration: hunt.getTotalDuration?.() || 0,
+        status: hunt.status,
+        blockedReason: hunt.blockedReason || null,
+        blockedDuration: hunt.getBlockedDuration?.() || 0,
+        huntType: hunt.huntType || null,
+        sla: hunt.getSlaStatus?.(new Date(), this.tracker.workflow) || null,
         githubIssue: hunt.githubIssue
       });
     } catch (error) {
@@ -338,13 +488,23 @@ class APIServer extends EventEmitter {
    */
   async _createHunt(req, res) {
     try {
-      const { title, description, owner, priority } = req.body;
+      const { title, description, owner, priority, huntType } = req.body;
 
       if (!title) {
         return res.status(400).json({ error: 'Title required' });
       }
 
-      const hunt = await this.tracker.startHunt(title, description, owner);
+      if (huntType && this.tracker.workflow && !this.tracker.workflow.getHuntTypes().includes(huntType)) {
+        return res.status(400).json({
+          error: `Unknown hunt type: ${huntType}`,
+          huntTypes: this.tracker.workflow.getHuntTypes()
+        });
+      }
+
+      const hunt = await this.tracker.startHunt(title, description, owner, {
+        actor: this._actor(req),
+        ...(huntType && { huntType })
+      });
       await this.tracker.save(this.workdir);
 
       // Broadcast to WebSocket clients
@@ -372,7 +532,7 @@ class APIServer extends EventEmitter {
         createdAt: hunt.createdAt
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
@@ -390,27 +550,29 @@ class APIServer extends EventEmitter {
         return res.status(404).json({ error: 'Hunt not found' });
       }
 
-      if (title) hunt.title = title;
-      if (description) hunt.description = description;
-      if (priority) hunt.priority = priority;
-
-      await this.tracker.save(this.workdir);
+      await this.tracker.updateHunt(id, {
+        featureName: title || undefined,
+        description: description || undefined,
+        priority: priority || undefined
+      }, { actor: this._actor(req) });
 
       // Broadcast update
       this._broadcast('hunt:updated', {
         id: hunt.id,
-        title: hunt.title,
+        title: hunt.featureName,
         updatedAt: new Date().toISOString()
       });
 
       res.json(hunt);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
   /**
    * POST /api/hunts/:id/phase-next - Move to next phase
+   * Body `phase` moves to another phase the role workflow allows (optional,
+   * skip or rework); without it the hunt advances to the next phase.
    * @private
    */
   async _nextPhase(req, res) {
@@ -422,9 +584,20 @@ class APIServer extends EventEmitter {
         return res.status(404).json({ error: 'Hunt not found' });
       }
 
+      if (hunt.status === 'blocked') {
+        return res.status(409).json({ error: 'Hunt is blocked - unblock it first' });
+      }
+
       const previousPhase = hunt.currentPhase;
-      this.tracker.transitionHunt(id);
-      await this.tracker.save(this.workdir);
+      const phase = (req.body && req.body.phase) || null;
+      try {
+        await this.tracker.transitionHunt(id, phase, null, { actor: this._actor(req) });
+      } catch (error) {
+        if (/^Invalid phase|already in the last phase/.test(error.message)) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
 
       // Broadcast phase change
       this._broadcast('hunt:phase-changed', {
@@ -449,7 +622,7 @@ class APIServer extends EventEmitter {
         previousPhase: previousPhase
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
@@ -466,8 +639,11 @@ class APIServer extends EventEmitter {
         return res.status(404).json({ error: 'Hunt not found' });
       }
 
-      this.tracker.completeHunt(id);
-      await this.tracker.save(this.workdir);
+      if (hunt.status === 'blocked') {
+        return res.status(409).json({ error: 'Hunt is blocked - unblock it first' });
+      }
+
+      await this.tracker.completeHunt(id, { actor: this._actor(req) });
 
       const duration = hunt.getTotalDuration?.() || 0;
 
@@ -494,10 +670,129 @@ class APIServer extends EventEmitter {
         completedAt: new Date().toISOString()
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 
+  /**
+   * POST /api/hunts/:id/block - Block hunt
+   * @private
+   */
+  async _blockHunt(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body || {};
+      const hunt = this.tracker.getHunt(id);
+
+      if (!hunt) {
+        return res.status(404).json({ error: 'Hunt not found' });
+      }
+      if (hunt.status === 'blocked' || hunt.status === 'completed') {
+        return res.status(409).json({ error: `Hunt is already ${hunt.status}` });
+      }
+
+      const actor = this._actor(req);
+      await this.tracker.blockHunt(id, reason, { actor });
+
+      const data = {
+        id: hunt.id,
+        title: hunt.title || hunt.featureName,
+        reason: hunt.blockedReason,
+        blockedBy: actor,
+        blockedAt: hunt.blockedAt
+      };
+
+      // Broadcast to WebSocket clients and EventEmitter listeners (CLI)
+      this._broadcast('hunt:blocked', data);
+      this.emit('hunt:blocked', data);
+
+      res.json({ id: hunt.id, status: hunt.status, ...data });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * POST /api/hunts/:id/unblock - Unblock hunt
+   * @private
+   */
+  async _unblockHunt(req, res) {
+    try {
+      const { id } = req.params;
+      const hunt = this.tracker.getHunt(id);
+
+      if (!hunt) {
+        return res.status(404).json({ error: 'Hunt not found' });
+      }
+      if (hunt.status !== 'blocked') {
+        return res.status(409).json({ error: 'Hunt is not blocked' });
+      }
+
+      const actor = this._actor(req);
+      await this.tracker.unblockHunt(id, { actor });
+
+      const data = {
+        id: hunt.id,
+        title: hunt.title || hunt.featureName,
+        unblockedBy: actor,
+        blockedDuration: hunt.getBlockedDuration?.() || 0,
+        unblockedAt: new Date().toISOString()
+      };
+
+      // Broadcast to WebSocket clients and EventEmitter listeners (CLI)
+      this._broadcast('hunt:unblocked', data);
+      this.emit('hunt:unblocked', data);
+
+      res.json({ id: hunt.id, status: hunt.status, ...data });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  // ============ SLA ============
+
+  /**
+   * Warn about hunts whose current phase has overrun its role's SLA
+   * Each phase is reported once, via `hunt:sla-warning` to WebSocket clients
+   * and EventEmitter listeners.
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Object[]} New warnings
+   */
+  checkSla(now = new Date()) {
+    if (!this.tracker?.getSlaWarnings) {
+      return [];
+    }
+
+    const warnings = this.tracker.getSlaWarnings(now).filter(warning => {
+      const key = `${warning.huntId}:${warning.phase}:${warning.startTime}`;
+      if (this.slaWarned.has(key)) return false;
+      this.slaWarned.add(key);
+      return true;
+    });
+
+    warnings.forEach(warning => {
+      const data = { ...warning, timestamp: now.toISOString() };
+      this._broadcast('hunt:sla-warning', data);
+      this.emit('hunt:sla-warning', data);
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Check SLAs periodically while the server runs
+   * @private
+   */
+  _startSlaMonitor() {
+    if (!this.slaCheckInterval || this.slaTimer) {
+      return;
+    }
+
+    this.slaTimer = setInterval(() => this.checkSla(), this.slaCheckInterval);
+    this.slaTimer.unref?.();
+    this.checkSla();
+  }
+
   // ============ Analytics Endpoints ============
 
   /**
@@ -599,10 +894,13 @@ class APIServer extends EventEmitter {
 
       // Load team data
       this.team = new TeamPack(this.config);
+      if (this.auth) {
+        this.auth.team = this.team;
+      }
 
       // Load hunt tracker if not provided
       if (!this.tracker) {
-        this.tracker = await HuntCycleTracker.load(this.projectPath);
+        this.tracker = await HuntCycleTracker.load(this.config.packName, this.projectPath);
       }
 
       // Load analytics
@@ -617,6 +915,7 @@ class APIServer extends EventEmitter {
         this.server = this.app.listen(this.port, this.host, () => {
           // Setup WebSocket
           this._setupWebSocket();
+          this._startSlaMonitor();
 
           // Emit ready event
           this.emit('ready', {
@@ -644,6 +943,11 @@ class APIServer extends EventEmitter {
    * @returns {Promise<void>}
    */
   async stop() {
+    if (this.slaTimer) {
+      clearInterval(this.slaTimer);
+      this.slaTimer = null;
+    }
+
     return new Promise((resolve) => {
       if (this.io) {
         this.io.close();
@@ -0,0 +1,354 @@
+/**
+ * UX Ingka Kit Dashboard Authentication
+ * Token and session credentials for the dashboard API server
+ *
+ * Members are issued personal API tokens (`leo dashboard token <username>`).
+ * Only a SHA-256 hash of each token is stored, under the `dashboard-tokens`
+ * storage key (`.leo/dashboard-tokens.json` with the file backend).
+ * A token can be sent as `Authorization: Bearer <token>` or exchanged for a
+ * session cookie via `POST /api/auth/login`.
+ *
+ * Roles are not stored with the credentials: every request resolves the
+ * username against the current TeamPack members, so removing a member or
+ * reassigning their role takes effect immediately.
+ */
+
+const crypto = require('crypto');
+const { RoleManager } = require('./roles');
+const { createStorage } = require('../storage');
+
+const TOKENS_KEY = 'dashboard-tokens';
+const TOKEN_PREFIX = 'leo_';
+const SESSION_COOKIE = 'leo_session';
+const DEFAULT_SESSION_TTL = 8 * 60 * 60 * 1000; // 8 hours
+
+/**
+ * Error with an HTTP status for the API server
+ */
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * SHA-256 hex digest of a token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Parse a Cookie header into an object
+ */
+function parseCookies(header) {
+  return String(header || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .reduce((cookies, part) => {
+      const index = part.indexOf('=');
+      try {
+        cookies[part.slice(0, index)] = decodeURIComponent(part.slice(index + 1));
+      } catch (error) {
+        // Ignore malformed cookie values
+      }
+      return cookies;
+    }, {});
+}
+
+/**
+ * Dashboard Auth
+ * Issues and verifies member credentials
+ */
+class DashboardAuth {
+  /**
+   * Constructor
+   * @param {Object} options - Auth options
+   * @param {string} options.projectPath - Project path holding `.leo/` (default: '.')
+   * @param {Object} options.storage - Storage adapter (default: the project's, see lib/storage)
+   * @param {Object} options.team - TeamPack (or an object with `members`) to resolve roles from
+   * @param {number} options.sessionTtl - Session lifetime in ms (default: 8 hours)
+   */
+  constructor(options = {}) {
+    this.projectPath = options.projectPath || '.';
+    this.storage = options.storage || createStorage({ projectRoot: this.projectPath });
+    this.team = options.team || null;
+    this.sessionTtl = options.sessionTtl || DEFAULT_SESSION_TTL;
+    this.sessions = new Map();
+  }
+
+  // ============ Members ============
+
+  /**
+   * Current team members
+   * @returns {Object[]}
+   */
+  getMembers() {
+    if (!this.team) return [];
+    if (typeof this.team.getMembers === 'function') return this.team.getMembers() || [];
+    return this.team.members || [];
+  }
+
+  /**
+   * Resolve a username to the member's dashboard identity
+   * A lead is a member flagged `"lead": true` in .leo.json; a pack of one leads itself.
+   * @param {string} username - Member username
+   * @returns {Object|null} { username, role, lead }, or null if not a member
+   */
+  resolveMember(username) {
+    const members = this.getMembers();
+    const member = members.find(m => (m.username || m.name) === username);
+    if (!member) return null;
+
+    return {
+      username,
+      role: member.role,
+      lead: member.lead === true || members.length === 1
+    };
+  }
+
+  /**
+   * Check whether a user may advance (or edit, or complete) a hunt
+   * Allowed for leads, the hunt's current assignee and the member holding
+   * the role of the current phase (the first role for hunts not yet started).
+   * @param {Object} user - Identity from resolveMember
+   * @param {Object} hunt - Hunt
+   * @returns {boolean}
+   */
+  canAdvance(user, hunt) {
+    if (!user) return false;
+    if (user.lead) return true;
+    if (hunt.currentRole && hunt.currentRole === user.username) return true;
+
+    const phaseRole = hunt.currentPhase || RoleManager.getSequence()[0];
+    return user.role === phaseRole;
+  }
+
+  // ============ Tokens ============
+
+  /**
+   * Load stored token hashes
+   * Read on every check so tokens revoked from the CLI stop working in a running server.
+   * @private
+   */
+  async _loadTokens() {
+    try {
+      const data = await this.storage.read(TOKENS_KEY);
+      return (data && data.tokens) || [];
+    } catch (error) {
+      throw new Error(`Could not read dashboard tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the stored tokens under the storage lock (file: owner read/write only)
+   * @private
+   */
+  async _updateTokens(updater) {
+    const data = await this.storage.update(
+      TOKENS_KEY,
+      stored => ({ tokens: updater((stored && stored.tokens) || []) }),
+      { mode: 0o600 }
+    );
+    return data.tokens;
+  }
+
+  /**
+   * Issue a personal API token for a team member
+   * The token is returned once; only its hash is stored.
+   * @param {string} username - Member username
+   * @param {Object} options - Token options
+   * @param {string} options.label - Note to tell tokens apart (e.g. machine name)
+   * @returns {Promise<Object>} { token, id, username, createdAt }
+   */
+  async issueToken(username, options = {}) {
+    if (!this.resolveMember(username)) {
+      throw new Error(`${username} is not a member of this pack - add them with "ux-ingka team add" first`);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const entry = {
+      id: crypto.randomBytes(4).toString('hex'),
+      username,
+      label: options.label || null,
+      hash: hashToken(token),
+      createdAt: new Date().toISOString()
+    };
+
+    await this._updateTokens(tokens => [...tokens, entry]);
+
+    return { token, id: entry.id, username, createdAt: entry.createdAt };
+  }
+
+  /**
+   * Revoke every token of a member
+   * Sessions opened with them end on their next request.
+   * @param {string} username - Member username
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeTokens(username) {
+    let revoked = 0;
+    await this._updateTokens(tokens => {
+      const remaining = tokens.filter(entry => entry.username !== username);
+      revoked = tokens.length - remaining.length;
+      return remaining;
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Verify an API token
+   * @param {string} token - Plain token
+   * @returns {Promise<Object>} Identity ({ username, role, lead, tokenId })
+   * @throws {Error} 401 if the token is unknown or its owner left the pack
+   */
+  async verifyToken(token) {
+    const tokens = await this._loadTokens();
+    const hash = Buffer.from(hashToken(token), 'hex');
+    const entry = tokens.find(candidate => {
+      // timingSafeEqual throws on a length mismatch (e.g. a hand-edited hash)
+      const stored = Buffer.from(String(candidate.hash || ''), 'hex');
+      return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+    });
+
+    if (!entry) {
+      throw authError('Invalid API token');
+    }
+
+    const user = this.resolveMember(entry.username);
+    if (!user) {
+      throw authError(`${entry.username} is no longer a member of this pack`);
+    }
+
+    return { ...user, tokenId: entry.id };
+  }
+
+  // ============ Sessions ============
+
+  /**
+   * Start a session for a verified user
+   * Expired sessions are dropped first, so the session map only holds live ones.
+   * @param {Object} user - Identity from verifyToken
+   * @returns {Object} { id, username, tokenId, expiresAt }
+   */
+  createSession(user) {
+    this.pruneSessions();
+
+    const session = {
+      id: crypto.randomBytes(32).toString('hex'),
+      username: user.username,
+      tokenId: user.tokenId,
+      expiresAt: Date.now() + this.sessionTtl
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Drop expired sessions
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {number} Number of sessions dropped
+   */
+  pruneSessions(now = Date.now()) {
+    let pruned = 0;
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId - Session ID
+   */
+  destroySession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Verify a session
+   * @param {string} sessionId - Session ID from the cookie
+   * @returns {Promise<Object>} Identity ({ username, role, lead, tokenId })
+   * @throws {Error} 401 if the session is unknown, expired or its token was revoked
+   */
+  async verifySession(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || session.expiresAt <= Date.now()) {
+      this.sessions.delete(sessionId);
+      throw authError('Session expired - log in again');
+    }
+
+    const tokens = await this._loadTokens();
+    if (!tokens.some(entry => entry.id === session.tokenId)) {
+      this.sessions.delete(sessionId);
+      throw authError('Session token was revoked - log in again');
+    }
+
+    const user = this.resolveMember(session.username);
+    if (!user) {
+      this.sessions.delete(sessionId);
+      throw authError(`${session.username} is no longer a member of this pack`);
+    }
+
+    return { ...user, tokenId: session.tokenId };
+  }
+
+  // ============ Requests ============
+
+  /**
+   * Read credentials from request headers (HTTP request or Socket.IO handshake)
+   * @param {Object} headers - Request headers
+   * @param {Object} extra - Socket.IO handshake `auth` payload ({ token })
+   * @returns {Object} { token, sessionId }
+   */
+  getCredentials(headers = {}, extra = {}) {
+    const match = String(headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+
+    return {
+      token: extra.token || (match ? match[1] : null),
+      sessionId: parseCookies(headers.cookie)[SESSION_COOKIE] || null
+    };
+  }
+
+  /**
+   * Authenticate a request from its credentials
+   * A bearer token wins over a session cookie.
+   * @param {Object} credentials - From getCredentials
+   * @returns {Promise<Object>} Identity ({ username, role, lead, tokenId })
+   * @throws {Error} 401 if no valid credentials are present
+   */
+  async authenticate(credentials = {}) {
+    if (credentials.token) {
+      return this.verifyToken(credentials.token);
+    }
+    if (credentials.sessionId) {
+      return this.verifySession(credentials.sessionId);
+    }
+    throw authError('Authentication required - send "Authorization: Bearer <token>" or log in via POST /api/auth/login');
+  }
+
+  /**
+   * Set-Cookie value for a session
+   * @param {Object} session - Session from createSession (omit to clear the cookie)
+   * @returns {string}
+   */
+  sessionCookie(session) {
+    const maxAge = session ? Math.floor((session.expiresAt - Date.now()) / 1000) : 0;
+    return `${SESSION_COOKIE}=${session ? session.id : ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+  }
+}
+
+module.exports = {
+  DashboardAuth,
+  SESSION_COOKIE,
+  TOKENS_KEY,
+  authError,
+  parseCookies
+};
@@ -3,10 +3,10 @@
  * Handles team setup, mode selection, and adaptive workflow configuration
  */
 
-const fs = require('fs-extra');
 const path = require('path');
+const { createStorage } = require('../storage');
 const { WorkflowMode } = require('./workflow-modes');
-const { RoleManager } = require('./roles');
+const { RoleWorkflow, WORKFLOW_KEY } = require('./role-workflow');
 
 /**
  * Configuration Manager
@@ -17,6 +17,15 @@ class ConfigurationManager {
     this.projectPath = projectPath;
     this.configPath = path.join(projectPath, '.leo.json');
     this.config = null;
+    this.roleWorkflow = new RoleWorkflow();
+  }
+
+  /**
+   * Storage holding the config (`.leo.json` with the file backend)
+   * @private
+   */
+  _storage() {
+    return createStorage({ projectRoot: this.projectPath });
   }
 
   /**
@@ -28,9 +37,13 @@ class ConfigurationManager {
       org = 'my-org',
       repo = 'my-repo',
       teamSize = 1,
-      members = []
+      members = [],
+      roleWorkflow = null
     } = options;
 
+    // Custom roles must be known before members can take them
+    const workflow = RoleWorkflow.fromConfig(roleWorkflow || undefined);
+
     if (teamSize < 1 || teamSize > 4) {
       throw new Error('Team size must be 1-4');
     }
@@ -51,7 +64,7 @@ class ConfigurationManager {
         throw new Error('Each member must have username and role');
       }
 
-      const role = RoleManager.getRole(member.role);
+      const role = workflow.getRole(member.role);
       if (!role) {
         throw new Error(`Invalid role: ${member.role}`);
       }
@@ -83,11 +96,13 @@ class ConfigurationManager {
         notifyOnHandoff: true,
         trackMetrics: true
       },
+      ...(roleWorkflow && { [WORKFLOW_KEY]: roleWorkflow }),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
     this.config = config;
+    this.roleWorkflow = workflow;
     await this.save();
 
     return config;
@@ -95,22 +110,21 @@ class ConfigurationManager {
 
   /**
    * Load existing configuration
+   * @throws {Error} If the config's roleWorkflow is invalid
    */
   async load() {
-    try {
-      const data = await fs.readJson(this.configPath);
+    const data = await this._storage().read('config');
+    if (data) {
+      this.roleWorkflow = RoleWorkflow.fromConfig(data[WORKFLOW_KEY]);
       this.config = data;
-      return data;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null;
-      }
-      throw error;
     }
+    return data;
   }
 
   /**
    * Save configuration
+   * Merged into the stored config under the storage lock, so settings other
+   * writers (e.g. TeamPack.save) keep in .leo.json are preserved.
    */
   async save() {
     if (!this.config) {
@@ -118,8 +132,10 @@ class ConfigurationManager {
     }
 
     this.config.updatedAt = new Date().toISOString();
-    await fs.ensureDir(path.dirname(this.configPath));
-    await fs.writeJson(this.configPath, this.config, { spaces: 2 });
+    this.config = await this._storage().update('config', stored => ({
+      ...(stored || {}),
+      ...this.config
+    }));
   }
 
   /**
@@ -129,6 +145,14 @@ class ConfigurationManager {
     return this.config;
   }
 
+  /**
+   * Get the pack's role workflow (built-in roles unless the config defines roleWorkflow)
+   * @returns {RoleWorkflow}
+   */
+  getRoleWorkflow() {
+    return this.roleWorkflow;
+  }
+
   /**
    * Add team member
    */
@@ -143,7 +167,7 @@ class ConfigurationManager {
     }
 
     // Validate role
-    const roleObj = RoleManager.getRole(role);
+    const roleObj = this.roleWorkflow.getRole(role);
     if (!roleObj) {
       throw new Error(`Invalid role: ${role}`);
     }
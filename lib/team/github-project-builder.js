@@ -7,6 +7,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { WorkflowMode } = require('./workflow-modes');
+const { createStorage } = require('../storage');
 
 /**
  * GitHub Project Builder
@@ -254,9 +255,10 @@ echo "   3. Team members watch their columns"
     const leoDir = path.join(projectPath, '.leo');
     await fs.ensureDir(leoDir);
 
-    // Save board config
-    const boardConfigPath = path.join(leoDir, 'board.json');
-    await fs.writeJson(boardConfigPath, {
+    // Save board config (merged, so fields other tools added to it are kept)
+    const storage = createStorage({ projectRoot: projectPath });
+    await storage.update('board', stored => ({
+      ...(stored || {}),
       teamSize: this.teamSize,
       mode: this.config.mode,
       repoOwner: this.repoOwner,
@@ -264,7 +266,7 @@ echo "   3. Team members watch their columns"
       columns: this.config.columns,
       memberMapping: WorkflowMode.mapMembersToColumns(this.teamSize, members),
       createdAt: new Date().toISOString()
-    }, { spaces: 2 });
+    }));
 
     // Save setup script
     const scriptPath = path.join(leoDir, 'setup-board.sh');
@@ -277,7 +279,7 @@ echo "   3. Team members watch their columns"
     await fs.writeFile(docPath, doc);
 
     return {
-      configFile: boardConfigPath,
+      configFile: storage.location('board'),
       scriptFile: scriptPath,
       docFile: docPath
     };
@@ -287,10 +289,8 @@ echo "   3. Team members watch their columns"
    * Load existing configuration
    */
   static async loadConfiguration(projectPath) {
-    const boardConfigPath = path.join(projectPath, '.leo', 'board.json');
-
     try {
-      return await fs.readJson(boardConfigPath);
+      return await createStorage({ projectRoot: projectPath }).read('board');
     } catch (error) {
       return null;
     }
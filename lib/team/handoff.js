@@ -1,9 +1,15 @@
 /**
  * UX Ingka Kit Handoff Engine
  * Manages automatic role-to-role transitions in hunt cycles
+ *
+ * Which handoffs are valid comes from the pack's role workflow (see
+ * role-workflow.js): the next phase of the hunt's sequence, an optional
+ * phase, a jump past skippable phases, or rework back to an earlier phase.
  */
 
-const { RoleManager } = require('./roles');
+const { RoleWorkflow } = require('./role-workflow');
+
+const DEFAULT_WORKFLOW = new RoleWorkflow();
 
 /**
  * Handoff Engine
@@ -20,8 +26,15 @@ class HandoffEngine {
    * @param {Object} context - Data to pass to next role
    */
   static async executeHandoff(tracker, pack, huntId, fromRole, toRole, context = {}) {
+    // Get hunt
+    const hunt = tracker.getHunt(huntId);
+    if (!hunt) {
+      throw new Error(`Hunt not found: ${huntId}`);
+    }
+
     // Validate handoff
-    this.validateHandoff(fromRole, toRole);
+    const workflow = pack.workflow || tracker.workflow;
+    const transition = this.validateHandoff(fromRole, toRole, { workflow, huntType: hunt.huntType });
 
     // Get target team member
     const toMember = pack.getMemberByRole(toRole);
@@ -30,20 +43,17 @@ class HandoffEngine {
       throw new Error(`No team member assigned to role: ${toRole}`);
     }
 
-    // Get hunt
-    const hunt = tracker.getHunt(huntId);
-    if (!hunt) {
-      throw new Error(`Hunt not found: ${huntId}`);
-    }
-
     // Transition hunt
+    const fromMember = hunt.currentRole;
     await tracker.transitionHunt(huntId, toRole, toMember.username);
 
     // Create handoff record
     const handoff = {
       fromRole,
       toRole,
-      fromMember: hunt.currentRole,
+      kind: transition.kind,
+      skipped: transition.skipped,
+      fromMember,
       toMember: toMember.username,
       timestamp: new Date().toISOString(),
       context
@@ -53,24 +63,34 @@ class HandoffEngine {
   }
 
   /**
-   * Validate handoff is correct sequence
+   * Validate handoff is allowed by the role workflow
+   * @param {string} fromRole
+   * @param {string} toRole
+   * @param {Object} options
+   * @param {RoleWorkflow} options.workflow - Pack's role workflow (default: built-in roles in order)
+   * @param {string} options.huntType - Hunt type (default: the workflow's default)
+   * @returns {Object} The transition ({ role, kind, skipped })
    */
-  static validateHandoff(fromRole, toRole) {
-    const nextExpected = RoleManager.getNextRole(fromRole);
+  static validateHandoff(fromRole, toRole, options = {}) {
+    const workflow = options.workflow || DEFAULT_WORKFLOW;
+    const huntType = options.huntType || undefined;
+    const transition = workflow.getTransition(fromRole, toRole, huntType);
 
-    if (!nextExpected || nextExpected.id !== toRole) {
+    if (!transition) {
       throw new Error(
-        `Invalid handoff: ${fromRole} → ${toRole}. Expected ${fromRole} → ${nextExpected?.id}`
+        `Invalid handoff: ${fromRole} → ${toRole}. Allowed from ${fromRole}: ${workflow.describeTransitions(fromRole, huntType)}`
       );
     }
+
+    return transition;
   }
 
   /**
    * Format handoff notification
    */
-  static formatHandoffNotification(fromRole, toRole, huntId, huntName) {
-    const fromRoleInfo = RoleManager.getRole(fromRole);
-    const toRoleInfo = RoleManager.getRole(toRole);
+  static formatHandoffNotification(fromRole, toRole, huntId, huntName, workflow = DEFAULT_WORKFLOW) {
+    const fromRoleInfo = workflow.getRole(fromRole);
+    const toRoleInfo = workflow.getRole(toRole);
 
     return `
 🤝 **Handoff: ${huntName}**
@@ -87,8 +107,8 @@ Your turn to hunt! 🦁
   /**
    * Generate handoff summary
    */
-  static generateHandoffSummary(hunt, toRole) {
-    const toRoleInfo = RoleManager.getRole(toRole);
+  static generateHandoffSummary(hunt, toRole, workflow = DEFAULT_WORKFLOW) {
+    const toRoleInfo = workflow.getRole(toRole);
     const prevPhase = hunt.phaseHistory[hunt.phaseHistory.length - 2];
 
     const summary = {
@@ -106,18 +126,20 @@ Your turn to hunt! 🦁
 
   /**
    * Get handoff workflow sequence
-   * Returns the full sequence of handoffs needed
+   * Returns the full sequence of handoffs needed (optional phases left out)
    */
-  static getWorkflowSequence() {
-    const sequence = RoleManager.getSequence();
+  static getWorkflowSequence(workflow = DEFAULT_WORKFLOW, huntType) {
+    const sequence = workflow.getSteps(huntType)
+      .filter(step => !step.optional)
+      .map(step => step.role);
     const handoffs = [];
 
     for (let i = 0; i < sequence.length - 1; i++) {
       handoffs.push({
         from: sequence[i],
         to: sequence[i + 1],
-        fromRole: RoleManager.getRole(sequence[i]),
-        toRole: RoleManager.getRole(sequence[i + 1])
+        fromRole: workflow.getRole(sequence[i]),
+        toRole: workflow.getRole(sequence[i + 1])
       });
     }
 
@@ -127,7 +149,7 @@ Your turn to hunt! 🦁
   /**
    * Check if hunt can proceed to next phase
    */
-  static canProceedToNextPhase(hunt, nextRole) {
+  static canProceedToNextPhase(hunt, nextRole, workflow = DEFAULT_WORKFLOW) {
     // Hunt must be in-progress
     if (hunt.status !== 'in-progress') {
       return false;
@@ -140,7 +162,7 @@ Your turn to hunt! 🦁
 
     // Next role must be valid sequence
     try {
-      this.validateHandoff(hunt.currentPhase, nextRole);
+      this.validateHandoff(hunt.currentPhase, nextRole, { workflow, huntType: hunt.huntType });
       return true;
     } catch (error) {
       return false;
@@ -151,8 +173,8 @@ Your turn to hunt! 🦁
    * Simulate handoff without persisting
    * Useful for validation or testing
    */
-  static simulateHandoff(hunt, toRole) {
-    if (!this.canProceedToNextPhase(hunt, toRole)) {
+  static simulateHandoff(hunt, toRole, workflow = DEFAULT_WORKFLOW) {
+    if (!this.canProceedToNextPhase(hunt, toRole, workflow)) {
       return {
         success: false,
         reason: 'Hunt cannot proceed to next phase'
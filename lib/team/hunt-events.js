@@ -0,0 +1,194 @@
+/**
+ * UX Ingka Kit Hunt Event Log
+ * Append-only record of every hunt mutation
+ *
+ * Each change to a hunt (created, updated, phase advanced, blocked,
+ * unblocked, reassigned, completed) is stored as an event with the member who made it.
+ * Events are only ever appended; a hunt's current state is derived by
+ * replaying its events in order (see HuntCycle.apply).
+ *
+ * Event shape:
+ *   { id, huntId, type, at, actor, ...fields }
+ *
+ * phase_advanced events carry the transition `kind` from the pack's role
+ * workflow (next, optional, skip or back) and the phases `skipped`.
+ *
+ * A hunt's version is the number of events recorded for it. Appends can
+ * name the version each hunt had when the writer loaded it, and are
+ * rejected (HUNT_CONFLICT) when another process has recorded events for
+ * that hunt since, so a stale copy never overwrites someone else's change.
+ *
+ * @module lib/team/hunt-events
+ */
+
+const os = require('os');
+const { createStorage } = require('../storage');
+
+const HUNT_EVENTS_KEY = 'hunt-events';
+
+const EVENT_TYPES = {
+  created: { emoji: '🆕', label: 'Created' },
+  updated: { emoji: '✏️', label: 'Updated' },
+  phase_advanced: { emoji: '▶️', label: 'Phase advanced' },
+  blocked: { emoji: '⛔', label: 'Blocked' },
+  unblocked: { emoji: '🔓', label: 'Unblocked' },
+  reassigned: { emoji: '🔁', label: 'Reassigned' },
+  completed: { emoji: '✅', label: 'Completed' }
+};
+
+/**
+ * OS user name, used as the actor when none is given
+ */
+function defaultActor() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return 'local';
+  }
+}
+
+/**
+ * Error for an append based on an outdated copy of a hunt
+ */
+function conflictError(huntIds) {
+  const error = new Error(`Hunt ${huntIds.join(', ')} was changed by another process - reload and try again`);
+  error.code = 'HUNT_CONFLICT';
+  error.status = 409;
+  error.huntIds = huntIds;
+  return error;
+}
+
+/**
+ * Number of events recorded per hunt
+ *
+ * @param {Object[]} events - Hunt events
+ * @returns {Map<string, number>} Versions keyed by hunt ID
+ */
+function countEvents(events) {
+  const versions = new Map();
+  events.forEach(event => versions.set(event.huntId, (versions.get(event.huntId) || 0) + 1));
+  return versions;
+}
+
+/**
+ * Create an event
+ *
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {string} huntId - Hunt ID
+ * @param {Object} fields - Type-specific fields (phase, assignee, reason, ...)
+ * @param {Object} options - Event options
+ * @param {string} options.actor - Who made the change (default: OS user)
+ * @param {string} options.at - ISO timestamp (default: now)
+ * @returns {Object} Event
+ */
+function createEvent(type, huntId, fields = {}, options = {}) {
+  if (!EVENT_TYPES[type]) {
+    throw new Error(`Unknown hunt event type: ${type}`);
+  }
+
+  return {
+    id: `evt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    huntId,
+    type,
+    at: options.at || new Date().toISOString(),
+    actor: options.actor || defaultActor(),
+    ...fields
+  };
+}
+
+/**
+ * One-line description of an event for audit trails
+ *
+ * @param {Object} event - Event
+ * @returns {string}
+ */
+function describeEvent(event) {
+  const { emoji, label } = EVENT_TYPES[event.type] || { emoji: '•', label: event.type };
+
+  switch (event.type) {
+    case 'created':
+      return `${emoji} ${label}: ${event.featureName}`;
+    case 'phase_advanced': {
+      const assignee = event.assignee ? ` (@${event.assignee})` : '';
+      const skipped = event.skipped && event.skipped.length > 0 ? ` - skipped ${event.skipped.join(', ')}` : '';
+      if (event.kind === 'back') {
+        return `↩️ Sent back: ${event.from} → ${event.phase}${assignee}`;
+      }
+      return `${emoji} ${label}: ${event.from || 'start'} → ${event.phase}${assignee}${skipped}`;
+    }
+    case 'updated':
+      return `${emoji} ${label}: ${['featureName', 'description', 'priority'].filter(field => field in event).join(', ')}`;
+    case 'blocked':
+      return `${emoji} ${label}${event.reason ? `: ${event.reason}` : ''}`;
+    case 'reassigned':
+      return `${emoji} ${label}: ${event.from ? `@${event.from}` : 'unassigned'} → @${event.assignee}`;
+    default:
+      return `${emoji} ${label}`;
+  }
+}
+
+/**
+ * Hunt Event Log
+ * Reads and appends hunt events through the project storage
+ */
+class HuntEventLog {
+  /**
+   * @param {Object} options - Log options
+   * @param {string} options.projectPath - Project path (default: '.')
+   * @param {Object} options.storage - Storage adapter (default: the project's, see lib/storage)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || createStorage({ projectRoot: options.projectPath || '.' });
+  }
+
+  /**
+   * Append events
+   * Existing events are never rewritten; events appended by another process
+   * in the meantime are kept.
+   * @param {Object[]} events - Events to append
+   * @param {Object} options - Append options
+   * @param {Object} options.baseVersions - Version of each hunt the events were made against ({ huntId: version })
+   * @returns {Promise<void>}
+   * @throws {Error} HUNT_CONFLICT (status 409) if a hunt in baseVersions has moved on; nothing is appended
+   */
+  async append(events, options = {}) {
+    if (events.length === 0) return;
+
+    for (const event of events) {
+      if (!EVENT_TYPES[event.type]) {
+        throw new Error(`Unknown hunt event type: ${event.type}`);
+      }
+    }
+
+    const baseVersions = options.baseVersions || {};
+    await this.storage.update(HUNT_EVENTS_KEY, stored => {
+      const versions = countEvents(stored || []);
+      const stale = Object.keys(baseVersions).filter(huntId => (versions.get(huntId) || 0) !== baseVersions[huntId]);
+      if (stale.length > 0) {
+        throw conflictError(stale);
+      }
+
+      return [...(stored || []), ...events];
+    });
+  }
+
+  /**
+   * Read events, oldest first
+   * @param {string} huntId - Only this hunt's events (optional)
+   * @returns {Promise<Object[]>}
+   */
+  async read(huntId) {
+    const events = (await this.storage.read(HUNT_EVENTS_KEY)) || [];
+    return huntId ? events.filter(event => event.huntId === huntId) : events;
+  }
+}
+
+module.exports = {
+  HuntEventLog,
+  HUNT_EVENTS_KEY,
+  EVENT_TYPES,
+  createEvent,
+  countEvents,
+  describeEvent,
+  defaultActor
+};
@@ -3,9 +3,10 @@
  * Manages team structure, members, and configuration
  */
 
-const fs = require('fs-extra');
-const path = require('path');
-const { RoleManager } = require('./roles');
+const { RoleWorkflow } = require('./role-workflow');
+const { createStorage } = require('../storage');
+
+const CONFIG_KEY = 'config';
 
 /**
  * TeamPack Configuration Schema
@@ -19,6 +20,7 @@ class TeamPackConfig {
 
     this.members = [];
     this.roles = {};
+    this.roleWorkflow = null; // custom roles and hunt sequences (see role-workflow.js)
 
     this.config = {
       autoHandoff: true,
@@ -32,11 +34,29 @@ class TeamPackConfig {
     this.updatedAt = new Date().toISOString();
   }
 
+  /**
+   * Role workflow of this pack
+   * @returns {RoleWorkflow}
+   */
+  getWorkflow() {
+    return RoleWorkflow.fromConfig(this.roleWorkflow || undefined);
+  }
+
+  /**
+   * Throw unless the role exists in this pack's role workflow
+   * @private
+   */
+  _requireRole(role) {
+    if (!this.getWorkflow().validateRole(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+  }
+
   /**
    * Add member to pack
    */
   addMember(username, role) {
-    RoleManager.validateRole(role);
+    this._requireRole(role);
 
     const member = {
       id: this.members.length + 1,
@@ -97,7 +117,7 @@ class TeamPackConfig {
       throw new Error(`Member not found: ${username}`);
     }
 
-    RoleManager.validateRole(newRole);
+    this._requireRole(newRole);
 
     const oldRole = member.role;
     member.role = newRole;
@@ -124,6 +144,7 @@ class TeamPackConfig {
       members: this.members,
       roles: this.roles,
       config: this.config,
+      ...(this.roleWorkflow && { roleWorkflow: this.roleWorkflow }),
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -143,6 +164,7 @@ class TeamPackConfig {
     pack.members = data.members || [];
     pack.roles = data.roles || {};
     pack.config = { ...pack.config, ...data.config };
+    pack.roleWorkflow = data.roleWorkflow || null;
     pack.createdAt = data.createdAt;
     pack.updatedAt = data.updatedAt;
 
@@ -157,32 +179,29 @@ class TeamPackConfig {
 class TeamPack {
   /**
    * Initialize new team pack
+   * @throws {Error} If the config's roleWorkflow is invalid
    */
   constructor(config) {
     this.config = config;
     this.packName = config.packName;
     this.organization = config.organization;
     this.repository = config.repository;
+    this.workflow = RoleWorkflow.fromConfig(config.roleWorkflow || undefined);
   }
 
   /**
-   * Load pack from .leo.json
+   * Load pack from the project config (.leo.json with the file storage)
    */
   static async load(projectPath = '.') {
-    const configPath = path.join(projectPath, '.leo.json');
+    const data = await createStorage({ projectRoot: projectPath }).read(CONFIG_KEY);
 
-    try {
-      const data = await fs.readJson(configPath);
-      const config = TeamPackConfig.fromJSON(data);
-      return new TeamPack(config);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error(
-          'Pack not initialized. Run "ux-ingka team init" first.'
-        );
-      }
-      throw error;
+    if (!data) {
+      throw new Error(
+        'Pack not initialized. Run "ux-ingka team init" first.'
+      );
     }
+
+    return new TeamPack(TeamPackConfig.fromJSON(data));
   }
 
   /**
@@ -198,11 +217,14 @@ class TeamPack {
 
   /**
    * Save pack configuration
+   * Merged into the stored config so settings written by ConfigurationManager
+   * (workflow, github, ...) are kept.
    */
   async save(projectPath = '.') {
-    const configPath = path.join(projectPath, '.leo.json');
-    await fs.ensureDir(path.dirname(configPath));
-    await fs.writeJson(configPath, this.config.toJSON(), { spaces: 2 });
+    await createStorage({ projectRoot: projectPath }).update(CONFIG_KEY, stored => ({
+      ...(stored || {}),
+      ...this.config.toJSON()
+    }));
   }
 
   /**
@@ -240,6 +262,17 @@ class TeamPack {
     return this.config.assignRole(username, newRole);
   }
 
+  /**
+   * Replace the pack's custom roles and hunt sequences
+   * @param {Object} definition - roleWorkflow (see role-workflow.js), or null for the built-in roles
+   * @throws {Error} If the definition is invalid
+   */
+  setRoleWorkflow(definition) {
+    this.workflow = RoleWorkflow.fromConfig(definition || undefined);
+    this.config.roleWorkflow = definition || null;
+    this.config.updatedAt = new Date().toISOString();
+  }
+
   /**
    * Get all members
    */
@@ -255,19 +288,17 @@ class TeamPack {
   }
 
   /**
-   * Check if team is complete (all 4 roles filled)
+   * Check if team is complete (every required role filled; optional phases need no one)
    */
   isComplete() {
-    const sequence = RoleManager.getSequence();
-    return sequence.every(roleId => this.config.roles[roleId]);
+    return this.getMissingRoles().length === 0;
   }
 
   /**
    * Get missing roles
    */
   getMissingRoles() {
-    const sequence = RoleManager.getSequence();
-    return sequence.filter(roleId => !this.config.roles[roleId]);
+    return this.workflow.getRequiredRoles().filter(roleId => !this.config.roles[roleId]);
   }
 
   /**
@@ -276,8 +307,8 @@ class TeamPack {
   getDisplayString() {
     return this.config.members
       .map(m => {
-        const role = RoleManager.getRole(m.role);
-        return `${role.emoji} ${m.username} (${role.name})`;
+        const role = this.workflow.getRole(m.role);
+        return role ? `${role.emoji} ${m.username} (${role.name})` : `❓ ${m.username} (${m.role})`;
       })
       .join('\n  ');
   }
@@ -0,0 +1,482 @@
+/**
+ * UX Ingka Kit Role Workflow
+ * Pack-specific roles and hunt sequences
+ *
+ * A pack can extend the built-in roles (see roles.js) and define how hunts
+ * move between them, under `roleWorkflow` in its config (.leo.json):
+ *
+ *   "roleWorkflow": {
+ *     "roles": {
+ *       "design-review": {
+ *         "label": "Design Reviewer",
+ *         "emoji": "🎨",
+ *         "responsibilities": ["Review flows against Skapa"],
+ *         "keywordTriggers": ["design review", "figma"],
+ *         "estimatedDuration": "2-4 hours"
+ *       }
+ *     },
+ *     "sequences": {
+ *       "feature": ["requirements", "spec", { "role": "design-review", "optional": true }, "implementation", "testing"],
+ *       "bug": ["requirements", { "role": "spec", "skippable": true }, "implementation", "testing"]
+ *     },
+ *     "defaultHuntType": "feature",
+ *     "backwardTransitions": { "testing": ["implementation"] }
+ *   }
+ *
+ * - optional phases are passed over when a hunt advances, and only run when a
+ *   hunt is moved into them explicitly
+ * - skippable phases run by default, but a hunt may jump over them
+ * - backwardTransitions lists the earlier phases each phase may send work back to
+ *
+ * Without `roleWorkflow`, every hunt follows the built-in roles in order with
+ * no skips or rework - the same chain RoleManager describes.
+ *
+ * @module lib/team/role-workflow
+ */
+
+const { ROLES, RoleManager, parseEstimatedDuration, matchRoleByKeyword } = require('./roles');
+
+const WORKFLOW_KEY = 'roleWorkflow';
+const CONFIG_KEY = 'config';
+const DEFAULT_HUNT_TYPE = 'default';
+
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const WORKFLOW_FIELDS = ['roles', 'sequences', 'defaultHuntType', 'backwardTransitions'];
+const ROLE_FIELDS = ['label', 'name', 'emoji', 'description', 'color', 'responsibilities', 'keywordTriggers', 'estimatedDuration'];
+const STEP_FIELDS = ['role', 'optional', 'skippable'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+
+/**
+ * Normalize a sequence step to { role, optional, skippable }
+ */
+function normalizeStep(step) {
+  if (typeof step === 'string') {
+    return { role: step, optional: false, skippable: false };
+  }
+  return {
+    role: step.role,
+    optional: Boolean(step.optional),
+    skippable: Boolean(step.skippable)
+  };
+}
+
+/**
+ * Validate a roleWorkflow definition
+ *
+ * @param {Object} definition - roleWorkflow from the pack config
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateRoleWorkflow(definition) {
+  if (definition === undefined || definition === null) return [];
+  if (!isObject(definition)) return ['roleWorkflow must be an object'];
+
+  const errors = [];
+
+  Object.keys(definition)
+    .filter(key => !WORKFLOW_FIELDS.includes(key))
+    .forEach(key => errors.push(`Unknown setting "${key}" (expected: ${WORKFLOW_FIELDS.join(', ')})`));
+
+  // Roles
+  const roles = definition.roles || {};
+  if (!isObject(roles)) {
+    errors.push('roles must be an object keyed by role ID');
+  } else {
+    Object.entries(roles).forEach(([id, role]) => {
+      const where = `Role "${id}"`;
+
+      if (!ID_PATTERN.test(id)) {
+        errors.push(`${where}: ID must be lowercase letters, digits and dashes`);
+      }
+      if (!isObject(role)) {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+
+      Object.keys(role)
+        .filter(key => !ROLE_FIELDS.includes(key))
+        .forEach(key => errors.push(`${where}: unknown field "${key}"`));
+
+      if (!ROLES[id] && typeof (role.label || role.name) !== 'string') {
+        errors.push(`${where}: label is required for a custom role`);
+      }
+      ['label', 'name', 'emoji', 'description', 'color'].forEach(field => {
+        if (role[field] !== undefined && typeof role[field] !== 'string') {
+          errors.push(`${where}: ${field} must be a string`);
+        }
+      });
+      ['responsibilities', 'keywordTriggers'].forEach(field => {
+        if (role[field] !== undefined && !isStringList(role[field])) {
+          errors.push(`${where}: ${field} must be a list of strings`);
+        }
+      });
+      if (role.estimatedDuration !== undefined && !parseEstimatedDuration(role.estimatedDuration)) {
+        errors.push(`${where}: estimatedDuration "${role.estimatedDuration}" is not a duration like "2-4 hours"`);
+      }
+    });
+  }
+
+  const isKnownRole = id => Boolean(ROLES[id] || (isObject(roles) && roles[id]));
+
+  // Sequences
+  const sequences = definition.sequences;
+  const normalized = {};
+  if (sequences !== undefined) {
+    if (!isObject(sequences) || Object.keys(sequences).length === 0) {
+      errors.push('sequences must be an object with at least one hunt type');
+    } else {
+      Object.entries(sequences).forEach(([type, steps]) => {
+        const where = `Sequence "${type}"`;
+
+        if (!ID_PATTERN.test(type)) {
+          errors.push(`${where}: hunt type must be lowercase letters, digits and dashes`);
+        }
+        if (!Array.isArray(steps) || steps.length === 0) {
+          errors.push(`${where}: must be a non-empty list of phases`);
+          return;
+        }
+
+        const seen = new Set();
+        const valid = [];
+        steps.forEach((step, index) => {
+          if (typeof step !== 'string' && !isObject(step)) {
+            errors.push(`${where}: phase ${index + 1} must be a role ID or { role, optional, skippable }`);
+            return;
+          }
+          if (isObject(step)) {
+            Object.keys(step)
+              .filter(key => !STEP_FIELDS.includes(key))
+              .forEach(key => errors.push(`${where}: phase ${index + 1} has unknown field "${key}"`));
+            ['optional', 'skippable'].forEach(flag => {
+              if (step[flag] !== undefined && typeof step[flag] !== 'boolean') {
+                errors.push(`${where}: ${flag} must be true or false`);
+              }
+            });
+          }
+
+          const { role } = normalizeStep(step);
+          if (!isKnownRole(role)) {
+            errors.push(`${where}: unknown role "${role}"`);
+          } else if (seen.has(role)) {
+            errors.push(`${where}: role "${role}" appears more than once`);
+          } else {
+            seen.add(role);
+            valid.push(normalizeStep(step));
+          }
+        });
+
+        if (valid.length > 0 && valid.every(step => step.optional)) {
+          errors.push(`${where}: needs at least one phase that is not optional`);
+        }
+        normalized[type] = valid;
+      });
+    }
+  }
+
+  // Default hunt type
+  if (definition.defaultHuntType !== undefined) {
+    const types = sequences !== undefined && isObject(sequences) ? Object.keys(sequences) : [DEFAULT_HUNT_TYPE];
+    if (!types.includes(definition.defaultHuntType)) {
+      errors.push(`defaultHuntType "${definition.defaultHuntType}" has no sequence (available: ${types.join(', ')})`);
+    }
+  }
+
+  // Backward transitions
+  const backward = definition.backwardTransitions;
+  if (backward !== undefined) {
+    if (!isObject(backward)) {
+      errors.push('backwardTransitions must map a role ID to the roles it can send work back to');
+    } else {
+      const sequenceLists = sequences !== undefined
+        ? Object.values(normalized).map(steps => steps.map(step => step.role))
+        : [RoleManager.getSequence()];
+
+      Object.entries(backward).forEach(([from, targets]) => {
+        const where = `backwardTransitions "${from}"`;
+
+        if (!isKnownRole(from)) {
+          errors.push(`${where}: unknown role "${from}"`);
+          return;
+        }
+        if (!isStringList(targets)) {
+          errors.push(`${where}: must be a list of role IDs`);
+          return;
+        }
+
+        targets.forEach(to => {
+          if (!isKnownRole(to)) {
+            errors.push(`${where}: unknown role "${to}"`);
+          } else if (!sequenceLists.some(list => list.includes(to) && list.indexOf(to) < list.indexOf(from))) {
+            errors.push(`${where}: "${to}" never comes before "${from}" in a sequence`);
+          }
+        });
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Role Workflow
+ * The roles and sequences hunts of one pack follow; same lookups as RoleManager
+ */
+class RoleWorkflow {
+  /**
+   * @param {Object} definition - Validated roleWorkflow (use RoleWorkflow.fromConfig for config data)
+   */
+  constructor(definition = {}) {
+    this.definition = definition;
+
+    const builtInOrder = RoleManager.getSequence();
+    this.sequences = definition.sequences
+      ? Object.fromEntries(Object.entries(definition.sequences).map(([type, steps]) => [type, steps.map(normalizeStep)]))
+      : { [DEFAULT_HUNT_TYPE]: builtInOrder.map(role => normalizeStep(role)) };
+    this.defaultHuntType = definition.defaultHuntType || Object.keys(this.sequences)[0];
+    this.backwardTransitions = definition.backwardTransitions || {};
+
+    // Built-in roles, with pack overrides, then custom roles in sequence order
+    const order = [...builtInOrder];
+    Object.values(this.sequences).forEach(steps => steps.forEach(({ role }) => {
+      if (!order.includes(role)) order.push(role);
+    }));
+    Object.keys(definition.roles || {}).forEach(id => {
+      if (!order.includes(id)) order.push(id);
+    });
+
+    this.roles = {};
+    order.forEach((id, index) => {
+      const base = ROLES[id] || {};
+      const custom = (definition.roles || {})[id] || {};
+
+      this.roles[id] = {
+        ...base,
+        id,
+        name: custom.label || custom.name || base.name,
+        emoji: custom.emoji || base.emoji || '🔹',
+        description: custom.description || base.description || '',
+        color: custom.color || base.color || '#999999',
+        gitHubLabel: base.gitHubLabel || `role-${id}`,
+        estimatedDuration: custom.estimatedDuration || base.estimatedDuration || null,
+        responsibilities: custom.responsibilities || base.responsibilities || [],
+        keywordTriggers: custom.keywordTriggers || base.keywordTriggers || [],
+        sequenceOrder: index + 1,
+        custom: !ROLES[id]
+      };
+    });
+  }
+
+  /**
+   * Validate and build the workflow from a pack config's roleWorkflow
+   * @param {Object} definition - roleWorkflow (may be undefined)
+   * @returns {RoleWorkflow}
+   * @throws {Error} Listing every problem found
+   */
+  static fromConfig(definition) {
+    const errors = validateRoleWorkflow(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${WORKFLOW_KEY} in pack config:\n  - ${errors.join('\n  - ')}`);
+    }
+    return new RoleWorkflow(definition || {});
+  }
+
+  /**
+   * Get role by ID
+   * @param {string} roleId
+   * @returns {Object|null}
+   */
+  getRole(roleId) {
+    return this.roles[roleId] || null;
+  }
+
+  /**
+   * Get all roles, built-in first, then custom roles
+   * @returns {Object[]}
+   */
+  getAllRoles() {
+    return Object.values(this.roles);
+  }
+
+  /**
+   * Validate role exists
+   * @param {string} roleId
+   * @returns {boolean}
+   */
+  validateRole(roleId) {
+    return typeof roleId === 'string' && Boolean(this.roles[roleId]);
+  }
+
+  /**
+   * Find role by keyword trigger (for AI routing)
+   * @param {string} text - Text containing keywords
+   * @returns {Object|null}
+   */
+  findRoleByKeyword(text) {
+    return matchRoleByKeyword(this.getAllRoles(), text);
+  }
+
+  /**
+   * SLA threshold for a role's phase (upper bound of its estimatedDuration)
+   * @param {string} roleId
+   * @returns {number|null} Minutes
+   */
+  getSlaMinutes(roleId) {
+    const role = this.getRole(roleId);
+    const estimate = role && parseEstimatedDuration(role.estimatedDuration);
+    return estimate ? estimate.max : null;
+  }
+
+  /**
+   * Hunt types with a sequence
+   * @returns {string[]}
+   */
+  getHuntTypes() {
+    return Object.keys(this.sequences);
+  }
+
+  /**
+   * Phases of a hunt type
+   * @param {string} huntType - Hunt type (default: defaultHuntType)
+   * @returns {Object[]} Steps ({ role, optional, skippable })
+   */
+  getSteps(huntType) {
+    const type = huntType || this.defaultHuntType;
+    const steps = this.sequences[type];
+    if (!steps) {
+      throw new Error(`Unknown hunt type: ${type} (available: ${this.getHuntTypes().join(', ')})`);
+    }
+    return steps;
+  }
+
+  /**
+   * Role IDs of a hunt type, in order
+   * @param {string} huntType - Hunt type (default: defaultHuntType)
+   * @returns {string[]}
+   */
+  getSequence(huntType) {
+    return this.getSteps(huntType).map(step => step.role);
+  }
+
+  /**
+   * Roles a pack needs members for: every phase that is not optional
+   * @returns {string[]}
+   */
+  getRequiredRoles() {
+    const required = [];
+    Object.values(this.sequences).forEach(steps => steps.forEach(step => {
+      if (!step.optional && !required.includes(step.role)) required.push(step.role);
+    }));
+    return required;
+  }
+
+  /**
+   * Phase a hunt moves to when it simply advances (optional phases are passed over)
+   * @param {string|null} roleId - Current phase (null before the first one)
+   * @param {string} huntType - Hunt type
+   * @returns {string|null} Next role ID or null if last
+   */
+  getNextRole(roleId, huntType) {
+    const steps = this.getSteps(huntType);
+    const index = roleId ? steps.findIndex(step => step.role === roleId) : -1;
+    const next = steps.slice(index + 1).find(step => !step.optional);
+    return next ? next.role : null;
+  }
+
+  /**
+   * Every phase a hunt may move to from its current phase
+   * @param {string|null} roleId - Current phase (null before the first one)
+   * @param {string} huntType - Hunt type
+   * @returns {Object[]} { role, kind: 'next'|'optional'|'skip'|'back', skipped: role IDs passed over }
+   */
+  getTransitions(roleId, huntType) {
+    const steps = this.getSteps(huntType);
+    const index = roleId ? steps.findIndex(step => step.role === roleId) : -1;
+    if (roleId && index < 0) return [];
+
+    const transitions = [];
+    const skipped = [];
+    const nextRole = this.getNextRole(roleId, huntType);
+
+    // Forward: any later phase reachable by passing over optional or skippable
+    // phases; only skippable ones count as skipped, optional ones never run unasked
+    for (const step of steps.slice(index + 1)) {
+      let kind = 'skip';
+      if (step.role === nextRole) kind = 'next';
+      else if (step.optional && skipped.length === 0) kind = 'optional';
+
+      transitions.push({ role: step.role, kind, skipped: [...skipped] });
+      if (!step.optional && !step.skippable) break;
+      if (!step.optional) skipped.push(step.role);
+    }
+
+    // Backward: rework
+    (this.backwardTransitions[roleId] || []).forEach(role => {
+      const target = steps.findIndex(step => step.role === role);
+      if (target >= 0 && target < index) {
+        transitions.push({ role, kind: 'back', skipped: [] });
+      }
+    });
+
+    return transitions;
+  }
+
+  /**
+   * Transition from one phase to another, if allowed
+   * @param {string|null} fromRole - Current phase
+   * @param {string} toRole - Target phase
+   * @param {string} huntType - Hunt type
+   * @returns {Object|null} Transition (see getTransitions) or null
+   */
+  getTransition(fromRole, toRole, huntType) {
+    return this.getTransitions(fromRole, huntType).find(t => t.role === toRole) || null;
+  }
+
+  /**
+   * Describe the allowed transitions for error messages
+   * @param {string|null} fromRole - Current phase
+   * @param {string} huntType - Hunt type
+   * @returns {string}
+   */
+  describeTransitions(fromRole, huntType) {
+    const transitions = this.getTransitions(fromRole, huntType);
+    if (transitions.length === 0) return 'none';
+    return transitions
+      .map(t => (t.kind === 'next' ? t.role : `${t.role} (${t.kind})`))
+      .join(', ');
+  }
+
+  /**
+   * The roleWorkflow definition, for the pack config
+   */
+  toJSON() {
+    return this.definition;
+  }
+}
+
+/**
+ * Load the role workflow from the pack config in storage
+ * A missing or unreadable config gives the built-in workflow; an invalid
+ * roleWorkflow throws, so a broken config is never silently ignored.
+ *
+ * @param {Object} storage - Storage adapter (see lib/storage)
+ * @returns {Promise<RoleWorkflow>}
+ */
+async function loadRoleWorkflow(storage) {
+  let config = null;
+  try {
+    config = await storage.read(CONFIG_KEY);
+  } catch (error) {
+    config = null;
+  }
+
+  return RoleWorkflow.fromConfig(config ? config[WORKFLOW_KEY] : undefined);
+}
+
+module.exports = {
+  RoleWorkflow,
+  validateRoleWorkflow,
+  loadRoleWorkflow,
+  WORKFLOW_KEY,
+  DEFAULT_HUNT_TYPE
+};
@@ -195,6 +195,93 @@ const ROLES = {
   }
 };
 
+/**
+ * Minutes per unit in estimatedDuration strings
+ */
+const DURATION_UNITS = {
+  minute: 1,
+  hour: 60,
+  day: 24 * 60,
+  week: 7 * 24 * 60
+};
+
+/**
+ * Parse an estimated duration such as '2-4 hours' or '1-3 days per task'
+ * @param {string} text - Estimated duration
+ * @returns {Object|null} { min, max } in minutes, or null if not understood
+ */
+function parseEstimatedDuration(text) {
+  const match = /(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(minute|hour|day|week)s?/i.exec(text || '');
+  if (!match) return null;
+
+  const unit = DURATION_UNITS[match[3].toLowerCase()];
+  return {
+    min: Math.round(parseFloat(match[1]) * unit),
+    max: Math.round(parseFloat(match[2] || match[1]) * unit)
+  };
+}
+
+/**
+ * Find the role whose keyword triggers best match a text
+ * @param {Object[]} roles - Roles to search (with keywordTriggers and sequenceOrder)
+ * @param {string} text - Text containing keywords
+ * @returns {Object|null} Matching role or null
+ */
+function matchRoleByKeyword(roles, text) {
+  if (!text) return null;
+
+  const lowerText = text.toLowerCase();
+  const matches = [];
+
+  // Find all matching roles and count matches
+  for (const role of roles) {
+    let exactMatches = 0;
+    let partialMatches = 0;
+
+    for (const trigger of role.keywordTriggers) {
+      const lowerTrigger = trigger.toLowerCase();
+
+      // Check for exact match (input equals trigger)
+      if (lowerText === lowerTrigger) {
+        exactMatches++;
+        continue;
+      }
+
+      // Check for phrase match (input contains full trigger)
+      if (lowerText.includes(lowerTrigger)) {
+        partialMatches++;
+        continue;
+      }
+
+      // Check for word match (trigger contains input as complete word)
+      const escapedInput = lowerText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (new RegExp(`\\b${escapedInput}\\b`).test(lowerTrigger)) {
+        partialMatches++;
+      }
+    }
+
+    if (exactMatches > 0 || partialMatches > 0) {
+      matches.push({ role, exactMatches, partialMatches });
+    }
+  }
+
+  if (matches.length === 0) return null;
+
+  // Return role with most matches, prioritizing exact over partial
+  // Sort by: exact matches desc, partial matches desc, sequence order asc
+  matches.sort((a, b) => {
+    if (b.exactMatches !== a.exactMatches) {
+      return b.exactMatches - a.exactMatches;
+    }
+    if (b.partialMatches !== a.partialMatches) {
+      return b.partialMatches - a.partialMatches;
+    }
+    return a.role.sequenceOrder - b.role.sequenceOrder;
+  });
+
+  return matches[0].role;
+}
+
 /**
  * Role Manager
  * Centralized management of team roles and routing
@@ -247,56 +334,7 @@ class RoleManager {
    * @returns {Object|null} Matching role or null
    */
   static findRoleByKeyword(text) {
-    if (!text) return null;
-
-    const lowerText = text.toLowerCase();
-    const matches = [];
-
-    // Find all matching roles and count matches
-    for (const role of Object.values(ROLES)) {
-      let exactMatches = 0;
-      let partialMatches = 0;
-
-      for (const trigger of role.keywordTriggers) {
-        const lowerTrigger = trigger.toLowerCase();
-
-        // Check for exact match (input equals trigger)
-        if (lowerText === lowerTrigger) {
-          exactMatches++;
-          continue;
-        }
-
-        // Check for phrase match (input contains full trigger)
-        if (lowerText.includes(lowerTrigger)) {
-          partialMatches++;
-          continue;
-        }
-
-        // Check for word match (trigger contains input as complete word)
-        const escapedInput = lowerText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        if (new RegExp(`\\b${escapedInput}\\b`).test(lowerTrigger)) {
-          partialMatches++;
-        }
-      }
-
-      if (exactMatches > 0 || partialMatches > 0) {
-        matches.push({ role, exactMatches, partialMatches });
-      }
-    }    if (matches.length === 0) return null;
-
-    // Return role with most matches, prioritizing exact over partial
-    // Sort by: exact matches desc, partial matches desc, sequence order asc
-    matches.sort((a, b) => {
-      if (b.exactMatches !== a.exactMatches) {
-        return b.exactMatches - a.exactMatches;
-      }
-      if (b.partialMatches !== a.partialMatches) {
-        return b.partialMatches - a.partialMatches;
-      }
-      return a.role.sequenceOrder - b.role.sequenceOrder;
-    });
-
-    return matches[0].role;
+    return matchRoleByKeyword(Object.values(ROLES), text);
   }
 
   /**
@@ -402,6 +440,19 @@ class RoleManager {
     return sequence[sequence.length - 1] === roleId;
   }
 
+  /**
+   * SLA threshold for a role's phase
+   * The upper bound of the role's estimatedDuration; time a hunt spends
+   * blocked does not count against it.
+   * @param {string} roleId
+   * @returns {number|null} Minutes, or null if the role has no usable estimate
+   */
+  static getSlaMinutes(roleId) {
+    const role = this.getRole(roleId);
+    const estimate = role && parseEstimatedDuration(role.estimatedDuration);
+    return estimate ? estimate.max : null;
+  }
+
   /**
    * Check if transition from roleA to roleB is valid (sequential)
    * @param {string} roleAId
@@ -419,5 +470,7 @@ class RoleManager {
  */
 module.exports = {
   ROLES,
-  RoleManager
+  RoleManager,
+  parseEstimatedDuration,
+  matchRoleByKeyword
 };
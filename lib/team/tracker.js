@@ -1,11 +1,35 @@
 /**
  * UX Ingka Kit Hunt Cycle Tracker
  * Tracks pack hunts through their complete lifecycle
+ *
+ * Every mutation is recorded as an event in the append-only hunt event log
+ * (see hunt-events.js) and applied to the hunt with HuntCycle.apply, so the
+ * state in memory is always the state a replay of the log produces. On load,
+ * hunts are rebuilt by replaying the log; hunts.json is kept as a snapshot of
+ * that state for tools that read it directly.
+ *
+ * Each hunt carries a version (the number of events recorded for it). A save
+ * made from a stale copy of a hunt is rejected with HUNT_CONFLICT instead of
+ * overwriting changes another process (CLI or dashboard) saved in the meantime.
+ *
+ * Which phases a hunt passes through is set by the pack's role workflow
+ * (see role-workflow.js); without one, hunts follow the built-in roles in order.
  */
 
-const fs = require('fs-extra');
-const path = require('path');
 const { RoleManager } = require('./roles');
+const { RoleWorkflow, loadRoleWorkflow } = require('./role-workflow');
+const crypto = require('crypto');
+const { createStorage, mergeByVersion } = require('../storage');
+const { HuntEventLog, createEvent, countEvents } = require('./hunt-events');
+
+const HUNTS_KEY = 'hunts';
+
+/**
+ * Whole minutes between two timestamps
+ */
+function minutesBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / 1000 / 60);
+}
 
 /**
  * Hunt Cycle Model
@@ -16,11 +40,18 @@ class HuntCycle {
     this.featureName = featureName;
     this.description = description;
     this.packName = packName;
+    this.version = 0; // events applied (see hunt-events.js)
 
     // Lifecycle
     this.status = 'pending'; // pending, active, completed, blocked
+    this.huntType = null; // sequence in the pack's role workflow (null: default)
     this.currentPhase = null; // requirements, spec, implementation, testing
     this.currentRole = null; // username
+    this.owner = null; // username
+    this.priority = null;
+    this.blockedReason = null;
+    this.blockedAt = null; // start of the current block
+    this.blockedDuration = 0; // minutes spent blocked in finished blocks
 
     // Timing
     this.startedAt = new Date().toISOString();
@@ -49,7 +80,9 @@ class HuntCycle {
       assignee,
       startTime,
       endTime: null,
-      duration: null
+      duration: null,
+      blockedDuration: 0,
+      activeDuration: null
     });
 
     this.currentPhase = phase;
@@ -70,6 +103,7 @@ class HuntCycle {
     const start = new Date(currentPhase.startTime);
     const end = new Date(endTime);
     currentPhase.duration = Math.round((end - start) / 1000 / 60); // in minutes
+    currentPhase.activeDuration = Math.max(0, currentPhase.duration - (currentPhase.blockedDuration || 0));
   }
 
   /**
@@ -81,6 +115,56 @@ class HuntCycle {
     return Math.round((endTime - startTime) / 1000 / 60); // in minutes
   }
 
+  /**
+   * Get time spent blocked so far, including a block still in progress
+   * @param {Date} now - Reference time (default: now)
+   * @returns {number} Minutes
+   */
+  getBlockedDuration(now = new Date()) {
+    const current = this.blockedAt ? minutesBetween(this.blockedAt, now) : 0;
+    return (this.blockedDuration || 0) + current;
+  }
+
+  /**
+   * Get time spent working (not blocked) so far
+   * @returns {number} Minutes
+   */
+  getActiveDuration() {
+    const end = this.completedAt ? new Date(this.completedAt) : new Date();
+    return Math.max(0, this.getTotalDuration() - this.getBlockedDuration(end));
+  }
+
+  /**
+   * SLA status of the current phase
+   * Compares the phase's active time (blocked time excluded) with the
+   * role's threshold from getSlaMinutes.
+   * @param {Date} now - Reference time (default: now)
+   * @param {Object} roles - Role lookup with getSlaMinutes (default: RoleManager; pass the pack's RoleWorkflow)
+   * @returns {Object|null} { huntId, phase, assignee, startTime, activeMinutes, thresholdMinutes,
+   *   overrunMinutes, overrun }, or null if no phase is open or the role has no threshold
+   */
+  getSlaStatus(now = new Date(), roles = RoleManager) {
+    const phase = this._openPhase();
+    if (!phase || this.status === 'completed') return null;
+
+    const thresholdMinutes = roles.getSlaMinutes(phase.phase);
+    if (!thresholdMinutes) return null;
+
+    const blocked = (phase.blockedDuration || 0) + (this.blockedAt ? minutesBetween(this.blockedAt, now) : 0);
+    const activeMinutes = Math.max(0, minutesBetween(phase.startTime, now) - blocked);
+
+    return {
+      huntId: this.id,
+      phase: phase.phase,
+      assignee: phase.assignee,
+      startTime: phase.startTime,
+      activeMinutes,
+      thresholdMinutes,
+      overrunMinutes: Math.max(0, activeMinutes - thresholdMinutes),
+      overrun: activeMinutes > thresholdMinutes
+    };
+  }
+
   /**
    * Convert to GitHub issue body
    */
@@ -133,18 +217,143 @@ ${phaseStatus.join('\n')}
   /**
    * Mark hunt as blocked
    */
-  block(reason) {
+  block(reason, at = new Date().toISOString()) {
     this.status = 'blocked';
     this.blockedReason = reason;
+    this.blockedAt = this.blockedAt || at;
   }
 
   /**
    * Unblock hunt
    */
-  unblock() {
+  unblock(at = new Date().toISOString()) {
+    this._endBlock(at);
     this.status = 'active';
     this.blockedReason = null;
   }
+
+  /**
+   * Apply an event from the hunt event log
+   * The only place hunt state changes in response to an event, so live
+   * mutations and replays always agree.
+   * @param {Object} event - Hunt event (see hunt-events.js)
+   */
+  apply(event) {
+    switch (event.type) {
+      case 'created':
+        this.featureName = event.featureName;
+        this.description = event.description;
+        this.packName = event.packName;
+        this.owner = event.owner || null;
+        this.huntType = event.huntType || null;
+        this.status = 'active';
+        this.startedAt = event.at;
+        break;
+
+      case 'phase_advanced': {
+        // A block carried across phases is charged to each phase it spans
+        const blocked = Boolean(this.blockedAt);
+        this._endBlock(event.at);
+        if (this._openPhase()) {
+          this.completePhase(event.at);
+        }
+        this.addPhase(event.phase, event.assignee, event.at);
+        if (blocked) {
+          this.blockedAt = event.at;
+        }
+        break;
+      }
+
+      case 'updated':
+        ['featureName', 'description', 'priority'].forEach(field => {
+          if (field in event) this[field] = event[field];
+        });
+        break;
+
+      case 'blocked':
+        this.block(event.reason, event.at);
+        break;
+
+      case 'unblocked':
+        this.unblock(event.at);
+        break;
+
+      case 'reassigned': {
+        const openPhase = this._openPhase();
+        if (openPhase) {
+          openPhase.assignee = event.assignee;
+        }
+        this.currentRole = event.assignee;
+        break;
+      }
+
+      case 'completed':
+        this._endBlock(event.at);
+        this.blockedReason = null;
+        if (this._openPhase()) {
+          this.completePhase(event.at);
+        }
+        this.status = 'completed';
+        this.completedAt = event.at;
+        break;
+
+      default:
+        throw new Error(`Unknown hunt event type: ${event.type}`);
+    }
+
+    this.version++;
+  }
+
+  /**
+   * Close the current block, charging its time to the hunt and the open phase
+   * @private
+   */
+  _endBlock(at) {
+    if (!this.blockedAt) return;
+
+    const minutes = minutesBetween(this.blockedAt, at);
+    this.blockedDuration = (this.blockedDuration || 0) + minutes;
+
+    const openPhase = this._openPhase();
+    if (openPhase) {
+      openPhase.blockedDuration = (openPhase.blockedDuration || 0) + minutes;
+    }
+
+    this.blockedAt = null;
+  }
+
+  /**
+   * Phase history entry that has not ended yet
+   * @private
+   */
+  _openPhase() {
+    const last = this.phaseHistory[this.phaseHistory.length - 1];
+    return last && !last.endTime ? last : null;
+  }
+}
+
+/**
+ * Rebuild hunts by replaying events
+ * Events for hunts without a `created` event (hunts from before the event
+ * log) are skipped; those hunts are restored from the hunts.json snapshot.
+ * @param {Object[]} events - Hunt events, oldest first
+ * @returns {HuntCycle[]} Hunts in creation order
+ */
+function replayHunts(events) {
+  const hunts = new Map();
+
+  for (const event of events) {
+    if (event.type === 'created') {
+      hunts.set(event.huntId, new HuntCycle(event.huntId, event.featureName, event.description, event.packName));
+    }
+
+    const hunt = hunts.get(event.huntId);
+    if (hunt) {
+      hunt.apply(event);
+    }
+  }
+
+  return [...hunts.values()];
 }
 
 /**
@@ -155,60 +364,137 @@ class HuntCycleTracker {
   constructor(packName) {
     this.packName = packName;
     this.hunts = [];
+    this.storage = null;
+    this.pendingEvents = [];
+    this.workflow = new RoleWorkflow();
   }
 
   /**
    * Load hunts from storage
+   * @param {string} packName - Pack name
+   * @param {string} projectPath - Project path (default: '.')
+   * @param {Object} options - Load options
+   * @param {Object} options.storage - Storage adapter (default: the project's, see lib/storage)
+   * @param {RoleWorkflow} options.workflow - Role workflow (default: the pack config's roleWorkflow)
+   * @throws {Error} If the pack config's roleWorkflow is invalid
+   *
+   * The tracker keeps the storage it loaded from: the async mutators
+   * (transitionHunt, blockHunt, unblockHunt, reassignHunt, completeHunt) save
+   * to it themselves, so callers only save after startHunt or direct edits.
    */
-  static async load(packName, projectPath = '.') {
+  static async load(packName, projectPath = '.', options = {}) {
     const tracker = new HuntCycleTracker(packName);
+    tracker.storage = options.storage || createStorage({ projectRoot: projectPath });
 
-    // Try to load from file
-    const huntsPath = path.join(projectPath, '.leo', 'hunts.json');
+    // Outside _loadHunts: an invalid workflow must not be silently ignored
+    tracker.workflow = options.workflow || await loadRoleWorkflow(tracker.storage);
+    await tracker._loadHunts(tracker.storage);
 
+    return tracker;
+  }
+
+  /**
+   * Replace the hunts in memory with the stored ones
+   * @private
+   */
+  async _loadHunts(storage) {
     try {
-      const data = await fs.readJson(huntsPath);
-      tracker.hunts = data.map(h => {
-        const hunt = new HuntCycle(
-          h.id,
-          h.featureName,
-          h.description,
-          h.packName
-        );
-
-        // Restore state
-        hunt.status = h.status;
-        hunt.currentPhase = h.currentPhase;
-        hunt.currentRole = h.currentRole;
-        hunt.startedAt = h.startedAt;
-        hunt.completedAt = h.completedAt;
-        hunt.phaseHistory = h.phaseHistory;
-        hunt.metrics = h.metrics;
-
-        return hunt;
+      const data = (await storage.read(HUNTS_KEY)) || [];
+      const events = await new HuntEventLog({ storage }).read();
+      const versions = countEvents(events);
+      const replayed = new Map(replayHunts(events).map(hunt => [hunt.id, hunt]));
+
+      this.hunts = data.map(h => {
+        const hunt = replayed.get(h.id);
+        if (hunt) {
+          replayed.delete(h.id);
+          hunt.metrics = h.metrics || hunt.metrics;
+          return hunt;
+        }
+
+        // Hunts from before the event log: events recorded since still count towards the version
+        const restored = HuntCycleTracker._fromSnapshot(h);
+        restored.version = versions.get(h.id) || 0;
+        return restored;
       });
+
+      // Hunts whose snapshot was never written (e.g. a save interrupted after the log append)
+      this.hunts.push(...replayed.values());
     } catch (error) {
-      // No hunts file yet, start fresh
-      if (error.code !== 'ENOENT') {
-        console.warn('Could not load hunts:', error.message);
-      }
+      console.warn('Could not load hunts:', error.message);
     }
+  }
 
-    return tracker;
+  /**
+   * Restore a hunt from its hunts.json snapshot
+   * @private
+   */
+  static _fromSnapshot(h) {
+    const hunt = new HuntCycle(
+      h.id,
+      h.featureName,
+      h.description,
+      h.packName
+    );
+
+    // Restore state
+    hunt.status = h.status;
+    hunt.currentPhase = h.currentPhase;
+    hunt.currentRole = h.currentRole;
+    hunt.owner = h.owner || null;
+    hunt.huntType = h.huntType || null;
+    hunt.priority = h.priority || null;
+    hunt.blockedReason = h.blockedReason || null;
+    hunt.blockedAt = h.blockedAt || null;
+    hunt.blockedDuration = h.blockedDuration || 0;
+    hunt.startedAt = h.startedAt;
+    hunt.completedAt = h.completedAt;
+    hunt.phaseHistory = h.phaseHistory;
+    hunt.metrics = h.metrics;
+
+    return hunt;
+  }
+
+  /**
+   * Record an event and apply it to the hunt
+   * The event is appended to the log on the next save().
+   * @private
+   */
+  _record(hunt, type, fields, options = {}) {
+    const event = createEvent(type, hunt.id, fields, options);
+    const baseVersion = hunt.version;
+    hunt.apply(event);
+    this.pendingEvents.push({ hunt, event, baseVersion });
+    return event;
   }
 
   /**
    * Start new hunt cycle
+   * @param {string} featureName - Feature name
+   * @param {string} description - Feature description
+   * @param {string} owner - Owning member's username (optional)
+   * @param {Object} options - Hunt options
+   * @param {string} options.actor - Who started the hunt (default: OS user)
+   * @param {string} options.huntType - Sequence in the role workflow (default: the workflow's default)
    */
-  startHunt(featureName, description) {
+  startHunt(featureName, description, owner = null, options = {}) {
+    const huntType = options.huntType || this.workflow.defaultHuntType;
+    this.workflow.getSteps(huntType); // throws for unknown hunt types
+
     const hunt = new HuntCycle(
-      `hunt-${Date.now()}`,
+      `hunt-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
       featureName,
       description,
       this.packName
     );
 
-    hunt.status = 'active';
+    this._record(hunt, 'created', {
+      featureName,
+      description,
+      packName: this.packName,
+      owner,
+      huntType
+    }, options);
     this.hunts.push(hunt);
 
     return hunt;
@@ -244,46 +530,154 @@ class HuntCycleTracker {
 
   /**
    * Transition hunt to next phase
+   * Moves along the hunt type's sequence in the role workflow: to the next
+   * phase by default, or to any phase the workflow allows from the current
+   * one (an optional phase, past skippable phases, or back for rework).
+   * @param {string} huntId - Hunt ID
+   * @param {string} nextPhase - Role ID of the phase to start (default: next in sequence)
+   * @param {string} nextAssignee - Username of the member taking over (optional)
+   * @param {Object} options - Event options
+   * @param {string} options.actor - Who advanced the hunt (default: OS user)
+   * @returns {Promise<Object>} The transition ({ role, kind, skipped }, see RoleWorkflow.getTransitions)
    */
-  async transitionHunt(huntId, nextPhase, nextAssignee) {
-    const hunt = this.getHunt(huntId);
-    if (!hunt) {
-      throw new Error(`Hunt not found: ${huntId}`);
+  async transitionHunt(huntId, nextPhase, nextAssignee, options = {}) {
+    const hunt = this._requireHunt(huntId);
+    this._requireUnblocked(hunt);
+
+    const huntType = hunt.huntType || undefined;
+    const phase = nextPhase || this.workflow.getNextRole(hunt.currentPhase, huntType);
+
+    if (!phase) {
+      throw new Error(`Hunt ${huntId} is already in the last phase`);
     }
 
     // Validate phase transition
-    const sequence = RoleManager.getSequence();
-    const phaseIndex = sequence.indexOf(nextPhase);
+    if (!this.workflow.validateRole(phase)) {
+      throw new Error(`Invalid phase: ${phase}`);
+    }
+    const transition = this.workflow.getTransition(hunt.currentPhase, phase, huntType);
+    if (!transition) {
+      throw new Error(
+        `Invalid phase transition: ${hunt.currentPhase || 'start'} → ${phase}. ` +
+        `Allowed: ${this.workflow.describeTransitions(hunt.currentPhase, huntType)}`
+      );
+    }
+
+    this._record(hunt, 'phase_advanced', {
+      from: hunt.currentPhase,
+      phase,
+      assignee: nextAssignee || null,
+      kind: transition.kind,
+      ...(transition.skipped.length > 0 && { skipped: transition.skipped })
+    }, options);
+
+    await this.save();
 
-    if (phaseIndex < 0) {
-      throw new Error(`Invalid phase: ${nextPhase}`);
+    return transition;
+  }
+
+  /**
+   * Block hunt
+   * @param {string} huntId - Hunt ID
+   * @param {string} reason - Why the hunt is blocked
+   * @param {Object} options - Event options (actor)
+   */
+  async blockHunt(huntId, reason, options = {}) {
+    const hunt = this._requireHunt(huntId);
+
+    if (hunt.status === 'completed') {
+      throw new Error(`Hunt ${huntId} is already completed`);
     }
+    if (hunt.status === 'blocked') {
+      throw new Error(`Hunt ${huntId} is already blocked`);
+    }
+
+    this._record(hunt, 'blocked', { reason: reason || null }, options);
+    await this.save();
+
+    return hunt;
+  }
+
+  /**
+   * Unblock hunt
+   * @param {string} huntId - Hunt ID
+   * @param {Object} options - Event options (actor)
+   */
+  async unblockHunt(huntId, options = {}) {
+    const hunt = this._requireHunt(huntId);
 
-    // Complete current phase if exists
-    if (hunt.currentPhase) {
-      hunt.completePhase();
+    if (hunt.status !== 'blocked') {
+      throw new Error(`Hunt ${huntId} is not blocked`);
     }
 
-    // Start new phase
-    hunt.addPhase(nextPhase, nextAssignee);
+    this._record(hunt, 'unblocked', {}, options);
+    await this.save();
+
+    return hunt;
+  }
+
+  /**
+   * Rename a hunt or change its description or priority
+   * Recorded as an `updated` event with only the fields that changed.
+   * @param {string} huntId - Hunt ID
+   * @param {Object} changes - featureName, description and/or priority
+   * @param {Object} options - Event options (actor)
+   */
+  async updateHunt(huntId, changes, options = {}) {
+    const hunt = this._requireHunt(huntId);
+
+    const fields = {};
+    ['featureName', 'description', 'priority'].forEach(field => {
+      if (changes[field] !== undefined && changes[field] !== hunt[field]) {
+        fields[field] = changes[field];
+      }
+    });
+    if (Object.keys(fields).length === 0) {
+      return hunt;
+    }
 
+    this._record(hunt, 'updated', fields, options);
     await this.save();
+
+    return hunt;
   }
 
   /**
-   * Complete hunt cycle
+   * Hand the current phase to another member
+   * @param {string} huntId - Hunt ID
+   * @param {string} assignee - Username of the new assignee
+   * @param {Object} options - Event options (actor)
    */
-  async completeHunt(huntId) {
-    const hunt = this.getHunt(huntId);
-    if (!hunt) {
-      throw new Error(`Hunt not found: ${huntId}`);
+  async reassignHunt(huntId, assignee, options = {}) {
+    const hunt = this._requireHunt(huntId);
+
+    if (!assignee) {
+      throw new Error('Assignee required');
     }
+    if (hunt.status === 'completed') {
+      throw new Error(`Hunt ${huntId} is already completed`);
+    }
+
+    this._record(hunt, 'reassigned', { from: hunt.currentRole, assignee }, options);
+    await this.save();
+
+    return hunt;
+  }
+
+  /**
+   * Complete hunt cycle
+   * @param {string} huntId - Hunt ID
+   * @param {Object} options - Event options (actor)
+   */
+  async completeHunt(huntId, options = {}) {
+    const hunt = this._requireHunt(huntId);
 
-    // Complete last phase
-    hunt.completePhase();
+    this._requireUnblocked(hunt);
+    if (hunt.phaseHistory.length === 0) {
+      throw new Error('No phase to complete');
+    }
 
-    hunt.status = 'completed';
-    hunt.completedAt = new Date().toISOString();
+    this._record(hunt, 'completed', { phase: hunt.currentPhase }, options);
 
     await this.save();
 
@@ -291,28 +685,95 @@ class HuntCycleTracker {
   }
 
   /**
-   * Save hunts to storage
+   * Active hunts whose current phase has overrun its role's SLA
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Object[]} SLA statuses (see HuntCycle.getSlaStatus) with featureName
+   */
+  getSlaWarnings(now = new Date()) {
+    return this.getActiveHunts()
+      .map(hunt => {
+        const sla = hunt.getSlaStatus(now, this.workflow);
+        return sla && sla.overrun ? { ...sla, featureName: hunt.featureName } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Throw if the hunt is blocked - blocked hunts must be unblocked before they move on
+   * @private
+   */
+  _requireUnblocked(hunt) {
+    if (hunt.status === 'blocked') {
+      throw new Error(`Hunt ${hunt.id} is blocked${hunt.blockedReason ? ` (${hunt.blockedReason})` : ''} - unblock it first`);
+    }
+  }
+
+  /**
+   * Get hunt by ID or throw
+   * @private
+   */
+  _requireHunt(huntId) {
+    const hunt = this.getHunt(huntId);
+    if (!hunt) {
+      throw new Error(`Hunt not found: ${huntId}`);
+    }
+    return hunt;
+  }
+
+  /**
+   * Save hunts to storage (the loaded one, else projectPath's)
+   * Recorded events are appended to the event log first, provided no other
+   * process (CLI or dashboard) recorded events for the same hunts since they
+   * were loaded. The hunts.json snapshot is then merged by version under the
+   * storage lock, so hunts another process saved in the meantime are kept.
+   * @throws {Error} HUNT_CONFLICT (status 409) if a changed hunt is stale; the
+   *   unsaved changes are dropped and the stored hunts reloaded
    */
   async save(projectPath = '.') {
-    const huntsPath = path.join(projectPath, '.leo', 'hunts.json');
+    const storage = this.storage || createStorage({ projectRoot: projectPath });
+
+    // Taken now, so concurrent saves never append an event twice
+    const pending = this.pendingEvents.splice(0);
+    const baseVersions = {};
+    pending.forEach(({ hunt, baseVersion }) => {
+      if (!(hunt.id in baseVersions)) {
+        baseVersions[hunt.id] = baseVersion; // the first pending event's, events are in order
+      }
+    });
 
-    await fs.ensureDir(path.dirname(huntsPath));
+    try {
+      await new HuntEventLog({ storage }).append(pending.map(({ event }) => event), { baseVersions });
+    } catch (error) {
+      if (error.code === 'HUNT_CONFLICT') {
+        await this._loadHunts(storage);
+      } else {
+        this.pendingEvents.unshift(...pending);
+      }
+      throw error;
+    }
 
     const data = this.hunts.map(h => ({
       id: h.id,
+      version: h.version,
       featureName: h.featureName,
       description: h.description,
       packName: h.packName,
       status: h.status,
       currentPhase: h.currentPhase,
       currentRole: h.currentRole,
+      owner: h.owner,
+      huntType: h.huntType,
+      priority: h.priority,
+      blockedReason: h.blockedReason,
+      blockedAt: h.blockedAt,
+      blockedDuration: h.blockedDuration,
       startedAt: h.startedAt,
       completedAt: h.completedAt,
       phaseHistory: h.phaseHistory,
       metrics: h.metrics
     }));
 
-    await fs.writeJson(huntsPath, data, { spaces: 2 });
+    await storage.update(HUNTS_KEY, stored => mergeByVersion(stored, data));
   }
 
   /**
@@ -343,7 +804,7 @@ class HuntCycleTracker {
    * Format hunt for display
    */
   formatHunt(hunt) {
-    const role = RoleManager.getRole(hunt.currentPhase);
+    const role = this.workflow.getRole(hunt.currentPhase);
     const roleEmoji = role ? role.emoji : '❓';
 
     return `${roleEmoji} Hunt #${hunt.id}: ${hunt.featureName}`;
@@ -352,5 +813,6 @@ class HuntCycleTracker {
 
 module.exports = {
   HuntCycle,
-  HuntCycleTracker
+  HuntCycleTracker,
+  replayHunts
 };
@@ -0,0 +1,309 @@
+/**
+ * GitHub Tracker Backend
+ * Stores specs, comments and labels as GitHub issues via the gh CLI
+ *
+ * @module lib/tracker/github-tracker
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { getLabelDefinition } = require('./labels');
+
+/**
+ * GitHubTracker - Issue tracker backed by the `gh` CLI
+ */
+class GitHubTracker {
+  constructor(options = {}) {
+    this.name = 'github';
+    this.cwd = options.cwd || process.cwd();
+    this.author = options.author || null;
+  }
+
+  /**
+   * Login of the user making changes (the authenticated gh user, or the OS
+   * user when gh is not logged in)
+   *
+   * @returns {Promise<string>} Author name
+   */
+  async getAuthor() {
+    if (!this.author) {
+      try {
+        this.author = this._exec('gh api user --jq .login', { stdio: 'pipe' }).trim();
+      } catch (error) {
+        // Not authenticated, fall back to the OS user below
+      }
+      this.author = this.author || os.userInfo().username;
+    }
+    return this.author;
+  }
+
+  /**
+   * Load a single issue
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @returns {Promise<Object>} Issue (number, title, body, state, labels, url, createdAt, updatedAt, author)
+   */
+  async getIssue(issueNumber) {
+    const output = this._exec(
+      `gh issue view ${issueNumber} --json number,title,body,state,labels,url,createdAt,updatedAt,author`
+    );
+    return JSON.parse(output);
+  }
+
+  /**
+   * List issues, optionally filtered by label and state
+   *
+   * @param {Object} options - Filter options
+   * @param {string} options.label - Only issues carrying this label
+   * @param {string} options.state - open, closed or all (default: all)
+   * @param {number} options.limit - Maximum number of issues (default: 30)
+   * @returns {Promise<Array>} Issues
+   */
+  async listIssues(options = {}) {
+    const { label = null, state = 'all', limit = 30 } = options;
+
+    const labelArg = label ? `--label "${label}" ` : '';
+    const stateArg = ['open', 'closed'].includes(state) ? `--state ${state}` : '--state all';
+    const output = this._exec(
+      `gh issue list ${labelArg}${stateArg} --limit ${limit} --json number,title,state,labels,url`
+    );
+    return JSON.parse(output);
+  }
+
+  /**
+   * Create a new issue
+   *
+   * @param {Object} issue - Issue content
+   * @param {string} issue.title - Issue title
+   * @param {string} issue.body - Issue body (Markdown)
+   * @param {string[]} issue.labels - Labels to apply
+   * @returns {Promise<Object>} Created issue (number, url)
+   */
+  async createIssue({ title, body, labels = [] }) {
+    await this.ensureLabels(labels);
+
+    const output = await this._withTempFile('issue', body, bodyFile => {
+      const labelArgs = labels.map(l => `--label "${l}"`).join(' ');
+      return this._exec(
+        `gh issue create --title "${this._escape(title)}" --body-file "${bodyFile}" ${labelArgs}`
+      );
+    });
+
+    return this._parseIssueUrl(output);
+  }
+
+  /**
+   * Update an issue's title, body and/or state
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {Object} changes - Fields to update (title, body, state: open|closed)
+   */
+  async updateIssue(issueNumber, changes = {}) {
+    if (changes.state) {
+      const command = changes.state.toLowerCase() === 'closed' ? 'close' : 'reopen';
+      this._exec(`gh issue ${command} ${issueNumber}`, { stdio: 'pipe' });
+    }
+
+    if (changes.title) {
+      this._exec(`gh issue edit ${issueNumber} --title "${this._escape(changes.title)}"`, { stdio: 'pipe' });
+    }
+
+    if (changes.body !== undefined) {
+      await this._withTempFile('body', changes.body, bodyFile =>
+        this._exec(`gh issue edit ${issueNumber} --body-file "${bodyFile}"`, { stdio: 'pipe' })
+      );
+    }
+  }
+
+  /**
+   * List comments on an issue, oldest first
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @returns {Promise<Array>} Comments (id, body, author, createdAt)
+   */
+  async listComments(issueNumber) {
+    const output = this._exec(`gh api /repos/{owner}/{repo}/issues/${issueNumber}/comments`);
+    return JSON.parse(output).map(comment => ({
+      id: comment.id,
+      body: comment.body,
+      author: comment.user?.login || comment.author || null,
+      createdAt: comment.created_at || comment.createdAt || null
+    }));
+  }
+
+  /**
+   * Post a comment on an issue
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {string} body - Comment body (Markdown)
+   */
+  async addComment(issueNumber, body) {
+    await this._withTempFile('comment', body, commentFile =>
+      this._exec(`gh issue comment ${issueNumber} --body-file "${commentFile}"`)
+    );
+  }
+
+  /**
+   * Replace the body of a comment
+   *
+   * @param {number|string} issueNumber - Issue number (unused, comment IDs are repository-wide)
+   * @param {number|string} commentId - Comment ID from listComments
+   * @param {string} body - New comment body (Markdown)
+   */
+  async updateComment(issueNumber, commentId, body) {
+    await this._withTempFile('comment', body, commentFile =>
+      this._exec(
+        `gh api --method PATCH /repos/{owner}/{repo}/issues/comments/${commentId} -F "body=@${commentFile}"`,
+        { stdio: 'pipe' }
+      )
+    );
+  }
+
+  /**
+   * Ensure labels exist in the repository, creating missing ones
+   *
+   * @param {string[]} labels - Label names
+   */
+  async ensureLabels(labels) {
+    for (const label of labels) {
+      try {
+        this._exec(`gh label list --json name | grep '"name":"${label}"'`, { stdio: 'pipe' });
+      } catch (error) {
+        // Label doesn't exist, create it
+        const { color, description } = getLabelDefinition(label);
+        try {
+          this._exec(
+            `gh label create "${label}" --description "${description}" --color "${color}"`,
+            { stdio: 'pipe' }
+          );
+        } catch (createError) {
+          // Ignore if already exists or cannot be created
+        }
+      }
+    }
+  }
+
+  /**
+   * Add labels to an issue (creating them if needed)
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {string[]} labels - Label names
+   */
+  async addLabels(issueNumber, labels) {
+    await this.ensureLabels(labels);
+
+    for (const label of labels) {
+      this._exec(`gh issue edit ${issueNumber} --add-label "${label}"`);
+    }
+  }
+
+  /**
+   * Remove labels from an issue (missing labels are ignored)
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {string[]} labels - Label names
+   */
+  async removeLabels(issueNumber, labels) {
+    for (const label of labels) {
+      try {
+        this._exec(`gh issue edit ${issueNumber} --remove-label "${label}"`, { stdio: 'pipe' });
+      } catch (error) {
+        // Label might not be on the issue, ignore
+      }
+    }
+  }
+
+  /**
+   * Get the edit timeline of an issue
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @returns {Promise<Array>} Entries (type, timestamp, author, body | from/to), oldest first
+   */
+  async getTimeline(issueNumber) {
+    const issue = await this.getIssue(issueNumber);
+    const events = JSON.parse(
+      this._exec(`gh api repos/:owner/:repo/issues/${issueNumber}/timeline --paginate`)
+    );
+
+    const timeline = [
+      {
+        type: 'created',
+        timestamp: issue.createdAt,
+        author: issue.author?.login || 'unknown',
+        body: issue.body
+      }
+    ];
+
+    for (const event of events) {
+      if (event.event === 'renamed') {
+        timeline.push({
+          type: 'title_change',
+          timestamp: event.created_at,
+          author: event.actor.login,
+          from: event.rename.from,
+          to: event.rename.to
+        });
+      } else if (event.body !== undefined && event.updated_at) {
+        timeline.push({
+          type: 'edited',
+          timestamp: event.updated_at,
+          author: event.user?.login || event.actor?.login || 'unknown',
+          body: event.body
+        });
+      }
+    }
+
+    return timeline;
+  }
+
+  /**
+   * Run a gh command in the tracker's working directory
+   * @private
+   */
+  _exec(command, options = {}) {
+    return execSync(command, { encoding: 'utf-8', cwd: this.cwd, ...options });
+  }
+
+  /**
+   * Write content to a temp file for --body-file arguments, cleaning up afterwards
+   * @private
+   */
+  async _withTempFile(prefix, content, fn) {
+    const file = path.join(
+      os.tmpdir(),
+      `ux-ingka-${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.md`
+    );
+    await fs.writeFile(file, content, 'utf-8');
+
+    try {
+      return fn(file);
+    } finally {
+      await fs.unlink(file).catch(() => {});
+    }
+  }
+
+  /**
+   * Parse issue number and URL from `gh issue create` output
+   * @private
+   */
+  _parseIssueUrl(output) {
+    const urlMatch = String(output || '').match(/https:\/\/github\.com\/[^\s]+/);
+    const url = urlMatch ? urlMatch[0] : '';
+    const numberMatch = url.match(/\/(\d+)$/);
+    const number = numberMatch ? parseInt(numberMatch[1], 10) : null;
+
+    return { number, url };
+  }
+
+  /**
+   * Escape double quotes for shell arguments
+   * @private
+   */
+  _escape(text) {
+    return String(text).replace(/(["\\$`])/g, '\\$1');
+  }
+}
+
+module.exports = GitHubTracker;
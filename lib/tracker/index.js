@@ -0,0 +1,76 @@
+/**
+ * Issue Tracker Abstraction
+ *
+ * One interface for everything the spec pipeline (spec, clarify, plan,
+ * tasks, spec-diff, spec-extend) needs from an issue tracker: load/create/
+ * update issues, read/post comments, and manage labels.
+ *
+ * Backends:
+ * - github: GitHub issues via the `gh` CLI (default)
+ * - local:  JSON files under .leo/tracker/ (offline, CI, tests)
+ *
+ * The backend is picked from (first match wins):
+ * 1. `options.backend`
+ * 2. UX_INGKA_TRACKER environment variable
+ * 3. `tracker.backend` in .ux-ingkarc.json
+ * 4. 'github'
+ *
+ * @module lib/tracker
+ */
+
+const GitHubTracker = require('./github-tracker');
+const LocalTracker = require('./local-tracker');
+const { LABEL_DEFINITIONS, getLabelDefinition } = require('./labels');
+
+const BACKENDS = {
+  github: GitHubTracker,
+  local: LocalTracker
+};
+
+const DEFAULT_BACKEND = 'github';
+
+/**
+ * Read the configured backend from .ux-ingkarc.json
+ *
+ * @returns {string|null} Backend name or null if not configured
+ */
+function getConfiguredBackend() {
+  try {
+    const configManager = require('../utils/config-manager');
+    const trackerConfig = configManager.get('tracker');
+    return (trackerConfig && trackerConfig.backend) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create an issue tracker
+ *
+ * @param {Object} options - Tracker options
+ * @param {string} options.backend - Backend name (github, local)
+ * @param {string} options.projectRoot - Project root (default: cwd)
+ * @returns {GitHubTracker|LocalTracker} Tracker instance
+ */
+function createTracker(options = {}) {
+  const backend = options.backend
+    || process.env.UX_INGKA_TRACKER
+    || getConfiguredBackend()
+    || DEFAULT_BACKEND;
+
+  const Tracker = BACKENDS[backend];
+  if (!Tracker) {
+    throw new Error(`Unknown tracker backend: ${backend} (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  return new Tracker({ projectRoot: options.projectRoot, cwd: options.projectRoot });
+}
+
+module.exports = {
+  createTracker,
+  GitHubTracker,
+  LocalTracker,
+  BACKENDS,
+  LABEL_DEFINITIONS,
+  getLabelDefinition
+};
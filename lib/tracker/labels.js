@@ -0,0 +1,74 @@
+/**
+ * Tracker Label Definitions
+ * Colors and descriptions for every label the spec pipeline applies
+ *
+ * @module lib/tracker/labels
+ */
+
+const LABEL_DEFINITIONS = {
+  // Spec lifecycle
+  'spec': { color: '0E8A16', description: 'Structured spec issue' },
+  'needs-planning': { color: 'FBCA04', description: 'Spec needs an implementation plan' },
+  'needs-clarification': { color: 'D93F0B', description: 'Spec requires clarification' },
+  'planned': { color: '0E8A16', description: 'Spec has implementation plan' },
+  'plan-stale': { color: 'D93F0B', description: 'Spec changed since it was planned - needs replanning' },
+  'has-tasks': { color: '1D76DB', description: 'Issue has task checklist' },
+
+  // Priority and type
+  'priority: high': { color: 'D73A4A', description: 'priority - high' },
+  'priority: medium': { color: 'FBCA04', description: 'priority - medium' },
+  'priority: low': { color: '0E8A16', description: 'priority - low' },
+  'type: feature': { color: '0075CA', description: 'type - feature' },
+  'type: bug': { color: 'D73A4A', description: 'type - bug' },
+  'type: refactor': { color: '7057FF', description: 'type - refactor' },
+  'type: docs': { color: '0075CA', description: 'type - docs' },
+
+  // Spec templates (see lib/spec/templates)
+  'template: ui': { color: 'C5DEF5', description: 'Spec written with the UI template' },
+  'template: api': { color: 'C5DEF5', description: 'Spec written with the API template' },
+  'template: migration': { color: 'C5DEF5', description: 'Spec written with the data migration template' },
+  'template: component': { color: 'C5DEF5', description: 'Spec written with the design-system component template' },
+
+  // Child task issues
+  'task': { color: '0075CA', description: 'task' },
+  'blocked': { color: 'D73A4A', description: 'blocked' },
+  'testing': { color: '7057FF', description: 'testing' },
+  'deployment': { color: 'FBCA04', description: 'deployment' },
+  'phase-1': { color: 'D4C5F9', description: 'Phase 1 tasks' },
+  'phase-2': { color: 'C2E0C6', description: 'Phase 2 tasks' },
+  'phase-3': { color: 'FEF2C0', description: 'Phase 3 tasks' },
+  'phase-4': { color: 'BFD4F2', description: 'Phase 4 tasks' },
+
+  // Spec extensions
+  'extension': { color: 'FBCA04', description: 'Spec extension work' },
+  'spec-extension': { color: '0E8A16', description: 'Extended from spec' }
+};
+
+const DEFAULT_LABEL_COLOR = '808080';
+
+/**
+ * Get color and description for a label, falling back to neutral defaults
+ *
+ * @param {string} name - Label name
+ * @returns {{name: string, color: string, description: string}} Label definition
+ */
+function getLabelDefinition(name) {
+  const definition = LABEL_DEFINITIONS[name];
+
+  if (definition) {
+    return { name, ...definition };
+  }
+
+  const phaseMatch = name.match(/^phase-(\d+)$/);
+  return {
+    name,
+    color: DEFAULT_LABEL_COLOR,
+    description: phaseMatch ? `Phase ${phaseMatch[1]} tasks` : name.replace(/:/g, ' -')
+  };
+}
+
+module.exports = {
+  LABEL_DEFINITIONS,
+  DEFAULT_LABEL_COLOR,
+  getLabelDefinition
+};
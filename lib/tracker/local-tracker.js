@@ -0,0 +1,363 @@
+/**
+ * Local Tracker Backend
+ * Stores specs, comments and labels as JSON files under .leo/tracker/
+ *
+ * Lets the spec → clarify → plan → tasks pipeline run offline, in CI
+ * without tokens, and in unit tests without mocking child_process.
+ *
+ * Layout:
+ *   .leo/tracker/issues/<number>.json  - issue, comments and edit history
+ *   .leo/tracker/labels.json           - repository labels
+ *
+ * @module lib/tracker/local-tracker
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { getLabelDefinition } = require('./labels');
+
+/**
+ * LocalTracker - Issue tracker backed by the local filesystem
+ */
+class LocalTracker {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.projectRoot = options.projectRoot || options.cwd || process.cwd();
+    this.trackerDir = path.join(this.projectRoot, '.leo', 'tracker');
+    this.issuesDir = path.join(this.trackerDir, 'issues');
+    this.labelsPath = path.join(this.trackerDir, 'labels.json');
+    this.author = options.author || this._defaultAuthor();
+  }
+
+  /**
+   * Name recorded as the author of changes
+   *
+   * @returns {Promise<string>} Author name (options.author or the OS user)
+   */
+  async getAuthor() {
+    return this.author;
+  }
+
+  /**
+   * Load a single issue
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @returns {Promise<Object>} Issue (number, title, body, state, labels, url, createdAt, updatedAt, author)
+   */
+  async getIssue(issueNumber) {
+    const record = await this._readIssue(issueNumber);
+    return this._toIssue(record);
+  }
+
+  /**
+   * List issues, optionally filtered by label and state
+   *
+   * @param {Object} options - Filter options
+   * @param {string} options.label - Only issues carrying this label
+   * @param {string} options.state - open, closed or all (default: all)
+   * @param {number} options.limit - Maximum number of issues (default: 30)
+   * @returns {Promise<Array>} Issues, newest first
+   */
+  async listIssues(options = {}) {
+    const { label = null, state = 'all', limit = 30 } = options;
+
+    const records = await this._readAllIssues();
+
+    return records
+      .filter(record => !label || record.labels.some(l => l.name === label))
+      .filter(record => state === 'all' || record.state === state.toUpperCase())
+      .sort((a, b) => b.number - a.number)
+      .slice(0, limit)
+      .map(record => {
+        const { number, title, state: issueState, labels, url } = this._toIssue(record);
+        return { number, title, state: issueState, labels, url };
+      });
+  }
+
+  /**
+   * Create a new issue
+   *
+   * @param {Object} issue - Issue content
+   * @param {string} issue.title - Issue title
+   * @param {string} issue.body - Issue body (Markdown)
+   * @param {string[]} issue.labels - Labels to apply
+   * @returns {Promise<Object>} Created issue (number, url)
+   */
+  async createIssue({ title, body, labels = [] }) {
+    await this.ensureLabels(labels);
+
+    const number = await this._nextIssueNumber();
+    const now = new Date().toISOString();
+
+    const record = {
+      number,
+      title,
+      body,
+      originalBody: body,
+      state: 'OPEN',
+      labels: labels.map(name => ({ name })),
+      author: this.author,
+      createdAt: now,
+      updatedAt: now,
+      comments: [],
+      history: []
+    };
+
+    await this._writeIssue(record);
+
+    return { number, url: this._issueUrl(number) };
+  }
+
+  /**
+   * Update an issue's title, body and/or state
+   *
+   * Previous versions are kept in the issue's history so the edit
+   * timeline can be rebuilt, like GitHub's issue timeline.
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {Object} changes - Fields to update (title, body, state: open|closed)
+   */
+  async updateIssue(issueNumber, changes = {}) {
+    const record = await this._readIssue(issueNumber);
+    const now = new Date().toISOString();
+
+    if (changes.title && changes.title !== record.title) {
+      record.history.push({ type: 'title_change', timestamp: now, author: this.author, from: record.title, to: changes.title });
+      record.title = changes.title;
+    }
+
+    if (changes.body !== undefined && changes.body !== record.body) {
+      record.history.push({ type: 'edited', timestamp: now, author: this.author, body: changes.body });
+      record.body = changes.body;
+    }
+
+    if (changes.state) {
+      record.state = changes.state.toUpperCase();
+    }
+
+    record.updatedAt = now;
+    await this._writeIssue(record);
+  }
+
+  /**
+   * List comments on an issue, oldest first
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @returns {Promise<Array>} Comments (id, body, author, createdAt)
+   */
+  async listComments(issueNumber) {
+    const record = await this._readIssue(issueNumber);
+    return record.comments;
+  }
+
+  /**
+   * Post a comment on an issue
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {string} body - Comment body (Markdown)
+   */
+  async addComment(issueNumber, body) {
+    const record = await this._readIssue(issueNumber);
+
+    record.comments.push({
+      id: record.comments.length + 1,
+      body,
+      author: this.author,
+      createdAt: new Date().toISOString()
+    });
+    record.updatedAt = new Date().toISOString();
+
+    await this._writeIssue(record);
+  }
+
+  /**
+   * Replace the body of a comment
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {number|string} commentId - Comment ID from listComments
+   * @param {string} body - New comment body (Markdown)
+   */
+  async updateComment(issueNumber, commentId, body) {
+    const record = await this._readIssue(issueNumber);
+    const comment = record.comments.find(c => String(c.id) === String(commentId));
+
+    if (!comment) {
+      throw new Error(`Comment ${commentId} not found on issue #${issueNumber}`);
+    }
+
+    comment.body = body;
+    comment.updatedAt = new Date().toISOString();
+    record.updatedAt = comment.updatedAt;
+
+    await this._writeIssue(record);
+  }
+
+  /**
+   * Ensure labels exist, creating missing ones
+   *
+   * @param {string[]} labels - Label names
+   */
+  async ensureLabels(labels) {
+    const existing = await this._readLabels();
+    const missing = labels.filter(label => !existing.some(l => l.name === label));
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    await fs.ensureDir(this.trackerDir);
+    await fs.writeJson(
+      this.labelsPath,
+      [...existing, ...missing.map(getLabelDefinition)],
+      { spaces: 2 }
+    );
+  }
+
+  /**
+   * Add labels to an issue (creating them if needed)
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {string[]} labels - Label names
+   */
+  async addLabels(issueNumber, labels) {
+    await this.ensureLabels(labels);
+
+    const record = await this._readIssue(issueNumber);
+    for (const label of labels) {
+      if (!record.labels.some(l => l.name === label)) {
+        record.labels.push({ name: label });
+      }
+    }
+
+    await this._writeIssue(record);
+  }
+
+  /**
+   * Remove labels from an issue (missing labels are ignored)
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @param {string[]} labels - Label names
+   */
+  async removeLabels(issueNumber, labels) {
+    const record = await this._readIssue(issueNumber);
+    record.labels = record.labels.filter(l => !labels.includes(l.name));
+    await this._writeIssue(record);
+  }
+
+  /**
+   * Get the edit timeline of an issue
+   *
+   * @param {number|string} issueNumber - Issue number
+   * @returns {Promise<Array>} Entries (type, timestamp, author, body | from/to), oldest first
+   */
+  async getTimeline(issueNumber) {
+    const record = await this._readIssue(issueNumber);
+
+    return [
+      { type: 'created', timestamp: record.createdAt, author: record.author, body: record.originalBody },
+      ...record.history
+    ];
+  }
+
+  /**
+   * Read an issue record from disk
+   * @private
+   */
+  async _readIssue(issueNumber) {
+    const issuePath = this._issuePath(issueNumber);
+
+    if (!(await fs.pathExists(issuePath))) {
+      throw new Error(`Issue #${issueNumber} not found in ${path.relative(this.projectRoot, this.issuesDir)}`);
+    }
+
+    return fs.readJson(issuePath);
+  }
+
+  /**
+   * Write an issue record to disk
+   * @private
+   */
+  async _writeIssue(record) {
+    await fs.ensureDir(this.issuesDir);
+    await fs.writeJson(this._issuePath(record.number), record, { spaces: 2 });
+  }
+
+  /**
+   * Read every issue record
+   * @private
+   */
+  async _readAllIssues() {
+    if (!(await fs.pathExists(this.issuesDir))) {
+      return [];
+    }
+
+    const files = (await fs.readdir(this.issuesDir)).filter(f => /^\d+\.json$/.test(f));
+    return Promise.all(files.map(f => fs.readJson(path.join(this.issuesDir, f))));
+  }
+
+  /**
+   * Read repository labels
+   * @private
+   */
+  async _readLabels() {
+    if (!(await fs.pathExists(this.labelsPath))) {
+      return [];
+    }
+    return fs.readJson(this.labelsPath);
+  }
+
+  /**
+   * Allocate the next issue number
+   * @private
+   */
+  async _nextIssueNumber() {
+    const records = await this._readAllIssues();
+    return records.reduce((max, r) => Math.max(max, r.number), 0) + 1;
+  }
+
+  /**
+   * Convert a stored record into the issue shape returned by `gh issue view`
+   * @private
+   */
+  _toIssue(record) {
+    return {
+      number: record.number,
+      title: record.title,
+      body: record.body,
+      state: record.state,
+      labels: record.labels,
+      url: this._issueUrl(record.number),
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      author: { login: record.author }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _issuePath(issueNumber) {
+    return path.join(this.issuesDir, `${parseInt(issueNumber, 10)}.json`);
+  }
+
+  /**
+   * @private
+   */
+  _issueUrl(issueNumber) {
+    return path.relative(this.projectRoot, this._issuePath(issueNumber));
+  }
+
+  /**
+   * @private
+   */
+  _defaultAuthor() {
+    try {
+      return os.userInfo().username;
+    } catch (error) {
+      return 'local';
+    }
+  }
+}
+
+module.exports = LocalTracker;
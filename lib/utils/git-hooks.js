@@ -99,8 +99,100 @@ async function isHookInstalled() {
   }
 }
 
+const CONSTITUTION_HOOK_MARKER = 'UX Ingka Kit - Constitution Hook';
+
+/**
+ * Install pre-push hook that runs `ux-ingka constitution check`
+ *
+ * @param {Object} options - Install options
+ * @param {string} options.base - Branch to check against (default: main)
+ */
+async function installConstitutionHook(options = {}) {
+  const { base = 'main' } = options;
+  const hooksDir = path.join(process.cwd(), '.git', 'hooks');
+  const prePushPath = path.join(hooksDir, 'pre-push');
+  const sourcePath = path.join(__dirname, '..', '..', 'scripts', 'pre-push-constitution');
+  const cliPath = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+  try {
+    await fs.ensureDir(hooksDir);
+
+    if (await fs.pathExists(prePushPath)) {
+      const content = await fs.readFile(prePushPath, 'utf8');
+
+      if (!content.includes(CONSTITUTION_HOOK_MARKER)) {
+        // Hooks from other tools may not be Node scripts, so we don't append
+        console.log(chalk.yellow('  ⚠ Existing pre-push hook found'));
+        console.log(chalk.gray(`    Add this to it instead: ux-ingka constitution check --base ${base}`));
+        return { installed: false, reason: 'existing-hook' };
+      }
+    }
+
+    const hook = (await fs.readFile(sourcePath, 'utf8'))
+      .replace('__UX_INGKA_CLI__', () => JSON.stringify(cliPath))
+      .replace('__UX_INGKA_BASE__', () => JSON.stringify(base));
+
+    await fs.writeFile(prePushPath, hook);
+    await fs.chmod(prePushPath, 0o755);
+
+    console.log(chalk.green(`  ✓ Pre-push hook installed (base: ${base})`));
+    return { installed: true, skipped: false };
+
+  } catch (error) {
+    console.log(chalk.red(`  ✗ Failed to install pre-push hook: ${error.message}`));
+    return { installed: false, error: error.message };
+  }
+}
+
+/**
+ * Uninstall constitution pre-push hook
+ */
+async function uninstallConstitutionHook() {
+  const prePushPath = path.join(process.cwd(), '.git', 'hooks', 'pre-push');
+
+  try {
+    if (!(await fs.pathExists(prePushPath))) {
+      console.log(chalk.gray('  ℹ No pre-push hook found'));
+      return { uninstalled: false, reason: 'not-found' };
+    }
+
+    const content = await fs.readFile(prePushPath, 'utf8');
+    if (!content.includes(CONSTITUTION_HOOK_MARKER)) {
+      console.log(chalk.yellow('  ⚠ Pre-push hook exists but is not from LEO'));
+      return { uninstalled: false, reason: 'not-leo-hook' };
+    }
+
+    await fs.remove(prePushPath);
+    console.log(chalk.green('  ✓ Pre-push hook removed'));
+    return { uninstalled: true };
+  } catch (error) {
+    console.log(chalk.red(`  ✗ Failed to uninstall hook: ${error.message}`));
+    return { uninstalled: false, error: error.message };
+  }
+}
+
+/**
+ * Check if constitution pre-push hook is installed
+ */
+async function isConstitutionHookInstalled() {
+  const prePushPath = path.join(process.cwd(), '.git', 'hooks', 'pre-push');
+
+  try {
+    if (await fs.pathExists(prePushPath)) {
+      const content = await fs.readFile(prePushPath, 'utf8');
+      return content.includes(CONSTITUTION_HOOK_MARKER);
+    }
+    return false;
+  } catch {
+    return false;
+  }
+}
+
 module.exports = {
   installPreCommitHook,
   uninstallPreCommitHook,
-  isHookInstalled
+  isHookInstalled,
+  installConstitutionHook,
+  uninstallConstitutionHook,
+  isConstitutionHookInstalled
 };
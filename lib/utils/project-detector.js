@@ -1,6 +1,16 @@
 const fs = require('fs-extra');
 const path = require('path');
 
+/**
+ * Test runners and the packages that indicate them
+ */
+const TEST_RUNNER_PACKAGES = {
+  jest: ['jest', '@jest/core'],
+  vitest: ['vitest'],
+  mocha: ['mocha'],
+  playwright: ['@playwright/test']
+};
+
 /**
  * Detect project type and framework from package.json and file structure
  * @param {string} projectPath - Path to project root
@@ -14,6 +24,7 @@ async function detectProjectType(projectPath = process.cwd()) {
     features: [],
     packageManager: 'npm',
     hasTests: false,
+    testRunners: [],
     hasLinter: false,
     hasTypeScript: false,
     hasTailwind: false,
@@ -71,6 +82,12 @@ async function detectProjectType(projectPath = process.cwd()) {
         result.hasTests = true;
         result.features.push(deps['jest'] ? 'Jest' : deps['vitest'] ? 'Vitest' : 'Mocha');
       }
+      if (deps['@playwright/test']) {
+        result.hasTests = true;
+        result.features.push('Playwright');
+      }
+      result.testRunners = Object.keys(TEST_RUNNER_PACKAGES)
+        .filter(runner => TEST_RUNNER_PACKAGES[runner].some(pkg => deps[pkg]));
 
       // Detect linter
       if (deps['eslint']) {
@@ -0,0 +1,169 @@
+/**
+ * Dashboard Auth Tests
+ * Tests for token/session authentication and hunt authorization in the API server
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+const APIServer = require('../../lib/team/api-server');
+const { DashboardAuth, TOKENS_KEY } = require('../../lib/team/auth');
+
+describe('Dashboard auth', () => {
+  let tempDir;
+  let auth;
+  let server;
+  let tokens;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-auth-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const team = {
+      members: [
+        { username: 'alice', role: 'requirements' },
+        { username: 'bob', role: 'implementation' },
+        { username: 'carol', role: 'qa', lead: true }
+      ]
+    };
+    auth = new DashboardAuth({ projectPath: tempDir, team });
+
+    server = new APIServer({ auth, projectPath: tempDir });
+    server.team = team;
+    server.tracker = {
+      hunts: [],
+      getHunt: id => (id === 'hunt-1' ? { id, title: 'Saved carts', currentPhase: 'requirements', currentRole: 'alice' } : undefined),
+      transitionHunt: jest.fn(),
+      save: jest.fn()
+    };
+    server._setupMiddleware();
+    server._setupRoutes();
+
+    tokens = {};
+    for (const username of ['alice', 'bob', 'carol']) {
+      tokens[username] = (await auth.issueToken(username)).token;
+    }
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should store only token hashes and refuse non-members', async () => {
+    const stored = await auth.storage.read(TOKENS_KEY);
+
+    expect(stored.tokens).toHaveLength(3);
+    expect(JSON.stringify(stored)).not.toContain(tokens.alice);
+    await expect(auth.issueToken('mallory')).rejects.toThrow('mallory is not a member of this pack');
+  });
+
+  test('should reject API requests without valid credentials', async () => {
+    expect((await request(server.app).get('/api/hunts')).status).toBe(401);
+    expect((await request(server.app).get('/api/hunts').set('Authorization', 'Bearer leo_nope')).status).toBe(401);
+    expect((await request(server.app).post('/api/hunts').send({ title: 'x' })).status).toBe(401);
+    expect((await request(server.app).get('/health')).status).toBe(200);
+
+    const response = await request(server.app).get('/api/hunts').set('Authorization', `Bearer ${tokens.bob}`);
+    expect(response.status).toBe(200);
+  });
+
+  test('should exchange a token for a session cookie and end it on logout', async () => {
+    const login = await request(server.app).post('/api/auth/login').send({ token: tokens.bob });
+    const cookie = login.headers['set-cookie'][0].split(';')[0];
+
+    expect(login.status).toBe(200);
+    expect(login.body).toMatchObject({ username: 'bob', role: 'implementation', lead: false });
+    expect(login.headers['set-cookie'][0]).toContain('HttpOnly');
+
+    const me = await request(server.app).get('/api/auth/me').set('Cookie', cookie);
+    expect(me.body.username).toBe('bob');
+
+    await request(server.app).post('/api/auth/logout').set('Cookie', cookie);
+    expect((await request(server.app).get('/api/auth/me').set('Cookie', cookie)).status).toBe(401);
+  });
+
+  test('should end sessions when their token is revoked', async () => {
+    const login = await request(server.app).post('/api/auth/login').send({ token: tokens.bob });
+    const cookie = login.headers['set-cookie'][0].split(';')[0];
+
+    expect(await new DashboardAuth({ projectPath: tempDir }).revokeTokens('bob')).toBe(1);
+
+    expect((await request(server.app).get('/api/hunts').set('Cookie', cookie)).status).toBe(401);
+    expect((await request(server.app).get('/api/hunts').set('Authorization', `Bearer ${tokens.bob}`)).status).toBe(401);
+  });
+
+  test('should ignore malformed stored hashes', async () => {
+    await auth.storage.update(TOKENS_KEY, stored => ({
+      tokens: [{ id: 'broken', username: 'alice', hash: 'abc' }, { id: 'odd', username: 'alice', hash: null }, ...stored.tokens]
+    }));
+
+    await expect(auth.verifyToken('leo_nope')).rejects.toThrow('Invalid API token');
+    await expect(auth.verifyToken(tokens.bob)).resolves.toMatchObject({ username: 'bob' });
+  });
+
+  test('should drop expired sessions', async () => {
+    const user = await auth.verifyToken(tokens.bob);
+    const stale = auth.createSession(user);
+    stale.expiresAt = Date.now() - 1;
+
+    const live = auth.createSession(user);
+
+    expect([...auth.sessions.keys()]).toEqual([live.id]);
+    await expect(auth.verifySession(stale.id)).rejects.toThrow('Session expired');
+    expect(auth.pruneSessions(live.expiresAt)).toBe(1);
+    expect(auth.sessions.size).toBe(0);
+  });
+
+  test('should only let the current role owner or a lead advance a hunt', async () => {
+    const advance = token => request(server.app)
+      .post('/api/hunts/hunt-1/phase-next')
+      .set('Authorization', `Bearer ${token}`);
+
+    const denied = await advance(tokens.bob);
+    expect(denied.status).toBe(403);
+    expect(denied.body.error).toContain('requirements');
+    expect(server.tracker.transitionHunt).not.toHaveBeenCalled();
+
+    expect((await advance(tokens.alice)).status).toBe(200);
+    expect((await advance(tokens.carol)).status).toBe(200);
+    expect((await request(server.app).put('/api/hunts/hunt-1').set('Authorization', `Bearer ${tokens.bob}`).send({ title: 'x' })).status).toBe(403);
+  });
+
+  test('should only allow the configured origins', async () => {
+    const allowed = await request(server.app).get('/health').set('Origin', 'http://localhost:3000');
+    const foreign = await request(server.app).get('/health').set('Origin', 'http://evil.example');
+
+    expect(allowed.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+    expect(foreign.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('should require the same credentials for WebSocket handshakes', async () => {
+    const socket = handshake => ({
+      id: 'socket-1',
+      handshake,
+      join: jest.fn(),
+      on: jest.fn(),
+      emit: jest.fn(),
+      disconnect: jest.fn()
+    });
+
+    const anonymous = socket({ headers: {}, auth: {} });
+    const rejected = jest.fn();
+    await server._authenticateSocket(anonymous, rejected);
+    expect(rejected).toHaveBeenCalledWith(expect.objectContaining({ data: { status: 401 } }));
+    expect(anonymous.user).toBeUndefined();
+
+    const member = socket({ headers: {}, auth: { token: tokens.alice } });
+    const accepted = jest.fn();
+    await server._authenticateSocket(member, accepted);
+    expect(accepted).toHaveBeenCalledWith();
+    server._handleConnection(member);
+    expect(member.join).toHaveBeenCalledWith('team');
+    expect(member.emit).toHaveBeenCalledWith('initial:state', expect.objectContaining({
+      user: expect.objectContaining({ username: 'alice', role: 'requirements' })
+    }));
+  });
+});
@@ -16,7 +16,7 @@ describe('APIServer - API Integration Tests', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer({ port: 3002 });
+    server = new APIServer({ port: 3002, auth: false });
     server._setupMiddleware();
     server._setupRoutes();
   });
@@ -52,6 +52,20 @@ describe('APIServer - API Integration Tests', () => {
       expect(response.body.error).toBeDefined();
     });
 
+    test('should return 409 when another process changed the hunt', async () => {
+      const conflict = Object.assign(new Error('Hunt hunt-1 was changed by another process - reload and try again'), { status: 409 });
+      server.tracker = {
+        hunts: [],
+        getHunt: id => ({ id, currentPhase: 'requirements' }),
+        transitionHunt: jest.fn().mockRejectedValue(conflict)
+      };
+
+      const response = await request(server.app).post('/api/hunts/hunt-1/phase-next').send({});
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain('changed by another process');
+    });
+
     test('should handle JSON parse errors', async () => {
       const response = await request(server.app)
         .post('/api/hunts')
@@ -326,6 +340,7 @@ describe('APIServer - API Integration Tests', () => {
       server.tracker = {
         hunts: [{ id: '1', title: 'Test' }],
         getHunt: () => ({ id: '1' }),
+        updateHunt: jest.fn(),
         save: jest.fn()
       };
 
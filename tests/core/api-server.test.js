@@ -38,7 +38,7 @@ describe('APIServer - Middleware Setup', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
   });
 
@@ -50,7 +50,7 @@ describe('APIServer - Middleware Setup', () => {
 
     const response = await request(server.app)
       .get('/test-cors')
-      .set('Origin', 'http://localhost:8080');
+      .set('Origin', 'http://localhost:3000');
 
     // CORS should add Access-Control-Allow-Origin header
     expect(response.headers['access-control-allow-origin']).toBeDefined();
@@ -84,7 +84,7 @@ describe('APIServer - Health Check', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
   });
@@ -102,7 +102,7 @@ describe('APIServer - Team Endpoints', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
 
@@ -173,7 +173,7 @@ describe('APIServer - Hunt Endpoints', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
 
@@ -329,7 +329,7 @@ describe('APIServer - Hunt Endpoints', () => {
 
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('currentPhase');
-      expect(server.tracker.transitionHunt).toHaveBeenCalledWith('1');
+      expect(server.tracker.transitionHunt).toHaveBeenCalledWith('1', null, null, { actor: 'dashboard' });
     });
 
     test('should return 404 for missing hunt', async () => {
@@ -347,7 +347,7 @@ describe('APIServer - Hunt Endpoints', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.completed).toBe(true);
-      expect(server.tracker.completeHunt).toHaveBeenCalledWith('1');
+      expect(server.tracker.completeHunt).toHaveBeenCalledWith('1', { actor: 'dashboard' });
     });
 
     test('should return 404 for missing hunt', async () => {
@@ -363,7 +363,7 @@ describe('APIServer - Analytics Endpoints', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
 
@@ -0,0 +1,150 @@
+/**
+ * Clarification Tests
+ * Tests for lib/clarify - questions and folding answers back into the spec
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const inquirer = require('inquirer');
+const { LocalTracker } = require('../../lib/tracker');
+const { SpecDocument } = require('../../lib/spec/document');
+const ClarificationManager = require('../../lib/clarify');
+const PlanManager = require('../../lib/plan');
+
+describe('ClarificationManager', () => {
+  let tempDir;
+  let tracker;
+  let manager;
+  let issueNumber;
+
+  const specBody = [
+    '## Context',
+    '',
+    'Add export.',
+    '',
+    '## Requirements',
+    '',
+    '- [ ] REQ-1: Export reports as CSV',
+    '',
+    '## User Stories',
+    '',
+    '- US-1: As an analyst, I want to export reports so that I can share them',
+    ''
+  ].join('\n');
+
+  async function questionIds() {
+    const { questions } = await manager.clarify(issueNumber);
+    return Object.fromEntries(questions.map(q => [`${q.section}/${q.category}`, q.id]));
+  }
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-clarify-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    manager = new ClarificationManager({ tracker });
+    ({ number: issueNumber } = await tracker.createIssue({ title: 'Add export', body: specBody, labels: ['spec'] }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  test('should number questions across categories', async () => {
+    const { questions, comment } = await manager.clarify(issueNumber);
+
+    expect(questions.map(q => q.id)).toEqual(questions.map((q, index) => `Q${index + 1}`));
+    expect(comment).toContain(`**${questions[questions.length - 1].id}:**`);
+    expect(comment).toContain('<!-- leo-clarify-questions [');
+  });
+
+  test('should apply answers from replies to their sections', async () => {
+    const ids = await questionIds();
+    await tracker.addComment(issueNumber, [
+      'Thanks, answers below.',
+      '',
+      `${ids['Context/REQUIREMENTS']}: Finance teams rebuild reports by hand every month - this is the problem we need to solve.`,
+      `**${ids['Requirements/TESTING']}:** - Unit tests for the CSV writer`,
+      '- Integration test for the export endpoint',
+      '',
+      `${ids['General/SECURITY']}: Only report owners can export`
+    ].join('\n'));
+
+    const result = await manager.resolve(issueNumber);
+    const doc = SpecDocument.parse((await tracker.getIssue(issueNumber)).body);
+
+    expect(result.applied.map(q => q.section).sort()).toEqual(['Context', 'Requirements', 'Requirements']);
+    expect(doc.getText('context')).toBe('Add export.\n\nFinance teams rebuild reports by hand every month - this is the problem we need to solve.');
+    expect(doc.getText('requirements')).toBe([
+      '- [ ] REQ-1: Export reports as CSV',
+      '- [ ] REQ-2: Unit tests for the CSV writer',
+      '- [ ] REQ-3: Integration test for the export endpoint',
+      '- [ ] REQ-4: Only report owners can export'
+    ].join('\n'));
+  });
+
+  test('should clear needs-clarification once blocking questions are answered', async () => {
+    const { questions } = await manager.clarify(issueNumber);
+    const blocking = questions.filter(q => q.priority === 'high');
+    const [first, ...rest] = blocking;
+
+    await tracker.addComment(issueNumber, `${first.id}: First answer`);
+    const partial = await manager.resolve(issueNumber);
+
+    expect(partial.resolved).toBe(false);
+    expect((await tracker.getIssue(issueNumber)).labels.map(l => l.name)).toContain('needs-clarification');
+
+    await tracker.addComment(issueNumber, rest.map(q => `${q.id}: Answer for ${q.section}`).join('\n'));
+    const result = await manager.resolve(issueNumber);
+    const issue = await tracker.getIssue(issueNumber);
+
+    expect(result.applied.map(q => q.id)).toEqual(rest.map(q => q.id));
+    expect(result.resolved).toBe(true);
+    expect(issue.labels.map(l => l.name)).not.toContain('needs-clarification');
+    expect(issue.body.match(/First answer/g)).toHaveLength(1);
+  });
+
+  test('should refuse to plan until blocking questions are resolved', async () => {
+    const planner = new PlanManager({ tracker, qualityThreshold: 0 });
+    const { questions } = await manager.clarify(issueNumber);
+    const blocking = questions.filter(q => q.priority === 'high');
+
+    await expect(planner.plan(issueNumber, { autoPost: false, updateLabels: false }))
+      .rejects.toThrow(`has open blocking questions: ${blocking.map(q => q.id).join(', ')}`);
+    await expect(planner.plan(issueNumber, { autoPost: false, updateLabels: false, force: true })).resolves.toBeDefined();
+
+    await tracker.addComment(issueNumber, blocking.map(q => `${q.id}: Answer for ${q.section}`).join('\n'));
+    await manager.resolve(issueNumber);
+
+    await expect(planner.plan(issueNumber, { autoPost: false, updateLabels: false })).resolves.toBeDefined();
+  });
+
+  test('should prompt for open questions in interactive mode', async () => {
+    const { questions } = await manager.clarify(issueNumber);
+    const prompt = jest.spyOn(inquirer, 'prompt').mockResolvedValue({ answer: '' });
+    prompt.mockResolvedValueOnce({ answer: 'Prompted answer' });
+
+    const result = await manager.resolve(issueNumber, { interactive: true });
+
+    expect(prompt).toHaveBeenCalledTimes(questions.length);
+    expect(result.applied).toHaveLength(1);
+    expect(result.applied[0]).toMatchObject({ id: 'Q1', answer: 'Prompted answer' });
+  });
+
+  test('should not update the issue in preview mode', async () => {
+    await manager.clarify(issueNumber);
+    const before = (await tracker.getIssue(issueNumber)).body;
+
+    const result = await manager.resolve(issueNumber, { answers: { q1: 'Previewed' }, autoUpdate: false });
+
+    expect(result.updatedBody).toContain('Previewed');
+    expect((await tracker.getIssue(issueNumber)).body).toBe(before);
+  });
+
+  test('should require questions to resolve', async () => {
+    await expect(manager.resolve(issueNumber)).rejects.toThrow('No clarification questions found');
+  });
+});
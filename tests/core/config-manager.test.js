@@ -156,6 +156,23 @@ describe('ConfigurationManager', () => {
       const config = manager.getConfig();
       expect(config.version).toBe('1.0.0');
     });
+
+    test('should keep settings another writer saved in the meantime', async () => {
+      const manager = new ConfigurationManager(tempDir);
+      await manager.initialize({
+        name: 'Test',
+        teamSize: 1,
+        members: [{ username: 'alice', role: 'requirements' }]
+      });
+
+      const configPath = path.join(tempDir, '.leo.json');
+      await fs.writeJson(configPath, { ...(await fs.readJson(configPath)), packName: 'Lions' });
+      await manager.addMember('bob', 'spec');
+
+      const saved = await fs.readJson(configPath);
+      expect(saved.packName).toBe('Lions');
+      expect(saved.members).toHaveLength(2);
+    });
   });
 
   describe('Member Management', () => {
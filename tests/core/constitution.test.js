@@ -0,0 +1,314 @@
+/**
+ * Constitution Tests
+ * Tests for lib/constitution - principle checks against specs, plans, tasks and diffs
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+const { ConstitutionManager, DEFAULT_PRINCIPLES } = require('../../lib/constitution');
+const { LocalTracker } = require('../../lib/tracker');
+const SpecManager = require('../../lib/spec');
+const PlanManager = require('../../lib/plan');
+const { installConstitutionHook, isConstitutionHookInstalled } = require('../../lib/utils/git-hooks');
+
+describe('ConstitutionManager', () => {
+  let tempDir;
+  let manager;
+
+  async function writePrinciples(principles) {
+    await fs.writeJson(path.join(tempDir, '.ux-ingkarc.json'), {
+      constitution: { version: '1.0.0', principles }
+    });
+  }
+
+  function principle(name, overrides = {}) {
+    return { ...DEFAULT_PRINCIPLES.find(p => p.name === name), ...overrides };
+  }
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-constitution-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    manager = new ConstitutionManager(tempDir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  describe('Loading', () => {
+    test('should load principles from the project config', async () => {
+      await writePrinciples(DEFAULT_PRINCIPLES);
+
+      expect(await manager.getPrinciples()).toHaveLength(5);
+    });
+
+    test('should pass everything when no principles are configured', async () => {
+      const result = await manager.validate({ type: 'spec', content: '## Requirements\n\n- [ ] Something\n' });
+
+      expect(result).toMatchObject({ valid: true, checked: 0, violations: [], warnings: [] });
+    });
+
+    test('should reject unknown work types', async () => {
+      await expect(manager.validate({ type: 'pr', content: '' })).rejects.toThrow('Unknown work type: pr');
+    });
+  });
+
+  describe('Specs, plans and tasks', () => {
+    test('should warn when a spec misses tests and documentation', async () => {
+      await writePrinciples(DEFAULT_PRINCIPLES);
+
+      const result = await manager.validate({
+        type: 'spec',
+        content: { sections: { 'Requirements': '- [ ] Add login\n- [ ] Add logout' } }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings.map(w => w.check)).toEqual(['test-requirement', 'docs-requirement']);
+    });
+
+    test('should turn warnings into violations with a severity override', async () => {
+      await writePrinciples([principle('Test-First Development', { severity: 'error' })]);
+
+      const result = await manager.validate({ type: 'spec', content: '## Requirements\n\n- [ ] Add login\n' });
+
+      expect(result.valid).toBe(false);
+      expect(result.violations[0]).toMatchObject({
+        principle: 'Test-First Development',
+        check: 'test-requirement',
+        severity: 'error'
+      });
+    });
+
+    test('should skip disabled principles', async () => {
+      await writePrinciples([principle('Test-First Development', { severity: 'error', enabled: false })]);
+
+      const result = await manager.validate({ type: 'spec', content: '## Requirements\n\n- [ ] Add login\n' });
+
+      expect(result.checked).toBe(0);
+    });
+
+    test('should check that plans define API contracts before implementation', async () => {
+      await writePrinciples([principle('API-First Design')]);
+
+      const result = await manager.validate({
+        type: 'plan',
+        content: { sections: { 'Implementation Phases': '...', 'API Contracts': '...' } }
+      });
+
+      expect(result.warnings[0].message).toBe('API Contracts come after Implementation Phases');
+    });
+
+    test('should read task checklists', async () => {
+      await writePrinciples([principle('Documentation Required')]);
+
+      const missing = await manager.validate({ type: 'tasks', content: '- [ ] Build it\n- [x] Ship it\n' });
+      const present = await manager.validate({ type: 'tasks', content: [{ name: 'Polish', tasks: ['Documentation'] }] });
+
+      expect(missing.warnings.map(w => w.check)).toEqual(['docs-tasks']);
+      expect(present.warnings).toHaveLength(0);
+    });
+
+    test('should run pattern checks from custom principles', async () => {
+      await writePrinciples([{
+        name: 'Security by Default',
+        rule: 'Every spec covers security',
+        checks: [{ target: 'spec', section: 'Requirements', requires: 'security|auth', severity: 'error', message: 'Requirements must cover security' }]
+      }]);
+
+      const result = await manager.validate({ type: 'spec', content: '## Requirements\n\n- [ ] Add export\n' });
+
+      expect(result.violations).toEqual([{
+        principle: 'Security by Default',
+        check: 'custom-1',
+        severity: 'error',
+        message: 'Requirements must cover security'
+      }]);
+    });
+  });
+
+  describe('Diffs', () => {
+    test('should require tests for new source files', async () => {
+      await writePrinciples([principle('Test-First Development')]);
+
+      const result = await manager.validate({
+        type: 'diff',
+        content: {
+          files: [
+            { path: 'lib/auth.js', status: 'added' },
+            { path: 'lib/session.js', status: 'added' },
+            { path: 'tests/core/auth.test.js', status: 'added' }
+          ]
+        }
+      });
+
+      expect(result.violations.map(v => v.message)).toEqual(['New source file lib/session.js has no test']);
+    });
+
+    test('should read the dependency limit from the rule', async () => {
+      await writePrinciples([principle('Dependency Limits', { rule: 'Maximum 2 external dependencies per feature' })]);
+
+      const result = await manager.validate({
+        type: 'diff',
+        content: { files: [], dependencies: { added: ['axios', 'lodash', 'moment'] } }
+      });
+
+      expect(result.violations[0].message).toBe('3 dependencies added (max 2): axios, lodash, moment');
+    });
+
+    test('should require JSDoc on new exports', async () => {
+      await writePrinciples([principle('Documentation Required')]);
+
+      const result = await manager.validate({
+        type: 'diff',
+        content: {
+          files: [{
+            path: 'lib/auth.js',
+            status: 'added',
+            added: [
+              '/**',
+              ' * Log a user in',
+              ' */',
+              'function login() {}',
+              '',
+              'function logout() {}',
+              '',
+              'function helper() {}',
+              '',
+              'module.exports = { login, logout };'
+            ]
+          }]
+        }
+      });
+
+      expect(result.violations.map(v => v.message)).toEqual(['lib/auth.js: export logout has no JSDoc comment']);
+    });
+
+    test('should require JSDoc on exports assigned in place', async () => {
+      await writePrinciples([principle('Documentation Required')]);
+
+      const result = await manager.validate({
+        type: 'diff',
+        content: {
+          files: [{
+            path: 'lib/session.js',
+            status: 'added',
+            added: [
+              '/**',
+              ' * Start a session',
+              ' */',
+              'module.exports.start = function start() {};',
+              '',
+              'module.exports.stop = async () => {};',
+              'exports.refresh = function () {};',
+              '',
+              'function touch() {}',
+              'exports.touch = touch;'
+            ]
+          }]
+        }
+      });
+
+      expect(result.violations.map(v => v.message)).toEqual([
+        'lib/session.js: export stop has no JSDoc comment',
+        'lib/session.js: export refresh has no JSDoc comment',
+        'lib/session.js: export touch has no JSDoc comment'
+      ]);
+    });
+  });
+
+  describe('Branch check', () => {
+    const git = args => execSync(`git -c user.name=tester -c user.email=tester@example.com ${args}`, { cwd: tempDir, stdio: 'pipe' });
+
+    beforeEach(async () => {
+      git('init -q -b main');
+      await writePrinciples([
+        principle('Test-First Development'),
+        principle('Dependency Limits', { rule: 'Maximum 1 external dependency per feature' })
+      ]);
+      await fs.writeJson(path.join(tempDir, 'package.json'), { dependencies: { chalk: '^4.0.0' } });
+      git('add -A');
+      git('commit -q -m init');
+      git('checkout -q -b feature');
+    });
+
+    test('should check committed and uncommitted changes against the base branch', async () => {
+      await fs.outputFile(path.join(tempDir, 'lib', 'auth.js'), 'module.exports = {};\n');
+      await fs.outputFile(path.join(tempDir, 'tests', 'auth.test.js'), 'test("auth", () => {});\n');
+      git('add -A');
+      git('commit -q -m auth');
+      await fs.outputFile(path.join(tempDir, 'lib', 'session.js'), 'module.exports = {};\n');
+      await fs.writeJson(path.join(tempDir, 'package.json'), { dependencies: { chalk: '^4.0.0', axios: '^1.0.0', ms: '^2.0.0' } });
+
+      const result = await manager.check({ base: 'main' });
+
+      expect(result.diff.files.map(f => f.path).sort()).toEqual(['lib/auth.js', 'lib/session.js', 'package.json', 'tests/auth.test.js']);
+      expect(result.diff.dependencies.added).toEqual(['axios', 'ms']);
+      expect(result.violations.map(v => v.message)).toEqual([
+        'New source file lib/session.js has no test',
+        '2 dependencies added (max 1): axios, ms'
+      ]);
+    });
+
+    test('should only check staged changes when asked', async () => {
+      await fs.outputFile(path.join(tempDir, 'lib', 'staged.js'), 'module.exports = {};\n');
+      await fs.outputFile(path.join(tempDir, 'lib', 'unstaged.js'), 'module.exports = {};\n');
+      git('add lib/staged.js');
+
+      const result = await manager.check({ staged: true });
+
+      expect(result.diff.files.map(f => f.path)).toEqual(['lib/staged.js']);
+      expect(result.valid).toBe(false);
+    });
+
+    test('should fail on an unknown base', async () => {
+      await expect(manager.check({ base: 'does-not-exist' })).rejects.toThrow('Unknown base ref: does-not-exist');
+    });
+
+    test('should install the pre-push hook', async () => {
+      jest.spyOn(process, 'cwd').mockReturnValue(tempDir);
+
+      try {
+        const result = await installConstitutionHook({ base: 'develop' });
+        const hook = await fs.readFile(path.join(tempDir, '.git', 'hooks', 'pre-push'), 'utf8');
+
+        expect(result.installed).toBe(true);
+        expect(hook).toContain('const base = "develop";');
+        expect(await isConstitutionHookInstalled()).toBe(true);
+      } finally {
+        process.cwd.mockRestore();
+      }
+    });
+  });
+
+  describe('Blocking', () => {
+    let tracker;
+
+    beforeEach(() => {
+      tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    });
+
+    test('should block spec creation on violations unless forced', async () => {
+      await writePrinciples([principle('Test-First Development', { severity: 'error' })]);
+      const specManager = new SpecManager({ tracker, projectRoot: tempDir });
+
+      await expect(specManager.create('Add login', { autoPopulate: false }))
+        .rejects.toThrow('Spec violates constitutional principles');
+
+      const issue = await specManager.create('Add login', { autoPopulate: false, force: true });
+      expect(issue.number).toBe(1);
+    });
+
+    test('should block a plan that skips API contracts', async () => {
+      await writePrinciples([principle('API-First Design', { severity: 'error' })]);
+      const { number } = await new SpecManager({ tracker, projectRoot: tempDir }).create('Add login');
+
+      await expect(new PlanManager({ tracker, projectRoot: tempDir }).plan(number, { focus: 'phases' }))
+        .rejects.toThrow('Plan violates constitutional principles');
+      expect(await tracker.listComments(number)).toHaveLength(0);
+    });
+  });
+});
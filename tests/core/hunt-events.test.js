@@ -0,0 +1,173 @@
+/**
+ * Hunt Event Log Tests
+ * Tests for lib/team/hunt-events - recording, replay, analytics rebuild and history
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+const { createStorage } = require('../../lib/storage');
+const { HuntCycleTracker } = require('../../lib/team/tracker');
+const { AnalyticsEngine } = require('../../lib/team/analytics');
+const { HuntEventLog, createEvent, describeEvent } = require('../../lib/team/hunt-events');
+const { HuntCommands } = require('../../lib/commands/hunt');
+const APIServer = require('../../lib/team/api-server');
+
+describe('Hunt event log', () => {
+  let tempDir;
+  let storage;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-hunt-events-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    storage = createStorage({ backend: 'file', projectRoot: tempDir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  const runHunt = async () => {
+    const tracker = await HuntCycleTracker.load('Lions', tempDir, { storage });
+    const hunt = tracker.startHunt('Saved carts', 'Keep carts across devices', 'alice', { actor: 'alice' });
+    await tracker.transitionHunt(hunt.id, 'requirements', 'alice', { actor: 'alice' });
+    await tracker.blockHunt(hunt.id, 'Waiting on API keys', { actor: 'alice' });
+    await tracker.unblockHunt(hunt.id, { actor: 'carol' });
+    await tracker.reassignHunt(hunt.id, 'dave', { actor: 'carol' });
+    await tracker.transitionHunt(hunt.id, null, 'bob', { actor: 'dave' });
+    return { tracker, hunt };
+  };
+
+  test('should record every mutation with its actor', async () => {
+    const { hunt } = await runHunt();
+
+    const events = await new HuntEventLog({ storage }).read(hunt.id);
+
+    expect(events.map(e => [e.type, e.actor])).toEqual([
+      ['created', 'alice'],
+      ['phase_advanced', 'alice'],
+      ['blocked', 'alice'],
+      ['unblocked', 'carol'],
+      ['reassigned', 'carol'],
+      ['phase_advanced', 'dave']
+    ]);
+    expect(events[4]).toMatchObject({ from: 'alice', assignee: 'dave' });
+    expect(events[5]).toMatchObject({ from: 'requirements', phase: 'spec', assignee: 'bob' });
+  });
+
+  test('should derive state by replaying the log', async () => {
+    const { tracker, hunt } = await runHunt();
+    await tracker.completeHunt(hunt.id, { actor: 'bob' });
+
+    // A stale or hand-edited snapshot does not change the replayed state
+    const snapshot = await storage.read('hunts');
+    await storage.write('hunts', snapshot.map(h => ({ ...h, status: 'active', phaseHistory: [] })));
+
+    const replayed = (await HuntCycleTracker.load('Lions', tempDir, { storage })).getHunt(hunt.id);
+
+    expect(replayed.status).toBe('completed');
+    expect(replayed.owner).toBe('alice');
+    expect(replayed.completedAt).toBe(hunt.completedAt);
+    expect(replayed.phaseHistory).toEqual(hunt.phaseHistory);
+    expect(replayed.phaseHistory.map(p => p.assignee)).toEqual(['dave', 'bob']);
+  });
+
+  test('should only ever append events', async () => {
+    const first = await runHunt();
+    const other = await HuntCycleTracker.load('Lions', tempDir, { storage });
+    const before = await new HuntEventLog({ storage }).read();
+
+    await other.completeHunt(first.hunt.id, { actor: 'bob' });
+
+    const after = await new HuntEventLog({ storage }).read();
+    expect(after.slice(0, before.length)).toEqual(before);
+    expect(after[after.length - 1]).toMatchObject({ type: 'completed', actor: 'bob', phase: 'spec' });
+    await expect(new HuntEventLog({ storage }).append([{ type: 'deleted' }])).rejects.toThrow('Unknown hunt event type: deleted');
+  });
+
+  test('should keep hunts from before the event log', async () => {
+    await storage.write('hunts', [{
+      id: 'hunt-legacy',
+      featureName: 'Legacy',
+      status: 'active',
+      currentPhase: 'requirements',
+      currentRole: 'alice',
+      startedAt: '2026-01-01T00:00:00.000Z',
+      phaseHistory: [{ phase: 'requirements', assignee: 'alice', startTime: '2026-01-01T00:00:00.000Z', endTime: null }]
+    }]);
+
+    const tracker = await HuntCycleTracker.load('Lions', tempDir, { storage });
+    await tracker.reassignHunt('hunt-legacy', 'bob', { actor: 'carol' });
+
+    const reloaded = await HuntCycleTracker.load('Lions', tempDir, { storage });
+    expect(reloaded.getHunt('hunt-legacy').currentRole).toBe('bob');
+    expect(await new HuntEventLog({ storage }).read('hunt-legacy')).toHaveLength(1);
+  });
+
+  test('should keep dashboard edits after a reload', async () => {
+    const { tracker, hunt } = await runHunt();
+    const server = new APIServer({ auth: false, projectPath: tempDir });
+    server.tracker = tracker;
+    server._setupMiddleware();
+    server._setupRoutes();
+
+    const response = await request(server.app)
+      .put(`/api/hunts/${hunt.id}`)
+      .send({ title: 'Saved baskets', priority: 'high' });
+
+    const reloaded = (await HuntCycleTracker.load('Lions', tempDir, { storage })).getHunt(hunt.id);
+    const events = await new HuntEventLog({ storage }).read(hunt.id);
+
+    expect(response.status).toBe(200);
+    expect(reloaded).toMatchObject({ featureName: 'Saved baskets', description: 'Keep carts across devices', priority: 'high' });
+    expect(events[events.length - 1]).toMatchObject({ type: 'updated', actor: 'dashboard', featureName: 'Saved baskets', priority: 'high' });
+    expect(events[events.length - 1]).not.toHaveProperty('description');
+  });
+
+  test('should save to the project it was loaded from', async () => {
+    const tracker = await HuntCycleTracker.load('Lions', tempDir);
+    const hunt = tracker.startHunt('Saved carts', '', 'alice');
+    await tracker.save();
+    await tracker.transitionHunt(hunt.id, 'requirements', 'alice');
+
+    expect(tracker.pendingEvents).toEqual([]);
+    expect((await new HuntEventLog({ storage }).read(hunt.id)).map(e => e.type)).toEqual(['created', 'phase_advanced']);
+    expect((await storage.read('hunts'))[0]).toMatchObject({ id: hunt.id, currentPhase: 'requirements' });
+  });
+
+  test('should rebuild analytics metrics from the log', async () => {
+    const { tracker, hunt } = await runHunt();
+    await tracker.completeHunt(hunt.id, { actor: 'bob' });
+    tracker.startHunt('Checkout', 'Faster checkout');
+    await tracker.save();
+
+    const engine = await AnalyticsEngine.fromEventLog('Lions', tempDir, { storage });
+
+    expect(engine.metrics).toHaveLength(2);
+    expect(engine.metrics[0]).toMatchObject({ huntId: hunt.id, status: 'completed' });
+    expect(Object.keys(engine.metrics[0].phases)).toEqual(['requirements', 'spec']);
+    expect(engine.metrics[0].phases.requirements.assignee).toBe('dave');
+  });
+
+  test('should show the audit trail with actors', async () => {
+    const { hunt } = await runHunt();
+    const cwd = process.cwd();
+
+    process.chdir(tempDir);
+    try {
+      await HuntCommands.history(hunt.id);
+    } finally {
+      process.chdir(cwd);
+    }
+
+    const output = console.log.mock.calls.map(call => call.join(' ')).join('\n');
+    expect(output).toContain('Hunt History: Saved carts');
+    expect(output).toContain('@carol');
+    expect(output).toContain('Blocked: Waiting on API keys');
+    expect(describeEvent(createEvent('reassigned', 'h', { from: null, assignee: 'bob' }, { actor: 'x' })))
+      .toContain('unassigned → @bob');
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Hunt Blocking & SLA Tests
+ * Tests for blocked time tracking, per-role SLA thresholds and the block/unblock API
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+const APIServer = require('../../lib/team/api-server');
+const { createStorage } = require('../../lib/storage');
+const { HuntCycle, HuntCycleTracker } = require('../../lib/team/tracker');
+const { AnalyticsEngine } = require('../../lib/team/analytics');
+const { RoleManager, parseEstimatedDuration } = require('../../lib/team/roles');
+const { createEvent } = require('../../lib/team/hunt-events');
+const { ConfigurationManager } = require('../../lib/team/config-manager');
+const { HuntCommands } = require('../../lib/commands/hunt');
+
+const T0 = Date.parse('2026-03-02T09:00:00.000Z');
+const at = minutes => new Date(T0 + minutes * 60 * 1000).toISOString();
+
+/**
+ * Build a hunt from events at fixed minutes after T0
+ */
+function huntFrom(steps) {
+  const hunt = new HuntCycle('hunt-1', 'Saved carts', '', 'Lions');
+  steps.forEach(([minute, type, fields]) => {
+    hunt.apply(createEvent(type, hunt.id, fields, { actor: 'alice', at: at(minute) }));
+  });
+  return hunt;
+}
+
+describe('Hunt blocking and SLAs', () => {
+  describe('SLA thresholds', () => {
+    test('should use the upper bound of each role\'s estimatedDuration', () => {
+      expect(parseEstimatedDuration('1-3 days per task')).toEqual({ min: 1440, max: 4320 });
+      expect(parseEstimatedDuration('90 minutes')).toEqual({ min: 90, max: 90 });
+      expect(parseEstimatedDuration('soon')).toBeNull();
+
+      expect(RoleManager.getSlaMinutes('requirements')).toBe(240);
+      expect(RoleManager.getSlaMinutes('deploy')).toBe(120);
+      expect(RoleManager.getSlaMinutes('unknown')).toBeNull();
+    });
+  });
+
+  describe('Blocked time', () => {
+    test('should keep blocked time out of the phase\'s active time', () => {
+      const hunt = huntFrom([
+        [0, 'created', { featureName: 'Saved carts' }],
+        [0, 'phase_advanced', { phase: 'requirements', assignee: 'alice' }],
+        [30, 'blocked', { reason: 'Waiting on API keys' }],
+        [90, 'unblocked'],
+        [120, 'phase_advanced', { phase: 'spec', assignee: 'bob' }]
+      ]);
+
+      expect(hunt.phaseHistory[0]).toMatchObject({ duration: 120, blockedDuration: 60, activeDuration: 60 });
+      expect(hunt.blockedDuration).toBe(60);
+      expect(hunt.getBlockedDuration(new Date(at(200)))).toBe(60);
+    });
+
+    test('should charge a block that spans phases to each phase', () => {
+      const hunt = huntFrom([
+        [0, 'created', { featureName: 'Saved carts' }],
+        [0, 'phase_advanced', { phase: 'requirements', assignee: 'alice' }],
+        [60, 'blocked', {}],
+        [100, 'phase_advanced', { phase: 'spec', assignee: 'bob' }],
+        [130, 'unblocked'],
+        [200, 'completed', {}]
+      ]);
+
+      expect(hunt.phaseHistory.map(p => p.blockedDuration)).toEqual([40, 30]);
+      expect(hunt.phaseHistory.map(p => p.activeDuration)).toEqual([60, 70]);
+      expect(hunt.blockedDuration).toBe(70);
+    });
+  });
+
+  describe('SLA status', () => {
+    const steps = [
+      [0, 'created', { featureName: 'Saved carts' }],
+      [0, 'phase_advanced', { phase: 'requirements', assignee: 'alice' }],
+      [100, 'blocked', { reason: 'Waiting on legal' }],
+      [160, 'unblocked']
+    ];
+
+    test('should only warn once active time passes the role\'s SLA', () => {
+      const hunt = huntFrom(steps);
+
+      expect(hunt.getSlaStatus(new Date(at(300)))).toMatchObject({
+        phase: 'requirements',
+        activeMinutes: 240,
+        thresholdMinutes: 240,
+        overrun: false
+      });
+      expect(hunt.getSlaStatus(new Date(at(330)))).toMatchObject({ activeMinutes: 270, overrunMinutes: 30, overrun: true });
+    });
+
+    test('should pause the SLA clock while blocked', () => {
+      const hunt = huntFrom([...steps, [200, 'blocked', {}]]);
+
+      expect(hunt.getSlaStatus(new Date(at(1000)))).toMatchObject({ activeMinutes: 140, overrun: false });
+    });
+
+    test('should list overrunning hunts', () => {
+      const tracker = new HuntCycleTracker('Lions');
+      tracker.hunts = [huntFrom(steps)];
+
+      expect(tracker.getSlaWarnings(new Date(at(200)))).toEqual([]);
+      expect(tracker.getSlaWarnings(new Date(at(400)))).toEqual([
+        expect.objectContaining({ huntId: 'hunt-1', featureName: 'Saved carts', overrunMinutes: 100 })
+      ]);
+    });
+  });
+
+  describe('Analytics', () => {
+    test('should report blocked time and SLA breaches separately from phase time', () => {
+      const engine = new AnalyticsEngine('Lions');
+      engine.recordHuntMetrics(huntFrom([
+        [0, 'created', { featureName: 'Saved carts' }],
+        [0, 'phase_advanced', { phase: 'requirements', assignee: 'alice' }],
+        [60, 'blocked', {}],
+        [360, 'unblocked'],
+        [400, 'phase_advanced', { phase: 'spec', assignee: 'bob' }],
+        [1000, 'completed', {}]
+      ]));
+
+      const metrics = engine.metrics[0];
+      expect(metrics).toMatchObject({ totalDuration: 1000, blockedDuration: 300, activeDuration: 700 });
+      expect(metrics.phases.requirements).toMatchObject({ activeDuration: 100, blockedDuration: 300, overSla: false });
+      expect(metrics.phases.spec).toMatchObject({ activeDuration: 600, overSla: true });
+
+      expect(engine.getPhaseAnalysis().requirements.averageTime).toBe(100);
+      expect(engine.getBlockedTimeAnalysis()).toMatchObject({ totalBlockedTime: 300, huntsBlocked: 1 });
+      expect(engine.getSlaAnalysis().spec).toMatchObject({ thresholdMinutes: 480, phases: 1, breaches: 1, breachRate: 100 });
+      expect(engine.formatReportAsMarkdown(engine.generateTeamReport())).toContain('SLA Breaches');
+    });
+  });
+
+  describe('API', () => {
+    let tempDir;
+    let server;
+    let hunt;
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `ux-ingka-hunt-sla-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      await fs.ensureDir(tempDir);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const storage = createStorage({ backend: 'file', projectRoot: tempDir });
+      const tracker = await HuntCycleTracker.load('Lions', tempDir, { storage });
+      hunt = tracker.startHunt('Saved carts', 'Keep carts across devices');
+      await tracker.transitionHunt(hunt.id, 'requirements', 'alice');
+
+      server = new APIServer({ auth: false, tracker, projectPath: tempDir });
+      server._setupMiddleware();
+      server._setupRoutes();
+      jest.spyOn(server, '_broadcast');
+    });
+
+    afterEach(async () => {
+      console.log.mockRestore();
+      await fs.remove(tempDir);
+    });
+
+    test('should block and unblock hunts and broadcast both', async () => {
+      const blocked = await request(server.app).post(`/api/hunts/${hunt.id}/block`).send({ reason: 'Waiting on API keys' });
+
+      expect(blocked.status).toBe(200);
+      expect(blocked.body).toMatchObject({ status: 'blocked', reason: 'Waiting on API keys', blockedBy: 'dashboard' });
+      expect(server._broadcast).toHaveBeenCalledWith('hunt:blocked', expect.objectContaining({ id: hunt.id }));
+
+      expect((await request(server.app).post(`/api/hunts/${hunt.id}/block`)).status).toBe(409);
+      expect((await request(server.app).post(`/api/hunts/${hunt.id}/phase-next`)).status).toBe(409);
+      await expect(server.tracker.transitionHunt(hunt.id)).rejects.toThrow('unblock it first');
+
+      const unblocked = await request(server.app).post(`/api/hunts/${hunt.id}/unblock`);
+      expect(unblocked.body).toMatchObject({ status: 'active', unblockedBy: 'dashboard' });
+      expect(server._broadcast).toHaveBeenCalledWith('hunt:unblocked', expect.objectContaining({ id: hunt.id }));
+      expect((await request(server.app).post(`/api/hunts/${hunt.id}/unblock`)).status).toBe(409);
+
+      const reloaded = await HuntCycleTracker.load('Lions', tempDir, { storage: server.tracker.storage });
+      expect(reloaded.getHunt(hunt.id).status).toBe('active');
+    });
+
+    test('should raise each SLA warning once', () => {
+      const listener = jest.fn();
+      server.on('hunt:sla-warning', listener);
+      const later = new Date(Date.now() + 300 * 60 * 1000);
+
+      expect(server.checkSla()).toEqual([]);
+      expect(server.checkSla(later)).toEqual([expect.objectContaining({ huntId: hunt.id, phase: 'requirements' })]);
+      expect(server.checkSla(later)).toEqual([]);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(server._broadcast).toHaveBeenCalledWith('hunt:sla-warning', expect.objectContaining({ thresholdMinutes: 240 }));
+    });
+  });
+
+  describe('CLI', () => {
+    test('should leave the GitHub issue open when completing a blocked hunt', async () => {
+      const tempDir = path.join(os.tmpdir(), `ux-ingka-hunt-sla-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      const storage = createStorage({ backend: 'file', projectRoot: tempDir });
+      const tracker = await HuntCycleTracker.load('Lions', tempDir, { storage });
+      const hunt = tracker.startHunt('Saved carts', '');
+      await tracker.transitionHunt(hunt.id, 'requirements', 'alice');
+      await tracker.blockHunt(hunt.id, 'Waiting on API keys');
+      hunt.githubIssue = { number: 12 };
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(ConfigurationManager.prototype, 'load').mockResolvedValue({ github: { enabled: true } });
+      jest.spyOn(HuntCycleTracker, 'load').mockResolvedValue(tracker);
+      const closeIssue = jest.spyOn(HuntCommands, '_closeGitHubIssue').mockResolvedValue(null);
+
+      try {
+        await expect(HuntCommands.complete(hunt.id)).rejects.toThrow('unblock it first');
+        expect(closeIssue).not.toHaveBeenCalled();
+        expect(hunt.status).toBe('blocked');
+      } finally {
+        jest.restoreAllMocks();
+        await fs.remove(tempDir);
+      }
+    });
+  });
+});
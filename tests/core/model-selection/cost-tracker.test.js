@@ -241,6 +241,8 @@ describe('CostTracker', () => {
         inputTokens: 500,
         outputTokens: 250
       };
+      // Read back what was written, like the usage file
+      fs.writeJson.mockImplementation(async (file, data) => fs.readJson.mockResolvedValue(JSON.parse(JSON.stringify(data))));
 
       await costTracker.recordUsage('frontend', 'gpt-4', 'Task 1', usage);
       await costTracker.recordUsage('frontend', 'gpt-4', 'Task 2', usage);
@@ -251,6 +253,26 @@ describe('CostTracker', () => {
     });
   });
 
+  describe('Concurrent Processes', () => {
+    test('should keep usage recorded by another process since loading', async () => {
+      const today = new Date().toISOString().split('T')[0];
+      fs.readJson.mockResolvedValue({
+        ...mockUsageData,
+        totalCost: 1,
+        dailyUsage: { [today]: { cost: 1, requests: 3, byAgent: { backend: 1 }, byModel: {} } },
+        monthlyUsage: { cost: 1, requests: 3, byAgent: { backend: 1 }, byModel: {} }
+      });
+
+      await costTracker.recordUsage('frontend', 'gpt-4', 'Task', { cost: 0.5 });
+
+      const [, saved] = fs.writeJson.mock.calls[fs.writeJson.mock.calls.length - 1];
+      expect(saved.totalCost).toBe(1.5);
+      expect(saved.dailyUsage[today]).toMatchObject({ cost: 1.5, requests: 4, byAgent: { backend: 1, frontend: 0.5 } });
+      expect(saved.monthlyUsage.requests).toBe(4);
+      expect(costTracker.usage.monthlyUsage.cost).toBe(1.5);
+    });
+  });
+
   describe('Monthly Reset', () => {
     test('should detect month change', async () => {
       const oldMonthData = {
@@ -0,0 +1,120 @@
+/**
+ * Plan Artifact Tests
+ * Tests for lib/plan/artifact - plan.json written by plan and read by tasks
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { getPlanPath, buildPlanArtifact, embedPlanArtifact, extractPlanArtifact } = require('../../lib/plan/artifact');
+const PlanManager = require('../../lib/plan');
+const TaskManager = require('../../lib/tasks');
+
+describe('Plan artifact', () => {
+  let tempDir;
+  let tracker;
+
+  const spec = [
+    '## Context',
+    '',
+    'Finance teams need to share reports without rebuilding them by hand every month.',
+    '',
+    '## Requirements',
+    '',
+    '- [ ] REQ-1: Users can list and export reports as CSV',
+    '- [ ] REQ-2: Show a validation error when the report is empty',
+    '- [ ] REQ-3: Unit tests cover the CSV writer',
+    '- [ ] REQ-4: Document the export in the user guide',
+    '',
+    '## User Stories',
+    '',
+    '- US-1: As an analyst, I want to export reports so that I can share them',
+    '',
+    '## Acceptance Criteria',
+    '',
+    '- [ ] AC-1: Given a report, when I export it, then a CSV file downloads',
+    '- [ ] AC-2: Exports of 10,000 rows finish within 5 seconds',
+    '- [ ] AC-3: Given an empty report, when I export it, then I see an error',
+    ''
+  ].join('\n');
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-artifact-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should round-trip through a hidden comment block', () => {
+    const plan = { issueNumber: 7, title: 'Export', sections: { 'Implementation Phases': '' }, phases: [{ number: 1, name: 'Setup', duration: 'Day 1', tasks: [{ text: 'Handle <!-- x --> markup', requirements: [] }] }] };
+    const artifact = buildPlanArtifact(plan, { revision: 3 });
+
+    const comment = embedPlanArtifact('# 📐 Implementation Plan: Export\n', artifact);
+
+    expect(comment).toContain('<!-- leo-plan {');
+    expect(comment.match(/-->/g)).toHaveLength(1);
+    expect(extractPlanArtifact(comment)).toEqual(artifact);
+    expect(extractPlanArtifact('# 📐 Implementation Plan: Export')).toBeNull();
+    expect(extractPlanArtifact('<!-- leo-plan {"schemaVersion": 99} -->')).toBeNull();
+  });
+
+  test('should write plan.json and embed it in the plan comment', async () => {
+    const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+
+    const result = await new PlanManager({ tracker }).plan(number);
+    const stored = await fs.readJson(getPlanPath(tempDir, number));
+    const [comment] = await tracker.listComments(number);
+
+    expect(result.artifactPath).toBe(getPlanPath(tempDir, number));
+    expect(stored).toMatchObject({ schemaVersion: 1, revision: 1, issueNumber: number, title: 'Export' });
+    expect(stored.phases.map(phase => phase.name)).toEqual(['Foundation', 'Core Features', 'Integration', 'Polish & Deploy']);
+    expect(stored.phases[1].tasks).toContainEqual({ id: 'T5', text: 'Users can list and export reports as CSV', requirements: ['REQ-1'], points: 3, dependsOn: ['T4'] });
+    expect(stored.apiContracts.map(c => `${c.method} ${c.path}`)).toContain('GET /api/resources/:id');
+    expect(stored.testingStrategy.scenarios).toHaveLength(3);
+    expect(extractPlanArtifact(comment.body)).toEqual(stored);
+
+    await new PlanManager({ tracker }).plan(number, { focus: 'phases' });
+    expect((await fs.readJson(getPlanPath(tempDir, number))).revision).toBe(2);
+  });
+
+  test('should not write plan.json without posting', async () => {
+    const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+
+    const result = await new PlanManager({ tracker }).plan(number, { autoPost: false });
+
+    expect(result.artifact.revision).toBe(1);
+    expect(result.artifactPath).toBeNull();
+    expect(await fs.pathExists(getPlanPath(tempDir, number))).toBe(false);
+  });
+
+  test('should build tasks from the artifact instead of the markdown', async () => {
+    const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+    await new PlanManager({ tracker }).plan(number);
+
+    // Edits to the markdown do not change the tasks
+    const [planComment] = await tracker.listComments(number);
+    await tracker.addComment(number, planComment.body.replace('## Implementation Phases', '## Phases (edited)'));
+
+    const result = await new TaskManager({ tracker }).create(number, { autoPost: false, addLabel: false });
+
+    expect(result.planRevision).toBe(1);
+    expect(result.phaseCount).toBe(4);
+    expect(result.tasks[1].tasks).toContain('[BLOCKED: Phase 1] Users can list and export reports as CSV (REQ-1)');
+  });
+
+  test('should read plan.json when the comment has no artifact', async () => {
+    const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+    const plan = { issueNumber: number, title: 'Export', sections: {}, phases: [{ number: 1, name: 'Setup', duration: 'Day 1', tasks: [{ text: 'Add CSV writer', requirements: ['REQ-1'] }] }] };
+    await fs.outputJson(getPlanPath(tempDir, number), buildPlanArtifact(plan));
+
+    const result = await new TaskManager({ tracker }).create(number, { autoPost: false, addLabel: false });
+
+    expect(result.tasks).toEqual([{ number: 1, name: 'Setup', type: 'Parallel', blockedBy: null, tasks: ['Add CSV writer (REQ-1)'] }]);
+  });
+});
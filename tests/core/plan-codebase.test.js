@@ -0,0 +1,138 @@
+/**
+ * Plan Codebase Tests
+ * Tests for lib/plan/codebase - grounding plans in existing routes, models and components
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { scanCodebase, hasExistingCode, findRelated, findRoutes, findModels, findComponents } = require('../../lib/plan/codebase');
+const PlanManager = require('../../lib/plan');
+
+describe('Plan codebase scan', () => {
+  let tempDir;
+
+  const spec = [
+    '## Context',
+    '',
+    'Users need to reset forgotten passwords without contacting support, which is our biggest ticket driver.',
+    '',
+    '## Requirements',
+    '',
+    '- [ ] REQ-1: Users can request a password reset link by email',
+    '- [ ] REQ-2: Show a validation error for unknown email addresses',
+    '- [ ] REQ-3: Unit tests cover the reset token service',
+    '- [ ] REQ-4: Document the reset flow for support',
+    '',
+    '## User Stories',
+    '',
+    '- US-1: As a user, I want to reset my password so that I can log in again',
+    '',
+    '## Acceptance Criteria',
+    '',
+    '- [ ] AC-1: Given a known email, when I request a reset, then I get a link',
+    '- [ ] AC-2: Reset links expire after 60 minutes',
+    '- [ ] AC-3: Given an unknown email, when I request a reset, then I see an error',
+    ''
+  ].join('\n');
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-codebase-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  async function createProject() {
+    await fs.writeJson(path.join(tempDir, 'package.json'), {
+      dependencies: { express: '^4.18.0', react: '^18.0.0', '@prisma/client': '^5.0.0' },
+      devDependencies: { jest: '^29.0.0' }
+    });
+    await fs.outputFile(path.join(tempDir, 'prisma/schema.prisma'), 'model User {\n  id Int @id\n}\n\nmodel Invoice {\n  id Int @id\n}\n');
+    await fs.outputFile(path.join(tempDir, 'src/routes/users.js'), "router.get('/api/users/:id', show);\nrouter.post('/api/auth/login', login);\n");
+    await fs.outputFile(path.join(tempDir, 'src/components/LoginForm.jsx'), 'export default function LoginForm() {\n  return <form />;\n}\n');
+    await fs.outputFile(path.join(tempDir, 'src/components/LoginForm.test.jsx'), 'export function FakeForm() { return <div />; }\n');
+  }
+
+  describe('Detection', () => {
+    test('should find Express, NestJS and Next.js routes', () => {
+      expect(findRoutes('src/app.js', "app.get('/health', ok);\nrouter.delete(`/items/:id`, remove);"))
+        .toEqual([
+          { method: 'GET', path: '/health', file: 'src/app.js' },
+          { method: 'DELETE', path: '/items/:id', file: 'src/app.js' }
+        ]);
+      expect(findRoutes('src/users.controller.ts', "@Controller('users')\nclass C {\n  @Get(':id')\n  find() {}\n  @Post()\n  create() {}\n}")
+        .map(r => `${r.method} ${r.path}`)).toEqual(['GET /users/:id', 'POST /users']);
+      expect(findRoutes('pages/api/orders/[id].ts', '').map(r => `${r.method} ${r.path}`)).toEqual(['ANY /api/orders/:id']);
+      expect(findRoutes('app/api/orders/route.ts', 'export async function GET() {}\nexport function POST() {}')
+        .map(r => `${r.method} ${r.path}`)).toEqual(['GET /api/orders', 'POST /api/orders']);
+    });
+
+    test('should find models and components', () => {
+      expect(findModels('src/models/order.js', "module.exports = mongoose.model('Order', schema);")).toEqual([{ name: 'Order', file: 'src/models/order.js' }]);
+      expect(findModels('src/entity/Product.ts', '@Entity()\nexport class Product {}').map(m => m.name)).toEqual(['Product']);
+      expect(findComponents('src/Button.tsx', 'export const Button = () => <button />;').map(c => c.name)).toEqual(['Button']);
+      expect(findComponents('src/utils.js', 'export const Format = x => x;')).toEqual([]);
+    });
+
+    test('should scan a project and skip test files', async () => {
+      await createProject();
+
+      const codebase = await scanCodebase(tempDir);
+
+      expect(codebase.project.framework).toBe('React');
+      expect(codebase.routes.map(r => `${r.method} ${r.path}`)).toEqual(['GET /api/users/:id', 'POST /api/auth/login']);
+      expect(codebase.models.map(m => m.name)).toEqual(['User', 'Invoice']);
+      expect(codebase.components).toEqual([{ name: 'LoginForm', file: 'src/components/LoginForm.jsx' }]);
+      expect(hasExistingCode(codebase)).toBe(true);
+      expect(findRelated(codebase.models, 'Users can reset passwords').map(m => m.name)).toEqual(['User']);
+    });
+
+    test('should report an empty directory as greenfield', async () => {
+      expect(hasExistingCode(await scanCodebase(tempDir))).toBe(false);
+    });
+  });
+
+  describe('Planning', () => {
+    let tracker;
+
+    beforeEach(() => {
+      tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    });
+
+    test('should ground the plan in the existing codebase', async () => {
+      await createProject();
+      const { number } = await tracker.createIssue({ title: 'Password reset', body: spec, labels: ['spec'] });
+
+      const result = await new PlanManager({ tracker, projectRoot: tempDir }).plan(number, { autoPost: false });
+      const sections = result.plan.sections;
+
+      expect(sections['Architecture Overview']).toContain('**Existing Codebase:** React (javascript) - 2 routes, 2 models, 1 components');
+      expect(sections['Architecture Overview']).toContain('- `User` model (prisma/schema.prisma)');
+      expect(sections['Architecture Overview']).not.toContain('Invoice');
+      expect(sections['Tech Stack']).toContain('- Framework: React');
+      expect(sections['Tech Stack']).toContain('- Database: Prisma');
+      expect(sections['Tech Stack']).not.toContain('PostgreSQL');
+      expect(sections['Data Model']).toContain('**Existing Models to Extend:**');
+      expect(sections['Data Model']).not.toContain('interface User {');
+      expect(sections['API Contracts']).toContain('- `GET /api/users/:id` (src/routes/users.js)');
+      expect(sections['Component Breakdown']).toContain('Reuse and add to the components in `src/components/`');
+      expect(result.codebase.models).toHaveLength(2);
+    });
+
+    test('should keep the greenfield plan for an empty project', async () => {
+      const { number } = await tracker.createIssue({ title: 'Password reset', body: spec, labels: ['spec'] });
+
+      const result = await new PlanManager({ tracker, projectRoot: tempDir }).plan(number, { autoPost: false });
+
+      expect(result.plan.sections['Architecture Overview']).not.toContain('Existing Codebase');
+      expect(result.plan.sections['Data Model']).toContain('interface User {');
+      expect(result.plan.sections['Component Breakdown']).toContain('**Backend Components:**');
+    });
+  });
+});
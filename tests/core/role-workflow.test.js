@@ -0,0 +1,202 @@
+/**
+ * Role Workflow Tests
+ * Tests for lib/team/role-workflow - custom roles, per-type sequences,
+ * optional/skippable phases, rework transitions and config validation
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { createStorage } = require('../../lib/storage');
+const { RoleWorkflow, validateRoleWorkflow } = require('../../lib/team/role-workflow');
+const { RoleManager } = require('../../lib/team/roles');
+const { HuntCycleTracker } = require('../../lib/team/tracker');
+const { HandoffEngine } = require('../../lib/team/handoff');
+const { TeamPack, TeamPackConfig } = require('../../lib/team/pack');
+const { AnalyticsEngine } = require('../../lib/team/analytics');
+const { ConfigurationManager } = require('../../lib/team/config-manager');
+const { HuntEventLog, describeEvent } = require('../../lib/team/hunt-events');
+
+const DEFINITION = {
+  roles: {
+    'design-review': {
+      label: 'Design Reviewer',
+      emoji: '🎨',
+      responsibilities: ['Review flows against Skapa'],
+      keywordTriggers: ['design review', 'figma'],
+      estimatedDuration: '2-4 hours'
+    },
+    testing: { estimatedDuration: '1 day' }
+  },
+  sequences: {
+    feature: ['requirements', 'spec', { role: 'design-review', optional: true }, 'implementation', 'testing'],
+    bug: ['requirements', { role: 'spec', skippable: true }, 'implementation', 'testing']
+  },
+  defaultHuntType: 'feature',
+  backwardTransitions: { testing: ['implementation'] }
+};
+
+describe('Role workflow', () => {
+  describe('Roles and sequences', () => {
+    test('should add custom roles and override built-in ones', () => {
+      const workflow = RoleWorkflow.fromConfig(DEFINITION);
+
+      expect(workflow.getRole('design-review')).toMatchObject({ name: 'Design Reviewer', emoji: '🎨', custom: true });
+      expect(workflow.findRoleByKeyword('Needs a Figma pass')).toMatchObject({ id: 'design-review' });
+      expect(workflow.getSlaMinutes('design-review')).toBe(240);
+      expect(workflow.getSlaMinutes('testing')).toBe(1440);
+      expect(workflow.getRole('testing').name).toBe(RoleManager.getRole('testing').name);
+      expect(workflow.validateRole('deploy')).toBe(true);
+      expect(workflow.validateRole('legal')).toBe(false);
+
+      expect(workflow.getHuntTypes()).toEqual(['feature', 'bug']);
+      expect(workflow.getSequence()).toEqual(['requirements', 'spec', 'design-review', 'implementation', 'testing']);
+      expect(workflow.getRequiredRoles()).toEqual(['requirements', 'spec', 'implementation', 'testing']);
+      expect(() => workflow.getSteps('chore')).toThrow('Unknown hunt type: chore');
+    });
+
+    test('should default to the built-in roles in order with no skips or rework', () => {
+      const workflow = new RoleWorkflow();
+
+      expect(workflow.getSequence()).toEqual(RoleManager.getSequence());
+      expect(workflow.getNextRole(null)).toBe('requirements');
+      expect(workflow.getTransitions('spec')).toEqual([{ role: 'implementation', kind: 'next', skipped: [] }]);
+      expect(workflow.getTransition('testing', 'implementation')).toBeNull();
+    });
+
+    test('should pass over optional phases and allow skipping skippable ones', () => {
+      const workflow = RoleWorkflow.fromConfig(DEFINITION);
+
+      expect(workflow.getNextRole('spec', 'feature')).toBe('implementation');
+      expect(workflow.getTransitions('spec', 'feature').map(t => [t.role, t.kind])).toEqual([
+        ['design-review', 'optional'],
+        ['implementation', 'next']
+      ]);
+      expect(workflow.getTransition('requirements', 'implementation', 'bug')).toEqual({
+        role: 'implementation',
+        kind: 'skip',
+        skipped: ['spec']
+      });
+      expect(workflow.getTransition('requirements', 'implementation', 'feature')).toBeNull();
+      expect(workflow.getTransition('testing', 'implementation', 'bug')).toMatchObject({ kind: 'back' });
+      expect(workflow.getTransition('testing', 'spec', 'bug')).toBeNull();
+    });
+  });
+
+  describe('Validation', () => {
+    test('should report every problem in the definition', () => {
+      const errors = validateRoleWorkflow({
+        roles: {
+          Legal: { label: 'Legal' },
+          'ux-writer': { emoji: '✍️', estimatedDuration: 'soon', owner: 'alice' }
+        },
+        sequences: {
+          feature: ['requirements', 'legal-review', 'spec', 'spec'],
+          docs: [{ role: 'ux-writer', optional: true }]
+        },
+        defaultHuntType: 'chore',
+        backwardTransitions: { spec: ['testing'] },
+        phases: []
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('Unknown setting "phases"'),
+        expect.stringContaining('Role "Legal": ID must be lowercase'),
+        expect.stringContaining('Role "ux-writer": unknown field "owner"'),
+        expect.stringContaining('Role "ux-writer": label is required'),
+        expect.stringContaining('estimatedDuration "soon"'),
+        expect.stringContaining('unknown role "legal-review"'),
+        expect.stringContaining('role "spec" appears more than once'),
+        expect.stringContaining('Sequence "docs": needs at least one phase that is not optional'),
+        expect.stringContaining('defaultHuntType "chore"'),
+        expect.stringContaining('"testing" never comes before "spec"')
+      ]));
+      expect(validateRoleWorkflow(DEFINITION)).toEqual([]);
+      expect(validateRoleWorkflow(undefined)).toEqual([]);
+    });
+
+    test('should refuse to load a pack with an invalid workflow', async () => {
+      const tempDir = path.join(os.tmpdir(), `ux-ingka-role-workflow-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      await fs.ensureDir(tempDir);
+
+      try {
+        await fs.writeJson(path.join(tempDir, '.leo.json'), {
+          packName: 'Lions',
+          members: [],
+          roleWorkflow: { sequences: { feature: ['requirements', 'legal'] } }
+        });
+
+        await expect(new ConfigurationManager(tempDir).load()).rejects.toThrow('unknown role "legal"');
+        await expect(HuntCycleTracker.load('Lions', tempDir)).rejects.toThrow('Invalid roleWorkflow');
+        await expect(TeamPack.load(tempDir)).rejects.toThrow('Invalid roleWorkflow');
+      } finally {
+        await fs.remove(tempDir);
+      }
+    });
+  });
+
+  describe('Hunts', () => {
+    let tempDir;
+    let storage;
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `ux-ingka-role-workflow-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      await fs.ensureDir(tempDir);
+      storage = createStorage({ backend: 'file', projectRoot: tempDir });
+      await storage.write('config', { packName: 'Lions', members: [], roleWorkflow: DEFINITION });
+    });
+
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+
+    test('should follow the hunt type\'s sequence, with skips and rework recorded', async () => {
+      const tracker = await HuntCycleTracker.load('Lions', tempDir, { storage });
+      const hunt = tracker.startHunt('Broken checkout', 'Fix totals', null, { huntType: 'bug', actor: 'alice' });
+
+      await tracker.transitionHunt(hunt.id, null, 'alice');
+      await expect(tracker.transitionHunt(hunt.id, 'testing')).rejects.toThrow('Invalid phase transition: requirements → testing');
+      await tracker.transitionHunt(hunt.id, 'implementation', 'bob');
+      await tracker.transitionHunt(hunt.id, null, 'carol');
+      const rework = await tracker.transitionHunt(hunt.id, 'implementation', 'bob');
+
+      expect(rework.kind).toBe('back');
+      expect(hunt.phaseHistory.map(p => p.phase)).toEqual(['requirements', 'implementation', 'testing', 'implementation']);
+      expect(() => tracker.startHunt('Chore', '', null, { huntType: 'chore' })).toThrow('Unknown hunt type: chore');
+
+      const events = (await new HuntEventLog({ storage }).read(hunt.id)).filter(e => e.type === 'phase_advanced');
+      expect(events[1]).toMatchObject({ kind: 'skip', skipped: ['spec'] });
+      expect(describeEvent(events[3])).toBe('↩️ Sent back: testing → implementation (@bob)');
+
+      const reloaded = (await HuntCycleTracker.load('Lions', tempDir, { storage })).getHunt(hunt.id);
+      expect(reloaded.huntType).toBe('bug');
+      expect(tracker.workflow.getNextRole(reloaded.currentPhase, reloaded.huntType)).toBe('testing');
+
+      const engine = await AnalyticsEngine.fromEventLog('Lions', tempDir, { storage });
+      expect(engine.metrics[0].phases.implementation.runs).toBe(2);
+    });
+
+    test('should validate handoffs against the pack\'s workflow', async () => {
+      const config = TeamPackConfig.fromJSON({ packName: 'Lions', roleWorkflow: DEFINITION });
+      config.addMember('alice', 'spec');
+      config.addMember('dana', 'design-review');
+      const pack = new TeamPack(config);
+
+      expect(pack.getMissingRoles()).toEqual(['requirements', 'implementation', 'testing']);
+      expect(() => config.addMember('erin', 'legal')).toThrow('Unknown role: legal');
+      expect(() => pack.setRoleWorkflow({ sequences: { feature: [] } })).toThrow('Invalid roleWorkflow');
+
+      const tracker = await HuntCycleTracker.load('Lions', tempDir, { storage });
+      const hunt = tracker.startHunt('Saved carts', '');
+      await tracker.transitionHunt(hunt.id, null, 'zoe');
+      await tracker.transitionHunt(hunt.id, null, 'alice');
+
+      const handoff = await HandoffEngine.executeHandoff(tracker, pack, hunt.id, 'spec', 'design-review');
+      expect(handoff).toMatchObject({ kind: 'optional', fromMember: 'alice', toMember: 'dana' });
+
+      expect(() => HandoffEngine.validateHandoff('spec', 'testing', { workflow: pack.workflow }))
+        .toThrow('Invalid handoff: spec → testing. Allowed from spec: design-review (optional), implementation');
+      expect(HandoffEngine.validateHandoff('requirements', 'spec')).toMatchObject({ kind: 'next' });
+    });
+  });
+});
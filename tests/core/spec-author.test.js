@@ -0,0 +1,149 @@
+/**
+ * Spec Author Tests
+ * Tests for lib/spec/author - LLM-written specs in SpecManager.create
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { SpecAuthor } = require('../../lib/spec/author');
+const { SpecDocument } = require('../../lib/spec/document');
+const SpecManager = require('../../lib/spec');
+const ModelSelector = require('../../lib/model-selection');
+
+describe('SpecAuthor', () => {
+  let tempDir;
+  let tracker;
+  let usageFile;
+  let modelSelector;
+  let client;
+
+  const modelResponse = {
+    Context: 'Users cannot reset a forgotten password without contacting support.',
+    Requirements: [
+      'Send a reset link to the account email',
+      'Expire reset links after 30 minutes'
+    ],
+    'User Stories': ['As a user, I want to reset my password so that I can log in again'],
+    'Acceptance Criteria': ['Given a registered email, when I request a reset, then I receive a link'],
+    'Success Metrics': '- Support tickets for password resets drop by 50%',
+    Rollout: 'Not a template section'
+  };
+
+  function mockClient(response) {
+    return {
+      messages: {
+        create: jest.fn().mockResolvedValue({
+          content: [{ type: 'tool_use', id: 'toolu_1', name: 'write_spec', input: response }],
+          usage: { input_tokens: 1200, output_tokens: 800 }
+        })
+      }
+    };
+  }
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-author-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    usageFile = path.join(tempDir, '.leo', 'model-usage.json');
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    modelSelector = new ModelSelector({ enabled: false, costTracking: { usageFile } });
+    client = mockClient(modelResponse);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  function createManager(authorOptions = {}) {
+    const author = new SpecAuthor({
+      sections: new SpecManager({ tracker }).template.sections,
+      modelSelector,
+      client,
+      ...authorOptions
+    });
+    return new SpecManager({ tracker, author });
+  }
+
+  test('should write the spec with the orchestrator model', async () => {
+    const selectSpy = jest.spyOn(modelSelector, 'selectModel');
+
+    const { number } = await createManager().create('Add password reset', { ai: true });
+    const doc = SpecDocument.parse((await tracker.getIssue(number)).body);
+
+    expect(selectSpy).toHaveBeenCalledWith('orchestrator', expect.objectContaining({ type: 'spec_authoring' }), 'moderate');
+    expect(client.messages.create).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'claude-3-5-sonnet-20241022',
+      tool_choice: { type: 'tool', name: 'write_spec' }
+    }));
+    const { input_schema: schema } = client.messages.create.mock.calls[0][0].tools[0];
+    expect(schema.properties.Requirements).toMatchObject({ type: 'array', items: { type: 'string' } });
+    expect(schema.properties.Context.type).toBe('string');
+    expect(schema.required).toEqual(expect.arrayContaining(['Context', 'Requirements']));
+    expect(doc.getText('requirements')).toBe(
+      '- [ ] REQ-1: Send a reset link to the account email\n- [ ] REQ-2: Expire reset links after 30 minutes'
+    );
+    expect(doc.getText('userStories')).toBe('- US-1: As a user, I want to reset my password so that I can log in again');
+    expect(doc.getText('successMetrics')).toContain('drop by 50%');
+    expect(doc.hasSection('Rollout')).toBe(false);
+  });
+
+  test('should record usage through the cost tracker', async () => {
+    await createManager().create('Add password reset', { ai: true });
+
+    const usage = await fs.readJson(usageFile);
+
+    expect(usage.models['claude-3.5-sonnet'].totalInputTokens).toBe(1200);
+    expect(usage.history[0]).toMatchObject({ agent: 'orchestrator', task: 'spec_authoring', outputTokens: 800 });
+    expect(usage.totalCost).toBeCloseTo(0.0156);
+  });
+
+  test('should fall back to heuristics when the response is incomplete', async () => {
+    client = mockClient({ Context: 'Only context' });
+
+    const { number } = await createManager().create('Add password reset', { ai: true });
+    const issue = await tracker.getIssue(number);
+
+    expect(issue.body).toContain('- [ ] REQ-1: Add password reset');
+    expect(issue.body).toContain('Error handling implemented');
+  });
+
+  test('should reject sections that do not match the schema', async () => {
+    client = mockClient({ ...modelResponse, Requirements: 'Send a {reset} link' });
+
+    await expect(createManager().author.author('Add password reset'))
+      .rejects.toThrow('invalid "Requirements" section - expected a list of strings');
+
+    client = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: JSON.stringify(modelResponse) }], usage: {} })
+      }
+    };
+    await expect(createManager().author.author('Add password reset'))
+      .rejects.toThrow('Model response did not include a spec');
+  });
+
+  test('should fall back to heuristics without an API key', async () => {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+
+    try {
+      const manager = new SpecManager({ tracker, author: new SpecAuthor({ modelSelector }) });
+      const { number } = await manager.create('Add password reset', { ai: true });
+
+      expect((await tracker.getIssue(number)).body).toContain('- [ ] REQ-1: Add password reset');
+    } finally {
+      if (apiKey !== undefined) process.env.ANTHROPIC_API_KEY = apiKey;
+    }
+  });
+
+  test('should refuse models from other providers', async () => {
+    modelSelector = new ModelSelector({ fixedModel: 'gpt-4-turbo', costTracking: { usageFile } });
+
+    await expect(createManager().author.author('Add password reset'))
+      .rejects.toThrow('Model gpt-4-turbo (openai) is not supported for spec authoring');
+    expect(client.messages.create).not.toHaveBeenCalled();
+  });
+});
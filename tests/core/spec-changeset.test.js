@@ -0,0 +1,103 @@
+/**
+ * Spec Change Set Tests
+ * Tests for lib/spec/changeset - staging generated code, diff preview and per-file accept/reject
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const {
+  normalizeFilePath,
+  stageChangeSet,
+  loadChangeSet,
+  unifiedDiff,
+  diffStagedFile,
+  applyDecisions
+} = require('../../lib/spec/changeset');
+
+describe('Spec change sets', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-changeset-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.outputFile(path.join(tempDir, 'src/app.js'), 'const a = 1;\nconst b = 2;\nmodule.exports = { a, b };\n');
+    await fs.outputFile(path.join(tempDir, 'README.md'), '# App\n');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const changeSet = {
+    summary: 'Add c',
+    model: 'claude-3-5-sonnet-20241022',
+    files: [
+      { path: './src/app.js', content: 'const a = 1;\nconst c = 3;\nmodule.exports = { a, c };\n', summary: 'Export c' },
+      { path: 'src/c.test.js', content: 'test("c", () => {});\n' },
+      { path: 'README.md', content: '# App\n' }
+    ]
+  };
+
+  test('should reject paths outside the project', () => {
+    expect(normalizeFilePath('src\\index.js')).toBe('src/index.js');
+    expect(() => normalizeFilePath('/etc/passwd')).toThrow('must be relative');
+    expect(() => normalizeFilePath('src/../../secret')).toThrow('must stay inside');
+    expect(() => normalizeFilePath('.git/config')).toThrow('cannot write to .git');
+    expect(() => normalizeFilePath('.leo/generated/x/changeset.json')).toThrow('cannot write to .leo/generated');
+  });
+
+  test('should stage files without touching the project', async () => {
+    const manifest = await stageChangeSet(tempDir, 'calc', changeSet);
+
+    expect(manifest.files.map(file => [file.path, file.status, file.decision])).toEqual([
+      ['src/app.js', 'modified', 'pending'],
+      ['src/c.test.js', 'added', 'pending']
+    ]);
+    expect(manifest.unchanged).toEqual(['README.md']);
+    expect(await fs.readFile(path.join(tempDir, 'src/app.js'), 'utf8')).toContain('const b = 2;');
+    expect(await fs.pathExists(path.join(tempDir, 'src/c.test.js'))).toBe(false);
+    expect(await loadChangeSet(tempDir, 'calc')).toEqual(manifest);
+  });
+
+  test('should preview a unified diff against the project', async () => {
+    const manifest = await stageChangeSet(tempDir, 'calc', changeSet);
+
+    expect(await diffStagedFile(tempDir, 'calc', manifest.files[0])).toBe([
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -1,3 +1,3 @@',
+      ' const a = 1;',
+      '-const b = 2;',
+      '-module.exports = { a, b };',
+      '+const c = 3;',
+      '+module.exports = { a, c };'
+    ].join('\n'));
+    expect(unifiedDiff(null, 'x\n', { path: 'new.js' })).toBe('--- /dev/null\n+++ b/new.js\n@@ -0,0 +1,1 @@\n+x');
+    expect(unifiedDiff('same\n', 'same\n')).toBe('');
+  });
+
+  test('should write accepted files and skip rejected ones', async () => {
+    await stageChangeSet(tempDir, 'calc', changeSet);
+
+    const result = await applyDecisions(tempDir, 'calc', { 'src/app.js': 'rejected', 'src/c.test.js': 'accepted' });
+
+    expect(result.applied).toEqual(['src/c.test.js']);
+    expect(result.rejected).toEqual(['src/app.js']);
+    expect(await fs.readFile(path.join(tempDir, 'src/c.test.js'), 'utf8')).toBe('test("c", () => {});\n');
+    expect(await fs.readFile(path.join(tempDir, 'src/app.js'), 'utf8')).toContain('const b = 2;');
+    expect((await loadChangeSet(tempDir, 'calc')).files.map(file => file.decision)).toEqual(['rejected', 'accepted']);
+    await expect(applyDecisions(tempDir, 'calc', { 'src/other.js': 'accepted' })).rejects.toThrow('not in the staged change set');
+  });
+
+  test('should report a conflict when the project file changed after staging', async () => {
+    await stageChangeSet(tempDir, 'calc', changeSet);
+    await fs.writeFile(path.join(tempDir, 'src/app.js'), '// edited by hand\n');
+
+    const result = await applyDecisions(tempDir, 'calc', { 'src/app.js': 'accepted' });
+
+    expect(result.conflicts).toEqual(['src/app.js']);
+    expect(result.applied).toEqual([]);
+    expect(await fs.readFile(path.join(tempDir, 'src/app.js'), 'utf8')).toBe('// edited by hand\n');
+    expect((await loadChangeSet(tempDir, 'calc')).files[0].decision).toBe('pending');
+  });
+});
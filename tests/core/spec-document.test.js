@@ -0,0 +1,139 @@
+/**
+ * Spec Document Tests
+ * Tests for lib/spec/document - parsing and writing spec issue bodies
+ */
+
+const { SpecDocument, getSectionKey, getSectionTitle } = require('../../lib/spec/document');
+const SpecManager = require('../../lib/spec');
+const SpecExtendManager = require('../../lib/spec-extend');
+const PlanManager = require('../../lib/plan');
+const ClarificationManager = require('../../lib/clarify');
+
+describe('SpecDocument', () => {
+  const tracker = {};
+  let specBody;
+
+  beforeEach(() => {
+    const manager = new SpecManager({ tracker });
+    specBody = manager._formatIssueBody({
+      title: 'Add login',
+      sections: {
+        'Context': 'We need to add login.',
+        'Requirements': '- [ ] Add login\n- [x] Error handling implemented\n- [ ] Tests added (unit + integration)',
+        'User Stories': '- As a user, I want to log in so that I can see my data',
+        'Acceptance Criteria': '- [ ] Given a user, when they log in, then they see the dashboard',
+        'Dependencies': '- Blocking issue: #12'
+      }
+    });
+  });
+
+  describe('Parsing', () => {
+    test('should split sections, footer and items', () => {
+      const doc = SpecDocument.parse(specBody);
+
+      expect(doc.sections.map(s => s.key)).toEqual([
+        'context', 'requirements', 'userStories', 'acceptanceCriteria', 'dependencies'
+      ]);
+      expect(doc.getText('Context')).toBe('We need to add login.');
+      expect(doc.footer).toContain('leo spec new');
+      expect(doc.getText('dependencies')).not.toContain('---');
+    });
+
+    test('should number items per section', () => {
+      const doc = SpecDocument.parse(specBody);
+
+      expect(doc.getItems('requirements').map(i => i.id)).toEqual(['REQ-1', 'REQ-2', 'REQ-3']);
+      expect(doc.getItems('userStories')[0].id).toBe('US-1');
+      expect(doc.getItems('acceptanceCriteria')[0].id).toBe('AC-1');
+    });
+
+    test('should keep IDs written in the body', () => {
+      const doc = SpecDocument.parse('## Requirements\n\n- [ ] REQ-7: Seven\n- [ ] Unnumbered\n- [ ] REQ-2: Two\n');
+      const items = doc.getItems('requirements');
+
+      expect(items.map(i => i.id)).toEqual(['REQ-7', 'REQ-8', 'REQ-2']);
+      expect(items[0].text).toBe('Seven');
+      expect(doc.findItem('REQ-8').text).toBe('Unnumbered');
+    });
+
+    test('should track checkbox state', () => {
+      const items = SpecDocument.parse(specBody).getItems('requirements');
+
+      expect(items.map(i => i.checked)).toEqual([false, true, false]);
+      expect(SpecDocument.parse(specBody).getItems('userStories')[0].checked).toBeNull();
+    });
+
+    test('should resolve section names regardless of case or key style', () => {
+      const doc = SpecDocument.parse('## requirements\n\n- [ ] One\n');
+
+      expect(doc.getItems('Requirements')).toHaveLength(1);
+      expect(doc.getItems('requirements')).toHaveLength(1);
+      expect(getSectionKey('Out of Scope')).toBe('outOfScope');
+      expect(getSectionTitle('acceptanceCriteria')).toBe('Acceptance Criteria');
+    });
+  });
+
+  describe('Writing', () => {
+    test('should round-trip the SpecManager body unchanged', () => {
+      expect(SpecDocument.parse(specBody).toMarkdown()).toBe(specBody);
+    });
+
+    test('should keep unknown sections, nested lines and preamble', () => {
+      const body = 'Intro text\n\n## Requirements\n\nMust have:\n\n- [ ] One\n  - detail\n- [ ] Two\n\n## Rollout Notes\n\nShip behind a flag\n\n';
+
+      expect(SpecDocument.parse(body).toMarkdown()).toBe(body);
+    });
+
+    test('should write IDs into the body once assigned', () => {
+      const doc = SpecDocument.parse(specBody).assignIds();
+      const reparsed = SpecDocument.parse(doc.toMarkdown());
+
+      expect(doc.getText('requirements')).toContain('- [x] REQ-2: Error handling implemented');
+      expect(doc.getText('userStories')).toMatch(/^- US-1: As a user/);
+      expect(reparsed.getItems('requirements').every(i => i.explicitId)).toBe(true);
+    });
+
+    test('should add items with the next ID in canonical section order', () => {
+      const doc = SpecDocument.parse('## Context\n\nCtx\n\n## Dependencies\n\nNone\n');
+
+      doc.addItem('requirements', 'New thing');
+      const item = doc.addItem('requirements', 'Another thing');
+
+      expect(item.id).toBe('REQ-2');
+      expect(doc.sections.map(s => s.key)).toEqual(['context', 'requirements', 'dependencies']);
+      expect(doc.getText('requirements')).toBe('- [ ] New thing\n- [ ] Another thing');
+    });
+  });
+
+  describe('Shared by spec managers', () => {
+    test('should parse an extended spec cleanly in plan and clarify', () => {
+      const extender = new SpecExtendManager({ tracker });
+      const doc = extender._parseSections(specBody);
+      const merged = extender._mergeSections(doc, {
+        requirements: ['Add password reset', 'Add login'],
+        userStories: ['As a user, I want to reset my password so that I can log in again'],
+        acceptanceCriteria: []
+      });
+      const extendedBody = extender._formatSpecBody(merged);
+
+      const planSections = new PlanManager({ tracker })._parseSpecSections(extendedBody);
+      const clarifySections = new ClarificationManager({ tracker })._parseSpecSections(extendedBody);
+
+      expect(planSections['Requirements']).toContain('- [ ] REQ-4: Add password reset');
+      expect(planSections['Requirements'].match(/- \[[ x]\]/g)).toHaveLength(4);
+      expect(planSections['Dependencies']).toBe('- Blocking issue: #12');
+      expect(clarifySections['User Stories'].match(/As a/g)).toHaveLength(2);
+      expect(SpecDocument.parse(extendedBody).getItems('requirements').map(i => i.id))
+        .toEqual(['REQ-1', 'REQ-2', 'REQ-3', 'REQ-4']);
+    });
+
+    test('should not modify the original document when merging', () => {
+      const extender = new SpecExtendManager({ tracker });
+      const doc = extender._parseSections(specBody);
+
+      extender._mergeSections(doc, { requirements: ['Something new'] });
+
+      expect(doc.getItems('requirements')).toHaveLength(3);
+    });
+  });
+});
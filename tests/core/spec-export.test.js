@@ -0,0 +1,142 @@
+/**
+ * Spec Export Tests
+ * Tests for lib/spec-export - one document from spec, plan, tasks and Q&A
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const { LocalTracker } = require('../../lib/tracker');
+const SpecManager = require('../../lib/spec');
+const PlanManager = require('../../lib/plan');
+const TaskManager = require('../../lib/tasks');
+const ClarificationManager = require('../../lib/clarify');
+const SpecExportManager = require('../../lib/spec-export');
+
+/**
+ * Read the entries of a ZIP file (central directory, deflate or stored)
+ */
+function readZip(buffer) {
+  const entries = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+describe('SpecExportManager', () => {
+  let tempDir;
+  let tracker;
+  let manager;
+  let issueNumber;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-export-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    manager = new SpecExportManager({ tracker, projectRoot: tempDir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ({ number: issueNumber } = await new SpecManager({ tracker }).create('Add user login', { autoPopulate: true }));
+    await new PlanManager({ tracker }).plan(issueNumber);
+    await new TaskManager({ tracker }).create(issueNumber);
+    const { questions } = await new ClarificationManager({ tracker }).clarify(issueNumber);
+    await tracker.addComment(issueNumber, `${questions[0].id}: Email and password only`);
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should build one document with a table of contents', async () => {
+    const { document, output } = await manager.export(issueNumber);
+    const html = await fs.readFile(output, 'utf8');
+
+    expect(path.basename(output)).toBe(`spec-${issueNumber}.html`);
+    expect(document.toc.filter(entry => entry.level === 1).map(entry => entry.text))
+      .toEqual(['Specification', 'Implementation Plan', 'Tasks', 'Clarifications']);
+    expect(html).toContain('<a href="#requirements">Requirements</a>');
+    expect(html).toContain('<h3 id="requirements">Requirements</h3>');
+    expect(html).toContain('<span class="req-id" id="REQ-1">REQ-1</span> Add user login');
+    expect(html).toContain('<td>Email and password only</td>');
+    expect(html).not.toContain('Task Execution Guide');
+  });
+
+  test('should write Confluence storage format with toc and task list macros', async () => {
+    const { output } = await manager.export(issueNumber, { format: 'confluence', output: 'out/spec.xml' });
+    const xml = await fs.readFile(output, 'utf8');
+
+    expect(output).toBe(path.join(tempDir, 'out', 'spec.xml'));
+    expect(xml).toContain('<ac:structured-macro ac:name="toc">');
+    expect(xml).toContain('<ac:task-status>incomplete</ac:task-status>');
+    expect(xml).toContain('<strong>REQ-1</strong> Add user login');
+  });
+
+  test('should write a PDF with a valid cross-reference table', async () => {
+    const { output } = await manager.export(issueNumber, { format: 'pdf' });
+    const pdf = await fs.readFile(output);
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+
+    const startxref = parseInt(text.match(/startxref\s+(\d+)/)[1], 10);
+    expect(text.slice(startxref, startxref + 4)).toBe('xref');
+
+    const firstObject = text.slice(startxref).split('\n')[3].slice(0, 10);
+    expect(text.slice(parseInt(firstObject, 10)).startsWith('1 0 obj')).toBe(true);
+    expect(text).toContain('(REQ-1) Tj');
+    expect(text).toContain('/Subtype /Link');
+  });
+
+  test('should write a DOCX with heading bookmarks and a linked contents list', async () => {
+    const { output } = await manager.export(issueNumber, { format: 'docx' });
+    const entries = readZip(await fs.readFile(output));
+
+    expect(Object.keys(entries)).toEqual(expect.arrayContaining(['[Content_Types].xml', 'word/document.xml', 'word/styles.xml']));
+    expect(entries['word/document.xml']).toContain('<w:hyperlink w:anchor="_requirements"');
+    expect(entries['word/document.xml']).toMatch(/<w:bookmarkStart w:id="\d+" w:name="_requirements"\/>/);
+    expect(entries['word/document.xml']).toContain('Email and password only');
+  });
+
+  test('should only link http, mailto, relative and anchor targets', async () => {
+    const issue = await tracker.getIssue(issueNumber);
+    const links = 'See [docs](https://example.com/docs), [mail](mailto:team@example.com), [login](#requirements), ' +
+      '[guide](docs/guide.md), [run](javascript:alert%281%29) and [data](DATA:text/html;base64,PHNjcmlwdD4=)';
+    await tracker.updateIssue(issueNumber, { body: issue.body.replace('## Context\n', `## Context\n\n${links}\n`) });
+
+    for (const format of ['html', 'confluence']) {
+      const markup = await fs.readFile((await manager.export(issueNumber, { format })).output, 'utf8');
+
+      expect(markup).toContain('<a href="https://example.com/docs">docs</a>');
+      expect(markup).toContain('<a href="mailto:team@example.com">mail</a>');
+      expect(markup).toContain('<a href="#requirements">login</a>');
+      expect(markup).toContain('<a href="docs/guide.md">guide</a>');
+      expect(markup).toMatch(/, run and data/);
+      expect(markup).not.toMatch(/javascript:|DATA:/);
+    }
+  });
+
+  test('should reject unknown formats', async () => {
+    await expect(manager.export(issueNumber, { format: 'rtf' }))
+      .rejects.toThrow('Unknown export format "rtf" - use html, pdf, confluence, docx');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Spec Impact Tests
+ * Tests for lib/spec-extend/impact - stale plan sections and affected tasks after a spec change
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { findAffectedTasks, analyzeImpact } = require('../../lib/spec-extend/impact');
+const { getPlanPath } = require('../../lib/plan/artifact');
+const PlanManager = require('../../lib/plan');
+const SpecExtendManager = require('../../lib/spec-extend');
+
+describe('Spec impact', () => {
+  let tempDir;
+  let tracker;
+
+  const spec = [
+    '## Context',
+    '',
+    'Finance teams need to share reports without rebuilding them by hand every month.',
+    '',
+    '## Requirements',
+    '',
+    '- [ ] REQ-1: Users can list and export reports as CSV',
+    '- [ ] REQ-2: Show a validation error when the report is empty',
+    '- [ ] REQ-3: Unit tests cover the CSV writer',
+    '',
+    '## Acceptance Criteria',
+    '',
+    '- [ ] AC-1: Given a report, when I export it, then a CSV file downloads',
+    ''
+  ].join('\n');
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-impact-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should flag tasks for changed requirements and acceptance criteria', () => {
+    const phases = [
+      { number: 1, tasks: [{ id: 'T1', text: 'Users can list and export reports as CSV', requirements: ['REQ-1'] }] },
+      { number: 2, tasks: [{ id: 'T2', text: 'Write unit tests', requirements: ['REQ-3'] }, { id: 'T3', text: 'Documentation', requirements: [] }] }
+    ];
+    const after = spec
+      .replace('export reports as CSV', 'export reports as CSV or PDF')
+      .replace('- [ ] REQ-3: Unit tests cover the CSV writer\n', '')
+      .replace('then a CSV file downloads', 'then the file downloads');
+
+    const { changes } = analyzeImpact({ before: spec, after });
+    const tasks = findAffectedTasks(phases, changes);
+
+    expect(tasks.map(task => [task.id, task.reasons])).toEqual([
+      ['T1', ['REQ-1 changed']],
+      ['T2', ['REQ-3 removed', 'acceptance criteria changed']]
+    ]);
+    expect(analyzeImpact({ before: spec, after }).planned).toBe(false);
+  });
+
+  test('should report stale sections, label the spec and print the re-plan command', async () => {
+    const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+    await new PlanManager({ tracker }).plan(number);
+
+    const result = await new SpecExtendManager({ tracker }).extend(number, 'Add PDF export');
+    const issue = await tracker.getIssue(number);
+    const comments = await tracker.listComments(number);
+
+    expect(result.impact.planned).toBe(true);
+    expect(result.impact.staleSections).toContain('Implementation Phases');
+    expect(result.impact.staleSections).toContain('Testing Strategy');
+    expect(result.impact.newRequirements.map(item => item.text)).toContain('Add PDF export');
+    expect(result.replan).toBeNull();
+    expect(issue.labels.map(label => label.name)).toContain('plan-stale');
+    expect(comments[comments.length - 1].body).toContain(`--focus ${result.impact.staleAreas.join(',')}`);
+  });
+
+  test('should re-plan only the stale areas and clear the label', async () => {
+    const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+    await new PlanManager({ tracker }).plan(number);
+
+    const { impact, replan } = await new SpecExtendManager({ tracker }).extend(number, 'Add PDF export', { replan: true });
+    const stored = await fs.readJson(getPlanPath(tempDir, number));
+
+    expect(replan.artifact.focus).toBe(impact.staleAreas.join(','));
+    expect(Object.keys(replan.plan.sections)).toEqual(impact.staleSections);
+    expect(stored.revision).toBe(2);
+    expect(stored.sections).toHaveLength(8);
+    expect(stored.phases[1].tasks.map(task => task.text)).toContain('Add PDF export');
+    expect((await tracker.getIssue(number)).labels.map(label => label.name)).not.toContain('plan-stale');
+    await expect(new PlanManager({ tracker }).plan(number, { focus: 'api,ux' })).rejects.toThrow('Unknown focus area "ux"');
+  });
+});
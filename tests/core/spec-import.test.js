@@ -0,0 +1,148 @@
+/**
+ * Spec Import Tests
+ * Tests for lib/spec-import - Markdown, Jira CSV and GitHub issue exports to spec issues
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { SpecDocument } = require('../../lib/spec/document');
+const SpecImportManager = require('../../lib/spec-import');
+const { parseCsv, parseMarkdown, parseJiraCsv, parseGitHubIssues, detectFormat } = require('../../lib/spec-import/formats');
+
+const MARKDOWN = [
+  '---',
+  'priority: low',
+  '---',
+  '# Saved carts',
+  '',
+  'Shoppers lose their cart when the session expires.',
+  '',
+  'Type: Bug',
+  '',
+  '## Goals',
+  '* Persist carts for signed-in users',
+  '* Merge the guest cart on sign-in',
+  '',
+  '## Definition of Done',
+  '1. Cart survives a logout',
+  '2. [x] Guest items are merged',
+  '',
+  '## Risks',
+  'Storage growth.',
+  '',
+  '# Wishlist sharing',
+  '',
+  '- [ ] Share a wishlist by link',
+  ''
+].join('\n');
+
+const JIRA_CSV = [
+  'Summary,Issue key,Issue Type,Priority,Description,Custom field (Acceptance Criteria),Labels,Labels',
+  'Store locator,SHOP-12,Story,Highest,"h2. Background',
+  'Customers ask where to buy.',
+  '',
+  'h2. Requirements',
+  '* Search by *postcode*',
+  '* Show opening hours {{Mon-Sun}}","Given a postcode when I search then I see the nearest stores',
+  'Results load in under 1s",web,stores',
+  '"Fix ""Add to bag"" on iOS",SHOP-13,Bug,Low,Button does nothing on Safari 16.,,,'
+].join('\r\n');
+
+describe('Spec import formats', () => {
+  test('should parse quoted CSV cells with commas, quotes and newlines', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nthere']
+    ]);
+  });
+
+  test('should map Markdown headings, lists and metadata onto spec sections', () => {
+    const [carts, wishlist] = parseMarkdown(MARKDOWN, 'docs/backlog.md');
+
+    expect(carts).toMatchObject({ title: 'Saved carts', priority: 'low', type: 'bug', source: 'backlog.md' });
+    expect(carts.sections).toEqual({
+      'Context': 'Shoppers lose their cart when the session expires.',
+      'Requirements': '- [ ] Persist carts for signed-in users\n- [ ] Merge the guest cart on sign-in',
+      'Acceptance Criteria': '- [ ] Cart survives a logout\n- [x] Guest items are merged',
+      'Risks': 'Storage growth.'
+    });
+    expect(wishlist.sections).toEqual({ 'Requirements': '- [ ] Share a wishlist by link' });
+  });
+
+  test('should read Jira fields and convert wiki markup', () => {
+    const [locator, bug] = parseJiraCsv(JIRA_CSV);
+
+    expect(locator).toMatchObject({ title: 'Store locator', priority: 'high', type: 'feature', source: 'SHOP-12' });
+    expect(locator.sections['Context']).toBe('Customers ask where to buy.');
+    expect(locator.sections['Requirements']).toBe('- [ ] Search by **postcode**\n- [ ] Show opening hours `Mon-Sun`');
+    expect(locator.sections['Acceptance Criteria']).toBe('- [ ] Given a postcode when I search then I see the nearest stores\n- [ ] Results load in under 1s');
+    expect(bug).toMatchObject({ title: 'Fix "Add to bag" on iOS', priority: 'low', type: 'bug' });
+  });
+
+  test('should read GitHub issues, taking priority and type from labels', () => {
+    const specs = parseGitHubIssues(JSON.stringify([
+      { number: 7, title: 'Dark mode', body: '### Problem\nToo bright.\n\n### Acceptance criteria\n- [ ] Toggle in settings', labels: [{ name: 'enhancement' }, { name: 'P1' }] },
+      { number: 8, title: 'Bump deps', body: '', pull_request: {} }
+    ]));
+
+    expect(specs).toEqual([{
+      title: 'Dark mode',
+      sections: { 'Context': 'Too bright.', 'Acceptance Criteria': '- [ ] Toggle in settings' },
+      priority: 'high',
+      type: 'feature',
+      source: '#7'
+    }]);
+    expect(detectFormat('issues.json', '[]')).toBe('github');
+    expect(detectFormat('export.txt', JIRA_CSV)).toBe('jira');
+    expect(detectFormat('backlog.md', MARKDOWN)).toBe('markdown');
+  });
+});
+
+describe('SpecImportManager', () => {
+  let tempDir;
+  let tracker;
+  let manager;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-import-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    await fs.writeFile(path.join(tempDir, 'jira.csv'), JIRA_CSV);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    manager = new SpecImportManager({ tracker, projectRoot: tempDir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should preview without creating issues in dry-run mode', async () => {
+    const { format, specs } = await manager.import('jira.csv', { dryRun: true });
+
+    expect(format).toBe('jira');
+    expect(specs.map(spec => spec.status)).toEqual(['preview', 'preview']);
+    expect(specs[1].missing).toEqual(['Requirements', 'Acceptance Criteria']);
+    expect(await tracker.listIssues({ label: 'spec', state: 'all' })).toHaveLength(0);
+  });
+
+  test('should create spec issues with labels and IDs, and skip them on re-import', async () => {
+    const { specs } = await manager.import('jira.csv');
+    const issue = await tracker.getIssue(specs[0].number);
+    const document = SpecDocument.parse(issue.body);
+
+    expect(specs.map(spec => spec.status)).toEqual(['created', 'created']);
+    expect(issue.labels.map(label => label.name)).toEqual(['spec', 'needs-planning', 'priority: high', 'type: feature']);
+    expect(document.getItems('requirements').map(item => item.id)).toEqual(['REQ-1', 'REQ-2']);
+    expect(issue.body).toContain('_This spec was imported from SHOP-12 using `leo spec import`_');
+
+    const bug = await tracker.getIssue(specs[1].number);
+    expect(bug.labels.map(label => label.name)).toEqual(['spec', 'needs-planning', 'priority: low', 'type: bug']);
+
+    const again = await manager.import('jira.csv');
+    expect(again.specs.map(spec => spec.status)).toEqual(['duplicate', 'duplicate']);
+    expect(await tracker.listIssues({ label: 'spec', state: 'all' })).toHaveLength(2);
+  });
+});
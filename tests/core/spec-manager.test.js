@@ -3,6 +3,9 @@
  * Tests for lib/spec/index.js - GitHub-native specification creation
  */
 
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
 const SpecManager = require('../../lib/spec');
 const { execSync } = require('child_process');
 
@@ -11,9 +14,15 @@ jest.mock('child_process');
 
 describe('SpecManager - GitHub Issue Specs', () => {
   let manager;
+  // Spec versions are written under .leo/specs - keep them out of the repo
+  const projectRoot = path.join(os.tmpdir(), `ux-ingka-spec-manager-${process.pid}`);
+
+  afterAll(async () => {
+    await fs.remove(projectRoot);
+  });
 
   beforeEach(() => {
-    manager = new SpecManager();
+    manager = new SpecManager({ projectRoot });
     jest.clearAllMocks();
   });
 
@@ -0,0 +1,163 @@
+/**
+ * Spec Quality Tests
+ * Tests for lib/spec/quality - per-section scores and the planning threshold
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { scoreSpec, findVagueWording, findOverlaps, isTestableCriterion, isUserStory } = require('../../lib/spec/quality');
+const SpecManager = require('../../lib/spec');
+const PlanManager = require('../../lib/plan');
+
+describe('Spec quality', () => {
+  const goodSpec = [
+    '## Context',
+    '',
+    'Finance teams rebuild monthly reports by hand. We need exports so they can share reports directly.',
+    '',
+    '## Requirements',
+    '',
+    '- [ ] REQ-1: Export reports as CSV',
+    '- [ ] REQ-2: Show a validation error when the report is empty',
+    '- [ ] REQ-3: Unit tests cover the CSV writer',
+    '- [ ] REQ-4: Document the export in the user guide',
+    '',
+    '## User Stories',
+    '',
+    '- US-1: As an analyst, I want to export reports so that I can share them',
+    '',
+    '## Acceptance Criteria',
+    '',
+    '- [ ] AC-1: Given a report, when I export it, then a CSV file downloads',
+    '- [ ] AC-2: Exports of 10,000 rows finish within 5 seconds',
+    '- [ ] AC-3: Given an empty report, when I export it, then I see an error',
+    ''
+  ].join('\n');
+
+  describe('Checks', () => {
+    test('should find weasel words and placeholders', () => {
+      expect(findVagueWording('A fast, user-friendly export (CSV, PDF, etc.) for [target users]')).toEqual({
+        weasel: ['fast', 'user-friendly', 'etc.'],
+        placeholders: ['[target users]']
+      });
+      expect(findVagueWording('Breakfast menu [docs](https://example.com)').weasel).toEqual([]);
+    });
+
+    test('should tell testable acceptance criteria apart', () => {
+      expect(isTestableCriterion('Given a user, when they log in, then they see the dashboard')).toBe(true);
+      expect(isTestableCriterion('Pages load in under 200ms')).toBe(true);
+      expect(isTestableCriterion('Login works well')).toBe(false);
+    });
+
+    test('should check the user story shape', () => {
+      expect(isUserStory('As an admin, I want to ban users so that the forum stays civil')).toBe(true);
+      expect(isUserStory('As an admin, I want to ban users')).toBe(false);
+      expect(isUserStory('Admins can ban users')).toBe(false);
+    });
+
+    test('should find duplicate and conflicting requirements', () => {
+      const items = [
+        { id: 'REQ-1', text: 'Users can export reports as CSV' },
+        { id: 'REQ-2', text: 'Export reports as CSV' },
+        { id: 'REQ-3', text: 'Guests cannot export reports as CSV' },
+        { id: 'REQ-4', text: 'Allow admins to delete accounts' },
+        { id: 'REQ-5', text: 'Prevent admins from deleting accounts' },
+        { id: 'REQ-6', text: 'Send a weekly summary email' }
+      ];
+
+      expect(findOverlaps(items).map(({ type, item, other }) => `${item.id} ${type} ${other.id}`)).toEqual([
+        'REQ-2 duplicate REQ-1',
+        'REQ-3 conflict REQ-1',
+        'REQ-5 conflict REQ-4'
+      ]);
+    });
+  });
+
+  describe('Scoring', () => {
+    test('should give a well-written spec full marks', () => {
+      const report = scoreSpec(goodSpec);
+
+      expect(report.findings).toEqual([]);
+      expect(report.score).toBe(100);
+    });
+
+    test('should score each section separately', () => {
+      const report = scoreSpec(goodSpec
+        .replace('Export reports as CSV', 'Fast export of reports as CSV, PDF etc.')
+        .replace('- US-1: As an analyst, I want to export reports so that I can share them', '- US-1: Analysts export reports')
+        .replace('AC-2: Exports of 10,000 rows finish within 5 seconds', 'AC-2: Exports feel quick'));
+      const scores = Object.fromEntries(report.sections.map(s => [s.key, s.score]));
+
+      expect(scores).toEqual({ context: 100, requirements: 80, userStories: 80, acceptanceCriteria: 75 });
+      expect(report.score).toBe(84);
+      expect(report.findings.map(f => f.message)).toEqual([
+        'REQ-1: Vague wording "fast" - say what it means in measurable terms',
+        'REQ-1: Vague wording "etc." - say what it means in measurable terms',
+        'US-1: Not in "As a <role>, I want <action> so that <benefit>" form',
+        'AC-2: Not testable - use Given/When/Then or a measurable outcome',
+        'AC-2: Vague wording "quick" - say what it means in measurable terms'
+      ]);
+    });
+
+    test('should score missing core sections as zero', () => {
+      const report = scoreSpec(goodSpec.split('## User Stories')[0]);
+
+      expect(report.sections.find(s => s.key === 'userStories')).toMatchObject({ score: 0 });
+      expect(report.sections.find(s => s.key === 'acceptanceCriteria').findings[0].type).toBe('missing');
+      expect(report.score).toBe(50);
+    });
+
+    test('should only check wording in other sections', () => {
+      const report = scoreSpec(`${goodSpec}\n## Technical Approach\n\nUse a robust streaming writer.\n`);
+
+      expect(report.sections.find(s => s.key === 'technicalApproach')).toMatchObject({ score: 90 });
+      expect(report.score).toBe(100);
+    });
+  });
+
+  describe('Pipeline', () => {
+    let tempDir;
+    let tracker;
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `ux-ingka-quality-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      await fs.ensureDir(tempDir);
+      tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      console.log.mockRestore();
+      await fs.remove(tempDir);
+    });
+
+    test('should print the report for a spec issue', async () => {
+      const { number } = await tracker.createIssue({ title: 'Export', body: goodSpec, labels: ['spec'] });
+
+      const report = await new SpecManager({ tracker, projectRoot: tempDir }).analyze(number);
+
+      expect(report.score).toBe(100);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Spec Quality: 100/100'));
+    });
+
+    test('should refuse to plan a spec below the threshold unless forced', async () => {
+      const { number } = await new SpecManager({ tracker, projectRoot: tempDir }).create('Add login', { autoPopulate: false });
+      const planner = new PlanManager({ tracker, projectRoot: tempDir });
+
+      await expect(planner.plan(number)).rejects.toThrow('Spec quality score 35/100 is below the planning threshold (50)');
+      expect(await tracker.listComments(number)).toHaveLength(0);
+
+      const result = await planner.plan(number, { force: true });
+      expect(result.quality.score).toBe(35);
+    });
+
+    test('should use a custom threshold', async () => {
+      const { number } = await tracker.createIssue({ title: 'Export', body: goodSpec.replace('5 seconds', 'a reasonable time'), labels: ['spec'] });
+
+      await expect(new PlanManager({ tracker, projectRoot: tempDir, qualityThreshold: 100 }).plan(number))
+        .rejects.toThrow('below the planning threshold (100)');
+    });
+  });
+});
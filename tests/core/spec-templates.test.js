@@ -0,0 +1,100 @@
+/**
+ * Spec Templates Tests
+ * Tests for lib/spec/templates - built-in and project templates, validation and `spec new --template`
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { getTemplate, loadTemplates, validateSpec, getTemplatesDir } = require('../../lib/spec/templates');
+const SpecManager = require('../../lib/spec');
+
+describe('Spec templates', () => {
+  let tempDir;
+  let tracker;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-templates-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should check required sections and template rules', async () => {
+    const api = await getTemplate(tempDir, 'api');
+
+    const result = validateSpec(api, {
+      'Context': 'Orders need an API',
+      'Requirements': '- [ ] List orders',
+      'Endpoints': '- `GET /api/orders` - List orders\n- Create an order',
+      'Error Responses': '- `404` - Order not found',
+      'Acceptance Criteria': '- [ ] Given orders, when I list them, then I see them'
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { section: 'Request & Response', message: 'Required section is missing' },
+      { section: 'Endpoints', message: 'Each endpoint starts with an HTTP method and a path' }
+    ]);
+    await expect(getTemplate(tempDir, 'rfc')).rejects.toThrow('Unknown spec template "rfc" - use feature, ui, api, migration, component');
+  });
+
+  test('should load project overrides and new templates from YAML', async () => {
+    const dir = getTemplatesDir(tempDir);
+    await fs.outputFile(path.join(dir, 'migration.yml'), 'labels: ["template: migration", dba-review]\n');
+    await fs.outputFile(path.join(dir, 'event.yml'), [
+      'extends: feature',
+      'description: Analytics event',
+      'sections:',
+      '  - { name: Context, required: true }',
+      '  - { name: Event Schema, required: true, placeholder: "- `event_name` (string)" }',
+      '  - { name: Acceptance Criteria, required: true }',
+      'rules:',
+      '  - { section: Event Schema, itemsMatch: "^`\\\\w+`", message: Each property starts with its name }'
+    ].join('\n'));
+
+    const templates = await loadTemplates(tempDir);
+
+    expect(templates.migration.labels).toEqual(['template: migration', 'dba-review']);
+    expect(templates.migration.rules).toHaveLength(2);
+    expect(templates.event).toMatchObject({ name: 'event', source: path.join('.leo', 'templates', 'spec', 'event.yml'), labels: [] });
+    expect(templates.event.sections.map(section => section.name)).toEqual(['Context', 'Event Schema', 'Acceptance Criteria']);
+    expect(validateSpec(templates.event, { 'Context': 'x', 'Event Schema': '- userId', 'Acceptance Criteria': '- [ ] y' }).errors)
+      .toEqual([{ section: 'Event Schema', message: 'Each property starts with its name' }]);
+
+    await fs.outputFile(path.join(dir, 'broken.yml'), 'sections:\n  - { name: Context }\nrules:\n  - { section: Rollout, minItems: 1 }\n');
+    await expect(loadTemplates(tempDir)).rejects.toThrow(`Invalid spec template ${path.join('.leo', 'templates', 'spec', 'broken.yml')}: rule refers to unknown section "Rollout"`);
+  });
+
+  test('should create specs with the template sections and labels', async () => {
+    const manager = new SpecManager({ tracker });
+
+    const issue = await manager.create('Add orders endpoint', { template: 'api' });
+    const stored = await tracker.getIssue(issue.number);
+    const headings = stored.body.match(/^## .+$/gm);
+
+    expect(headings).toEqual(['## Context', '## Requirements', '## Endpoints', '## Request & Response', '## Error Responses', '## Acceptance Criteria']);
+    expect(stored.body).toContain('- [ ] REQ-1: Add orders endpoint');
+    expect(stored.labels.map(label => label.name)).toEqual(['spec', 'needs-planning', 'priority: medium', 'type: feature', 'template: api']);
+  });
+
+  test('should refuse specs that do not match the template unless forced', async () => {
+    await fs.outputFile(path.join(getTemplatesDir(tempDir), 'ui.yml'), 'rules:\n  - { section: Design References, match: "figma\\\\.com/file/\\\\w+", message: Link the Figma file }\n');
+    const manager = new SpecManager({ tracker });
+
+    await expect(manager.create('Add order history page', { template: 'ui' }))
+      .rejects.toThrow('Spec does not match the "ui" template (fix the sections or use --force)');
+    expect(await tracker.listIssues({ label: 'spec' })).toHaveLength(0);
+
+    const issue = await manager.create('Add order history page', { template: 'ui', force: true });
+    expect(issue.number).toBe(1);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Spec Test Skeleton Tests
+ * Tests for lib/spec-tests - acceptance criteria to Jest/Playwright skeletons
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { SpecDocument } = require('../../lib/spec/document');
+const SpecTestsManager = require('../../lib/spec-tests');
+const { splitCriterion, groupCriteria } = require('../../lib/spec-tests/skeleton');
+
+const SPEC_BODY = [
+  '## Requirements',
+  '- [ ] REQ-1: Persist carts for signed-in users',
+  '- [ ] REQ-2: Merge the guest cart on sign-in',
+  '',
+  '## User Stories',
+  '- US-1: As a shopper, I want my cart kept so that I can finish later (REQ-1)',
+  '- US-2: As a guest, I want my items kept when I sign in so that nothing is lost (REQ-2)',
+  '',
+  '## Acceptance Criteria',
+  '- [ ] AC-1: Given a saved cart, when I log out and back in, then the cart is unchanged (US-1)',
+  '- [ ] AC-2: Given a guest cart (US-2), when I sign in, then its items are added to my cart',
+  '- [ ] AC-3: Carts older than 90 days are removed'
+].join('\n');
+
+describe('Spec test skeletons', () => {
+  test('should split Given/When/Then criteria', () => {
+    expect(splitCriterion('Given a saved cart, when I log out, then the cart is kept (REQ-1)')).toEqual({
+      given: 'a saved cart',
+      when: 'I log out',
+      then: 'the cart is kept'
+    });
+    expect(splitCriterion('Carts older than 90 days are removed')).toBeNull();
+  });
+
+  test('should group criteria under the user story they name', () => {
+    const groups = groupCriteria(SpecDocument.parse(SPEC_BODY));
+
+    expect(groups.map(group => [group.id, group.criteria.map(c => c.id)])).toEqual([
+      ['US-1', ['AC-1']],
+      ['US-2', ['AC-2']],
+      [null, ['AC-3']]
+    ]);
+    expect(groups[1].criteria[0].requirements).toEqual(['REQ-2']);
+    expect(groupCriteria(SpecDocument.parse(SPEC_BODY), { skip: ['AC-1'] })[0].id).toBe('US-2');
+  });
+});
+
+describe('SpecTestsManager', () => {
+  let tempDir;
+  let tracker;
+  let manager;
+  let issueNumber;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-spec-tests-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.outputJson(path.join(tempDir, 'package.json'), { devDependencies: { jest: '^29.0.0', '@playwright/test': '^1.40.0' } });
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    manager = new SpecTestsManager({ tracker, projectRoot: tempDir });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ({ number: issueNumber } = await tracker.createIssue({ title: 'Saved carts', body: SPEC_BODY, labels: ['spec'] }));
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should write a Jest skeleton with one describe per story and one test per criterion', async () => {
+    const { runner, output, content } = await manager.generate(issueNumber);
+
+    expect(runner).toBe('jest');
+    expect(path.relative(tempDir, output)).toBe(path.join('tests', `spec-${issueNumber}-saved-carts.test.js`));
+    expect(await fs.readFile(output, 'utf8')).toBe(content);
+    expect(content).toContain(`Acceptance tests for spec #${issueNumber}: Saved carts`);
+    expect(content).toContain("describe('US-1: As a shopper, I want my cart kept so that I can finish later (REQ-1)', () => {");
+    expect(content).toContain("  it('AC-1: Given a saved cart, when I log out and back in, then the cart is unchanged (US-1) (REQ-1)', async () => {");
+    expect(content).toContain('    // When I sign in');
+    expect(content).toContain("describe('Acceptance criteria', () => {");
+    expect(content).toContain('    // Assert: Carts older than 90 days are removed');
+    expect(content).toContain("    throw new Error('Not implemented: AC-3');");
+  });
+
+  test('should write Playwright tests when asked', async () => {
+    const { content, output } = await manager.generate(issueNumber, { runner: 'playwright', output: 'e2e/carts.spec.js' });
+
+    expect(path.relative(tempDir, output)).toBe(path.join('e2e', 'carts.spec.js'));
+    expect(content).toContain("const { test, expect } = require('@playwright/test');");
+    expect(content).toContain("test.describe('US-2: As a guest");
+    expect(content).toContain("  test('AC-2: Given a guest cart (US-2), when I sign in, then its items are added to my cart (REQ-2)', async ({ page }) => {");
+  });
+
+  test('should refuse to overwrite tests and skip criteria that already have one', async () => {
+    const { output } = await manager.generate(issueNumber);
+    await fs.writeFile(output, `// spec #${issueNumber}\nit('AC-1: cart is unchanged', () => {});\n`);
+
+    await expect(manager.generate(issueNumber)).rejects.toThrow('already exists - existing tests are never overwritten');
+    expect(await fs.readFile(output, 'utf8')).toContain("it('AC-1: cart is unchanged'");
+
+    const { skipped, content } = await manager.generate(issueNumber, { output: 'tests/carts-more.test.js' });
+    expect(skipped).toEqual(['AC-1']);
+    expect(content).not.toContain('AC-1:');
+    expect(content).toContain('AC-2:');
+  });
+
+  test('should fail when the project has no Jest or Playwright', async () => {
+    await fs.outputJson(path.join(tempDir, 'package.json'), { devDependencies: { mocha: '^10.0.0' } });
+
+    await expect(manager.generate(issueNumber)).rejects.toThrow('No Jest or Playwright found in package.json');
+    await expect(manager.generate(issueNumber, { runner: 'ava' })).rejects.toThrow('Unknown test runner "ava"');
+  });
+});
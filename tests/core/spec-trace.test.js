@@ -0,0 +1,144 @@
+/**
+ * Spec Trace Tests
+ * Tests for requirement IDs flowing spec → plan → tasks and the traceability matrix
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { extractRequirementRefs, tagWithRequirements, stripRequirementTag } = require('../../lib/spec/trace');
+const SpecManager = require('../../lib/spec');
+const SpecExtendManager = require('../../lib/spec-extend');
+const PlanManager = require('../../lib/plan');
+const TaskManager = require('../../lib/tasks');
+const SpecTraceManager = require('../../lib/spec-trace');
+
+describe('Spec Traceability', () => {
+  let tempDir;
+  let tracker;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-trace-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  async function createPlannedSpec(description) {
+    const { number } = await new SpecManager({ tracker }).create(description, { autoPopulate: true });
+    await new PlanManager({ tracker }).plan(number);
+    return number;
+  }
+
+  describe('Requirement references', () => {
+    test('should tag, extract and strip requirement IDs', () => {
+      const tagged = tagWithRequirements('Add error handling', ['REQ-2', 'REQ-5']);
+
+      expect(tagged).toBe('Add error handling (REQ-2, REQ-5)');
+      expect(extractRequirementRefs(tagged)).toEqual(['REQ-2', 'REQ-5']);
+      expect(stripRequirementTag(tagged)).toBe('Add error handling');
+      expect(tagWithRequirements('Code review', [])).toBe('Code review');
+    });
+  });
+
+  describe('ID assignment', () => {
+    test('should write requirement IDs when creating a spec', async () => {
+      const { number } = await new SpecManager({ tracker }).create('Add user login', { autoPopulate: true });
+      const issue = await tracker.getIssue(number);
+
+      expect(issue.body).toContain('- [ ] REQ-1: Add user login');
+      expect(issue.body).toContain('- [ ] REQ-4: Documentation updated');
+    });
+
+    test('should continue numbering when extending a spec', async () => {
+      const { number } = await new SpecManager({ tracker }).create('Add user login', { autoPopulate: true });
+
+      await new SpecExtendManager({ tracker }).extend(number, 'Add password reset', { trackHistory: false });
+      const issue = await tracker.getIssue(number);
+
+      expect(issue.body).toContain('- [ ] REQ-1: Add user login');
+      expect(issue.body).toContain('- [ ] REQ-5: Add password reset');
+    });
+  });
+
+  describe('Plan and tasks', () => {
+    test('should tag plan phase tasks with requirement IDs', async () => {
+      const number = await createPlannedSpec('Add user login');
+      const [planComment] = await tracker.listComments(number);
+
+      expect(planComment.body).toContain('- [ ] Add user login (REQ-1)');
+      expect(planComment.body).toContain('- [ ] Add error handling (REQ-2)');
+      expect(planComment.body).toContain('- [ ] Documentation (REQ-4)');
+    });
+
+    test('should carry requirement IDs into child issues', async () => {
+      const number = await createPlannedSpec('Add user login');
+
+      const result = await new TaskManager({ tracker }).create(number, { createIssues: true });
+
+      const child = result.childIssues.find(c => c.requirements.includes('REQ-1'));
+      const childIssue = await tracker.getIssue(child.number);
+
+      expect(childIssue.title).toContain('(REQ-1)');
+      expect(childIssue.body).toContain('**Requirements:** REQ-1');
+    });
+  });
+
+  describe('Traceability matrix', () => {
+    test('should map requirements to phases, tasks and tests', async () => {
+      const number = await createPlannedSpec('Add user login');
+      await new TaskManager({ tracker }).create(number);
+      await fs.outputFile(
+        path.join(tempDir, 'tests', 'login.test.js'),
+        `// Spec #${number}\ntest('[REQ-1] logs in', () => {});\n`
+      );
+
+      const matrix = await new SpecTraceManager({ tracker, projectRoot: tempDir }).trace(number);
+      const req1 = matrix.requirements.find(r => r.id === 'REQ-1');
+
+      expect(req1.phases).toEqual([2]);
+      expect(req1.tasks).toContain('Add user login');
+      expect(req1.tests).toEqual([path.join('tests', 'login.test.js')]);
+      expect(matrix.summary.uncovered).toBe(0);
+      expect(matrix.untracedTasks.map(t => t.text)).toContain('Set up project structure');
+    });
+
+    test('should flag requirements with no task', async () => {
+      const number = await createPlannedSpec('Add user login');
+      await new SpecExtendManager({ tracker }).extend(number, 'Add password reset', { trackHistory: false });
+
+      const matrix = await new SpecTraceManager({ tracker, projectRoot: tempDir }).trace(number);
+      const uncovered = matrix.requirements.filter(r => r.tasks.length === 0).map(r => r.id);
+
+      expect(uncovered).toContain('REQ-5');
+      expect(matrix.summary.uncovered).toBe(uncovered.length);
+    });
+
+    test('should export markdown and csv reports', async () => {
+      const number = await createPlannedSpec('Add user login');
+      const manager = new SpecTraceManager({ tracker, projectRoot: tempDir });
+      const output = path.join(tempDir, 'trace.md');
+
+      await manager.trace(number, { format: 'markdown', output });
+      const markdown = await fs.readFile(output, 'utf-8');
+      const csv = manager._formatReport(await manager.trace(number, { format: 'json', output: path.join(tempDir, 't.json') }), 'csv');
+
+      expect(markdown).toContain('| REQ-1 | Add user login | 2 |');
+      expect(markdown).toContain('## Tasks With No Requirement');
+      expect(csv.split('\n')[0]).toBe('"requirement","description","phases","tasks","tasks_done","child_issues","tests"');
+    });
+
+    test('should reject unknown formats', async () => {
+      const number = await createPlannedSpec('Add user login');
+
+      await expect(new SpecTraceManager({ tracker, projectRoot: tempDir }).trace(number, { format: 'xml' }))
+        .rejects.toThrow('Unknown format: xml');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Spec Versions Tests
+ * Tests for lib/spec/versions - in-repo spec snapshots, semantic diff and rollback
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { listVersions, loadVersion, saveVersion, parseVersion, diffItems } = require('../../lib/spec/versions');
+const SpecManager = require('../../lib/spec');
+const SpecExtendManager = require('../../lib/spec-extend');
+const SpecDiffManager = require('../../lib/spec-diff');
+
+describe('Spec versions', () => {
+  let tempDir;
+  let tracker;
+
+  const v1 = [
+    '## Requirements',
+    '',
+    '- [ ] REQ-1: Users can export reports',
+    '- [ ] REQ-2: Show an error for empty reports',
+    '',
+    '## Acceptance Criteria',
+    '',
+    '- [ ] AC-1: Given a report, when I export it, then a CSV file downloads',
+    ''
+  ].join('\n');
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-versions-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should store numbered snapshots with author and reason', async () => {
+    await saveVersion(tempDir, 7, { title: 'Export', body: v1, author: 'alice', reason: 'create' });
+    await saveVersion(tempDir, 7, { title: 'Export', body: v1, author: 'alice', reason: 'no-op' });
+    await saveVersion(tempDir, 7, { title: 'Export', body: `${v1}\nMore`, reason: 'extend: More' });
+
+    const versions = await listVersions(tempDir, 7);
+    const raw = await fs.readFile(path.join(tempDir, '.leo', 'specs', '7', 'v1.md'), 'utf8');
+
+    expect(versions.map(v => [v.version, v.reason])).toEqual([[1, 'create'], [2, 'extend: More']]);
+    expect(raw).toMatch(/^---\nversion: 1\ntitle: "Export"\nauthor: "alice"\nreason: "create"\ntimestamp: "[^"]+"\n---\n\n## Requirements/);
+    expect((await loadVersion(tempDir, 7, 'v1')).body).toBe(v1);
+    await expect(loadVersion(tempDir, 7, 'v9')).rejects.toThrow('Version v9 not found for spec #7 (have v1-v2)');
+    expect(() => parseVersion('latest')).toThrow('Invalid version "latest"');
+  });
+
+  test('should diff list items by ID', () => {
+    const v2 = v1
+      .replace('Users can export reports', 'Users can export reports as CSV or PDF')
+      .replace('- [ ] REQ-2: Show an error for empty reports\n', '')
+      .replace('- [ ] AC-1', '- [x] AC-1')
+      .replace('\n## Acceptance', '- [ ] REQ-3: Exports finish within 5 seconds\n\n## Acceptance');
+
+    const changes = diffItems(v1, v2);
+
+    expect(changes.requirements.added.map(item => item.id)).toEqual(['REQ-3']);
+    expect(changes.requirements.removed.map(item => item.id)).toEqual(['REQ-2']);
+    expect(changes.requirements.modified).toEqual([{
+      id: 'REQ-1',
+      from: { id: 'REQ-1', text: 'Users can export reports', checked: false },
+      to: { id: 'REQ-1', text: 'Users can export reports as CSV or PDF', checked: false }
+    }]);
+    expect(changes.acceptanceCriteria.modified[0].to.checked).toBe(true);
+  });
+
+  test('should snapshot create and extend, and compare any two versions', async () => {
+    const { number } = await new SpecManager({ tracker }).create('Add report export with CSV download', { autoPopulate: true });
+    await new SpecExtendManager({ tracker }).extend(number, 'Add PDF export', { trackHistory: false });
+
+    const versions = await listVersions(tempDir, number);
+    const result = await new SpecDiffManager({ tracker }).diff(number, { from: 'v1', to: 'v2' });
+
+    expect(versions.map(v => [v.version, v.author, v.reason])).toEqual([[1, 'tester', 'create'], [2, 'tester', 'extend: Add PDF export']]);
+    expect(result.changes).toHaveLength(1);
+    const requirements = result.changes[0].changes.find(change => change.section === 'requirements');
+    expect(requirements.added.length).toBeGreaterThan(0);
+    expect(requirements.added[0]).toMatch(/^REQ-\d+: /);
+    expect(requirements.removed).toEqual([]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Spec Changes (v1 → v2)'));
+  });
+
+  test('should roll back to an earlier version as a new version', async () => {
+    const { number } = await tracker.createIssue({ title: 'Export', body: v1, labels: ['spec'] });
+    await new SpecExtendManager({ tracker }).extend(number, 'Add PDF export', { trackHistory: false });
+    await tracker.updateIssue(number, { body: `${(await tracker.getIssue(number)).body}\nEdited on the issue` });
+
+    const result = await new SpecDiffManager({ tracker }).rollback(number, { to: 'v1' });
+
+    const versions = await listVersions(tempDir, number);
+    const issue = await tracker.getIssue(number);
+    expect(versions.map(v => v.reason)).toEqual(['baseline', 'extend: Add PDF export', 'edited outside ux-ingka', 'rollback to v1']);
+    expect(versions[3].author).toBe('tester');
+    expect(result).toEqual({ restored: true, version: 4, from: 1 });
+    expect(issue.body).toBe(v1);
+    expect(issue.labels.map(l => l.name)).toContain('plan-stale');
+    expect((await new SpecDiffManager({ tracker }).rollback(number, { to: 'v4' })).restored).toBe(false);
+  });
+
+  test('should never reuse an item ID after a rollback', async () => {
+    const { number } = await tracker.createIssue({ title: 'Export', body: v1, labels: ['spec'] });
+    const extend = text => new SpecExtendManager({ tracker }).extend(number, text, { trackHistory: false });
+
+    await extend('Password reset');
+    const issued = (await tracker.getIssue(number)).body.match(/REQ-\d+(?=: Password reset)/)[0];
+    await new SpecDiffManager({ tracker }).rollback(number, { to: 'v1' });
+    await extend('Remember me');
+
+    const body = (await tracker.getIssue(number)).body;
+    const reissued = body.match(/REQ-(\d+)(?=: Remember me)/);
+    expect(body).not.toContain(issued);
+    expect(Number(reissued[1])).toBeGreaterThan(6);
+    expect(await fs.readJson(path.join(tempDir, '.leo', 'specs', String(number), 'ids.json')))
+      .toMatchObject({ REQ: Number(reissued[1]) + 3, AC: 5 });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Task Graph Tests
+ * Tests for lib/tasks/graph - dependency DAG, cycle detection, critical path and rendering
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { buildTaskGraph, toMermaid, toDot } = require('../../lib/tasks/graph');
+const { getPlanPath, buildPlanArtifact } = require('../../lib/plan/artifact');
+const PlanManager = require('../../lib/plan');
+const TaskManager = require('../../lib/tasks');
+
+describe('Task graph', () => {
+  const tasks = [
+    { id: 'T1', title: 'Set up project', phase: 1, points: 1 },
+    { id: 'T2', title: 'Add "export" endpoint', phase: 2, points: 3, dependsOn: ['T1'] },
+    { id: 'T3', title: 'Write tests', phase: 2, points: 2, dependsOn: ['T1'] },
+    { id: 'T4', title: 'Deploy', phase: 3, points: 1, dependsOn: ['T2', 'T3'] }
+  ];
+
+  describe('Graph', () => {
+    test('should order tasks and find the critical path by story points', () => {
+      const graph = buildTaskGraph(tasks);
+
+      expect(graph.order).toEqual(['T1', 'T2', 'T3', 'T4']);
+      expect(graph.blocks.get('T1')).toEqual(['T2', 'T3']);
+      expect(graph.criticalPath).toEqual({ path: ['T1', 'T2', 'T4'], points: 5 });
+    });
+
+    test('should default missing estimates to one point', () => {
+      const graph = buildTaskGraph([{ id: 'A', title: 'A', phase: 1 }, { id: 'B', title: 'B', phase: 1, dependsOn: ['A'] }]);
+
+      expect(graph.criticalPath).toEqual({ path: ['A', 'B'], points: 2 });
+    });
+
+    test('should reject cycles and unknown dependencies', () => {
+      const cyclic = [
+        { id: 'T1', title: 'A', phase: 1, dependsOn: ['T3'] },
+        { id: 'T2', title: 'B', phase: 1, dependsOn: ['T1'] },
+        { id: 'T3', title: 'C', phase: 1, dependsOn: ['T2'] }
+      ];
+
+      expect(() => buildTaskGraph(cyclic)).toThrow('Task dependency cycle: T1 → T2 → T3 → T1');
+      expect(() => buildTaskGraph([{ id: 'T1', title: 'A', phase: 1, dependsOn: ['T9'] }])).toThrow('Task T1 depends on unknown task T9');
+      expect(() => buildTaskGraph([{ id: 'T1', title: 'A' }, { id: 'T1', title: 'B' }])).toThrow('Duplicate task ID T1');
+    });
+
+    test('should render Mermaid and DOT with the critical path highlighted', () => {
+      const graph = buildTaskGraph(tasks);
+      const phases = { 1: 'Foundation', 2: 'Core', 3: 'Deploy' };
+
+      const mermaid = toMermaid(graph, { phases });
+      expect(mermaid).toContain('subgraph P2["Phase 2: Core"]');
+      expect(mermaid).toContain('T2["T2: Add #quot;export#quot; endpoint (3 pts)"]');
+      expect(mermaid).toContain('T1 ==> T2');
+      expect(mermaid).toContain('T1 --> T3');
+      expect(mermaid).toContain('class T1,T2,T4 critical');
+      expect(mermaid).toContain('linkStyle 0,2 stroke:#d00');
+
+      const dot = toDot(graph, { phases, name: 'tasks-7' });
+      expect(dot).toContain('digraph "tasks-7" {');
+      expect(dot).toContain('"T2" [label="T2: Add \\"export\\" endpoint\\n3 pts", color=red, penwidth=2];');
+      expect(dot).toContain('"T1" -> "T3";');
+      expect(dot).toContain('"T2" -> "T4" [color=red, penwidth=2];');
+    });
+  });
+
+  describe('Tasks', () => {
+    let tempDir;
+    let tracker;
+
+    const spec = [
+      '## Context',
+      '',
+      'Finance teams need to share reports without rebuilding them by hand every month.',
+      '',
+      '## Requirements',
+      '',
+      '- [ ] REQ-1: Users can list and export reports as CSV',
+      '- [ ] REQ-2: Show a validation error when the report is empty',
+      '- [ ] REQ-3: Unit tests cover the CSV writer',
+      '- [ ] REQ-4: Add docs for the export',
+      '',
+      '## User Stories',
+      '',
+      '- US-1: As an analyst, I want to export reports so that I can share them',
+      '',
+      '## Acceptance Criteria',
+      '',
+      '- [ ] AC-1: Given a report, when I export it, then a CSV file downloads',
+      '- [ ] AC-2: Exports of 10,000 rows finish within 5 seconds',
+      '- [ ] AC-3: Given an empty report, when I export it, then I see an error',
+      ''
+    ].join('\n');
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `ux-ingka-graph-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      await fs.ensureDir(tempDir);
+      tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+      await fs.remove(tempDir);
+    });
+
+    async function createPlannedSpec() {
+      const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+      await new PlanManager({ tracker }).plan(number);
+      return number;
+    }
+
+    test('should list task IDs, estimates and the critical path', async () => {
+      const number = await createPlannedSpec();
+
+      const result = await new TaskManager({ tracker }).create(number, { autoPost: false, addLabel: false });
+
+      expect(result.tasks.map(phase => phase.type)).toEqual(['Sequential', 'Sequential', 'Sequential', 'Sequential']);
+      expect(result.tasks.map(phase => phase.blockedBy)).toEqual([null, 1, 2, 3]);
+      expect(result.criticalPath.path).toEqual(['T1', 'T2', 'T4', 'T5', 'T6', 'T9', 'T11', 'T14', 'T16']);
+      expect(result.criticalPath.points).toBe(18);
+      expect(result.comment).toContain('- [ ] **T5** [BLOCKED: Phase 1] Users can list and export reports as CSV (REQ-1)\n  _3 pts · after T4_');
+      expect(result.comment).toContain('### Critical Path (18 pts)\n\nT1 → T2 → T4');
+    });
+
+    test('should fall back to phase order for plans without declarations', async () => {
+      const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+      const plan = {
+        issueNumber: number,
+        title: 'Export',
+        sections: {},
+        phases: [
+          { number: 1, name: 'Foundation', tasks: [{ text: 'Set up', requirements: [] }, { text: 'Models', requirements: [] }] },
+          { number: 2, name: 'Core Features', tasks: [{ text: 'Export', requirements: ['REQ-1'] }] }
+        ]
+      };
+      await fs.outputJson(getPlanPath(tempDir, number), buildPlanArtifact(plan));
+
+      const { graph } = await new TaskManager({ tracker }).create(number, { autoPost: false, addLabel: false });
+
+      expect(graph.tasks.map(task => [task.id, task.dependsOn])).toEqual([['T1', []], ['T2', []], ['T3', ['T1', 'T2']]]);
+    });
+
+    test('should refuse a plan with a dependency cycle', async () => {
+      const { number } = await tracker.createIssue({ title: 'Export', body: spec, labels: ['spec'] });
+      const plan = {
+        issueNumber: number,
+        title: 'Export',
+        sections: {},
+        phases: [{
+          number: 1,
+          name: 'Foundation',
+          tasks: [
+            { id: 'T1', text: 'A', requirements: [], points: 1, dependsOn: ['T2'] },
+            { id: 'T2', text: 'B', requirements: [], points: 1, dependsOn: ['T1'] }
+          ]
+        }]
+      };
+      await fs.outputJson(getPlanPath(tempDir, number), buildPlanArtifact(plan));
+
+      await expect(new TaskManager({ tracker }).create(number, { autoPost: false })).rejects.toThrow('Task dependency cycle');
+    });
+
+    test('should write the graph next to the diagrams', async () => {
+      const number = await createPlannedSpec();
+      const output = path.join(tempDir, 'diagrams', `tasks-${number}.dot`);
+
+      const result = await new TaskManager({ tracker }).graph(number, { format: 'dot', output });
+
+      expect(await fs.readFile(output, 'utf8')).toBe(result.source);
+      expect(result.source).toContain(`digraph "tasks-${number}"`);
+      await expect(new TaskManager({ tracker }).graph(number, { format: 'svg' })).rejects.toThrow('Unknown graph format "svg"');
+    });
+
+    test('should link child issues as blocked by and blocks', async () => {
+      const number = await createPlannedSpec();
+
+      const { childIssues } = await new TaskManager({ tracker }).create(number, { createIssues: true });
+      const byTask = Object.fromEntries(childIssues.map(child => [child.taskId, child]));
+
+      expect(childIssues.map(child => child.taskId).slice(0, 5)).toEqual(['T1', 'T2', 'T3', 'T4', 'T5']);
+      expect(byTask.T5.blockedBy).toEqual([byTask.T4.number]);
+      expect(byTask.T4.blocks).toEqual([byTask.T5.number]);
+
+      const blocker = await tracker.getIssue(byTask.T4.number);
+      const blocked = await tracker.getIssue(byTask.T5.number);
+      expect(blocker.body).toContain(`**Blocks:** #${byTask.T5.number}`);
+      expect(blocked.body).toContain(`**Blocked By:** #${byTask.T4.number}`);
+      expect(blocked.labels.map(label => label.name)).toContain('blocked');
+    }, 15000);
+  });
+});
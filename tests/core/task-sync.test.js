@@ -0,0 +1,137 @@
+/**
+ * Task Sync Tests
+ * Tests for lib/tasks/sync - reconciling the task checklist with child issues
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { LocalTracker } = require('../../lib/tracker');
+const { parseChecklist, readSyncState, writeSyncState, setChecked } = require('../../lib/tasks/sync');
+const { getPlanPath, buildPlanArtifact } = require('../../lib/plan/artifact');
+const TaskManager = require('../../lib/tasks');
+
+describe('Task sync', () => {
+  let tempDir;
+  let tracker;
+  let manager;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-sync-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    manager = new TaskManager({ tracker });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  test('should parse, tick and record state in a checklist', () => {
+    const body = '### Phase 2: Core\n\n- [ ] **T2** [BLOCKED: Phase 1] Export CSV (REQ-1)\n  _3 pts · after T1_\n- [x] Write docs\n';
+
+    const items = parseChecklist(body);
+    const ticked = writeSyncState(setChecked(body, items[0].line, true), { 12: true });
+
+    expect(items).toEqual([
+      { line: 2, checked: false, id: 'T2', text: 'Export CSV (REQ-1)' },
+      { line: 4, checked: true, id: null, text: 'Write docs' }
+    ]);
+    expect(ticked).toContain('- [x] **T2** [BLOCKED: Phase 1] Export CSV (REQ-1)\n');
+    expect(readSyncState(ticked)).toEqual({ 12: true });
+    expect(readSyncState(writeSyncState(ticked, { 12: false }))).toEqual({ 12: false });
+    expect(readSyncState(body)).toBeNull();
+  });
+
+  async function createTasksWithIssues() {
+    const { number } = await tracker.createIssue({ title: 'Export', body: 'Spec', labels: ['spec'] });
+    const plan = {
+      issueNumber: number,
+      title: 'Export',
+      sections: {},
+      phases: [{
+        number: 1,
+        name: 'Foundation',
+        tasks: [
+          { id: 'T1', text: 'Add CSV writer', requirements: ['REQ-1'], points: 2, dependsOn: [] },
+          { id: 'T2', text: 'Add export endpoint', requirements: ['REQ-1'], points: 1, dependsOn: ['T1'] },
+          { id: 'T3', text: 'Document the export', requirements: [], points: 1, dependsOn: [] }
+        ]
+      }]
+    };
+    await fs.outputJson(getPlanPath(tempDir, number), buildPlanArtifact(plan));
+
+    const { childIssues } = await manager.create(number, { createIssues: true });
+    return { number, byTask: Object.fromEntries(childIssues.map(child => [child.taskId, child.number])) };
+  }
+
+  async function tasksComment(number) {
+    return (await tracker.listComments(number)).find(comment => comment.body.includes('## ✅ Implementation Tasks'));
+  }
+
+  test('should tick boxes for closed child issues and close child issues for ticked boxes', async () => {
+    const { number, byTask } = await createTasksWithIssues();
+    await tracker.updateIssue(byTask.T1, { state: 'closed' });
+    const comment = await tasksComment(number);
+    await tracker.updateComment(number, comment.id, comment.body.replace('- [ ] **T3**', '- [x] **T3**'));
+
+    const result = await manager.sync(number);
+
+    expect(result.ticked.map(item => item.id)).toEqual(['T1']);
+    expect(result.closed).toEqual([byTask.T3]);
+    expect(result.conflicts).toEqual([]);
+    expect((await tasksComment(number)).body).toContain('- [x] **T1** Add CSV writer (REQ-1)');
+    expect((await tracker.getIssue(byTask.T3)).state).toBe('CLOSED');
+    expect((await tracker.getIssue(byTask.T2)).state).toBe('OPEN');
+  }, 15000);
+
+  test('should only report what a dry run would change', async () => {
+    const { number, byTask } = await createTasksWithIssues();
+    await tracker.updateIssue(byTask.T1, { state: 'closed' });
+    const comment = await tasksComment(number);
+    await tracker.updateComment(number, comment.id, comment.body.replace('- [ ] **T3**', '- [x] **T3**'));
+
+    await manager.sync(number, { dryRun: true });
+
+    const output = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+    expect(output).toContain('Would tick 1:');
+    expect(output).toContain('Would close 1:');
+    expect(output).not.toMatch(/Would (ticked|closed)/);
+    expect((await tracker.getIssue(byTask.T3)).state).toBe('OPEN');
+  }, 15000);
+
+  test('should reopen a child issue when its box is unticked after a sync', async () => {
+    const { number, byTask } = await createTasksWithIssues();
+    await tracker.updateIssue(byTask.T1, { state: 'closed' });
+    await manager.sync(number);
+
+    const comment = await tasksComment(number);
+    await tracker.updateComment(number, comment.id, comment.body.replace('- [x] **T1**', '- [ ] **T1**'));
+    const result = await manager.sync(number);
+
+    expect(result.reopened).toEqual([byTask.T1]);
+    expect((await tracker.getIssue(byTask.T1)).state).toBe('OPEN');
+    expect((await manager.sync(number)).reopened).toEqual([]);
+  }, 15000);
+
+  test('should report deleted and renamed tasks as conflicts', async () => {
+    const { number, byTask } = await createTasksWithIssues();
+    const comment = await tasksComment(number);
+    const edited = comment.body
+      .replace(/- \[ \] \*\*T2\*\*.*\n.*\n/, '')
+      .replace('Document the export', 'Document the CSV export');
+    await tracker.updateComment(number, comment.id, edited);
+    await tracker.updateIssue(byTask.T3, { state: 'closed' });
+
+    const result = await manager.sync(number, { dryRun: true });
+
+    expect(result.conflicts.map(conflict => [conflict.type, conflict.number])).toEqual([
+      ['missing-task', byTask.T2],
+      ['renamed-task', byTask.T3]
+    ]);
+    expect(result.ticked.map(item => item.id)).toEqual(['T3']);
+    expect((await tasksComment(number)).body).toBe(edited);
+  }, 15000);
+});
@@ -0,0 +1,154 @@
+/**
+ * Issue Tracker Tests
+ * Tests for lib/tracker - backend selection and the local filesystem tracker
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { createTracker, GitHubTracker, LocalTracker } = require('../../lib/tracker');
+const SpecManager = require('../../lib/spec');
+const PlanManager = require('../../lib/plan');
+const TaskManager = require('../../lib/tasks');
+
+describe('Issue Tracker', () => {
+  let tempDir;
+  let tracker;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `ux-ingka-tracker-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.ensureDir(tempDir);
+    tracker = new LocalTracker({ projectRoot: tempDir, author: 'tester' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    delete process.env.UX_INGKA_TRACKER;
+    await fs.remove(tempDir);
+  });
+
+  describe('createTracker', () => {
+    test('should default to the GitHub backend', () => {
+      expect(createTracker()).toBeInstanceOf(GitHubTracker);
+    });
+
+    test('should select backend from options', () => {
+      expect(createTracker({ backend: 'local', projectRoot: tempDir })).toBeInstanceOf(LocalTracker);
+    });
+
+    test('should select backend from UX_INGKA_TRACKER', () => {
+      process.env.UX_INGKA_TRACKER = 'local';
+      expect(createTracker({ projectRoot: tempDir })).toBeInstanceOf(LocalTracker);
+    });
+
+    test('should reject unknown backends', () => {
+      expect(() => createTracker({ backend: 'jira' })).toThrow('Unknown tracker backend');
+    });
+  });
+
+  describe('LocalTracker', () => {
+    test('should create issues with sequential numbers under .leo/tracker', async () => {
+      const first = await tracker.createIssue({ title: 'First', body: 'Body 1', labels: ['spec'] });
+      const second = await tracker.createIssue({ title: 'Second', body: 'Body 2', labels: [] });
+
+      expect(first.number).toBe(1);
+      expect(second.number).toBe(2);
+      expect(await fs.pathExists(path.join(tempDir, '.leo', 'tracker', 'issues', '1.json'))).toBe(true);
+    });
+
+    test('should load issues in gh issue view shape', async () => {
+      await tracker.createIssue({ title: 'Spec', body: '## Context\n\nText', labels: ['spec', 'needs-planning'] });
+
+      const issue = await tracker.getIssue(1);
+
+      expect(issue.title).toBe('Spec');
+      expect(issue.state).toBe('OPEN');
+      expect(issue.labels.map(l => l.name)).toEqual(['spec', 'needs-planning']);
+      expect(issue.author.login).toBe('tester');
+    });
+
+    test('should throw for missing issues', async () => {
+      await expect(tracker.getIssue(99)).rejects.toThrow('Issue #99 not found');
+    });
+
+    test('should filter issues by label', async () => {
+      await tracker.createIssue({ title: 'Spec', body: '', labels: ['spec'] });
+      await tracker.createIssue({ title: 'Task', body: '', labels: ['task'] });
+
+      const specs = await tracker.listIssues({ label: 'spec' });
+
+      expect(specs).toHaveLength(1);
+      expect(specs[0].title).toBe('Spec');
+    });
+
+    test('should store comments in order', async () => {
+      await tracker.createIssue({ title: 'Spec', body: '', labels: [] });
+      await tracker.addComment(1, 'First comment');
+      await tracker.addComment(1, 'Second comment');
+
+      const comments = await tracker.listComments(1);
+
+      expect(comments.map(c => c.body)).toEqual(['First comment', 'Second comment']);
+      expect(comments[0].author).toBe('tester');
+    });
+
+    test('should add and remove labels', async () => {
+      await tracker.createIssue({ title: 'Spec', body: '', labels: ['needs-planning'] });
+      await tracker.addLabels(1, ['planned']);
+      await tracker.removeLabels(1, ['needs-planning']);
+
+      const issue = await tracker.getIssue(1);
+      const labels = await fs.readJson(path.join(tempDir, '.leo', 'tracker', 'labels.json'));
+
+      expect(issue.labels.map(l => l.name)).toEqual(['planned']);
+      expect(labels.find(l => l.name === 'planned').color).toBe('0E8A16');
+    });
+
+    test('should record body edits in the timeline', async () => {
+      await tracker.createIssue({ title: 'Spec', body: 'v1', labels: [] });
+      await tracker.updateIssue(1, { body: 'v2' });
+      await tracker.updateIssue(1, { title: 'Spec (renamed)' });
+
+      const timeline = await tracker.getTimeline(1);
+
+      expect(timeline.map(e => e.type)).toEqual(['created', 'edited', 'title_change']);
+      expect(timeline[0].body).toBe('v1');
+      expect(timeline[1].body).toBe('v2');
+      expect((await tracker.getIssue(1)).body).toBe('v2');
+    });
+
+    test('should close issues and edit comments', async () => {
+      await tracker.createIssue({ title: 'Task', body: '', labels: [] });
+      await tracker.addComment(1, '- [ ] Task');
+      const [comment] = await tracker.listComments(1);
+
+      await tracker.updateIssue(1, { state: 'closed' });
+      await tracker.updateComment(1, comment.id, '- [x] Task');
+
+      expect((await tracker.getIssue(1)).state).toBe('CLOSED');
+      expect((await tracker.listComments(1))[0].body).toBe('- [x] Task');
+      await expect(tracker.updateComment(1, 'missing', 'x')).rejects.toThrow('Comment missing not found on issue #1');
+    });
+  });
+
+  describe('Offline pipeline', () => {
+    test('should run spec → plan → tasks without GitHub', async () => {
+      const specs = new SpecManager({ tracker });
+      const planner = new PlanManager({ tracker });
+      const tasks = new TaskManager({ tracker });
+
+      const { number } = await specs.create('Add user authentication with session tokens', { autoPopulate: true });
+      await planner.plan(number);
+      const result = await tasks.create(number);
+
+      const issue = await tracker.getIssue(number);
+      const labels = issue.labels.map(l => l.name);
+
+      expect(labels).toEqual(expect.arrayContaining(['spec', 'planned', 'has-tasks']));
+      expect(labels).not.toContain('needs-planning');
+      expect(result.taskCount).toBeGreaterThan(0);
+      expect(await tracker.listComments(number)).toHaveLength(2);
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 jest.mock('socket.io', () => {
   return jest.fn().mockImplementation(() => ({
+    use: jest.fn(),
     on: jest.fn(),
     to: jest.fn().mockReturnThis(),
     emit: jest.fn(),
@@ -26,7 +27,7 @@ describe('WebSocket - Connection Handling', () => {
   let httpServer;
 
   beforeEach(async () => {
-    server = new APIServer({ port: 3003 });
+    server = new APIServer({ port: 3003, auth: false });
     server._setupMiddleware();
     server._setupRoutes();
     server._setupWebSocket();
@@ -61,7 +62,7 @@ describe('WebSocket - Events', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer({ port: 3004 });
+    server = new APIServer({ port: 3004, auth: false });
     server._setupMiddleware();
     server._setupRoutes();
     server._setupWebSocket();
@@ -247,7 +248,7 @@ describe('WebSocket - Broadcasting', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
     server._setupWebSocket();
@@ -306,7 +307,7 @@ describe('WebSocket - Connection Management', () => {
   let mockSocket;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
     server._setupWebSocket();
@@ -364,7 +365,7 @@ describe('WebSocket - Client Subscriptions', () => {
   let mockSocket;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
     server._setupWebSocket();
@@ -418,7 +419,7 @@ describe('WebSocket - Real-time Sync', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
     server._setupWebSocket();
@@ -484,7 +485,7 @@ describe('WebSocket - Event Serialization', () => {
   let server;
 
   beforeEach(() => {
-    server = new APIServer();
+    server = new APIServer({ auth: false });
     server._setupMiddleware();
     server._setupRoutes();
     server._setupWebSocket();